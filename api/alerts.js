@@ -0,0 +1,202 @@
+// /api/alerts.js — Lowpill v1.0.1
+// Alert subscriptions and webhook delivery log (admin scope). Subscriptions are evaluated by /api/ingest (lib/alerts).
+// GET: subscriptions (?company=, ?type=), without their secret
+//      ?deliveries=1: delivery log (subscription_id, company, status, limit, cursor); ?delivery_id=<id>: one delivery + its attempts
+// POST: { action: 'create', type, company?, metric?, theme?, min_signal?, min_importance?, url, name?, secret? }
+//         type: metric_signal | news_importance | official_source ; the secret (generated if absent) is returned once
+//       { action: 'update', id, url?, name?, active?, min_signal?, min_importance?, theme?, metric? }
+//       { action: 'delete', id } | { action: 'test', id } (signed ping)
+//       { action: 'deliver', limit? } (due deliveries: queued by /api/ingest, then retries; for a cron)
+// + malformed query (delivery_id, cursor id...): 400 instead of 500
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { authorize } = require('../lib/auth');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { resolveCompany } = require('../lib/identity');
+const { EVENT_TYPES, SIGNAL_LEVELS, sendTest, deliverDue } = require('../lib/alerts');
+const { generateSecret } = require('../lib/webhooks');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const DEFAULT_LIMIT = 50;
+const PUBLIC_COLS = 'id, name, event_type, company_id, metric_key, theme_enum, min_signal, min_importance, url, active, created_at';
+
+// -------- validation ----------
+const urlSchema = z.string().url().refine(u => /^https?:\/\//i.test(u), { message: 'url must be http(s)' });
+const importanceSchema = z.coerce.number().min(0).max(100).transform(x => (x > 1 ? x / 100 : x));
+const idSchema = z.coerce.number().int().positive();
+
+const bodySchema = z.discriminatedUnion('action', [
+  z.object({
+    action: z.literal('create'),
+    type: z.enum(EVENT_TYPES),
+    name: z.string().trim().min(1).max(100).optional(),
+    company: z.string().min(1).optional(),
+    metric: z.string().min(1).optional(),
+    theme: z.string().min(1).optional(),
+    min_signal: z.enum(SIGNAL_LEVELS).optional(),
+    min_importance: importanceSchema.optional(),
+    url: urlSchema,
+    secret: z.string().min(16).max(200).optional()
+  }),
+  z.object({
+    action: z.literal('update'),
+    id: idSchema,
+    name: z.string().trim().min(1).max(100).optional(),
+    metric: z.string().min(1).nullable().optional(),
+    theme: z.string().min(1).nullable().optional(),
+    min_signal: z.enum(SIGNAL_LEVELS).optional(),
+    min_importance: importanceSchema.optional(),
+    url: urlSchema.optional(),
+    active: z.boolean().optional()
+  }),
+  z.object({ action: z.literal('delete'), id: idSchema }),
+  z.object({ action: z.literal('test'), id: idSchema }),
+  z.object({ action: z.literal('deliver'), limit: z.coerce.number().int().min(1).max(500).optional() })
+]);
+
+const listSchema = z.object({
+  company: z.string().min(1).optional(),
+  type: z.enum(EVENT_TYPES).optional(),
+  subscription_id: idSchema.optional(),
+  delivery_id: idSchema.optional(),
+  status: z.enum(['pending', 'delivered', 'failed']).optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  cursor: z.string().min(1).optional()
+});
+
+// metric / theme -> colonnes (slug; null efface le filtre)
+const slugOrNull = (v) => (v == null ? null : toSlug(v) || null);
+
+async function companyIdOf(ref) {
+  if (!ref) return { id: null };
+  const company = (await resolveCompany(store, ref, 'id'))?.company;
+  return company ? { id: company.id } : null;
+}
+
+async function list(req, res) {
+  const query = listSchema.safeParse({
+    company: req.query.company,
+    type: req.query.type,
+    subscription_id: req.query.subscription_id,
+    delivery_id: req.query.delivery_id,
+    status: req.query.status,
+    limit: req.query.limit,
+    cursor: req.query.cursor
+  });
+  if (!query.success) return res.status(400).json({ error: query.error.issues.map(i => i.message).join('; ') });
+  const parsed = query.data;
+  const company = await companyIdOf(parsed.company);
+  if (!company) return res.status(404).json({ error: 'company not found' });
+
+  // une livraison et ses tentatives
+  if (parsed.delivery_id) {
+    const delivery = await store.alertDeliveries.findById(parsed.delivery_id);
+    if (!delivery) return res.status(404).json({ error: 'delivery not found' });
+    return res.status(200).json({ delivery, attempts: await store.alertAttempts.listByDelivery(delivery.id) });
+  }
+
+  if (['1', 'true', 'yes'].includes(String(req.query.deliveries || '').toLowerCase())) {
+    const lim = parsed.limit ?? DEFAULT_LIMIT;
+    let beforeId = null;
+    if (parsed.cursor) {
+      try {
+        beforeId = idSchema.parse(decodeCursor(parsed.cursor, ['id']).id);
+      } catch (e) {
+        return res.status(400).json({ error: 'invalid cursor' });
+      }
+    }
+    const rows = await store.alertDeliveries.list({
+      subscriptionId: parsed.subscription_id ?? null,
+      companyId: company.id,
+      status: parsed.status ?? null,
+      beforeId,
+      limit: lim + 1
+    });
+    const page = rows.slice(0, lim);
+    return res.status(200).json({
+      count: page.length,
+      deliveries: page,
+      next_cursor: rows.length > lim ? encodeCursor({ id: page[page.length - 1].id }) : null
+    });
+  }
+
+  const subs = await store.alertSubscriptions.list({ companyId: company.id, eventType: parsed.type ?? null, columns: PUBLIC_COLS });
+  return res.status(200).json({ count: subs.length, subscriptions: subs });
+}
+
+async function create(body, apiKey, res) {
+  const company = await companyIdOf(body.company);
+  if (!company) return res.status(404).json({ error: 'company not found', company: body.company });
+  if (body.type === 'metric_signal' && body.theme) return res.status(400).json({ error: 'theme applies to news_importance' });
+  if (body.type === 'news_importance' && body.metric) return res.status(400).json({ error: 'metric applies to metric_signal' });
+
+  const secret = body.secret ?? generateSecret();
+  const row = await store.alertSubscriptions.insert({
+    name: body.name ?? null,
+    event_type: body.type,
+    company_id: company.id,
+    metric_key: slugOrNull(body.metric),
+    theme_enum: slugOrNull(body.theme),
+    min_signal: body.min_signal ?? 'strong',
+    min_importance: body.min_importance ?? 0.8,
+    url: body.url,
+    secret,
+    active: true,
+    api_key_id: apiKey.id
+  }, PUBLIC_COLS);
+  return res.status(201).json({ ok: true, secret, subscription: row });
+}
+
+async function update(body, res) {
+  const { action, id, metric, theme, ...fields } = body;
+  const patch = { ...fields };
+  if (metric !== undefined) patch.metric_key = slugOrNull(metric);
+  if (theme !== undefined) patch.theme_enum = slugOrNull(theme);
+  if (!Object.keys(patch).length) return res.status(400).json({ error: 'nothing to update' });
+  const row = await store.alertSubscriptions.update(id, patch, PUBLIC_COLS);
+  if (!row) return res.status(404).json({ error: 'subscription not found' });
+  return res.status(200).json({ ok: true, subscription: row });
+}
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+    const apiKey = await authorize(store, req, res, 'admin');
+    if (!apiKey) return;
+    if (req.method === 'GET') return await list(req, res);
+
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    const parsed = bodySchema.safeParse(body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+    }
+    const data = parsed.data;
+
+    if (data.action === 'create') return await create(data, apiKey, res);
+    if (data.action === 'update') return await update(data, res);
+    if (data.action === 'deliver') {
+      return res.status(200).json({ ok: true, ...(await deliverDue(store, { limit: data.limit })) });
+    }
+
+    const sub = await store.alertSubscriptions.findById(data.id);
+    if (!sub) return res.status(404).json({ error: 'subscription not found' });
+    if (data.action === 'delete') {
+      await store.alertSubscriptions.remove(sub.id);
+      return res.status(200).json({ ok: true, deleted: sub.id });
+    }
+    // test: envoi signé immédiat, même si l'abonnement est désactivé
+    const delivery = await sendTest(store, { ...sub, active: true });
+    return res.status(200).json({ ok: delivery?.status === 'delivered', delivery });
+
+  } catch (err) {
+    console.error('ALERTS ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
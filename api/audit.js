@@ -0,0 +1,85 @@
+// /api/audit.js — Lowpill v1.0.1
+// Ingest audit log (admin scope): which API key sent which source for which company, counts and outcome
+// Query: key_id, company (slug, alias, ticker...), outcome (ok|rolled_back|rejected|failed), from, to (created_at), limit (<=200), cursor
+// + malformed query (key_id, dates, cursor id): 400 instead of 500
+const { z } = require('zod');
+const { authorize } = require('../lib/auth');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { resolveCompany } = require('../lib/identity');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const DEFAULT_LIMIT = 50;
+
+// -------- validation ----------
+const isoDate = z.string().refine(s => !Number.isNaN(Date.parse(s)), { message: 'invalid date' })
+  .transform(s => new Date(s).toISOString());
+const idSchema = z.coerce.number().int().positive();
+
+const querySchema = z.object({
+  key_id: idSchema.optional(),
+  company: z.string().min(1).optional(),
+  outcome: z.enum(['ok', 'rolled_back', 'rejected', 'failed']).optional(),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  cursor: z.string().min(1).optional()
+});
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    if (!(await authorize(store, req, res, 'admin'))) return;
+
+    const query = querySchema.safeParse({
+      key_id: req.query.key_id,
+      company: req.query.company,
+      outcome: req.query.outcome,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    if (!query.success) return res.status(400).json({ error: query.error.issues.map(i => i.message).join('; ') });
+    const parsed = query.data;
+    const lim = parsed.limit ?? DEFAULT_LIMIT;
+    let beforeId = null;
+    if (parsed.cursor) {
+      try {
+        beforeId = idSchema.parse(decodeCursor(parsed.cursor, ['id']).id);
+      } catch (e) {
+        return res.status(400).json({ error: 'invalid cursor' });
+      }
+    }
+
+    let companyId = null;
+    if (parsed.company) {
+      const company = (await resolveCompany(store, parsed.company, 'id'))?.company;
+      if (!company) return res.status(404).json({ error: 'company not found' });
+      companyId = company.id;
+    }
+
+    const rows = await store.ingestAudit.list({
+      keyId: parsed.key_id ?? null,
+      companyId,
+      outcome: parsed.outcome ?? null,
+      from: parsed.from ?? null,
+      to: parsed.to ?? null,
+      beforeId,
+      limit: lim + 1
+    });
+    const page = rows.slice(0, lim);
+    return res.status(200).json({
+      count: page.length,
+      entries: page,
+      next_cursor: rows.length > lim ? encodeCursor({ id: page[page.length - 1].id }) : null
+    });
+
+  } catch (err) {
+    console.error('AUDIT ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
@@ -0,0 +1,202 @@
+// /api/companies.js — Lowpill v1.2.1
+// GET: list / search companies (q matches slug, name or any alias), or ?resolve=<name|ticker|ISIN|LEI|domain>
+// POST (admin key):   { action: 'aliases', company, aliases?, tickers?, isin?, lei?, domain? } attaches identifiers;
+//                     { action: 'merge', into, from: ref | [refs], dry_run? } merges duplicates with their facts/insights/news
+// + new domain aliases / merges re-score the company's sources (a company's own domain counts as issuer)
+// + API keys: GET needs the 'read' scope (a company-restricted key only sees its companies), POST the 'admin' scope
+// + malformed query or body: 400 instead of 500
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { ALIAS_KINDS, aliasesOf, invalidAliases, aliasRows, resolveCompany } = require('../lib/identity');
+const { mergeCompanies } = require('../lib/merge');
+const { SOURCE_PROVENANCE_COLS, rescoreSources } = require('../lib/provenance');
+const { COMPANY_COLS } = require('../lib/peers');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const DEFAULT_LIMIT = 50;
+
+// -------- validation ----------
+const listSchema = z.object({
+  q: z.string().trim().min(1).max(100).optional(),
+  sector: z.string().min(1).optional(),
+  industry: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  cursor: z.string().min(1).optional()
+});
+
+const aliasesSchema = z.object({
+  action: z.literal('aliases'),
+  company: z.string().min(1),
+  aliases: z.array(z.string().min(1)).max(50).optional(),
+  tickers: z.array(z.string().min(1)).max(20).optional(),
+  isin: z.union([z.string().min(1), z.array(z.string().min(1)).max(20)]).optional(),
+  lei: z.string().min(1).optional(),
+  domain: z.string().min(1).optional()
+});
+
+const mergeSchema = z.object({
+  action: z.literal('merge'),
+  into: z.string().min(1),
+  from: z.union([z.string().min(1), z.array(z.string().min(1)).min(1).max(20)]),
+  dry_run: z.boolean().optional()
+});
+
+const bodySchema = z.discriminatedUnion('action', [aliasesSchema, mergeSchema]);
+
+// company + alias groupés par type
+const withAliases = (company, aliases) => ({
+  ...company,
+  aliases: Object.fromEntries(ALIAS_KINDS.map(kind => [
+    kind,
+    aliases.filter(a => a.company_id === company.id && a.kind === kind).map(a => a.value).sort()
+  ]))
+});
+
+// Caractères réservés d'un filtre or() PostgREST
+const safeFragment = (s) => String(s).replace(/[,()"*%\\]/g, ' ').trim();
+
+async function list(req, res, apiKey) {
+  const query = listSchema.safeParse({
+    q: req.query.q,
+    sector: req.query.sector,
+    industry: req.query.industry,
+    limit: req.query.limit,
+    cursor: req.query.cursor
+  });
+  if (!query.success) return res.status(400).json({ error: query.error.issues.map(i => i.message).join('; ') });
+  const parsed = query.data;
+  const lim = parsed.limit ?? DEFAULT_LIMIT;
+  let after = null;
+  if (parsed.cursor) {
+    try {
+      after = String(decodeCursor(parsed.cursor, ['slug']).slug);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+  }
+
+  let search = null;
+  let ids = [];
+  if (parsed.q) {
+    const slug = toSlug(parsed.q);
+    const text = safeFragment(parsed.q);
+    if (!slug && !text) return res.status(400).json({ error: 'q has no searchable characters' });
+    // alias: noms pliés comme les slugs, identifiants en majuscules, domaines en minuscules
+    const fragments = Array.from(new Set([slug, text.toUpperCase().replace(/\s+/g, ''), text.toLowerCase()].filter(Boolean)));
+    for (const f of fragments) ids.push(...(await store.companyAliases.search(f)).map(a => a.company_id));
+    ids = Array.from(new Set(ids));
+    search = { slug: slug || text, text: text || slug };
+  }
+
+  const rows = await store.companies.list({
+    search,
+    ids,
+    only: apiKey.company_ids,
+    sector: parsed.sector ? toSlug(parsed.sector) : null,
+    industry: parsed.industry ? toSlug(parsed.industry) : null,
+    after,
+    limit: lim + 1,
+    columns: COMPANY_COLS
+  });
+  const page = rows.slice(0, lim);
+  const aliases = await store.companyAliases.listByCompanies(page.map(c => c.id));
+  return res.status(200).json({
+    count: page.length,
+    companies: page.map(c => withAliases(c, aliases)),
+    next_cursor: rows.length > lim ? encodeCursor({ slug: page[page.length - 1].slug }) : null
+  });
+}
+
+async function attachAliases(body, res) {
+  const invalid = invalidAliases(body);
+  if (invalid.length) return res.status(400).json({ error: `invalid identifier(s): ${invalid.join(', ')}` });
+  const resolved = await resolveCompany(store, body.company, COMPANY_COLS);
+  if (!resolved) return res.status(404).json({ error: 'company not found' });
+  const { company } = resolved;
+
+  // le nom de la société est déjà connu: seuls les alias passés comptent
+  const declared = aliasesOf({ ...body, company: null });
+  const existing = await store.companyAliases.findMatches(declared);
+  const taken = existing.filter(a => a.company_id !== company.id);
+  await store.companyAliases.insertMissing(aliasRows(company.id, declared));
+
+  // nouveau domaine -> ses sources deviennent 'issuer'
+  const rescored = declared.some(a => a.kind === 'domain' && !existing.some(e => e.kind === 'domain' && e.value === a.value))
+    ? await rescoreSources(store, await store.sources.listByCompany(company.id, SOURCE_PROVENANCE_COLS))
+    : null;
+
+  const aliases = await store.companyAliases.listByCompanies([company.id]);
+  return res.status(200).json({
+    ok: true,
+    company: withAliases(company, aliases),
+    added: declared.length - existing.length,
+    // déjà rattachés à une autre société (non déplacés: fusionner les sociétés si c'est un doublon)
+    conflicts: taken.map(a => ({ kind: a.kind, value: a.value, company_id: a.company_id })),
+    rescored
+  });
+}
+
+async function merge(body, res) {
+  const into = (await resolveCompany(store, body.into, COMPANY_COLS))?.company;
+  if (!into) return res.status(404).json({ error: 'company not found', company: body.into });
+
+  const refs = [].concat(body.from);
+  const dups = [];
+  for (const ref of refs) {
+    const from = (await resolveCompany(store, ref, COMPANY_COLS))?.company;
+    if (!from) return res.status(404).json({ error: 'company not found', company: ref });
+    if (from.id === into.id) return res.status(422).json({ error: `${ref} resolves to the kept company ${into.slug}` });
+    if (!dups.some(d => d.id === from.id)) dups.push(from);
+  }
+
+  const merged = [];
+  for (const from of dups) {
+    const result = await mergeCompanies(store, into, from, { dryRun: !!body.dry_run });
+    merged.push({ from: from.slug, from_id: from.id, ...result });
+  }
+  // sources reprises: classées avec les domaines de la société conservée
+  const rescored = body.dry_run || !dups.length
+    ? null
+    : await rescoreSources(store, await store.sources.listByCompany(into.id, SOURCE_PROVENANCE_COLS));
+  return res.status(200).json({ ok: true, dry_run: !!body.dry_run, into: into.slug, into_id: into.id, merged, rescored });
+}
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      const apiKey = await authorize(store, req, res, 'read');
+      if (!apiKey) return;
+      if (req.query?.resolve) {
+        const resolved = await resolveCompany(store, req.query.resolve, COMPANY_COLS);
+        if (!resolved) return res.status(404).json({ error: 'company not found' });
+        if (!allowsCompany(apiKey, resolved.company.id)) return res.status(403).json({ error: 'API key not allowed for this company' });
+        const aliases = await store.companyAliases.listByCompanies([resolved.company.id]);
+        return res.status(200).json({ matched_by: resolved.matched_by, company: withAliases(resolved.company, aliases) });
+      }
+      return await list(req, res, apiKey);
+    }
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+    if (!(await authorize(store, req, res, 'admin'))) return;
+
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    const parsed = bodySchema.safeParse(body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+    }
+    const data = parsed.data;
+    return data.action === 'merge' ? await merge(data, res) : await attachAliases(data, res);
+
+  } catch (err) {
+    console.error('COMPANIES ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
@@ -0,0 +1,95 @@
+// /api/conflicts.js — Lowpill v1.5.0
+// Metric/period pairs where sources disagree beyond a tolerance, for analyst review
+// + API key with the 'read' scope; a company-restricted key gets 403 on other companies
+// + sources reporting in another currency compared at the FX rate of their date (lib/series candidateRates)
+// + facts grouped by dictionary entry (metric_id): "Revenue" and "revenue" are one metric, ?metric= resolved like /api/read
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { candidateRates, buildSeries, selectMetricFacts } = require('../lib/series');
+const { DEFAULT_TOLERANCE, describeCandidate } = require('../lib/consensus');
+const { COMPANY_COLS } = require('../lib/peers');
+const { resolveCompany } = require('../lib/identity');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+// -------- validation ----------
+const querySchema = z.object({
+  company: z.string().min(1),
+  metric: z.string().optional(),
+  tolerance: z.coerce.number().min(0).max(1).optional(), // écart relatif toléré (0.005 = 0.5%)
+  limit: z.coerce.number().int().min(1).max(200).optional()
+});
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const apiKey = await authorize(store, req, res, 'read');
+    if (!apiKey) return;
+
+    const parsed = querySchema.parse({
+      company: req.query.company,
+      metric: req.query.metric,
+      tolerance: req.query.tolerance,
+      limit: req.query.limit
+    });
+    const tolerance = parsed.tolerance ?? DEFAULT_TOLERANCE;
+
+    const company = (await resolveCompany(store, parsed.company, COMPANY_COLS))?.company;
+    if (!company) return res.status(404).json({ error: 'company not found' });
+    if (!allowsCompany(apiKey, company.id)) return res.status(403).json({ error: 'API key not allowed for this company' });
+
+    // ?metric= par l'entrée du dictionnaire, comme /api/read ("revenue" retrouve les faits saisis "Revenue")
+    let metricId = null;
+    if (parsed.metric) {
+      const def = await store.metrics.findBySlug(toSlug(parsed.metric), 'id');
+      if (!def) return res.status(404).json({ error: 'metric not found' });
+      metricId = def.id;
+    }
+    const rows = await selectMetricFacts(store, [company.id], null, { metricId });
+
+    // entrée du dictionnaire -> faits (toutes casses de metric_key), puis consensus par période
+    const byMetric = new Map();
+    for (const r of rows) {
+      const k = r.metric_id ?? r.metric_key;
+      if (!byMetric.has(k)) byMetric.set(k, { metric: r.metric_key, facts: [] });
+      byMetric.get(k).facts.push(r);
+    }
+
+    const conflicts = [];
+    for (const { metric, facts } of byMetric.values()) {
+      const rates = await candidateRates(store, facts);
+      for (const p of buildSeries(facts, company.fiscal_year_end, { tolerance, rates })) {
+        if (!p.consensus.conflict) continue;
+        conflicts.push({
+          metric,
+          date: p.date,
+          period: p.period.label,
+          consensus_value: p.value,
+          agreement: p.consensus.agreement,
+          spread: p.consensus.spread,
+          candidates: p.consensus.candidates
+            .sort((a, b) => b.weight - a.weight)
+            .map(describeCandidate)
+        });
+      }
+    }
+
+    // Plus gros écarts d'abord
+    conflicts.sort((a, b) => (b.spread - a.spread) || (new Date(b.date) - new Date(a.date)));
+
+    return res.status(200).json({
+      company: { slug: company.slug, name: company.name },
+      tolerance,
+      count: conflicts.length,
+      conflicts: conflicts.slice(0, parsed.limit ?? 50)
+    });
+
+  } catch (err) {
+    console.error('CONFLICTS ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
@@ -0,0 +1,211 @@
+// /api/export.js — Lowpill v1.1.0
+// Bulk export (read scope), streamed without the read endpoints' row limits
+// type=facts (default): CSV of the metric series of one or many companies, like /api/read
+//   Query: company (comma list), metric (comma list or repeated; default: every ingested metric), layout (long|wide),
+//          period_type (FY|H|Q|TTM), from, to (period date), currency, basis (latest|original), as_known_at
+//   long: one row per company × metric × period; wide: one row per company × period, one column per metric
+//   (+ <metric>_unit, _currency, _source_url, _trust_score)
+// type=insights | news: NDJSON, one item per line (near-duplicates kept, with their cluster_id)
+//   Query: company, theme, from, to (insights: created_at, news: event_date), min_importance (news), as_known_at
+// + default metric list = dictionary entries with facts, distinct in the database (rpc company_metrics, sql/024)
+// + CSV text cells starting with = + - @ are prefixed with ' (formula injection)
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { loadMetricSeries } = require('../lib/derived');
+const { filterKnownAt } = require('../lib/pit');
+const { SOURCE_EMBED } = require('../lib/provenance');
+const { csvLine, LONG_COLUMNS, longRow, wideColumns, wideRows, insightItem, newsItem } = require('../lib/export');
+const { COMPANY_COLS } = require('../lib/peers');
+const { resolveCompany } = require('../lib/identity');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const MAX_COMPANIES = 50;
+const MAX_METRICS = 100;
+const PAGE_SIZE = 1000;
+
+const INSIGHT_COLS = `id, company_id, source_id, cluster_id, theme_enum, theme, text, confidence, created_at, ${SOURCE_EMBED}`;
+const NEWS_COLS = `id, company_id, source_id, cluster_id, event_date, headline, summary, full_text, theme_enum, importance, created_at, ${SOURCE_EMBED}`;
+
+// -------- validation ----------
+// a,b ou répété -> liste (ordre conservé, sans doublon)
+const listOf = (q) => Array.from(new Set(
+  [].concat(q ?? []).flatMap(m => String(m).split(',')).map(m => m.trim()).filter(Boolean)
+));
+
+const isoDate = (endOfDay) => z.string()
+  .refine(s => !Number.isNaN(new Date(s).getTime()), { message: 'expected an ISO date/time' })
+  .transform(s => (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T23:59:59.999Z` : s))
+  .transform(s => new Date(s).toISOString());
+
+const querySchema = z.object({
+  type: z.enum(['facts', 'insights', 'news']).optional(),
+  companies: z.array(z.string().min(1)).min(1, { message: 'company is required' }).max(MAX_COMPANIES),
+  metrics: z.array(z.string().min(1)).max(MAX_METRICS),
+  layout: z.enum(['long', 'wide']).optional(),
+  period_type: z.enum(['FY', 'H', 'Q', 'TTM']).optional(),
+  from: isoDate(false).optional(),
+  to: isoDate(true).optional(),
+  currency: z.string().regex(/^[A-Za-z]{3}$/).transform(c => c.toUpperCase()).optional(),
+  basis: z.enum(['latest', 'original']).optional(),
+  theme: z.string().optional(),
+  min_importance: z.coerce.number().min(0).max(100).transform(x => (x > 1 ? x / 100 : x)).optional(),
+  as_known_at: isoDate(false).optional()
+});
+
+// -------- facts (CSV) ----------
+// Séries de toutes les sociétés d'abord: une erreur (unités, taux manquant) répond 422 avant tout envoi
+async function loadFacts(companies, parsed) {
+  const opts = { currency: parsed.currency, basis: parsed.basis ?? 'latest', asKnownAt: parsed.as_known_at ?? null };
+  const inRange = (p) => (!parsed.period_type || p.period.type === parsed.period_type)
+    && (!parsed.from || new Date(p.date) >= new Date(parsed.from))
+    && (!parsed.to || new Date(p.date) <= new Date(parsed.to));
+
+  // sans metric: les entrées du dictionnaire ayant des faits pour ces sociétés (distinct en base),
+  // sous leur libellé quand il retrouve la même entrée ("Revenue"), sinon leur key_slug
+  const names = parsed.metrics.length
+    ? parsed.metrics
+    : (await store.metrics.listUsedBy(companies.map(c => c.id), { createdBefore: opts.asKnownAt }))
+      .map(d => (d.label && toSlug(d.label) === d.key_slug ? d.label : d.key_slug));
+
+  const out = [];
+  for (const company of companies) {
+    const metrics = [];
+    for (const name of names) {
+      try {
+        const loaded = await loadMetricSeries(store, company, name, opts);
+        metrics.push({ name, derived: loaded.derived, series: loaded.series.filter(inRange) });
+      } catch (e) {
+        throw Object.assign(e, { company: company.slug, metric: name });
+      }
+    }
+    out.push({ company, metrics });
+  }
+  return { names, companies: out };
+}
+
+function writeFactsCsv(res, { names, companies }, layout) {
+  const columns = layout === 'wide' ? wideColumns(names) : LONG_COLUMNS;
+  res.write(csvLine(columns));
+  for (const { company, metrics } of companies) {
+    const rows = layout === 'wide'
+      ? wideRows(company, metrics)
+      : metrics.flatMap(m => m.series.map(p => longRow(company, m, p)));
+    for (const row of rows) res.write(csvLine(columns.map(c => row[c])));
+  }
+}
+
+// -------- insights / news (NDJSON) ----------
+// page par page (id croissant), société par société
+async function writeItems(res, type, companies, parsed) {
+  const repo = type === 'news' ? store.news : store.insights;
+  const toItem = type === 'news' ? newsItem : insightItem;
+  for (const company of companies) {
+    let afterId = 0;
+    for (;;) {
+      const rows = await repo.exportPage({
+        companyIds: [company.id],
+        themeEnum: parsed.theme ? toSlug(parsed.theme) : null,
+        from: parsed.from ?? null,
+        to: parsed.to ?? null,
+        minImportance: type === 'news' ? (parsed.min_importance ?? null) : null,
+        createdBefore: parsed.as_known_at ?? null,
+        afterId,
+        limit: PAGE_SIZE,
+        columns: type === 'news' ? NEWS_COLS : INSIGHT_COLS
+      });
+      if (!rows.length) break;
+      afterId = rows[rows.length - 1].id;
+      const lines = filterKnownAt(rows, parsed.as_known_at ?? null).map(r => JSON.stringify(toItem(r, company)) + '\n');
+      if (lines.length) res.write(lines.join(''));
+      if (rows.length < PAGE_SIZE) break;
+    }
+  }
+}
+
+const fileName = (type, ext) => `lowpill-${type}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+
+module.exports = async (req, res) => {
+  let streaming = false;
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const apiKey = await authorize(store, req, res, 'read');
+    if (!apiKey) return;
+
+    const query = querySchema.safeParse({
+      type: req.query.type,
+      companies: listOf(req.query.company),
+      metrics: listOf(req.query.metric),
+      layout: req.query.layout,
+      period_type: req.query.period_type ? String(req.query.period_type).toUpperCase() : undefined,
+      from: req.query.from,
+      to: req.query.to,
+      currency: req.query.currency,
+      basis: req.query.basis,
+      theme: req.query.theme,
+      min_importance: req.query.min_importance,
+      as_known_at: req.query.as_known_at
+    });
+    if (!query.success) {
+      return res.status(400).json({ error: query.error.issues.map(i => i.message).join('; ') });
+    }
+    const parsed = query.data;
+    const type = parsed.type ?? 'facts';
+
+    // Sociétés (slug, nom, alias, ticker, ISIN, LEI ou domaine), dans l'ordre demandé
+    const companies = [];
+    for (const ref of parsed.companies) {
+      const company = (await resolveCompany(store, ref, COMPANY_COLS))?.company;
+      if (!company) return res.status(404).json({ error: 'company not found', company: ref });
+      if (!allowsCompany(apiKey, company.id)) return res.status(403).json({ error: 'API key not allowed for this company', company: ref });
+      if (!companies.some(c => c.id === company.id)) companies.push(company);
+    }
+
+    if (type === 'facts') {
+      let data;
+      try {
+        data = await loadFacts(companies, parsed);
+      } catch (e) {
+        if (e.code === 'FX_RATE_MISSING') {
+          return res.status(422).json({ error: e.message, company: e.company, metric: e.metric, missing_rates: e.missing });
+        }
+        if (e.code === 'UNIT_MISMATCH') {
+          return res.status(422).json({ error: e.message, company: e.company, metric: e.metric, base_units: e.base_units });
+        }
+        if (e.code === 'CURRENCY_MISMATCH') {
+          return res.status(422).json({ error: e.message, company: e.company, metric: e.metric, currencies: e.currencies });
+        }
+        if (e.code === 'FORMULA_INVALID') {
+          return res.status(422).json({ error: e.message, company: e.company, metric: e.metric, formula: e.formula });
+        }
+        throw e;
+      }
+      res.status(200);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName('facts', 'csv')}"`);
+      streaming = true;
+      writeFactsCsv(res, data, parsed.layout ?? 'long');
+      return res.end();
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName(type, 'ndjson')}"`);
+    streaming = true;
+    await writeItems(res, type, companies, parsed);
+    return res.end();
+
+  } catch (err) {
+    console.error('EXPORT ERROR:', err);
+    // en-têtes déjà envoyés: dernière ligne d'erreur, l'export est incomplet
+    if (streaming) {
+      res.write(JSON.stringify({ error: err?.message || 'unknown', incomplete: true }) + '\n');
+      return res.end();
+    }
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
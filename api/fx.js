@@ -0,0 +1,74 @@
+// /api/fx.js — Lowpill v1.3.0
+// Historical daily FX rates -> fx_rates (upsert on rate_date+base+quote), API key with the 'ingest' scope
+// Body: JSON { base?, rates: [{ date, base?, quote, rate }] } or CSV (text/csv, long or ECB-style wide)
+// + scoped API keys (lib/auth) instead of INGEST_TOKEN only
+// + a load bumps the global content version: cached reads converted with the old rates are rebuilt (lib/cache)
+const { z } = require('zod');
+const { authorize } = require('../lib/auth');
+const { parseRatesCsv, normalizeRates } = require('../lib/fx');
+const { globalChanged } = require('../lib/cache');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+// Upsert par paquets (limite de taille des requêtes PostgREST)
+const CHUNK = 1000;
+
+const jsonSchema = z.object({
+  base: z.string().length(3).optional(),
+  source: z.string().optional(),
+  rates: z.array(z.object({
+    date: z.string().min(1),
+    base: z.string().length(3).optional(),
+    quote: z.string().length(3),
+    rate: z.union([z.number(), z.string()])
+  })).min(1)
+});
+
+module.exports = async (req, res) => {
+  try {
+    if (!(await authorize(store, req, res, 'ingest'))) return;
+    if (req.method === 'GET') return res.status(200).send('pong');
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    const contentType = String(req.headers['content-type'] || '').toLowerCase();
+    const defaultBase = String(req.query?.base || 'EUR').toUpperCase();
+    let input;
+    let source = req.query?.source || null;
+
+    if (contentType.includes('csv')) {
+      const text = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : String(req.body || '');
+      input = parseRatesCsv(text, defaultBase);
+    } else {
+      let body;
+      try {
+        body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid JSON body' });
+      }
+      const parsed = jsonSchema.parse(body);
+      input = parsed.rates.map(r => ({ ...r, base: r.base || parsed.base }));
+      source = parsed.source || source;
+    }
+
+    const { rows, rejected } = normalizeRates(input, defaultBase);
+    if (!rows.length) return res.status(400).json({ error: 'no valid rates', rejected });
+
+    for (let i = 0; i < rows.length; i += CHUNK) {
+      const chunk = rows.slice(i, i + CHUNK).map(r => ({ ...r, source }));
+      try {
+        await store.fxRates.upsertMany(chunk);
+      } catch (e) {
+        // paquets précédents écrits: les lectures converties changent aussi
+        if (i) await globalChanged(store);
+        return res.status(500).json({ error: e.message, upserted: i });
+      }
+    }
+    await globalChanged(store);
+
+    return res.status(200).json({ ok: true, upserted: rows.length, rejected });
+  } catch (err) {
+    console.error('FX ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
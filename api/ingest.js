@@ -1,90 +1,64 @@
-// /api/ingest.js — Lowpill v1.9.3
+// /api/ingest.js — Lowpill v1.32.2
 // Batch dictionary upsert, optional DB-level dedup, stricter slug, 405 handling
 // + robust parseNumeric (FR/US, k/m/b, (neg), symbols) + currency guess
 // + constant-time auth + insights/news hash dedup + facts text-hash dedup for non-numeric
 // + PATCHES: z.coerce.string() for metric_value, parseNumeric removes prefixed currency codes
+// + optional company fiscal_year_end (MM-DD) used by /api/read for period inference
+// + optional company sector / industry (slugged) for peer groups
+// + facts.currency (ISO code or null) for FX conversion on read
+// + unit parsing: metric_value_num is canonical (unit scale applied), raw number + scale + base_unit kept
+// + document versions: new source_md5 / higher version -> new source row; changed figures flagged as restatements
+// + ?dry_run=1 (no writes) and a per-row report (parsed value, unit, enums, provenance, insert/duplicate/rejected)
+// + bulk NDJSON (?bulk=1 or application/x-ndjson): batched company/source/dictionary upserts, result per line
+// + Idempotency-Key (stored response replayed on retry); facts/insights/news all-or-nothing per source (compensation), outcome per section
+// + storage through lib/store repositories (Supabase, or LOWPILL_STORE=memory for local runs)
+// + search_text (accent-folded) on insights / news for /api/search
+// + company identity: aliases / tickers / isin / lei / domain resolve to an existing company (company_aliases)
+// + provenance from provenance_rules (lib/provenance); the company's domain and domain aliases count as issuer
+// + theme / doc type inferred from the text, title and URL when the label is missing or unknown (lib/classify)
+// + near-duplicate insights / news of the company (same story, other publisher) share a cluster_id (lib/cluster)
+// + API keys (lib/auth): 'ingest' scope, company-restricted keys, rate limit; one ingest_audit row per payload / bulk line
+// + alert subscriptions evaluated on written documents, signed webhooks (lib/alerts)
+// + numeric facts checked against the company's history for the metric (lib/anomalies): outliers stored quarantined for /api/review
+// + insight ranking kept up to date for the clusters a payload extends (lib/ranking); written companies get a new content version (lib/cache)
+// + compensation also covers aliases / source / dictionary failures and the company row; stale Idempotency-Key claims are taken over after a lease
+// + Idempotency-Keys scoped by API key (stored per key, key id in the request hash)
+// + alerts only queued at ingest (alert_deliveries); webhooks are POSTed by lib/alerts deliverDue, from a cron
+// + anomaly check also compares a fact with the payload's other facts for the metric (first document of a company)
+// + a sector / industry change (company created, reclassified or rolled back) bumps the global read cache version
+// + re-ingesting a later version of a document compares with the earlier versions again (restatements stay deduplicated)
+// + an invalid document is a 400 listing each field error (path: message), as a bulk line does
 
-const { createClient } = require('@supabase/supabase-js');
 const { z } = require('zod');
 const crypto = require('crypto');
+const { toSlug } = require('../lib/slug');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { raiseAlerts } = require('../lib/alerts');
+const { refreshClusters } = require('../lib/ranking');
+const { companyChanged, globalChanged } = require('../lib/cache');
+const { canonicalize } = require('../lib/units');
+const { searchText } = require('../lib/search');
+const { resolveTheme, resolveDocType } = require('../lib/classify');
+const { fingerprint, findCluster } = require('../lib/cluster');
+const { detectAnomaly, describeAnomaly } = require('../lib/anomalies');
+const { issuerDomainsOf, classifyProvenance } = require('../lib/provenance');
+const { normalizeAlias, aliasesOf, invalidAliases, aliasRows, resolveForIngest } = require('../lib/identity');
+const { requestHash, idempotencyKey, claimKey, completeKey, releaseKey } = require('../lib/idempotency');
+const { getStore } = require('../lib/store');
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE;
-const INGEST_TOKEN = process.env.INGEST_TOKEN;
-
-// If you created unique indexes in DB, set this to true to skip per-row preselect dedup
-const USE_DB_DEDUP = true;
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE);
+// Repositories (Supabase ou mémoire). Dédup: les hashes déjà en base sont lus avant l'insert;
+// les index uniques restent le filet de sécurité en cas de course
+const store = getStore();
 
 // ---------- utils ----------
-const toSlug = (s) => {
-  if (!s) return '';
-  return String(s)
-    .normalize('NFKD')
-    .replace(/[\u0300-\u036f]/g, '') // strip diacritics
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '_')
-    .replace(/^_+|_+$/g, '');
-};
-
 const md5 = (s) => crypto.createHash('md5').update(s || '').digest('hex');
 
-function constTimeEq(a = '', b = '') {
-  const A = Buffer.from(String(a));
-  const B = Buffer.from(String(b));
-  if (A.length !== B.length) return false;
-  return crypto.timingSafeEqual(A, B);
-}
-
 function safeDate(input) {
   if (!input) return null;
   const t = new Date(input);
   return Number.isNaN(t.getTime()) ? null : t;
 }
 
-// parseNumeric robuste FR/US, suffixes, négatifs (parenthèses), devise, multiplicateurs, x
-function parseNumeric(x) {
-  if (x == null) return null;
-  let s = String(x).trim();
-
-  // signes, espaces, % et x ; harmonise tirets
-  s = s.replace(/[％%]/g, '')
-       .replace(/\u00A0/g, '')
-       .replace(/\s/g, '')
-       .replace(/[–—−]/g, '-')
-       .replace(/x$/i, '');
-
-  // négatifs style (1,234) ou (1.234,56)
-  const isNeg = /^\(.*\)$/.test(s);
-  if (isNeg) s = s.slice(1, -1);
-
-  // FR décimal (1.234,56) vs US (1,234.56)
-  if (/[0-9],[0-9]{1,3}$/.test(s) && !/\.[0-9]{1,3}$/.test(s)) {
-    s = s.replace(/\./g, '').replace(',', '.'); // FR
-  } else {
-    s = s.replace(/,/g, ''); // US
-  }
-
-  // suffixes: k/m/b (anglais) & Md/Mds (FR milliards)
-  let mul = 1;
-  if (/([kK])$/.test(s)) { mul = 1e3; s = s.replace(/k$/i, ''); }
-  else if (/([mM])$/.test(s)) { mul = 1e6; s = s.replace(/m$/i, ''); }
-  else if (/([bB])$/.test(s)) { mul = 1e9; s = s.replace(/b$/i, ''); }
-  else if (/Mds?$/.test(s)) { mul = 1e9; s = s.replace(/Mds?$/,''); }
-  else if (/Md?$/.test(s)) { mul = 1e9; s = s.replace(/Md?$/,''); }
-
-  // symbols/codes currency aux extrémités (PATCH: gère aussi USD 1,234 etc.)
-  s = s
-    .replace(/^(€|\$|£|¥|RMB|USD|EUR|GBP|JPY|CNY)\s*/i, '')
-    .replace(/\s*(USD|EUR|GBP|JPY|CNY)$/i, '');
-
-  const n = Number(s);
-  if (!Number.isFinite(n)) return null;
-  const num = n * mul * (isNeg ? -1 : 1);
-  return Number.isFinite(num) ? num : null;
-}
-
 function norm01(v) {
   if (v == null) return null;
   let x = Number(v);
@@ -95,79 +69,18 @@ function norm01(v) {
   return x;
 }
 
-function mapThemeEnum(t) {
-  if (!t) return 'other';
-  const m = String(t).toLowerCase();
-  if (['growth','croissance'].includes(m)) return 'growth';
-  if (['margin','marge','profitability'].includes(m)) return 'margin';
-  if (['risk','risque'].includes(m)) return 'risk';
-  if (['cash','cashflow','flux'].includes(m)) return 'cash';
-  if (['strategy','stratégie','strategie'].includes(m)) return 'strategy';
-  if (['geography','geo','china','europe','us'].includes(m)) return 'geography';
-  if (['esg','sustainability'].includes(m)) return 'esg';
-  if (['product','produit','pipeline'].includes(m)) return 'product';
-  if (['moat','avantage','barrier'].includes(m)) return 'moat';
-  return 'other';
-}
-
-function mapDocTypeEnum(t) {
-  if (!t) return 'other';
-  const m = String(t).toLowerCase();
-  if (m.includes('annual')) return 'annual_report';
-  if (m.includes('quarter')) return 'quarterly_report';
-  if (m.includes('press')) return 'press_release';
-  if (m.includes('presentation')) return 'investor_presentation';
-  if (m.includes('news')) return 'news';
-  if (m.includes('web') || m.includes('site')) return 'webpage';
-  return 'other';
-}
-
-function guessCurrencyCode(str='') {
-  const s = String(str).toUpperCase();
-  if (/[€]/.test(s) || /EUR/.test(s)) return 'EUR';
-  if (/USD|\$/.test(s)) return 'USD';
-  if (/GBP|£/.test(s)) return 'GBP';
-  if (/JPY|¥/.test(s)) return 'JPY';
-  if (/CNY|RMB/.test(s)) return 'CNY';
-  return 'CURRENCY_UNKNOWN';
-}
-
-// ---------- provenance ----------
-const PROVENANCE_RULES = [
-  { pattern: /(^|\.)lvmh\.com$/i,         type: 'issuer',    name: 'LVMH',          trust: 0.70 },
-  { pattern: /(^|\.)sec\.gov$/i,          type: 'regulator', name: 'SEC',           trust: 0.95 },
-  { pattern: /(^|\.)amf-france\.org$/i,   type: 'regulator', name: 'AMF',           trust: 0.95 },
-  { pattern: /(^|\.)euronext\.com$/i,     type: 'exchange',  name: 'Euronext',      trust: 0.90 },
-  { pattern: /(^|\.)businesswire\.com$/i, type: 'newswire',  name: 'BusinessWire',  trust: 0.80 },
-  { pattern: /(^|\.)prnewswire\.com$/i,   type: 'newswire',  name: 'PR Newswire',   trust: 0.80 },
-  { pattern: /(^|\.)reuters\.com$/i,      type: 'media',     name: 'Reuters',       trust: 0.85 },
-  { pattern: /(^|\.)bloomberg\.com$/i,    type: 'media',     name: 'Bloomberg',     trust: 0.85 },
-  { pattern: /(^|\.)seekingalpha\.com$/i, type: 'analyst',   name: 'Seeking Alpha', trust: 0.70 },
-];
-
-function classifyProvenance(url) {
-  try {
-    const host = new URL(url).hostname.toLowerCase();
-    for (const r of PROVENANCE_RULES) {
-      if (r.pattern.test(host)) {
-        return {
-          publisher_domain: host,
-          publisher_name:   r.name,
-          publisher_type:   r.type, // issuer | regulator | exchange | newswire | analyst | media | other
-          is_official:      ['issuer','regulator','exchange'].includes(r.type),
-          trust_score:      r.trust
-        };
-      }
-    }
-    return { publisher_domain: host, publisher_name: host, publisher_type: 'other', is_official: false, trust_score: 0.50 };
-  } catch {
-    return { publisher_domain: null, publisher_name: null, publisher_type: 'other', is_official: false, trust_score: 0.50 };
-  }
-}
-
 // ---------- schema ----------
 const schema = z.object({
   company: z.string().min(1),
+  fiscal_year_end: z.string().regex(/^\d{2}-\d{2}$/).optional(), // ex: '03-31'; défaut '12-31'
+  sector: z.string().min(1).optional(),                          // ex: 'Consumer Discretionary'
+  industry: z.string().min(1).optional(),                        // ex: 'Luxury Goods'
+  // identité (company_aliases): autres noms, tickers, ISIN, LEI, domaine (ex: 'lvmh.com')
+  aliases: z.array(z.string().min(1)).max(50).optional(),
+  tickers: z.array(z.string().min(1)).max(20).optional(),
+  isin: z.union([z.string().min(1), z.array(z.string().min(1)).max(20)]).optional(),
+  lei: z.string().min(1).optional(),
+  domain: z.string().min(1).optional(),
   source: z.object({
     url: z.string().url(),
     title: z.string().min(1),
@@ -206,69 +119,241 @@ const schema = z.object({
     theme: z.string().optional(),
     importance: z.number().optional()
   })).optional()
+}).superRefine((p, ctx) => {
+  const invalid = invalidAliases(p);
+  if (invalid.length) ctx.addIssue({ code: 'custom', message: `invalid identifier(s): ${invalid.join(', ')}` });
 });
 
 // ---------- helpers ----------
-async function getOrCreateCompany(name) {
-  const slug = toSlug(name);
-  const { data, error } = await supabase
-    .from('companies')
-    .upsert({ slug, name }, { onConflict: 'slug' })
-    .select()
-    .single();
-  if (error) throw new Error(`company upsert: ${error.message}`);
-  return data;
-}
-
-async function getOrCreateSource({
-  company_id, url, title, source_type, published_at, doc_language, version, source_md5, provenance
-}) {
-  const sel1 = await supabase
-    .from('sources')
-    .select('*')
-    .eq('company_id', company_id)
-    .eq('url', url)
-    .order('published_at', { ascending: false, nullsFirst: false })
-    .limit(1)
-    .maybeSingle();
-  if (sel1.error) throw new Error(`source select: ${sel1.error.message}`);
-  if (sel1.data) return sel1.data;
-
-  const ins = await supabase
-    .from('sources')
-    .insert({
-      company_id,
-      url,
-      title,
-      source_type,
-      published_at,
-      source_md5,
-      doc_language,
-      version,
-      publisher_domain: provenance.publisher_domain,
-      publisher_name:   provenance.publisher_name,
-      publisher_type:   provenance.publisher_type,
-      is_official:      provenance.is_official,
-      trust_score:      provenance.trust_score
-    })
-    .select()
-    .single();
-
-  if (ins.error) {
-    const sel2 = await supabase
-      .from('sources')
-      .select('*')
-      .eq('company_id', company_id)
-      .eq('url', url)
-      .order('published_at', { ascending: false, nullsFirst: false })
-      .limit(1)
-      .maybeSingle();
-    if (sel2.error || !sel2.data) {
-      throw new Error(`source insert: ${ins.error.message}`);
+// ne pas écraser une valeur existante avec du vide
+function companyPayload(name, { fiscal_year_end, sector, industry, domain } = {}, slug = toSlug(name)) {
+  const payload = { slug, name };
+  if (fiscal_year_end) payload.fiscal_year_end = fiscal_year_end;
+  if (sector)          payload.sector          = toSlug(sector);
+  if (industry)        payload.industry        = toSlug(industry);
+  if (domain)          payload.domain          = normalizeAlias('domain', domain);
+  return payload;
+}
+
+const companyAttrs = (parsed) => ({
+  fiscal_year_end: parsed.fiscal_year_end,
+  sector: parsed.sector,
+  industry: parsed.industry,
+  domain: parsed.domain
+});
+
+// société résolue par alias: son slug et son nom sont conservés
+const resolvedPayload = (parsed, match) => (match
+  ? companyPayload(match.company.name, companyAttrs(parsed), match.company.slug)
+  : companyPayload(parsed.company, companyAttrs(parsed)));
+
+// colonnes écrites par l'upsert (hors slug), rétablies par rollbackCompany
+const COMPANY_ATTRS = ['name', 'fiscal_year_end', 'sector', 'industry', 'domain'];
+
+const getOrCreateCompany = (parsed, match) => store.companies.upsert(resolvedPayload(parsed, match));
+
+// Alias déclarés -> company_aliases (un alias déjà rattaché à une autre société n'est pas déplacé)
+async function registerAliases(entries) {
+  const rows = new Map();
+  for (const { company, parsed } of entries) {
+    for (const r of aliasRows(company.id, aliasesOf(parsed), company.slug)) {
+      if (!rows.has(`${r.kind}|${r.value}`)) rows.set(`${r.kind}|${r.value}`, r);
+    }
+  }
+  await store.companyAliases.insertMissing(Array.from(rows.values()));
+}
+
+// Bulk: un upsert par forme de payload (PostgREST mettrait à null les colonnes absentes d'une ligne)
+// entries: [{ parsed, match }] -> slug -> company
+async function batchUpsertCompanies(entries) {
+  const bySlug = new Map();
+  for (const { parsed, match } of entries) {
+    const payload = resolvedPayload(parsed, match);
+    bySlug.set(payload.slug, { ...bySlug.get(payload.slug), ...payload });
+  }
+  const shapes = new Map();
+  for (const payload of bySlug.values()) {
+    const k = Object.keys(payload).sort().join(',');
+    if (!shapes.has(k)) shapes.set(k, []);
+    shapes.get(k).push(payload);
+  }
+
+  const map = new Map();
+  for (const payloads of shapes.values()) {
+    for (const row of await store.companies.upsertMany(payloads)) map.set(row.slug, row);
+  }
+  return map;
+}
+
+// Un source_md5 différent ou une version supérieure = nouvelle version du document
+function isNewVersion(existing, { version, source_md5 }) {
+  if (source_md5 && existing.source_md5 && source_md5 !== existing.source_md5) return true;
+  return version != null && version > (existing.version ?? 1);
+}
+
+const nextVersion = (existing, version) =>
+  existing ? Math.max(version ?? 0, (existing.version ?? 1) + 1) : (version ?? 1);
+
+function sourceRow({
+  company_id, url, title, docType, published_at, doc_language, version, source_md5, provenance
+}, existing) {
+  return {
+    company_id,
+    url,
+    title,
+    ...docType,
+    published_at,
+    source_md5,
+    doc_language,
+    version: nextVersion(existing, version),
+    root_source_id:       existing ? (existing.root_source_id ?? existing.id) : null,
+    supersedes_source_id: existing?.id ?? null,
+    publisher_domain: provenance.publisher_domain,
+    publisher_name:   provenance.publisher_name,
+    publisher_type:   provenance.publisher_type,
+    is_official:      provenance.is_official,
+    trust_score:      provenance.trust_score
+  };
+}
+
+const markSuperseded = (previous, source) => store.sources.setSupersededBy(previous.id, source.id);
+
+// -> { source, previous, action } ; previous = version remplacée quand le document a changé
+async function getOrCreateSource(input) {
+  const existing = await store.sources.latest(input.company_id, input.url);
+  if (existing && !isNewVersion(existing, input)) {
+    return { source: existing, previous: null, action: 'existing' };
+  }
+
+  let source;
+  try {
+    source = await store.sources.insert(sourceRow(input, existing));
+  } catch (e) {
+    // course entre deux ingestions du même document: on reprend la ligne gagnante
+    const again = await store.sources.latest(input.company_id, input.url);
+    if (!again) throw e;
+    return { source: again, previous: null, action: 'existing' };
+  }
+
+  if (existing) await supersede(existing, source);
+  return { source, previous: existing, action: existing ? 'new_version' : 'create' };
+}
+
+// Nouvelle version: l'ancienne est marquée remplacée; en cas d'échec la version insérée est retirée (pas d'orpheline)
+async function supersede(existing, source) {
+  try {
+    await markSuperseded(existing, source);
+  } catch (e) {
+    await attempt(() => store.sources.remove(source.id));
+    throw e;
+  }
+}
+
+// Bulk: dernières versions lues par paquets (sociétés × URLs), nouvelles sources insérées en un seul insert.
+// Un même document présent sur plusieurs lignes passe ensuite par getOrCreateSource, dans l'ordre.
+// inputs: [{ company_id, url, ... }] -> [{ source, previous, action } | { error }]
+async function batchGetOrCreateSources(inputs) {
+  const out = new Array(inputs.length);
+  if (!inputs.length) return out;
+
+  const known = await store.sources.listByCompaniesAndUrls(
+    Array.from(new Set(inputs.map(x => x.company_id))),
+    Array.from(new Set(inputs.map(x => x.url)))
+  );
+
+  const latest = new Map();
+  for (const r of known) {
+    const k = `${r.company_id}|${r.url}`;
+    const cur = latest.get(k);
+    if (!cur || (r.version ?? 1) > (cur.version ?? 1)) latest.set(k, r);
+  }
+
+  const seen = new Set();
+  const pending = [];  // { i, existing, row }
+  const repeats = [];
+  inputs.forEach((input, i) => {
+    const k = `${input.company_id}|${input.url}`;
+    if (seen.has(k)) return repeats.push(i);
+    seen.add(k);
+    const existing = latest.get(k) || null;
+    if (existing && !isNewVersion(existing, input)) {
+      out[i] = { source: existing, previous: null, action: 'existing' };
+    } else {
+      pending.push({ i, existing, row: sourceRow(input, existing) });
+    }
+  });
+
+  if (pending.length) {
+    let inserted = null;
+    try {
+      inserted = await store.sources.insertMany(pending.map(x => x.row));
+    } catch (e) {
+      // conflit (ingestion concurrente): chemin unitaire pour ces lignes
+      repeats.push(...pending.map(x => x.i));
+    }
+    if (inserted) {
+      for (const [j, x] of pending.entries()) {
+        const source = inserted[j];
+        try {
+          if (x.existing) await supersede(x.existing, source);
+          out[x.i] = { source, previous: x.existing, action: x.existing ? 'new_version' : 'create' };
+        } catch (e) {
+          out[x.i] = { error: e.message };
+        }
+      }
     }
-    return sel2.data;
   }
-  return ins.data;
+
+  for (const i of repeats.sort((a, b) => a - b)) {
+    try {
+      out[i] = await getOrCreateSource(inputs[i]);
+    } catch (e) {
+      out[i] = { error: e.message };
+    }
+  }
+  return out;
+}
+
+// Dry-run: même décision que getOrCreateSource, sans écrire
+async function planSource(company, { url, version, source_md5, provenance }) {
+  const existing = company?.id ? await store.sources.latest(company.id, url) : null;
+  if (existing && !isNewVersion(existing, { version, source_md5 })) {
+    return { source: existing, previous: null, action: 'existing' };
+  }
+  return {
+    source: {
+      id: null,
+      version: nextVersion(existing, version),
+      root_source_id: existing ? (existing.root_source_id ?? existing.id) : null,
+      trust_score: provenance.trust_score
+    },
+    previous: existing,
+    action: existing ? 'new_version' : 'create'
+  };
+}
+
+const factKey = (metric_id, asOfISO, qualifier) =>
+  `${metric_id}|${asOfISO ? new Date(asOfISO).toISOString() : ''}|${qualifier || ''}`;
+
+// Facts publiés par les versions antérieures du document: clé métrique/date/qualifier -> fait le plus récent
+async function loadLineageFacts(source) {
+  const root = source.root_source_id ?? source.id;
+  const versions = await store.sources.lineage(root);
+  const versionOf = new Map(versions.filter(v => v.id !== source.id).map(v => [v.id, v.version ?? 1]));
+  if (!versionOf.size) return new Map();
+
+  const data = await store.facts.listBySources(
+    Array.from(versionOf.keys()),
+    'id, source_id, metric_id, as_of_date, qualifier, metric_value, metric_value_num'
+  );
+
+  const map = new Map();
+  for (const f of data) {
+    const k = factKey(f.metric_id, f.as_of_date, f.qualifier);
+    const cur = map.get(k);
+    if (!cur || versionOf.get(f.source_id) >= versionOf.get(cur.source_id)) map.set(k, f);
+  }
+  return map;
 }
 
 async function batchUpsertMetricsDictionary(facts) {
@@ -293,210 +378,894 @@ async function batchUpsertMetricsDictionary(facts) {
   const payloads = Array.from(unique.values());
   if (!payloads.length) return new Map();
 
-  const { data, error } = await supabase
-    .from('metrics_dictionary')
-    .upsert(payloads, { onConflict: 'key_slug' })
-    .select('id,key_slug');
-
-  if (error) throw new Error(`metrics_dictionary batch upsert: ${error.message}`);
-
   const map = new Map();
-  for (const row of data) map.set(row.key_slug, row.id);
+  for (const row of await store.metrics.upsertMany(payloads)) map.set(row.key_slug, row.id);
   return map;
 }
 
-// ---------- handler ----------
-module.exports = async (req, res) => {
-  try {
-    // Auth (constant-time) + method
-    const authHeader = req.headers.authorization || req.headers.Authorization || '';
-    const token = (authHeader || '').split(/\s+/)[1] || '';
-    if (!INGEST_TOKEN || !constTimeEq(token, INGEST_TOKEN)) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-    if (req.method === 'GET') return res.status(200).send('pong');
-    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+// ---------- dry-run lookups / dédup ----------
+// Dry-run: key_slug -> id des métriques existantes (les autres seraient créées)
+async function selectMetricsDictionary(facts) {
+  const slugs = Array.from(new Set((facts || []).map(f => toSlug(f.metric_key)).filter(Boolean)));
+  return new Map((await store.metrics.findBySlugs(slugs)).map(r => [r.key_slug, r.id]));
+}
 
-    // Parse input (robuste aux bodies stringifiés)
-    let body;
+// Insert groupé; sur 23505 (course avec une autre ingestion) on repasse ligne à ligne
+// pour savoir lesquelles étaient des doublons -> Set des index en doublon.
+// Les ids insérés sont poussés dans `written` au fil de l'eau (compensables même si l'insert casse en route)
+async function insertRows(repo, rows, written = []) {
+  const duplicates = new Set();
+  if (!rows.length) return duplicates;
+  try {
+    written.push(...await repo.insertMany(rows));
+    return duplicates;
+  } catch (e) {
+    if (e.code !== '23505') throw e;
+  }
+  for (const [i, row] of rows.entries()) {
     try {
-      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+      written.push(await repo.insert(row));
     } catch (e) {
-      return res.status(400).json({ error: 'Invalid JSON body' });
+      if (e.code !== '23505') throw e;
+      duplicates.add(i);
     }
-    const parsed = schema.parse(body);
+  }
+  return duplicates;
+}
 
-    // Company
-    const company = await getOrCreateCompany(parsed.company);
+// ---------- plan: lignes à écrire + diagnostic par ligne ----------
+// status: insert | duplicate | unchanged | rejected (reason), warnings non bloquants
+const reject = (diag, reason) => Object.assign(diag, { status: 'rejected', reason });
 
-    // Source
-    const source_type  = mapDocTypeEnum(parsed.source.doc_type);
-    const published_at = safeDate(parsed.source.published_at);
-    const source_md5   = parsed.source.source_md5 || null;
-    const doc_language = (parsed.source.doc_language || '').toLowerCase() || null;
-    const version      = parsed.source.version ?? 1;
-    const provenance   = classifyProvenance(parsed.source.url);
-
-    const source = await getOrCreateSource({
-      company_id: company.id,
-      url: parsed.source.url,
-      title: parsed.source.title,
-      source_type,
-      published_at,
-      doc_language,
-      version,
-      source_md5,
-      provenance
-    });
+function planFacts(facts, { company, source, dictMap, priorFacts, published_at, dryRun }) {
+  const seen = new Set();
+  const items = [];
 
-    // Canonical IDs
-    const sourceId   = source.id;
-    const trustScore = source.trust_score ?? provenance.trust_score ?? 0.5;
+  facts.forEach((f, index) => {
+    const asOfRaw = safeDate(f.as_of_date) || published_at || null;
+    const asOfISO = asOfRaw ? asOfRaw.toISOString() : null;
 
-    // ---------- Facts (batched) ----------
-    if (parsed.facts?.length) {
-      // 1) batch upsert dictionary and build key_slug -> id map
-      const dictMap = await batchUpsertMetricsDictionary(parsed.facts);
-
-      // 2) build rows
-      const factRows = [];
-      for (const f of parsed.facts) {
-        const asOfRaw = safeDate(f.as_of_date) || published_at || null;
-        const asOfISO = asOfRaw ? asOfRaw.toISOString() : null;
-
-        const mvn  = parseNumeric(f.metric_value);
-
-        // unité heuristique: % ou devise ou null
-        const valueStr = String(f.metric_value || '');
-        const cur = guessCurrencyCode(valueStr);
-        const unit =
-          f.unit ??
-          (/%/.test(valueStr) ? '%' :
-           (cur !== 'CURRENCY_UNKNOWN' ? cur : null));
-
-        const key_slug = toSlug(f.metric_key);
-        const metric_id = dictMap.get(key_slug);
-        if (!metric_id) continue; // sécurité
-
-        // Optional pre-select dedup if DB unique index not enabled
-        if (!USE_DB_DEDUP && asOfISO && mvn != null) {
-          const { data: dup } = await supabase
-            .from('facts')
-            .select('id')
-            .eq('company_id', company.id)
-            .eq('metric_id',  metric_id)
-            .eq('as_of_date', asOfISO)
-            .eq('metric_value_num', mvn)
-            .limit(1)
-            .maybeSingle();
-          if (dup) continue;
-        }
+    // valeur canonique: échelle de l'unité ("EUR m", "milliers d'euros") appliquée une fois
+    const canon = canonicalize(f.metric_value, f.unit);
+    const mvn   = canon.value_num;
 
-        // hash texte pour dédup non-numérique
-        const fact_md5 = md5(`${key_slug}|${asOfISO||''}|${String(f.metric_value)}`);
-
-        factRows.push({
-          company_id: company.id,
-          source_id:  sourceId,
-          as_of_date: asOfISO,
-          domain:     f.domain || null,
-          metric_key: f.metric_key,
-          metric_id,
-          metric_value: f.metric_value,
-          metric_value_num: mvn,
-          unit,
-          qualifier:  f.qualifier || null,
-          source_quote: f.source_quote || null,
-          extraction_confidence: norm01(f.extraction_confidence),
-          impact_score:          norm01(f.impact_score) ?? 0,
-          fact_md5
-        });
+    // unité heuristique: % ou devise ou null
+    const valueStr = String(f.metric_value || '');
+    const unit =
+      f.unit ??
+      (/%/.test(valueStr) ? '%' : canon.currency);
+    const currency = canon.currency;
+
+    const key_slug = toSlug(f.metric_key);
+    const metric_id = dictMap.get(key_slug) ?? null;
+
+    const diag = {
+      index,
+      metric_key: f.metric_key,
+      key_slug,
+      metric_id,
+      as_of_date: asOfISO,
+      metric_value: f.metric_value,
+      parsed_value: mvn,
+      raw_value: canon.raw_num,
+      unit_scale: canon.unit_scale,
+      unit,
+      base_unit: canon.base_unit,
+      currency,
+      status: 'insert',
+      reason: null,
+      warnings: []
+    };
+    items.push({ diag, row: null });
+
+    if (!key_slug) return reject(diag, 'metric_key has no usable characters');
+    if (!metric_id) {
+      if (!dryRun) return reject(diag, 'metric_id missing after metrics_dictionary upsert');
+      diag.warnings.push('new metric: would be added to metrics_dictionary');
+    }
+    if (mvn == null) diag.warnings.push('non-numeric value: stored as text, excluded from series');
+    if (!asOfISO) diag.warnings.push('no as_of_date nor source published_at: excluded from series');
+    if (!canon.base_unit) diag.warnings.push('unit not recognised: base unit unknown');
+
+    // Version précédente: inchangé -> reste porté par l'ancienne version; différent -> retraitement
+    const prior = metric_id ? priorFacts.get(factKey(metric_id, asOfISO, f.qualifier)) : null;
+    const isRestatement = !!prior && (
+      prior.metric_value_num != null && mvn != null
+        ? Number(prior.metric_value_num) !== mvn
+        : String(prior.metric_value) !== String(f.metric_value)
+    );
+    if (prior && !isRestatement) {
+      return Object.assign(diag, { status: 'unchanged', reason: 'same value in the previous version of this document' });
+    }
+    diag.is_restatement = isRestatement;
+
+    // hash texte pour dédup non-numérique (versionné pour un retraitement: retour à une valeur antérieure possible)
+    const fact_md5 = md5(`${key_slug}|${asOfISO||''}|${String(f.metric_value)}${isRestatement ? `|v${source.version}` : ''}`);
+    diag.fact_md5 = fact_md5;
+    if (seen.has(fact_md5)) return Object.assign(diag, { status: 'duplicate', reason: 'repeated in this payload' });
+    seen.add(fact_md5);
+
+    items[items.length - 1].row = {
+      company_id: company?.id ?? null,
+      source_id:  source.id,
+      as_of_date: asOfISO,
+      domain:     f.domain || null,
+      metric_key: f.metric_key,
+      metric_id,
+      metric_value: f.metric_value,
+      metric_value_num: mvn,
+      metric_value_raw_num: canon.raw_num,
+      unit_scale: canon.unit_scale,
+      base_unit:  canon.base_unit,
+      unit,
+      currency,
+      qualifier:  f.qualifier || null,
+      source_quote: f.source_quote || null,
+      extraction_confidence: norm01(f.extraction_confidence),
+      impact_score:          norm01(f.impact_score) ?? 0,
+      is_restatement:        isRestatement,
+      restates_fact_id:      isRestatement ? prior.id : null,
+      fact_md5
+    };
+  });
+  return items;
+}
+
+function planInsights(insights, { company, source, trustScore }) {
+  const seen = new Set();
+  return insights.map((i, index) => {
+    const conf = norm01(i.confidence) ?? 0.8;
+    const text = i.text;
+    const text_md5 = md5(text.trim());
+    const theme = resolveTheme(i.theme, text);
+    const diag = {
+      index,
+      theme: i.theme || null,
+      ...theme,
+      confidence: conf,
+      provenance_score: Number((conf * trustScore).toFixed(3)),
+      text_md5,
+      status: 'insert',
+      reason: null
+    };
+    if (seen.has(text_md5)) return { diag: Object.assign(diag, { status: 'duplicate', reason: 'repeated in this payload' }), row: null };
+    seen.add(text_md5);
+    return {
+      diag,
+      row: {
+        company_id: company?.id ?? null,
+        source_id:  source.id,
+        ...theme,
+        theme:      i.theme || null,
+        text,
+        text_md5,
+        search_text: searchText(text),
+        confidence: conf,
+        provenance_score: conf * trustScore,
+        cluster_score: Number((conf * trustScore).toFixed(3)), // seule dans son cluster, sinon recalculé (lib/ranking)
+        // date dans la chronologie /api/news: publication de la source, sinon ingestion
+        timeline_at: safeDate(source.published_at)?.toISOString() || new Date().toISOString()
       }
+    };
+  });
+}
 
-      if (factRows.length) {
-        const { error: fErr } = await supabase.from('facts').insert(factRows);
-        if (fErr && fErr.code !== '23505') {
-          return res.status(500).json({
-            error: `facts insert: ${fErr.message}`,
-            debug: { sourceIdUsed: factRows?.[0]?.source_id, companyId: company.id }
-          });
-        }
+function planNews(news, { company, source, published_at }) {
+  const seen = new Set();
+  return news.map((n, index) => {
+    const textBlob = `${n.headline || ''}\n${n.summary || ''}\n${n.full_text || ''}`;
+    const text_md5 = md5(textBlob);
+    const event_date = safeDate(n.event_date)?.toISOString() || (published_at?.toISOString()) || new Date().toISOString();
+    const theme = resolveTheme(n.theme, n.headline, n.summary, n.full_text && n.full_text.slice(0, 8000));
+    const importance = norm01(n.importance) ?? 0.6;
+    const diag = {
+      index,
+      headline: n.headline,
+      event_date,
+      theme: n.theme || null,
+      ...theme,
+      importance,
+      text_md5,
+      status: 'insert',
+      reason: null
+    };
+    if (seen.has(text_md5)) return { diag: Object.assign(diag, { status: 'duplicate', reason: 'repeated in this payload' }), row: null };
+    seen.add(text_md5);
+    return {
+      diag,
+      row: {
+        company_id: company?.id ?? null,
+        source_id: source.id,
+        event_date,
+        headline: n.headline,
+        summary: n.summary || null,
+        full_text: n.full_text ? n.full_text.slice(0, 8000) : null, // 8k chars cap
+        ...theme,
+        importance,
+        text_md5,
+        search_text: searchText(n.headline, n.summary, n.full_text && n.full_text.slice(0, 8000))
       }
+    };
+  });
+}
+
+// Lignes dont le hash est déjà stocké -> duplicate
+async function markStored(items, repo, column, filters) {
+  const pending = items.filter(x => x.row);
+  const stored = await repo.existingHashes(column, pending.map(x => x.row[column]), filters);
+  for (const x of pending) {
+    if (!stored.has(x.row[column])) continue;
+    Object.assign(x.diag, { status: 'duplicate', reason: `${column} already stored` });
+    x.row = null;
+  }
+  return items;
+}
+
+// ---------- quasi-doublons ----------
+// Candidats: derniers insights de la société; news de la société à quelques jours de la date de l'événement
+const CLUSTER_CANDIDATES = 500;
+const CLUSTER_WINDOW_DAYS = 3;
+const DAY_MS = 24 * 3600 * 1000;
+
+const insightFingerprint = (r) => fingerprint(r.text);
+const newsFingerprint = (r) => fingerprint(r.headline, r.summary);
+
+async function clusterCandidates(section, companyId, items) {
+  if (section === 'insights') {
+    const rows = await store.insights.listByCompany(companyId, { limit: CLUSTER_CANDIDATES, columns: 'id, cluster_id, text' });
+    return rows.map(r => ({ id: r.id, cluster_id: r.cluster_id ?? null, fingerprint: insightFingerprint(r) }));
+  }
+  const dates = items.map(x => new Date(x.row.event_date).getTime());
+  const rows = await store.news.listByCompany(companyId, {
+    from: new Date(Math.min(...dates) - CLUSTER_WINDOW_DAYS * DAY_MS).toISOString(),
+    to: new Date(Math.max(...dates) + CLUSTER_WINDOW_DAYS * DAY_MS).toISOString(),
+    limit: CLUSTER_CANDIDATES,
+    columns: 'id, cluster_id, event_date, headline, summary'
+  });
+  return rows.map(r => ({ id: r.id, cluster_id: r.cluster_id ?? null, event_date: r.event_date, fingerprint: newsFingerprint(r) }));
+}
+
+// Lignes à insérer quasi identiques à une ligne stockée -> même cluster_id (la racine du cluster)
+async function markClusters(section, items, companyId) {
+  const pending = items.filter(x => x.row);
+  if (!pending.length) return items;
+  const candidates = await clusterCandidates(section, companyId, pending);
+  const fingerprintOf = section === 'insights' ? insightFingerprint : newsFingerprint;
+  for (const x of pending) {
+    const pool = section === 'news'
+      ? candidates.filter(c => Math.abs(new Date(c.event_date) - new Date(x.row.event_date)) <= CLUSTER_WINDOW_DAYS * DAY_MS)
+      : candidates;
+    const match = findCluster(fingerprintOf(x.row), pool);
+    if (!match) continue;
+    x.row.cluster_id = match.cluster_id ?? match.id;
+    Object.assign(x.diag, { cluster_id: x.row.cluster_id, near_duplicate_of: match.id });
+  }
+  return items;
+}
+
+// ---------- anomalies ----------
+const HISTORY_COLS = 'metric_value_num, base_unit, currency, as_of_date';
+
+// Faits numériques à insérer comparés à l'historique publié de la métrique et aux autres faits du payload pour
+// cette métrique (un premier document, sans historique, reste contrôlé) -> quarantaine (review_status)
+// plutôt que publiés: exclus des séries, exports et alertes jusqu'à la revue (/api/review)
+async function markAnomalies(items, companyId) {
+  const pending = items.filter(x => x.row && x.row.metric_value_num != null && x.row.metric_id != null);
+  const history = new Map();
+  for (const metricId of new Set(pending.map(x => x.row.metric_id))) {
+    history.set(metricId, await store.facts.listByCompanies([companyId], { metricId, columns: HISTORY_COLS }));
+  }
+  const asHistory = (row) => ({
+    metric_value_num: row.metric_value_num,
+    base_unit: row.base_unit,
+    currency: row.currency,
+    as_of_date: row.as_of_date
+  });
+  for (const x of pending) {
+    // avec un historique publié: les autres faits du payload s'y ajoutent; sans historique, le fait compte avec
+    // ses voisins du payload (sinon deux voisins dont l'un aberrant font une médiane qui signale aussi les bons)
+    const published = history.get(x.row.metric_id);
+    const others = pending.filter(y => y !== x && y.row.metric_id === x.row.metric_id);
+    const peers = (published.length || !others.length ? others : [x, ...others]).map(y => asHistory(y.row));
+    const anomaly = detectAnomaly({
+      value: x.row.metric_value_num,
+      base_unit: x.row.base_unit,
+      currency: x.row.currency,
+      as_of_date: x.row.as_of_date
+    }, [...published, ...peers]);
+    if (!anomaly) continue;
+    Object.assign(x.row, { review_status: 'quarantined', anomaly });
+    Object.assign(x.diag, { review_status: 'quarantined', anomaly });
+    x.diag.warnings.push(`quarantined for review: ${describeAnomaly(anomaly)}`);
+  }
+  return items;
+}
+
+// Clusters étendus par cette ingestion -> tête et score recalculés (une ligne seule porte déjà le sien).
+// Une erreur laisse l'ancien classement (scripts/rank-insights.js le reconstruit), sans annuler l'ingestion
+async function rankExtendedClusters(items) {
+  const keys = items.filter(x => x.row && x.diag.status === 'insert' && x.row.cluster_id != null).map(x => x.row.cluster_id);
+  try {
+    await refreshClusters(store, keys);
+  } catch (e) {
+    console.error('INGEST RANKING ERROR:', e);
+  }
+}
+
+// Écrit les lignes "insert" d'une section et reporte les doublons découverts à l'insert
+async function writeSection(repo, items, written) {
+  const pending = items.filter(x => x.row);
+  const duplicates = await insertRows(repo, pending.map(x => x.row), written);
+  pending.forEach((x, i) => {
+    if (duplicates.has(i)) Object.assign(x.diag, { status: 'duplicate', reason: 'unique index conflict on insert' });
+  });
+}
+
+const summarize = (items) => items.reduce((acc, { diag }) => {
+  acc[diag.status] = (acc[diag.status] || 0) + 1;
+  return acc;
+}, { insert: 0, duplicate: 0, unchanged: 0, rejected: 0 });
+
+// ---------- tout-ou-rien par source ----------
+// PostgREST n'a pas de transaction multi-requêtes: si une section échoue, on compense en supprimant
+// ce que cette requête a écrit (lignes des sections, puis la source si elle vient d'être créée)
+const SECTIONS = ['facts', 'insights', 'news']; // clé du payload = repository
+
+class IngestRolledBackError extends Error {
+  constructor(message, { sections, source, rolledBack }) {
+    super(message);
+    this.name = 'IngestRolledBackError';
+    this.code = 'INGEST_ROLLED_BACK';
+    this.sections = sections;
+    this.source = source;
+    this.rolled_back = rolledBack; // false: compensation incomplète, voir sections[*].error
+  }
+}
+
+// -> message d'erreur ou null
+async function attempt(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// -> IngestRolledBackError (à lancer par l'appelant)
+async function rollbackSections(cause, { parsed, failed, written, source, previous, sourceAction }) {
+  const sections = {};
+  let complete = true;
+
+  // ordre inverse de l'écriture
+  for (const name of [...SECTIONS].reverse()) {
+    const ids = written[name];
+    const err = ids?.length ? await attempt(() => store[name].removeIds(ids)) : null;
+    if (err) complete = false;
+
+    if (name === failed) {
+      sections[name] = { status: 'failed', error: cause.message, rolled_back: ids?.length ?? 0 };
+      if (err) sections[name].rollback_error = err;
+    } else if (ids) {
+      sections[name] = err
+        ? { status: 'rollback_failed', inserted: ids.length, error: err }
+        : { status: 'rolled_back', rolled_back: ids.length };
+    } else {
+      sections[name] = { status: parsed[name]?.length ? 'not_run' : 'skipped' };
+    }
+  }
+
+  // la source créée par cette requête ne doit pas rester orpheline (ni marquer l'ancienne version remplacée)
+  // source null: échec avant sa résolution (alias, dictionnaire...)
+  const sourceOut = source ? { id: source.id, action: sourceAction, rolled_back: false } : null;
+  if (source && complete && sourceAction !== 'existing') {
+    const err = (previous ? await attempt(() => store.sources.clearSupersededBy(previous.id, source.id)) : null)
+      || await attempt(() => store.sources.remove(source.id));
+    if (err) { complete = false; sourceOut.error = err; }
+    else sourceOut.rolled_back = true;
+  }
+
+  const ordered = Object.fromEntries(SECTIONS.map(name => [name, sections[name]]));
+  return new IngestRolledBackError(
+    `${failed || 'ingest'} failed, ${complete ? (source ? 'source rolled back' : 'rolled back') : 'rollback incomplete'}: ${cause.message}`,
+    { sections: ordered, source: sourceOut, rolledBack: complete }
+  );
+}
+
+// Société écrite par un payload compensé: attributs rétablis (société existante) ou société créée supprimée,
+// sauf si une source s'y rattache déjà (ingestion concurrente). Alias et dictionnaire sont conservés: entrées
+// partagées, réécrites à l'identique par un retry.
+// previous = ligne lue avant l'upsert (null: société créée) -> { id, action, rolled_back, error? }
+async function rollbackCompany(company, previous) {
+  if (previous) {
+    const restore = {};
+    for (const k of COMPANY_ATTRS) if ((company[k] ?? null) !== (previous[k] ?? null)) restore[k] = previous[k] ?? null;
+    const err = Object.keys(restore).length ? await attempt(() => store.companies.update(company.id, restore)) : null;
+    if (!err) await invalidatePeers([[previous, company]]);
+    return { id: company.id, action: 'update', rolled_back: !err, ...(err ? { error: err } : {}) };
+  }
+  let removed = false;
+  const err = await attempt(async () => {
+    if ((await store.sources.listByCompany(company.id, 'id')).length) return;
+    await store.companies.remove(company.id);
+    removed = true;
+  });
+  if (removed) await invalidatePeers([[null, company]]);
+  return { id: company.id, action: 'create', rolled_back: removed, ...(err ? { error: err } : {}) };
+}
+
+// Résultat par section pour un ingest abouti
+function sectionOutcome(items, written, dryRun) {
+  if (!items.length) return { status: 'skipped', inserted: 0 };
+  if (dryRun) return { status: 'planned', inserted: summarize(items).insert };
+  return { status: 'written', inserted: written.length };
+}
+
+// Règles de provenance (lues une fois par requête) + domaines issuer de chaque société
+// entries: [{ parsed, company | null }] -> contexte classifyProvenance par entrée
+async function provenanceContexts(entries) {
+  const rules = await store.provenanceRules.list();
+  const ids = Array.from(new Set(entries.map(e => e.company?.id).filter(id => id != null)));
+  const aliases = ids.length ? await store.companyAliases.listByCompanies(ids) : [];
+  return entries.map(({ parsed, company }) => ({
+    rules,
+    issuerDomains: Array.from(new Set([
+      ...(company ? issuerDomainsOf(company, aliases) : []),
+      normalizeAlias('domain', parsed.domain)
+    ].filter(Boolean))),
+    issuerName: company?.name ?? parsed.company
+  }));
+}
+
+// Champs source dérivés du payload
+function sourceInput(parsed, provenance) {
+  return {
+    url:          parsed.source.url,
+    title:        parsed.source.title,
+    docType:      resolveDocType(parsed.source.doc_type, parsed.source.title, parsed.source.url),
+    published_at: safeDate(parsed.source.published_at),
+    source_md5:   parsed.source.source_md5 || null,
+    doc_language: (parsed.source.doc_language || '').toLowerCase() || null,
+    version:      parsed.source.version ?? null, // null: la version suit la précédente
+    provenance:   classifyProvenance(parsed.source.url, provenance)
+  };
+}
+
+// Facts / insights / news d'un payload, company + source + dictionnaire déjà résolus -> rapport
+async function ingestSections(parsed, { company, companyAction, identity, input, source, previous, action: sourceAction, dictMap, dryRun }) {
+  const { published_at, provenance } = input;
+
+  // Canonical IDs
+  const sourceId   = source.id;
+  const trustScore = source.trust_score ?? provenance.trust_score ?? 0.5;
+  const byCompany  = company?.id ? { company_id: company.id } : null;
+
+  // ids écrits par section (compensation si une section suivante échoue)
+  const written = {};
+  let current = null;
+
+  let factItems = [];
+  let insightItems = [];
+  let newsItems = [];
+  let restated = 0;
+  let quarantined = 0;
+
+  try {
+    // ---------- Facts (batched) ----------
+    if (parsed.facts?.length) {
+      current = 'facts';
+      // document versionné (nouvelle version, ou version > 1 ré-ingérée): comparer aux chiffres des versions
+      // précédentes, sinon un retraitement déjà stocké (hash |vN) serait réinséré sans suffixe
+      const priorFacts = previous || source.root_source_id ? await loadLineageFacts(source) : new Map();
+
+      factItems = planFacts(parsed.facts, { company, source, dictMap, priorFacts, published_at, dryRun });
+      if (byCompany) await markStored(factItems, store.facts, 'fact_md5', byCompany);
+      if (byCompany) await markAnomalies(factItems, company.id);
+      if (!dryRun) await writeSection(store.facts, factItems, (written.facts = []));
+      restated = factItems.filter(x => x.diag.status === 'insert' && x.diag.is_restatement).length;
+      quarantined = factItems.filter(x => x.diag.status === 'insert' && x.diag.review_status === 'quarantined').length;
     }
 
     // ---------- Insights (avec hash dédup) ----------
     if (parsed.insights?.length) {
-      const seen = new Set();
-      const insightRows = [];
-      for (const i of parsed.insights) {
-        const conf = norm01(i.confidence) ?? 0.8;
-        const text = i.text;
-        const text_md5 = md5(text.trim());
-        if (!USE_DB_DEDUP && seen.has(text_md5)) continue;
-        seen.add(text_md5);
-        insightRows.push({
-          company_id: company.id,
-          source_id:  sourceId,
-          theme_enum: mapThemeEnum(i.theme),
-          theme:      i.theme || null,
-          text,
-          text_md5,
-          confidence: conf,
-          provenance_score: conf * trustScore
-        });
-      }
-      if (insightRows.length) {
-        const { error: iErr } = await supabase.from('insights').insert(insightRows);
-        if (iErr && iErr.code !== '23505') {
-          return res.status(500).json({
-            error: `insights insert: ${iErr.message}`,
-            debug: { sourceIdUsed: insightRows?.[0]?.source_id, companyId: company.id }
-          });
-        }
-      }
+      current = 'insights';
+      insightItems = planInsights(parsed.insights, { company, source, trustScore });
+      if (byCompany) await markStored(insightItems, store.insights, 'text_md5', byCompany);
+      if (byCompany) await markClusters('insights', insightItems, company.id);
+      if (!dryRun) await writeSection(store.insights, insightItems, (written.insights = []));
     }
 
     // ---------- News (déjà hashées) ----------
     if (parsed.news?.length) {
-      const newsRows = [];
-      for (const n of parsed.news) {
-        const textBlob = `${n.headline || ''}\n${n.summary || ''}\n${n.full_text || ''}`;
-        const text_md5 = md5(textBlob);
-
-        if (!USE_DB_DEDUP) {
-          const { data: dup } = await supabase
-            .from('news_events')
-            .select('id')
-            .eq('company_id', company.id)
-            .eq('source_id', sourceId)
-            .eq('text_md5', text_md5)
-            .maybeSingle();
-          if (dup) continue;
-        }
+      current = 'news';
+      newsItems = planNews(parsed.news, { company, source, published_at });
+      if (byCompany) await markStored(newsItems, store.news, 'text_md5', byCompany);
+      if (byCompany) await markClusters('news', newsItems, company.id);
+      if (!dryRun) await writeSection(store.news, newsItems, (written.news = []));
+    }
+  } catch (e) {
+    if (dryRun) throw e;
+    throw await rollbackSections(e, { parsed, failed: current, written, source, previous, sourceAction });
+  }
+  if (!dryRun && insightItems.length) await rankExtendedClusters(insightItems);
+
+  return {
+    company: company?.slug ?? toSlug(parsed.company),
+    company_id: company?.id ?? null,
+    company_action: companyAction,
+    company_matched_by: identity?.matched_by ?? null,
+    ...(identity?.conflicts?.length ? { alias_conflicts: identity.conflicts } : {}),
+    source_id: sourceId,
+    source: {
+      action: sourceAction,
+      url: input.url,
+      version: source.version ?? 1,
+      supersedes_source_id: previous?.id ?? null,
+      doc_type: input.docType.source_type,
+      doc_type_origin: input.docType.source_type_origin,
+      doc_type_inferred: input.docType.source_type_inferred,
+      doc_type_confidence: input.docType.source_type_confidence,
+      provenance
+    },
+    version: source.version ?? 1,
+    supersedes_source_id: previous?.id ?? null,
+    restated,
+    quarantined,
+    sections: {
+      facts: sectionOutcome(factItems, written.facts, dryRun),
+      insights: sectionOutcome(insightItems, written.insights, dryRun),
+      news: sectionOutcome(newsItems, written.news, dryRun)
+    },
+    summary: {
+      facts: { ...summarize(factItems), quarantined },
+      insights: summarize(insightItems),
+      news: summarize(newsItems)
+    },
+    facts: factItems.map(x => x.diag),
+    insights: insightItems.map(x => x.diag),
+    news: newsItems.map(x => x.diag)
+  };
+}
+
+// ---------- bulk (NDJSON: une ligne = un payload `schema`) ----------
+const MAX_BULK_LINES = 5000;
+
+const isBulkRequest = (req) =>
+  ['1', 'true', 'yes'].includes(String(req.query?.bulk || '').toLowerCase()) ||
+  /ndjson|jsonl|json-seq/.test(String(req.headers['content-type'] || '').toLowerCase());
+
+// Corps brut: string / Buffer déjà lus par la plateforme, sinon lecture du flux
+async function readRawBody(req) {
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  if (req.body && typeof req.body === 'object') return JSON.stringify(req.body); // une seule ligne JSON
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+const errorMessage = (e) => (e instanceof z.ZodError
+  ? e.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ')
+  : (e?.message || 'unknown'));
+
+// Échec d'une source: message + résultat de chaque section quand une compensation a eu lieu
+const failureBody = (e) => (e?.code === 'INGEST_ROLLED_BACK'
+  ? { error: e.message, rolled_back: e.rolled_back, source: e.source, sections: e.sections }
+  : { error: errorMessage(e) });
+
+async function ingestBulk(text, { dryRun, apiKey }) {
+  const results = [];
+  let valid = []; // { line, parsed }
+  const lines = String(text).split(/\r?\n/);
+  if (lines.filter(l => l.trim()).length > MAX_BULK_LINES) {
+    return { status: 413, body: { error: `too many lines (max ${MAX_BULK_LINES})` } };
+  }
+
+  lines.forEach((raw, i) => {
+    if (!raw.trim()) return;
+    try {
+      valid.push({ line: i + 1, parsed: schema.parse(JSON.parse(raw)) });
+    } catch (e) {
+      results.push({ line: i + 1, ok: false, error: e instanceof SyntaxError ? 'Invalid JSON line' : errorMessage(e) });
+    }
+  });
 
-        newsRows.push({
-          company_id: company.id,
-          source_id: sourceId,
-          event_date: safeDate(n.event_date)?.toISOString() || (published_at?.toISOString()) || new Date().toISOString(),
-          headline: n.headline,
-          summary: n.summary || null,
-          full_text: n.full_text ? n.full_text.slice(0, 8000) : null, // 8k chars cap
-          theme_enum: mapThemeEnum(n.theme),
-          importance: norm01(n.importance) ?? 0.6,
-          text_md5
+  // clé limitée à certaines sociétés: lignes hors périmètre refusées (y compris les sociétés à créer)
+  let matches = [];
+  if (valid.length) {
+    const resolvedAll = await resolveForIngest(store, valid.map(v => v.parsed));
+    const allowed = resolvedAll.map(m => allowsCompany(apiKey, m?.company.id));
+    valid.forEach((v, i) => {
+      if (allowed[i]) return;
+      const m = resolvedAll[i];
+      results.push({
+        line: v.line,
+        ok: false,
+        forbidden: true,
+        company: m?.company.slug ?? toSlug(v.parsed.company),
+        company_id: m?.company.id ?? null,
+        error: 'API key not allowed for this company'
+      });
+    });
+    valid = valid.filter((v, i) => allowed[i]);
+    matches = resolvedAll.filter((m, i) => allowed[i]);
+  }
+
+  if (valid.length) {
+    // 1) companies (résolution par alias, un upsert groupé) 2) dictionnaire (un upsert pour tous les faits) 3) sources
+    const slugOf = (i) => matches[i]?.company.slug ?? toSlug(valid[i].parsed.company);
+    const companies = dryRun
+      ? new Map(matches.filter(Boolean).map(m => [m.company.slug, m.company]))
+      : await batchUpsertCompanies(valid.map((v, i) => ({ parsed: v.parsed, match: matches[i] })));
+    if (!dryRun) await invalidatePeers(valid.map((v, i) => [companies.get(slugOf(i)), matches[i]?.company]));
+
+    // échec avant les sources (alias, dictionnaire, lectures): sociétés du lot compensées, puis 500
+    let dictMap, inputs, resolved;
+    try {
+      if (!dryRun) await registerAliases(valid.map((v, i) => ({ parsed: v.parsed, company: companies.get(slugOf(i)) })));
+
+      const allFacts = valid.flatMap(v => v.parsed.facts || []);
+      dictMap = allFacts.length
+        ? (dryRun ? await selectMetricsDictionary(allFacts) : await batchUpsertMetricsDictionary(allFacts))
+        : new Map();
+
+      const contexts = await provenanceContexts(valid.map((v, i) => ({ parsed: v.parsed, company: companies.get(slugOf(i)) || null })));
+      inputs = valid.map((v, i) => sourceInput(v.parsed, contexts[i]));
+      // écritures ligne par ligne: une source non créée (ou retirée) est rapportée en { error }
+      resolved = dryRun
+        ? await Promise.all(valid.map((v, i) => planSource(companies.get(slugOf(i)) || null, inputs[i])))
+        : await batchGetOrCreateSources(valid.map((v, i) => ({
+          company_id: companies.get(slugOf(i)).id,
+          ...inputs[i]
+        })));
+    } catch (e) {
+      if (!dryRun) {
+        const previous = new Map(matches.filter(Boolean).map(m => [m.company.id, m.company]));
+        for (const company of companies.values()) await rollbackCompany(company, previous.get(company.id) || null);
+      }
+      throw e;
+    }
+
+    // 4) sections ligne par ligne: une ligne en échec n'arrête pas le lot
+    for (const [i, v] of valid.entries()) {
+      const company = companies.get(slugOf(i)) || null;
+      if (resolved[i]?.error) {
+        results.push({ line: v.line, ok: false, error: resolved[i].error });
+        continue;
+      }
+      try {
+        const report = await ingestSections(v.parsed, {
+          company,
+          companyAction: dryRun ? (company ? 'existing' : 'create') : 'upsert',
+          identity: matches[i],
+          input: inputs[i],
+          ...resolved[i],
+          dictMap,
+          dryRun
         });
+        results.push({ line: v.line, ok: true, ...report });
+      } catch (e) {
+        console.error(`INGEST BULK ERROR (line ${v.line}):`, e);
+        results.push({ line: v.line, ok: false, ...failureBody(e) });
       }
-      if (newsRows.length) {
-        const { error: nErr } = await supabase.from('news_events').insert(newsRows);
-        if (nErr && nErr.code !== '23505') {
-          return res.status(500).json({ error: `news insert: ${nErr.message}` });
-        }
+    }
+  }
+
+  results.sort((a, b) => a.line - b.line);
+  const failed = results.filter(r => !r.ok).length;
+  return {
+    status: 200,
+    body: {
+      ok: failed === 0,
+      bulk: true,
+      dry_run: dryRun,
+      lines: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results
+    }
+  };
+}
+
+// ---------- single payload ----------
+async function ingestOne(rawBody, { dryRun, apiKey }) {
+  // Parse input (robuste aux bodies stringifiés)
+  let body;
+  try {
+    body = typeof rawBody === 'string' ? JSON.parse(rawBody) : rawBody;
+  } catch (e) {
+    return { status: 400, body: { error: 'Invalid JSON body' } };
+  }
+  const valid = schema.safeParse(body);
+  if (!valid.success) return { status: 400, body: { ok: false, dry_run: dryRun, error: errorMessage(valid.error) } };
+  const parsed = valid.data;
+
+  // Company (slug, ou société existante trouvée par alias / identifiant)
+  const [match] = await resolveForIngest(store, [parsed]);
+  if (!allowsCompany(apiKey, match?.company.id)) {
+    return { status: 403, body: { error: 'API key not allowed for this company', company: match?.company.slug ?? toSlug(parsed.company) } };
+  }
+  const company = dryRun ? (match?.company ?? null) : await getOrCreateCompany(parsed, match);
+  if (!dryRun) await invalidatePeers([[company, match?.company]]);
+
+  // à partir d'ici tout échec est compensé: source (rollbackSections) puis société (rollbackCompany)
+  let step = 'aliases';
+  let resolved = null;
+  try {
+    if (!dryRun) await registerAliases([{ parsed, company }]);
+
+    // Source
+    step = 'source';
+    const [context] = await provenanceContexts([{ parsed, company }]);
+    const input = sourceInput(parsed, context);
+    resolved = dryRun
+      ? await planSource(company, input)
+      : await getOrCreateSource({ company_id: company.id, ...input });
+
+    // Dictionnaire: upsert groupé (ou simple lecture en dry-run) -> key_slug -> id
+    step = 'dictionary';
+    const dictMap = parsed.facts?.length
+      ? (dryRun ? await selectMetricsDictionary(parsed.facts) : await batchUpsertMetricsDictionary(parsed.facts))
+      : new Map();
+
+    const report = await ingestSections(parsed, {
+      company,
+      companyAction: dryRun ? (company ? 'existing' : 'create') : 'upsert',
+      identity: match,
+      input,
+      ...resolved,
+      dictMap,
+      dryRun
+    });
+    return { status: 200, body: { ok: true, dry_run: dryRun, ...report } };
+  } catch (e) {
+    if (dryRun) throw e;
+    const err = e?.code === 'INGEST_ROLLED_BACK' ? e : await rollbackSections(e, {
+      parsed,
+      failed: step,
+      written: {},
+      source: resolved?.source ?? null,
+      previous: resolved?.previous ?? null,
+      sourceAction: resolved?.action
+    });
+    console.error('INGEST ERROR:', err);
+    // contenu restant (compensation incomplète): la société reste telle quelle
+    const companyOut = err.rolled_back ? await rollbackCompany(company, match?.company ?? null) : null;
+    const body = { ok: false, dry_run: false, company: company.slug, company_id: company.id, ...failureBody(err) };
+    if (companyOut) {
+      body.company_rollback = companyOut;
+      if (companyOut.error) body.rolled_back = false;
+    }
+    return { status: 500, body };
+  }
+}
+
+// ---------- audit ----------
+// Résultat d'un payload (ou d'une ligne bulk) -> ligne ingest_audit
+function auditRow(r, status, { apiKey, key, bulk, dryRun }) {
+  const outcome = r.ok ? 'ok' : (r.rolled_back != null ? 'rolled_back' : (status < 500 ? 'rejected' : 'failed'));
+  return {
+    api_key_id: apiKey.id,
+    api_key_name: apiKey.name,
+    idempotency_key: key,
+    bulk,
+    line: r.line ?? null,
+    dry_run: dryRun,
+    outcome,
+    status,
+    company_id: r.company_id ?? null,
+    company_slug: r.company ?? null,
+    source_id: r.source_id ?? r.source?.id ?? null,
+    source_url: r.source?.url ?? null,
+    source_action: r.source?.action ?? null,
+    counts: r.summary ?? null,
+    error: r.error ?? null
+  };
+}
+
+// Bulk: statut par ligne (200 ok, 500 compensée, 400 refusée/403 hors périmètre)
+const lineStatus = (r) => (r.ok ? 200 : (r.rolled_back != null ? 500 : (r.forbidden ? 403 : 400)));
+
+// L'audit ne fait pas échouer une ingestion déjà écrite
+async function writeAudit(rows) {
+  try {
+    await store.ingestAudit.insertMany(rows);
+  } catch (e) {
+    console.error('INGEST AUDIT ERROR:', e);
+  }
+}
+
+// ---------- cache de lecture ----------
+// Sociétés écrites -> nouvelle version de contenu (cache et validateurs de /api/read)
+async function invalidateReads(reports) {
+  try {
+    await companyChanged(store, reports.map(r => r.company_id));
+  } catch (e) {
+    console.error('INGEST CACHE ERROR:', e);
+  }
+}
+
+// Secteur / industrie changés (société classée créée, reclassée ou retirée): les groupes de pairs des autres
+// sociétés changent avec -> version globale (lib/cache)
+const PEER_ATTRS = ['sector', 'industry'];
+
+async function invalidatePeers(pairs) {
+  const changed = pairs.some(([company, previous]) => PEER_ATTRS.some(k => (company?.[k] ?? null) !== (previous?.[k] ?? null)));
+  if (!changed) return;
+  try {
+    await globalChanged(store);
+  } catch (e) {
+    console.error('INGEST CACHE ERROR:', e);
+  }
+}
+
+// ---------- alertes ----------
+// Rapports écrits -> livraisons en file (lib/alerts), envoyées par deliverDue hors de la requête;
+// une erreur de mise en file ne fait pas échouer l'ingestion
+async function notify(reports) {
+  if (!reports.length) return;
+  try {
+    await raiseAlerts(store, reports);
+  } catch (e) {
+    console.error('INGEST ALERTS ERROR:', e);
+  }
+}
+
+// ---------- handler ----------
+module.exports = async (req, res) => {
+  let claimed = null; // Idempotency-Key réservée par cette requête
+  let audit = null;   // contexte de l'audit (clé, mode) une fois la requête authentifiée
+  try {
+    // Auth (clé 'ingest', rate limit) + method
+    const apiKey = await authorize(store, req, res, 'ingest');
+    if (!apiKey) return;
+    if (req.method === 'GET') return res.status(200).send('pong');
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+    const dryRun = ['1', 'true', 'yes'].includes(String(req.query?.dry_run || '').toLowerCase());
+    const bulk = isBulkRequest(req);
+    const raw = bulk ? await readRawBody(req) : req.body;
+
+    // Idempotency-Key: même clé + même payload -> réponse stockée rejouée (dry-run: rien à protéger)
+    const key = dryRun ? null : idempotencyKey(req);
+    if (key) {
+      // propre à la clé API: une même clé choisie par deux clients ne rejoue pas la réponse de l'autre
+      const owner = { apiKeyId: apiKey.id ?? null, key };
+      const scope = `${bulk ? 'ingest:bulk' : 'ingest'}:${apiKey.id ?? apiKey.name}`;
+      const hash = requestHash(scope, typeof raw === 'string' ? raw : JSON.stringify(raw ?? null));
+      const claim = await claimKey(store, owner, hash);
+      if (claim.state === 'replay') {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(claim.status).json(claim.body);
       }
+      if (claim.state === 'conflict') return res.status(claim.status).json({ error: claim.error });
+      claimed = owner;
+    }
+
+    audit = { apiKey, key, bulk, dryRun };
+    const { status, body } = bulk
+      ? await ingestBulk(raw, { dryRun, apiKey })
+      : await ingestOne(raw, { dryRun, apiKey });
+    await writeAudit(bulk && body.results
+      ? body.results.map(r => auditRow(r, lineStatus(r), audit))
+      : [auditRow(body, status, audit)]);
+    if (!dryRun) {
+      const written = bulk ? (body.results || []).filter(r => r.ok) : (body.ok ? [body] : []);
+      await invalidateReads(written);
+      await notify(written);
     }
 
-    return res.status(200).json({ ok: true, company: toSlug(parsed.company), source_id: sourceId });
+    // 5xx: rien de stocké (compensé), la clé est libérée pour un vrai retry
+    if (claimed) {
+      if (status < 500) await completeKey(store, claimed, status, body);
+      else await releaseKey(store, claimed);
+      claimed = null;
+    }
+    return res.status(status).json(body);
   } catch (err) {
     console.error('INGEST ERROR:', err);
+    if (claimed) await releaseKey(store, claimed);
+    if (audit) await writeAudit([auditRow({ error: err?.message || 'unknown' }, 500, audit)]);
     return res.status(500).json({ error: err?.message || 'unknown' });
   }
 };
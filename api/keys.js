@@ -0,0 +1,169 @@
+// /api/keys.js — Lowpill v1.0.0
+// API keys (lib/auth), admin scope. The key itself is returned once (create, rotate); only its sha256 is stored.
+// GET: keys without their hash (?include_revoked=1 to list revoked ones too)
+// POST: { action: 'create', name, scopes, companies?, rate_limit_per_minute?, expires_at? }
+//       { action: 'rotate', id, grace_minutes? }   new key with the same settings; the old one expires after the grace period
+//       { action: 'revoke', id }
+//       { action: 'update', id, name?, scopes?, companies?, rate_limit_per_minute?, expires_at? }
+const { z } = require('zod');
+const { SCOPES, authorize, generateKey } = require('../lib/auth');
+const { resolveCompany } = require('../lib/identity');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const PUBLIC_COLS = 'id, name, key_prefix, scopes, company_ids, rate_limit_per_minute, rotated_from_id, created_at, expires_at, revoked_at, last_used_at';
+
+const DEFAULT_GRACE_MINUTES = 60;
+
+// -------- validation ----------
+const isoDate = z.string().refine(s => !Number.isNaN(Date.parse(s)), { message: 'invalid date' })
+  .transform(s => new Date(s).toISOString());
+
+const settings = {
+  name: z.string().trim().min(1).max(100),
+  scopes: z.array(z.enum(SCOPES)).min(1).transform(s => Array.from(new Set(s))),
+  // refs de sociétés (slug, alias, ticker...); null = toutes
+  companies: z.array(z.string().min(1)).min(1).max(500).nullable(),
+  rate_limit_per_minute: z.coerce.number().int().min(1).max(100000).nullable(),
+  expires_at: isoDate.nullable()
+};
+
+const bodySchema = z.discriminatedUnion('action', [
+  z.object({
+    action: z.literal('create'),
+    name: settings.name,
+    scopes: settings.scopes,
+    companies: settings.companies.optional(),
+    rate_limit_per_minute: settings.rate_limit_per_minute.optional(),
+    expires_at: settings.expires_at.optional()
+  }),
+  z.object({
+    action: z.literal('rotate'),
+    id: z.coerce.number().int().positive(),
+    grace_minutes: z.coerce.number().int().min(0).max(7 * 24 * 60).optional()
+  }),
+  z.object({
+    action: z.literal('revoke'),
+    id: z.coerce.number().int().positive()
+  }),
+  z.object({
+    action: z.literal('update'),
+    id: z.coerce.number().int().positive(),
+    name: settings.name.optional(),
+    scopes: settings.scopes.optional(),
+    companies: settings.companies.optional(),
+    rate_limit_per_minute: settings.rate_limit_per_minute.optional(),
+    expires_at: settings.expires_at.optional()
+  })
+]);
+
+// refs -> ids (null = toutes les sociétés), ou { missing }
+async function companyIdsOf(refs) {
+  if (refs == null) return { ids: null };
+  const ids = [];
+  const missing = [];
+  for (const ref of refs) {
+    const resolved = await resolveCompany(store, ref, 'id');
+    if (resolved) ids.push(resolved.company.id);
+    else missing.push(ref);
+  }
+  return missing.length ? { missing } : { ids: Array.from(new Set(ids)) };
+}
+
+const isActive = (k) => !k.revoked_at && (!k.expires_at || new Date(k.expires_at).getTime() > Date.now());
+
+async function create(body, res) {
+  const companies = await companyIdsOf(body.companies ?? null);
+  if (companies.missing) return res.status(404).json({ error: 'company not found', companies: companies.missing });
+
+  const { key, key_prefix, key_hash } = generateKey();
+  const row = await store.apiKeys.insert({
+    name: body.name,
+    key_prefix,
+    key_hash,
+    scopes: body.scopes,
+    company_ids: companies.ids,
+    rate_limit_per_minute: body.rate_limit_per_minute ?? null,
+    expires_at: body.expires_at ?? null
+  }, PUBLIC_COLS);
+  return res.status(201).json({ ok: true, key, api_key: row });
+}
+
+async function rotate(body, res) {
+  const old = await store.apiKeys.findById(body.id, PUBLIC_COLS);
+  if (!old) return res.status(404).json({ error: 'API key not found' });
+  if (!isActive(old)) return res.status(409).json({ error: 'API key is revoked or expired' });
+
+  // l'ancienne clé reste valable pendant la période de grâce (sans repousser une expiration plus proche)
+  const graceEnd = new Date(Date.now() + (body.grace_minutes ?? DEFAULT_GRACE_MINUTES) * 60 * 1000);
+  const expiresAt = old.expires_at && new Date(old.expires_at) < graceEnd ? old.expires_at : graceEnd.toISOString();
+
+  const { key, key_prefix, key_hash } = generateKey();
+  const row = await store.apiKeys.insert({
+    name: old.name,
+    key_prefix,
+    key_hash,
+    scopes: old.scopes,
+    company_ids: old.company_ids,
+    rate_limit_per_minute: old.rate_limit_per_minute,
+    rotated_from_id: old.id,
+    expires_at: null
+  }, PUBLIC_COLS);
+  const previous = await store.apiKeys.update(old.id, { expires_at: expiresAt }, PUBLIC_COLS);
+  return res.status(201).json({ ok: true, key, api_key: row, previous });
+}
+
+async function revoke(body, res) {
+  const old = await store.apiKeys.findById(body.id, PUBLIC_COLS);
+  if (!old) return res.status(404).json({ error: 'API key not found' });
+  if (old.revoked_at) return res.status(200).json({ ok: true, api_key: old });
+  const row = await store.apiKeys.update(old.id, { revoked_at: new Date().toISOString() }, PUBLIC_COLS);
+  return res.status(200).json({ ok: true, api_key: row });
+}
+
+async function update(body, res) {
+  const { action, id, companies: refs, ...fields } = body;
+  const patch = { ...fields };
+  if (refs !== undefined) {
+    const companies = await companyIdsOf(refs);
+    if (companies.missing) return res.status(404).json({ error: 'company not found', companies: companies.missing });
+    patch.company_ids = companies.ids;
+  }
+  if (!Object.keys(patch).length) return res.status(400).json({ error: 'nothing to update' });
+  const row = await store.apiKeys.update(id, patch, PUBLIC_COLS);
+  if (!row) return res.status(404).json({ error: 'API key not found' });
+  return res.status(200).json({ ok: true, api_key: row });
+}
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+    if (!(await authorize(store, req, res, 'admin'))) return;
+
+    if (req.method === 'GET') {
+      const all = ['1', 'true', 'yes'].includes(String(req.query?.include_revoked || '').toLowerCase());
+      const keys = (await store.apiKeys.list(PUBLIC_COLS))
+        .filter(k => all || !k.revoked_at)
+        .map(k => ({ ...k, active: isActive(k) }));
+      return res.status(200).json({ count: keys.length, keys });
+    }
+
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    const parsed = bodySchema.safeParse(body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+    }
+    const handlers = { create, rotate, revoke, update };
+    return await handlers[parsed.data.action](parsed.data, res);
+
+  } catch (err) {
+    console.error('KEYS ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
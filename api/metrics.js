@@ -0,0 +1,87 @@
+// /api/metrics.js — Lowpill v1.3.0
+// metrics_dictionary: GET lists metrics (derived ones with their formula); POST defines formulas ('ingest' scope)
+// Body: { metrics: [{ key, label?, display_label?, framework_bucket?, higher_is_better?, formula }] } ; formula null = plain metric
+// + higher_is_better (scorecard: false pour dette & co)
+// + API keys: GET needs the 'read' scope
+// + a POST bumps the global content version: cached reads of every company are rebuilt (lib/cache)
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { authorize } = require('../lib/auth');
+const { checkFormulas } = require('../lib/derived');
+const { globalChanged } = require('../lib/cache');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const DICT_COLS = 'id, key_slug, label, display_label, framework_bucket, higher_is_better, primary_source, formula';
+
+// -------- validation ----------
+const bodySchema = z.object({
+  metrics: z.array(z.object({
+    key: z.string().min(1),
+    label: z.string().min(1).optional(),
+    display_label: z.string().min(1).optional(),
+    framework_bucket: z.enum(['competitiveness', 'solvency', 'development']).optional(),
+    higher_is_better: z.boolean().optional(),
+    formula: z.string().min(1).nullable()
+  })).min(1).max(200)
+});
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      if (!(await authorize(store, req, res, 'read'))) return;
+      const derivedOnly = ['1', 'true', 'yes'].includes(String(req.query?.derived || '').toLowerCase());
+      const rows = (await store.metrics.list(DICT_COLS)).filter(r => !derivedOnly || r.formula);
+      return res.status(200).json({ count: rows.length, metrics: rows });
+    }
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+    if (!(await authorize(store, req, res, 'ingest'))) return;
+
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    const parsed = bodySchema.parse(body);
+
+    // une ligne par key_slug (la dernière l'emporte)
+    const bySlug = new Map(parsed.metrics.map(m => {
+      const payload = { key_slug: toSlug(m.key), formula: m.formula ? m.formula.trim() : null };
+      payload.label = m.label || m.display_label || m.key;
+      if (m.display_label)    payload.display_label    = m.display_label;
+      if (m.framework_bucket) payload.framework_bucket = m.framework_bucket;
+      if (m.higher_is_better != null) payload.higher_is_better = m.higher_is_better;
+      return [payload.key_slug, payload];
+    }));
+    const payloads = Array.from(bySlug.values());
+    if (payloads.some(p => !p.key_slug)) return res.status(400).json({ error: 'metric key has no usable characters' });
+
+    // dictionnaire tel qu'il serait après l'upsert: références connues, pas de cycle
+    const formulas = new Map((await store.metrics.list('key_slug, formula')).map(r => [r.key_slug, r.formula]));
+    for (const p of payloads) formulas.set(p.key_slug, p.formula);
+    try {
+      checkFormulas(formulas);
+    } catch (e) {
+      if (e.code === 'FORMULA_INVALID') return res.status(422).json({ error: e.message, formula: e.formula });
+      throw e;
+    }
+
+    // un upsert par forme de payload (PostgREST mettrait à null les colonnes absentes d'une ligne)
+    const shapes = new Map();
+    for (const p of payloads) {
+      const k = Object.keys(p).sort().join(',');
+      if (!shapes.has(k)) shapes.set(k, []);
+      shapes.get(k).push(p);
+    }
+    const rows = [];
+    for (const group of shapes.values()) rows.push(...await store.metrics.upsertDefinitions(group));
+    // formules: séries dérivées de toutes les sociétés
+    await globalChanged(store);
+    return res.status(200).json({ ok: true, upserted: rows.length, metrics: rows });
+  } catch (err) {
+    console.error('METRICS ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
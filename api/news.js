@@ -0,0 +1,281 @@
+// /api/news.js — Lowpill v1.3.0
+// News events of a company (event_date desc) with publisher/provenance, filters and cursor pagination
+// Query: company, from, to (event_date, inclusive), theme, min_importance (0..1 or %), limit (<=100), cursor, as_known_at
+// timeline=1: news + insights + metric signals (framework metrics, signal != none) merged in one chronology;
+// theme filters news and insights, min_importance news only
+// + one item per near-duplicate cluster (newest member), with supporting sources and corroborated_score
+// + API key with the 'read' scope; a company-restricted key gets 403 on other companies
+// + timeline paged in the query: news and insights by keyset from the cursor (insights.timeline_at), limit + 1 rows each merged
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { filterKnownAt } = require('../lib/pit');
+const { SOURCE_EMBED, publisherOf, provenanceScore } = require('../lib/provenance');
+const { CursorError, encodeCursor, decodeCursor } = require('../lib/cursor');
+const { loadBucketSeries } = require('../lib/scorecard');
+const { signalOf } = require('../lib/signals');
+const { withCorroboration } = require('../lib/cluster');
+const { COMPANY_COLS } = require('../lib/peers');
+const { resolveCompany } = require('../lib/identity');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const DEFAULT_LIMIT = 20;
+const KIND_ORDER = { news: 0, insight: 1, signal: 2 };
+
+const NEWS_COLS = `id, company_id, source_id, cluster_id, event_date, headline, summary, theme_enum, importance, created_at, ${SOURCE_EMBED}`;
+const INSIGHT_COLS = `id, company_id, source_id, cluster_id, theme_enum, theme, text, confidence, timeline_at, created_at, ${SOURCE_EMBED}`;
+
+// -------- validation ----------
+const isoDate = (endOfDay) => z.string()
+  .refine(s => !Number.isNaN(new Date(s).getTime()), { message: 'expected an ISO date/time' })
+  .transform(s => (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T23:59:59.999Z` : s))
+  .transform(s => new Date(s).toISOString());
+
+const querySchema = z.object({
+  company: z.string().min(1),
+  from: isoDate(false).optional(),
+  to: isoDate(true).optional(),
+  theme: z.string().optional(),
+  min_importance: z.coerce.number().min(0).max(100).transform(x => (x > 1 ? x / 100 : x)).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  cursor: z.string().min(1).optional(),
+  timeline: z.enum(['1', 'true', 'yes', '0', 'false', 'no']).transform(v => ['1', 'true', 'yes'].includes(v)).optional(),
+  as_known_at: isoDate(false).optional()
+});
+
+// -------- items ----------
+const iso = (d) => new Date(d).toISOString();
+
+const newsItem = (r) => ({
+  kind: 'news',
+  id: r.id,
+  cluster_id: r.cluster_id ?? r.id,
+  date: iso(r.event_date),
+  headline: r.headline,
+  summary: r.summary ?? null,
+  theme: r.theme_enum ?? 'other',
+  importance: r.importance ?? null,
+  provenance_score: provenanceScore(1, r.sources),
+  publisher: publisherOf(r.sources)
+});
+
+// date d'un insight dans la chronologie: publication de la source, sinon ingestion (timeline_at, cf. sql/023)
+const insightItem = (r) => ({
+  kind: 'insight',
+  id: r.id,
+  cluster_id: r.cluster_id ?? r.id,
+  date: iso(r.timeline_at ?? r.sources?.published_at ?? r.created_at),
+  theme: r.theme ?? r.theme_enum ?? 'other',
+  text: r.text,
+  confidence: r.confidence ?? 0,
+  provenance_score: provenanceScore(r.confidence, r.sources),
+  publisher: publisherOf(r.sources)
+});
+
+const signalItem = (def, p) => ({
+  kind: 'signal',
+  id: `${def.key_slug}:${p.period.label}`,
+  date: iso(p.date),
+  metric: def.key_slug,
+  bucket: def.framework_bucket,
+  period: p.period.label,
+  value: p.value,
+  base_unit: p.base_unit ?? null,
+  currency: p.currency ?? null,
+  change: p.yoy ?? p.qoq,
+  basis: p.yoy != null ? 'YoY' : 'QoQ',
+  trend: p.trend,
+  signal: signalOf(p)
+});
+
+// clé d'un curseur -> date ISO (CursorError si invalide)
+function cursorDate(d) {
+  const t = new Date(d).getTime();
+  if (Number.isNaN(t)) throw new CursorError();
+  return new Date(t).toISOString();
+}
+
+// ordre de la chronologie: date desc, puis news / insight / signal, puis id desc
+function compareItems(a, b) {
+  if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+  if (a.kind !== b.kind) return KIND_ORDER[a.kind] - KIND_ORDER[b.kind];
+  if (a.id === b.id) return 0;
+  return (typeof a.id === 'number' && typeof b.id === 'number' ? a.id < b.id : String(a.id) < String(b.id)) ? 1 : -1;
+}
+
+// Keyset d'une source de la chronologie (news ou insights): date desc, id desc à partir de `before`.
+// Une ligne n'est retenue que si elle est la plus récente de son cluster parmi les lignes qui passent les filtres;
+// les autres membres du cluster (même hors de la page) deviennent ses sources à l'appui.
+// Les lignes écartées par as_known_at sont compensées par des lots supplémentaires. -> jusqu'à lim + 1 [{ row, group }]
+async function clusterHeads({ list, listClusters, toItem, passes, asKnownAt, before, lim }) {
+  const members = new Map(); // clé de cluster -> membres (ordre de la chronologie)
+  const kept = [];
+  while (kept.length <= lim) {
+    const batch = await list(before, lim + 1);
+    const visible = filterKnownAt(batch, asKnownAt);
+    const missing = Array.from(new Set(visible.map(r => r.cluster_id ?? r.id))).filter(k => !members.has(k));
+    if (missing.length) {
+      const rows = filterKnownAt((await listClusters(missing)).filter(passes), asKnownAt);
+      for (const k of missing) members.set(k, []);
+      for (const r of rows.map(toItem).sort(compareItems)) members.get(r.cluster_id)?.push(r);
+    }
+    for (const r of visible) {
+      const group = members.get(r.cluster_id ?? r.id);
+      if (!group?.length || group[0].id === r.id) kept.push({ row: r, group: group?.length ? group : [toItem(r)] });
+    }
+    if (batch.length <= lim) break;
+    const last = toItem(batch[batch.length - 1]);
+    before = { date: last.date, id: last.id };
+  }
+  return kept;
+}
+
+const headItem = ({ group }) => withCorroboration(group[0], group);
+
+// filtres de la requête, appliqués aux membres des clusters
+const newsFilter = (company, parsed, themeEnum) => (r) => r.company_id === company.id &&
+  (!parsed.from || iso(r.event_date) >= parsed.from) &&
+  (!parsed.to || iso(r.event_date) <= parsed.to) &&
+  (!themeEnum || r.theme_enum === themeEnum) &&
+  (parsed.min_importance == null || (r.importance ?? 0) >= parsed.min_importance);
+
+const newsSource = (company, parsed, themeEnum) => ({
+  list: (before, limit) => store.news.listByCompany(company.id, {
+    from: parsed.from,
+    to: parsed.to,
+    themeEnum,
+    minImportance: parsed.min_importance ?? null,
+    createdBefore: parsed.as_known_at ?? null,
+    before,
+    limit,
+    columns: NEWS_COLS
+  }),
+  listClusters: (keys) => store.news.listByClusters(keys, NEWS_COLS),
+  toItem: newsItem,
+  passes: newsFilter(company, parsed, themeEnum),
+  asKnownAt: parsed.as_known_at ?? null
+});
+
+// News seules: pagination keyset en base (event_date, id)
+async function newsPage(company, parsed, lim) {
+  const cursor = parsed.cursor ? decodeCursor(parsed.cursor, ['d', 'id']) : null;
+  if (cursor && !Number.isSafeInteger(cursor.id)) throw new CursorError();
+  const themeEnum = parsed.theme ? toSlug(parsed.theme) : null;
+  const before = cursor ? { date: cursorDate(cursor.d), id: cursor.id } : null;
+
+  const kept = await clusterHeads({ ...newsSource(company, parsed, themeEnum), before, lim });
+  const items = kept.slice(0, lim).map(headItem);
+  const last = items[items.length - 1];
+  return { items, next_cursor: kept.length > lim ? encodeCursor({ d: last.date, id: last.id }) : null };
+}
+
+// Chronologie fusionnée sur (date, kind, id): news et insights paginés en base (keyset à partir du curseur,
+// lim + 1 têtes de cluster par source), signaux tirés des séries (bornées); seules ces lignes sont fusionnées
+async function timelinePage(company, parsed, lim) {
+  const cursor = parsed.cursor ? decodeCursor(parsed.cursor, ['d', 'k', 'id']) : null;
+  if (cursor && !(cursor.k in KIND_ORDER)) throw new CursorError();
+  if (cursor && cursor.k !== 'signal' && !Number.isSafeInteger(cursor.id)) throw new CursorError();
+  const after = cursor ? { date: cursorDate(cursor.d), kind: cursor.k, id: cursor.id } : null;
+  const asKnownAt = parsed.as_known_at ?? null;
+  const themeEnum = parsed.theme ? toSlug(parsed.theme) : null;
+  const inRange = (date) => (!parsed.from || date >= parsed.from) && (!parsed.to || date <= parsed.to);
+
+  // keyset d'une source: à la date du curseur, les types rangés après lui sont tous repris, ceux d'avant aucun
+  const beforeFor = (kind) => {
+    if (!after) return null;
+    if (after.kind === kind) return { date: after.date, id: after.id };
+    return { date: after.date, id: KIND_ORDER[after.kind] < KIND_ORDER[kind] ? Number.MAX_SAFE_INTEGER : 0 };
+  };
+
+  const news = await clusterHeads({ ...newsSource(company, parsed, themeEnum), before: beforeFor('news'), lim });
+  const insights = await clusterHeads({
+    list: (before, limit) => store.insights.listTimeline(company.id, {
+      from: parsed.from,
+      to: parsed.to,
+      themeEnum,
+      createdBefore: asKnownAt,
+      before,
+      limit,
+      columns: INSIGHT_COLS
+    }),
+    listClusters: (keys) => store.insights.listByClusters(keys, INSIGHT_COLS),
+    toItem: insightItem,
+    passes: (r) => r.company_id === company.id && (!themeEnum || r.theme_enum === themeEnum) && inRange(insightItem(r).date),
+    asKnownAt,
+    before: beforeFor('insight'),
+    lim
+  });
+
+  const { loaded, skipped } = await loadBucketSeries(store, company, { asKnownAt });
+  const signals = loaded
+    .flatMap(({ def, series }) => series.filter(p => signalOf(p) !== 'none').map(p => signalItem(def, p)))
+    .filter(x => inRange(x.date) && (!after || compareItems(after, x) < 0))
+    .sort(compareItems)
+    .slice(0, lim + 1);
+
+  const merged = [...news.map(headItem), ...insights.map(headItem), ...signals].sort(compareItems);
+  const page = merged.slice(0, lim);
+  const last = page[page.length - 1];
+  return {
+    items: page,
+    next_cursor: merged.length > lim ? encodeCursor({ d: last.date, k: last.kind, id: last.id }) : null,
+    skipped
+  };
+}
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const apiKey = await authorize(store, req, res, 'read');
+    if (!apiKey) return;
+
+    const parsed = querySchema.parse({
+      company: req.query.company,
+      from: req.query.from,
+      to: req.query.to,
+      theme: req.query.theme,
+      min_importance: req.query.min_importance,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+      timeline: req.query.timeline,
+      as_known_at: req.query.as_known_at
+    });
+    const lim = parsed.limit ?? DEFAULT_LIMIT;
+
+    const company = (await resolveCompany(store, parsed.company, COMPANY_COLS))?.company;
+    if (!company) return res.status(404).json({ error: 'company not found' });
+    if (!allowsCompany(apiKey, company.id)) return res.status(403).json({ error: 'API key not allowed for this company' });
+
+    let page;
+    try {
+      page = parsed.timeline ? await timelinePage(company, parsed, lim) : await newsPage(company, parsed, lim);
+    } catch (e) {
+      if (e.code === 'CURSOR_INVALID') return res.status(400).json({ error: e.message });
+      throw e;
+    }
+
+    return res.status(200).json({
+      company: { slug: company.slug, name: company.name },
+      mode: parsed.timeline ? 'timeline' : 'news',
+      as_known_at: parsed.as_known_at ?? null,
+      filters: {
+        from: parsed.from ?? null,
+        to: parsed.to ?? null,
+        theme: parsed.theme ? toSlug(parsed.theme) : null,
+        min_importance: parsed.min_importance ?? null
+      },
+      count: page.items.length,
+      items: page.items,
+      next_cursor: page.next_cursor,
+      ...(page.skipped?.length ? { skipped_metrics: page.skipped } : {})
+    });
+
+  } catch (err) {
+    console.error('NEWS ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
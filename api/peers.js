@@ -0,0 +1,97 @@
+// /api/peers.js — Lowpill v1.6.0
+// Ranked peer table for one metric at a date: by company (its sector/industry) or by sector directly
+// + API key with the 'read' scope; a company-restricted key only sees its own companies in the table (ranks stay group-wide)
+// + currency=XXX; amounts are ranked in one currency (currency=, else the company's reporting currency, else the group's most common)
+// + metric= resolved through metrics_dictionary (any casing of the metric key; 404 when unknown)
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { COMPANY_COLS, loadPeerGroup, loadPeerSeries, rankPeers } = require('../lib/peers');
+const { resolveCompany } = require('../lib/identity');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+// -------- validation ----------
+const querySchema = z.object({
+  metric: z.string().min(1),
+  company: z.string().min(1).optional(),
+  sector: z.string().min(1).optional(),
+  industry: z.string().min(1).optional(),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(), // défaut: aujourd'hui
+  period_type: z.enum(['FY', 'H', 'Q', 'TTM']).optional(),  // défaut: FY
+  currency: z.string().regex(/^[A-Za-z]{3}$/).transform(c => c.toUpperCase()).optional(),
+  as_known_at: z.string()
+    .refine(s => !Number.isNaN(new Date(s).getTime()), { message: 'as_known_at must be an ISO date/time' })
+    .transform(s => new Date(s).toISOString())
+    .optional()
+}).refine(q => q.company || q.sector || q.industry, { message: 'company, sector or industry is required' });
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const apiKey = await authorize(store, req, res, 'read');
+    if (!apiKey) return;
+
+    const parsed = querySchema.parse({
+      metric: req.query.metric,
+      company: req.query.company,
+      sector: req.query.sector,
+      industry: req.query.industry,
+      date: req.query.date,
+      period_type: req.query.period_type,
+      currency: req.query.currency,
+      as_known_at: req.query.as_known_at
+    });
+
+    // 1) Groupe de pairs
+    let subject = null;
+    let classification = { sector: toSlug(parsed.sector) || null, industry: toSlug(parsed.industry) || null };
+    if (parsed.company) {
+      const data = (await resolveCompany(store, parsed.company, COMPANY_COLS))?.company;
+      if (!data) return res.status(404).json({ error: 'company not found' });
+      if (!allowsCompany(apiKey, data.id)) return res.status(403).json({ error: 'API key not allowed for this company' });
+      if (!data.sector && !data.industry) return res.status(422).json({ error: 'company has no sector or industry' });
+      subject = data;
+      classification = { sector: data.sector, industry: data.industry };
+    }
+
+    const group = await loadPeerGroup(store, classification);
+    if (!group?.companies.length) return res.status(404).json({ error: 'no peers found' });
+
+    // 2) Métrique par l'entrée du dictionnaire, comme /api/read ("revenue" retrouve les faits saisis "Revenue")
+    const metric = await store.metrics.findBySlug(toSlug(parsed.metric), 'id');
+    if (!metric) return res.status(404).json({ error: 'metric not found' });
+
+    // 3) Séries de chaque pair puis classement à la date
+    const date = parsed.date || new Date().toISOString().slice(0, 10);
+    const periodType = parsed.period_type || 'FY';
+    const peerSeries = await loadPeerSeries(store, group.companies, parsed.metric, {
+      currency: parsed.currency,
+      subjectId: subject?.id,
+      asKnownAt: parsed.as_known_at,
+      metricId: metric.id
+    });
+    const visible = new Set(group.companies.filter(c => allowsCompany(apiKey, c.id)).map(c => c.slug));
+    const peers = rankPeers(group, peerSeries, periodType, date)
+      .filter(p => visible.has(p.company.slug))
+      .map(p => ({ ...p, is_subject: subject ? p.company.slug === subject.slug : false }));
+
+    return res.status(200).json({
+      metric: parsed.metric,
+      date,
+      period_type: periodType,
+      currency: parsed.currency ?? null,
+      as_known_at: parsed.as_known_at ?? null,
+      peer_group: { level: group.level, sector: group.sector, industry: group.industry, companies: group.companies.length },
+      subject: subject ? { slug: subject.slug, name: subject.name } : null,
+      peers
+    });
+
+  } catch (err) {
+    console.error('PEERS ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
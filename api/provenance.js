@@ -0,0 +1,87 @@
+// /api/provenance.js — Lowpill v1.1.0
+// + API keys: GET needs the 'read' scope, POST the 'admin' scope
+// GET: provenance_rules (domain -> publisher_type, publisher_name, trust_score), used by /api/ingest to score sources
+// POST (admin key): { rules?: [{ domain, publisher_type, publisher_name?, trust_score }], remove?: [domain] }
+// A change re-scores the sources published on the affected domains (and subdomains) and their insights' provenance_score.
+// Issuers are not rules: a company's domain / domain aliases (/api/companies) make its sources 'issuer'.
+const { z } = require('zod');
+const { authorize } = require('../lib/auth');
+const { normalizeAlias } = require('../lib/identity');
+const { PUBLISHER_TYPES, SOURCE_PROVENANCE_COLS, rescoreSources } = require('../lib/provenance');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+// -------- validation ----------
+// 'https://www.Reuters.com/' -> 'reuters.com'
+const domainSchema = z.string().min(1).transform((s, ctx) => {
+  const domain = normalizeAlias('domain', s);
+  if (!domain) {
+    ctx.addIssue({ code: 'custom', message: `invalid domain: ${s}` });
+    return z.NEVER;
+  }
+  return domain;
+});
+
+const bodySchema = z.object({
+  rules: z.array(z.object({
+    domain: domainSchema,
+    publisher_type: z.enum(PUBLISHER_TYPES),
+    publisher_name: z.string().min(1).optional(),
+    trust_score: z.coerce.number().min(0).max(1)
+  })).max(200).optional(),
+  remove: z.array(domainSchema).max(200).optional()
+}).refine(b => (b.rules?.length || 0) + (b.remove?.length || 0) > 0, { message: 'nothing to change (rules or remove)' });
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      if (!(await authorize(store, req, res, 'read'))) return;
+      const rules = await store.provenanceRules.list();
+      return res.status(200).json({ count: rules.length, rules });
+    }
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+    if (!(await authorize(store, req, res, 'admin'))) return;
+
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    const parsed = bodySchema.safeParse(body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+    }
+
+    // une règle par domaine (la dernière l'emporte)
+    const now = new Date().toISOString();
+    const byDomain = new Map((parsed.data.rules || []).map(r => [r.domain, {
+      domain: r.domain,
+      publisher_type: r.publisher_type,
+      publisher_name: r.publisher_name ?? null,
+      trust_score: r.trust_score,
+      updated_at: now
+    }]));
+    const removed = (parsed.data.remove || []).filter(d => !byDomain.has(d));
+
+    const upserted = await store.provenanceRules.upsertMany(Array.from(byDomain.values()));
+    await store.provenanceRules.removeDomains(removed);
+
+    // Re-scoring des sources publiées sur les domaines touchés
+    const domains = [...byDomain.keys(), ...removed];
+    const sources = await store.sources.listByPublisherDomains(domains, SOURCE_PROVENANCE_COLS);
+    const rescored = await rescoreSources(store, sources);
+
+    return res.status(200).json({
+      ok: true,
+      upserted: upserted.map(r => r.domain),
+      removed,
+      rescored
+    });
+
+  } catch (err) {
+    console.error('PROVENANCE ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
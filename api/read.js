@@ -1,206 +1,323 @@
-// /api/read.js — Lowpill v1.6.4 (no .distinct, no .not; JS filtering/dedup)
-const { createClient } = require('@supabase/supabase-js');
+// /api/read.js — Lowpill v1.22.2 (insight ranking and series filters in the query; periods, versions and consensus in lib/series)
+// + fiscal periods (FY/H/Q/TTM) per fact, like-for-like YoY/QoQ
+// + zscore_sector / percentile_sector against sector (or industry) peers
+// + currency=XXX: per-point FX conversion at the as_of_date rate (422 when a rate is missing)
+// + base units: 422 instead of mixing currency / % / count facts in one series
+// + multi-source periods: trust-weighted consensus value + competing values and their sources
+// + basis=latest|original: restated figures or as originally reported
+// + as_known_at=<ISO>: point-in-time view (facts, insights, source versions known at that moment)
+// + storage through lib/store repositories (Supabase, or LOWPILL_STORE=memory)
+// + several metrics per call (metric=a,b or repeated); derived metrics from metrics_dictionary.formula, with input facts/sources per point
+// + company resolved like ingest (lib/slug toSlug, then aliases / tickers / ISIN / LEI / domain)
+// + insights: one per near-duplicate cluster with its supporting sources, ranked by corroborated score
+// + API key with the 'read' scope; a company-restricted key gets 403 on other companies
+// + narratives from lib/narratives templates (lang=fr,en): period wording, unit / currency, flat and missing cases; company summary
+// + insights ranked and paged in the query (lib/ranking columns, cursor=); per-company response cache with ETag / Last-Modified (lib/cache)
+// + cache key and Last-Modified also follow the global content version (formulas, FX rates, peer groups)
+// + Last-Modified also covers the peers' content versions; no 304 before building without a live cache entry
+// + malformed query (as_known_at, currency, basis...): 400 instead of 500
+// + narratives name the metric by its dictionary label (display_label, label), not the requested key
 const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { baseUnitsOf } = require('../lib/series');
+const { loadMetricSeries, inputSourceIds } = require('../lib/derived');
+const { describeCandidate } = require('../lib/consensus');
+const { filterKnownAt } = require('../lib/pit');
+const { SOURCE_EMBED, publisherOf, provenanceScore } = require('../lib/provenance');
+const { signalOf } = require('../lib/signals');
+const { collapseClusters } = require('../lib/cluster');
+const { RANKED_COLS, rankedItem } = require('../lib/ranking');
+const { getCached, setCached, globalVersion, isNotModified, setValidators } = require('../lib/cache');
+const { CursorError, encodeCursor, decodeCursor } = require('../lib/cursor');
+const { COMPANY_COLS, loadPeerGroup, loadPeerSeries, peerValuesAt, scoreAgainst } = require('../lib/peers');
+const { resolveCompany } = require('../lib/identity');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { localesOf, metricNarratives, companySummary } = require('../lib/narratives');
+const { getStore } = require('../lib/store');
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE = process.env.SUPABASE_SERVICE_ROLE;
+const store = getStore();
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE);
+// -------- validation ----------
+const MAX_METRICS = 10;
 
-// -------- utils ----------
-const toSlug = (s) => (s || '').trim().toLowerCase();
-const isFiniteNum = (x) => Number.isFinite(x) && !Number.isNaN(x);
+// metric=a,b ou metric=a&metric=b -> ['a', 'b'] (ordre conservé, sans doublon)
+const metricList = (q) => Array.from(new Set(
+  [].concat(q ?? []).flatMap(m => String(m).split(',')).map(m => m.trim()).filter(Boolean)
+));
 
-// -------- validation ----------
 const querySchema = z.object({
   company: z.string().min(1),
-  metric: z.string().optional(),
+  metrics: z.array(z.string().min(1)).max(MAX_METRICS),
   theme: z.string().optional(),
-  limit: z.coerce.number().int().min(1).max(50).optional()
+  limit: z.coerce.number().int().min(1).max(50).optional(),
+  cursor: z.string().min(1).optional(),
+  currency: z.string().regex(/^[A-Za-z]{3}$/).transform(c => c.toUpperCase()).optional(),
+  basis: z.enum(['latest', 'original']).optional(),
+  as_known_at: z.string()
+    .refine(s => !Number.isNaN(new Date(s).getTime()), { message: 'as_known_at must be an ISO date/time' })
+    .transform(s => new Date(s).toISOString())
+    .optional()
 });
 
-// -------- compute helpers ----------
-function computeChanges(seriesAsc) {
-  for (let i = 0; i < seriesAsc.length; i++) {
-    const cur = seriesAsc[i];
-    const prev = i > 0 ? seriesAsc[i - 1] : null;
-    cur.qoq = prev && isFiniteNum(prev.value) && prev.value !== 0
-      ? Number(((100 * (cur.value - prev.value)) / prev.value).toFixed(2))
-      : null;
-    // fallback YOY
-    cur.yoy = cur.qoq;
-    cur.trend = isFiniteNum(cur.qoq)
-      ? (cur.qoq > 0 ? 'up' : (cur.qoq < 0 ? 'down' : 'flat'))
-      : 'flat';
-  }
-  return seriesAsc;
-}
+// -------- insights ----------
+const byRank = (a, b) => (b.corroborated_score - a.corroborated_score) || (b.id - a.id);
 
-// Nouveau barème: s = |qoq|/100 (ex: 12% -> 0.12)
-function scoreToSignal(s) {
-  if (s == null) return 'none';
-  if (s >= 0.10) return 'strong';   // ≥ 10%
-  if (s >= 0.05) return 'moderate'; // 5–10%
-  if (s >= 0.02) return 'weak';     // 2–5%
-  return 'none';
-}
-
-module.exports = async (req, res) => {
-  try {
-    if (req.method !== 'GET') {
-      return res.status(405).json({ error: 'Method not allowed' });
-    }
+// Une ligne par cluster, classée et paginée en base (lib/ranking: cluster_score desc, id desc; curseur keyset).
+// as_known_at: clusters et scores dépendent des lignes connues à ce moment -> regroupement en JS, même ordre.
+async function insightsPage(company, parsed, lim) {
+  const cursor = parsed.cursor ? decodeCursor(parsed.cursor, ['s', 'id']) : null;
+  if (cursor && (!Number.isFinite(cursor.s) || !Number.isSafeInteger(cursor.id))) throw new CursorError();
+  const themeEnum = parsed.theme ? toSlug(parsed.theme) : null;
 
-    const parsed = querySchema.parse({
-      company: req.query.company,
-      metric: req.query.metric,
-      theme: req.query.theme,
-      limit: req.query.limit
+  let rows;
+  if (!parsed.as_known_at) {
+    rows = (await store.insights.listRanked(company.id, {
+      themeEnum,
+      after: cursor ? { score: cursor.s, id: cursor.id } : null,
+      limit: lim + 1,
+      columns: RANKED_COLS
+    })).map(rankedItem);
+  } else {
+    const insights = await store.insights.listByCompany(company.id, {
+      themeEnum,
+      createdBefore: parsed.as_known_at,
+      columns: `id, company_id, source_id, cluster_id, theme_enum, theme, text, confidence, created_at, ${SOURCE_EMBED}`
     });
-
-    const slug = toSlug(parsed.company);
-
-    // 1) Company
-    const { data: company, error: cErr } = await supabase
-      .from('companies')
-      .select('id, slug, name, domain')
-      .eq('slug', slug)
-      .maybeSingle();
-    if (cErr) return res.status(500).json({ error: `company select: ${cErr.message}` });
-    if (!company) return res.status(404).json({ error: 'company not found' });
-
-    // 2) Metrics (optionnel)
-    let metrics = {};
-    if (parsed.metric) {
-      const { data: factRows, error: fErr } = await supabase
-        .from('facts')
-        .select('as_of_date, metric_value_num, metric_key')
-        .eq('company_id', company.id)
-        .eq('metric_key', parsed.metric)
-        .order('as_of_date', { ascending: true });
-      if (fErr) return res.status(500).json({ error: `facts select: ${fErr.message}` });
-
-      // Filtrage NOT NULL et dédup par date côté JS
-      const byDate = new Map();
-      for (const r of factRows || []) {
-        if (r.metric_value_num == null) continue; // NOT NULL côté JS
-        const d = r.as_of_date ? new Date(r.as_of_date).toISOString().slice(0,10) : null;
-        if (!d) continue;
-        // garde la dernière valeur rencontrée pour cette date
-        byDate.set(d, Number(r.metric_value_num));
-      }
-      const seriesAsc = Array.from(byDate.entries())
-        .map(([date, value]) => ({ date, value }))
-        .sort((a,b) => new Date(a.date) - new Date(b.date));
-
-      computeChanges(seriesAsc);
-      const last = seriesAsc.length ? seriesAsc[seriesAsc.length - 1] : null;
-
-      metrics[parsed.metric] = {
-        series: seriesAsc.map(s => ({
-          date: s.date,
-          value: s.value,
-          yoy: s.yoy,
-          qoq: s.qoq,
-          trend: s.trend,
-          signal: scoreToSignal(Math.abs((s.qoq ?? 0) / 100)),
-          zscore_sector: null
-        })),
-        last: last ? {
-          date: last.date,
-          value: last.value,
-          yoy: last.yoy,
-          qoq: last.qoq,
-          trend: last.trend,
-          signal: scoreToSignal(Math.abs((last.qoq ?? 0) / 100)),
-          zscore_sector: null
-        } : null
-      };
-    }
-
-    // 3) Insights + provenance
-    const lim = parsed.limit ?? 5;
-    const themeFilter = parsed.theme ? { theme_enum: toSlug(parsed.theme) } : {};
-
-    const { data: insights, error: iErr } = await supabase
-      .from('insights')
-      .select(`
-        id, company_id, source_id, theme_enum, theme, text, confidence, created_at,
-        sources:source_id (
-          id, url, title, published_at,
-          publisher_domain, publisher_name, publisher_type, is_official, trust_score, source_type
-        )
-      `)
-      .eq('company_id', company.id)
-      .match(themeFilter)
-      .order('created_at', { ascending: false });
-    if (iErr) return res.status(500).json({ error: `insights select: ${iErr.message}` });
-
-    const enriched = (insights || []).map(r => {
-      const trust = r?.sources?.trust_score ?? 0;
+    const enriched = filterKnownAt(insights, parsed.as_known_at).map(r => {
       const conf = r?.confidence ?? 0;
-      const provenance_score = Number((conf * trust).toFixed(3));
       return {
         id: r.id,
+        cluster_id: r.cluster_id ?? r.id,
         date: r.created_at,
         theme: r.theme ?? r.theme_enum ?? 'other',
         text: r.text,
         confidence: conf,
-        provenance_score,
-        publisher: {
-          name: r?.sources?.publisher_name ?? null,
-          domain: r?.sources?.publisher_domain ?? null,
-          type: r?.sources?.publisher_type ?? 'other',
-          is_official: !!r?.sources?.is_official,
-          trust_score: r?.sources?.trust_score ?? 0,
-          doc_type: r?.sources?.source_type ?? 'other',
-          url: r?.sources?.url ?? null,
-          title: r?.sources?.title ?? null,
-          published_at: r?.sources?.published_at ?? null
-        }
+        provenance_score: provenanceScore(conf, r?.sources),
+        publisher: publisherOf(r?.sources)
       };
     });
 
+    // un insight par cluster (le mieux sourcé), corroboré par les autres éditeurs du cluster
     enriched.sort((a, b) => (b.provenance_score - a.provenance_score) || (new Date(b.date) - new Date(a.date)));
-    const topInsights = enriched.slice(0, lim);
-
-    const avgProv = topInsights.length
-      ? Number((topInsights.reduce((s, x) => s + (x.provenance_score ?? 0), 0) / topInsights.length).toFixed(3))
-      : null;
-
-    const byType = topInsights.reduce((acc, x) => {
-      const k = x.publisher?.type || 'other';
-      acc[k] = (acc[k] || 0) + 1;
-      return acc;
-    }, {});
-
-    // 4) Narratives simples
-    const narratives = [];
-    if (parsed.metric && metrics[parsed.metric]?.series?.length) {
-      for (const s of metrics[parsed.metric].series) {
-        narratives.push({
-          date: s.date,
-          metric: parsed.metric,
-          fr: s.yoy != null
-            ? `${company.name} affiche ${s.yoy > 0 ? 'une hausse' : 'une baisse'} de ${Math.abs(s.yoy).toFixed(2)}% de son ${parsed.metric} en ${new Date(s.date).getFullYear()}`
-            : `${company.name} n'a pas d'historique comparable pour ${parsed.metric} en ${new Date(s.date).getFullYear()}`,
-          en: s.yoy != null
-            ? `${company.name}’s ${parsed.metric} ${s.yoy > 0 ? 'rose' : 'fell'} ${Math.abs(s.yoy).toFixed(2)}% YoY`
-            : `${company.name} has no prior period to compare for ${parsed.metric} in ${new Date(s.date).getFullYear()}`,
-          yoy: s.yoy,
-          qoq: s.qoq,
-          trend: s.trend,
-          signal: s.signal
-        });
+    rows = collapseClusters(enriched, x => x.cluster_id)
+      .filter(x => !cursor || byRank(x, { corroborated_score: cursor.s, id: cursor.id }) > 0)
+      .sort(byRank);
+  }
+
+  const top = rows.slice(0, lim);
+  const last = top[top.length - 1];
+  return {
+    top,
+    next_cursor: rows.length > lim ? encodeCursor({ s: last.corroborated_score, id: last.id }) : null
+  };
+}
+
+// -------- read ----------
+// Corps de la réponse (mis en cache par société et version) -> { status, body, peers_updated_at }
+// peers_updated_at: version de contenu la plus récente des pairs comparés (Last-Modified)
+async function buildRead({ company, matched_by }, parsed, locales) {
+  const basis = parsed.basis ?? 'latest';
+  const asKnownAt = parsed.as_known_at ?? null;
+  let peersAt = null;
+
+  // 2) Metrics (optionnel): ingérées ou dérivées (formule du dictionnaire)
+  const metrics = {};
+  const rawSeries = []; // séries asc (périodes complètes) pour les narratifs
+  for (const metric of parsed.metrics) {
+    let loaded;
+    try {
+      loaded = await loadMetricSeries(store, company, metric, { currency: parsed.currency, basis, asKnownAt });
+    } catch (e) {
+      if (e.code === 'FX_RATE_MISSING') {
+        return { status: 422, body: { error: e.message, metric, missing_rates: e.missing } };
+      }
+      if (e.code === 'UNIT_MISMATCH') {
+        return { status: 422, body: { error: e.message, metric, base_units: e.base_units } };
+      }
+      if (e.code === 'CURRENCY_MISMATCH') {
+        return { status: 422, body: { error: e.message, metric, currencies: e.currencies } };
       }
+      if (e.code === 'FORMULA_INVALID') {
+        return { status: 422, body: { error: e.message, metric, formula: e.formula } };
+      }
+      throw e;
+    }
+    const seriesAsc = loaded.series;
+    const baseUnit = baseUnitsOf(seriesAsc)[0] ?? null;
+
+    // Pairs (même secteur / industrie): z-score et rang percentile sur la même période
+    // (métriques ingérées seulement: une formule serait à recalculer pour chaque pair)
+    const group = loaded.derived ? null : await loadPeerGroup(store, company);
+    for (const c of group?.companies ?? []) {
+      if (c.content_updated_at && (!peersAt || new Date(c.content_updated_at) > new Date(peersAt))) peersAt = c.content_updated_at;
     }
+    const peerSeries = group
+      ? await loadPeerSeries(store, group.companies, metric, { currency: parsed.currency, subjectId: company.id, baseUnit, basis, asKnownAt, metricId: loaded.metric_id })
+      : new Map();
 
-    return res.status(200).json({
-      company: { slug: company.slug, name: company.name, domain: company.domain ?? null },
+    const toPoint = (s) => {
+      const peers = scoreAgainst(s.value, peerValuesAt(peerSeries, s.period.type, s.date));
+      return {
+        date: s.date,
+        period: s.period.label,
+        period_type: s.period.type,
+        fiscal_year: s.period.fiscal_year,
+        value: s.value,
+        base_unit: s.base_unit ?? null,
+        currency: s.currency ?? null,
+        ...(s.original_currency ? {
+          original_value: s.original_value,
+          original_currency: s.original_currency,
+          fx_rate: s.fx_rate,
+          fx_rate_date: s.fx_rate_date
+        } : {}),
+        restated: s.restated,
+        ...(s.restated && basis === 'latest' ? { as_reported_value: s.as_reported_value } : {}),
+        yoy: s.yoy,
+        qoq: s.qoq,
+        trend: s.trend,
+        signal: signalOf(s),
+        zscore_sector: peers.zscore,
+        percentile_sector: peers.percentile,
+        sources: s.inputs ? inputSourceIds(s.inputs).size : s.consensus.candidates.length,
+        ...(s.inputs ? { inputs: s.inputs } : {}),
+        ...(s.consensus?.candidates.length > 1 ? {
+          consensus: {
+            agreement: s.consensus.agreement,
+            conflict: s.consensus.conflict,
+            spread: s.consensus.spread,
+            candidates: s.consensus.candidates
+              .sort((a, b) => b.weight - a.weight)
+              .map(describeCandidate)
+          }
+        } : {})
+      };
+    };
+
+    const series = seriesAsc.map(toPoint);
+    rawSeries.push({ metric, label: loaded.label, series: seriesAsc });
+    metrics[metric] = {
+      derived: loaded.derived,
+      ...(loaded.derived ? { key_slug: loaded.key_slug, formula: loaded.formula } : {}),
+      basis,
+      base_unit: baseUnit,
+      series,
+      last: series.length ? series[series.length - 1] : null,
+      peer_group: group
+        ? { level: group.level, sector: group.sector, industry: group.industry, companies: group.companies.length }
+        : null
+    };
+  }
+
+  // 3) Insights + provenance (une page de clusters)
+  const insights = await insightsPage(company, parsed, parsed.limit ?? 5);
+  const topInsights = insights.top;
+
+  const avgProv = topInsights.length
+    ? Number((topInsights.reduce((s, x) => s + (x.provenance_score ?? 0), 0) / topInsights.length).toFixed(3))
+    : null;
+
+  const byType = topInsights.reduce((acc, x) => {
+    const k = x.publisher?.type || 'other';
+    acc[k] = (acc[k] || 0) + 1;
+    return acc;
+  }, {});
+
+  // 4) Narratives: une phrase par point et par langue, puis un paragraphe de synthèse
+  const narratives = [];
+  for (const { metric, label, series } of rawSeries) {
+    for (const { point, texts } of metricNarratives({ company, metric: label, series, locales })) {
+      narratives.push({
+        date: point.date,
+        period: point.period.label,
+        period_type: point.period.type,
+        metric,
+        ...texts,
+        yoy: point.yoy,
+        qoq: point.qoq,
+        trend: point.trend,
+        signal: signalOf(point)
+      });
+    }
+  }
+  const summary = companySummary({ company, metrics: rawSeries.map(m => ({ metric: m.label, series: m.series })), insights: topInsights, locales });
+
+  return {
+    status: 200,
+    peers_updated_at: peersAt,
+    body: {
+      company: {
+        slug: company.slug,
+        name: company.name,
+        matched_by,
+        domain: company.domain ?? null,
+        sector: company.sector ?? null,
+        industry: company.industry ?? null
+      },
+      as_known_at: asKnownAt,
       metrics,
-      insights: { top: topInsights, aggregates: { avg_provenance_score: avgProv, count_by_publisher_type: byType } },
-      narratives
+      insights: {
+        top: topInsights,
+        next_cursor: insights.next_cursor,
+        aggregates: { avg_provenance_score: avgProv, count_by_publisher_type: byType }
+      },
+      narratives,
+      summary
+    }
+  };
+}
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const apiKey = await authorize(store, req, res, 'read');
+    if (!apiKey) return;
+
+    const query = querySchema.safeParse({
+      company: req.query.company,
+      metrics: metricList(req.query.metric),
+      theme: req.query.theme,
+      limit: req.query.limit,
+      currency: req.query.currency,
+      basis: req.query.basis,
+      as_known_at: req.query.as_known_at,
+      cursor: req.query.cursor
     });
+    if (!query.success) return res.status(400).json({ error: query.error.issues.map(i => i.message).join('; ') });
+    const parsed = query.data;
+    const locales = localesOf(req.query.lang);
+
+    // 1) Company (slug, nom, alias, ticker, ISIN, LEI ou domaine) et sa version de contenu
+    const resolved = await resolveCompany(store, parsed.company, `${COMPANY_COLS}, content_updated_at`);
+    if (!resolved) return res.status(404).json({ error: 'company not found' });
+    const { company } = resolved;
+    if (!allowsCompany(apiKey, company.id)) return res.status(403).json({ error: 'API key not allowed for this company' });
+
+    // Réponse en cache pour ces versions (société, globale); sans entrée vivante, 304 seulement après
+    // construction: Last-Modified dépend aussi des faits des pairs
+    const key = JSON.stringify({ ...parsed, locales });
+    const globalAt = await globalVersion(store);
+    const cached = getCached(company, key, globalAt);
+    if (cached) {
+      setValidators(res, cached);
+      if (isNotModified(req, cached)) return res.status(304).end();
+      return res.status(200).json(cached.body);
+    }
+
+    let built;
+    try {
+      built = await buildRead(resolved, parsed, locales);
+    } catch (e) {
+      if (e.code === 'CURSOR_INVALID') return res.status(400).json({ error: e.message });
+      throw e;
+    }
+    if (built.status !== 200) return res.status(built.status).json(built.body);
+    const entry = setCached(company, key, built.body, globalAt, built.peers_updated_at);
+    setValidators(res, entry);
+    if (isNotModified(req, entry)) return res.status(304).end();
+    return res.status(200).json(entry.body);
 
   } catch (err) {
     console.error('READ ERROR:', err);
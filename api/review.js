@@ -0,0 +1,188 @@
+// /api/review.js — Lowpill v1.1.1
+// Review queue of quarantined facts ('ingest' scope): /api/ingest quarantines numeric outliers (lib/anomalies),
+// they stay out of series, exports and alerts until approved or corrected. A company-restricted key sees its companies only.
+// GET: ?company=, ?metric=, ?status=quarantined|rejected, limit, cursor -> facts with their anomaly
+//      ?id=<fact id>: one fact + its review decisions
+// POST: { action: 'approve', id, note? }                published as is
+//       { action: 'correct', id, value, unit?, note? }  value re-read with the unit (the fact's unit by default), published
+//       { action: 'reject', id, note? }                 kept out of series
+// Every decision is recorded in fact_reviews (key, previous / corrected value, note).
+// + a decision gives the company a new content version (read cache, lib/cache)
+// + malformed ?id= or cursor id: 400 instead of 500
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { canonicalize } = require('../lib/units');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { encodeCursor, decodeCursor } = require('../lib/cursor');
+const { resolveCompany } = require('../lib/identity');
+const { companyChanged } = require('../lib/cache');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const DEFAULT_LIMIT = 50;
+const FACT_COLS = `id, company_id, source_id, metric_id, metric_key, as_of_date, qualifier, metric_value, metric_value_num,
+  unit, unit_scale, base_unit, currency, review_status, anomaly, created_at`;
+
+// -------- validation ----------
+const note = z.string().trim().min(1).max(1000).optional();
+const factId = z.coerce.number().int().positive();
+
+const bodySchema = z.discriminatedUnion('action', [
+  z.object({ action: z.literal('approve'), id: factId, note }),
+  z.object({
+    action: z.literal('correct'),
+    id: factId,
+    value: z.union([z.string().trim().min(1), z.number()]).transform(String),
+    unit: z.string().trim().min(1).optional(),
+    note
+  }),
+  z.object({ action: z.literal('reject'), id: factId, note })
+]);
+
+const listSchema = z.object({
+  company: z.string().min(1).optional(),
+  metric: z.string().min(1).optional(),
+  status: z.enum(['quarantined', 'rejected']).optional(),
+  id: factId.optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  cursor: z.string().min(1).optional()
+});
+
+async function list(req, res, apiKey) {
+  const parsed = listSchema.safeParse({
+    company: req.query.company,
+    metric: req.query.metric,
+    status: req.query.status,
+    id: req.query.id,
+    limit: req.query.limit,
+    cursor: req.query.cursor
+  });
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+  const q = parsed.data;
+
+  // un fait et ses décisions
+  if (q.id) {
+    const fact = await store.facts.findById(q.id, FACT_COLS);
+    if (!fact || !allowsCompany(apiKey, fact.company_id)) return res.status(404).json({ error: 'fact not found' });
+    return res.status(200).json({ fact, reviews: await store.factReviews.listByFact(fact.id) });
+  }
+
+  let companyIds = apiKey.company_ids ?? null;
+  if (q.company) {
+    const company = (await resolveCompany(store, q.company, 'id'))?.company;
+    if (!company) return res.status(404).json({ error: 'company not found' });
+    if (!allowsCompany(apiKey, company.id)) return res.status(403).json({ error: 'API key not allowed for this company' });
+    companyIds = [company.id];
+  }
+
+  let metricId = null;
+  if (q.metric) {
+    const metric = await store.metrics.findBySlug(toSlug(q.metric), 'id');
+    if (!metric) return res.status(404).json({ error: 'metric not found' });
+    metricId = metric.id;
+  }
+
+  let beforeId = null;
+  if (q.cursor) {
+    try {
+      beforeId = factId.parse(decodeCursor(q.cursor, ['id']).id);
+    } catch (e) {
+      return res.status(400).json({ error: 'invalid cursor' });
+    }
+  }
+
+  const lim = q.limit ?? DEFAULT_LIMIT;
+  const rows = await store.facts.listForReview({
+    companyIds,
+    metricId,
+    status: q.status ?? 'quarantined',
+    beforeId,
+    limit: lim + 1,
+    columns: FACT_COLS
+  });
+  const page = rows.slice(0, lim);
+  return res.status(200).json({
+    count: page.length,
+    facts: page,
+    next_cursor: rows.length > lim ? encodeCursor({ id: page[page.length - 1].id }) : null
+  });
+}
+
+// décision -> patch du fait (null + message si la correction est illisible)
+function reviewPatch(body, fact) {
+  if (body.action === 'approve') return { patch: { review_status: 'published' } };
+  if (body.action === 'reject') return { patch: { review_status: 'rejected' } };
+
+  const unit = body.unit ?? fact.unit;
+  const canon = canonicalize(body.value, unit);
+  if (canon.value_num == null) return { error: 'value is not numeric' };
+  return {
+    patch: {
+      review_status: 'published',
+      metric_value: body.value,
+      metric_value_num: canon.value_num,
+      metric_value_raw_num: canon.raw_num,
+      unit_scale: canon.unit_scale,
+      unit,
+      base_unit: canon.base_unit ?? fact.base_unit,
+      currency: canon.currency ?? fact.currency
+    }
+  };
+}
+
+async function decide(body, apiKey, res) {
+  const fact = await store.facts.findById(body.id, FACT_COLS);
+  if (!fact || !allowsCompany(apiKey, fact.company_id)) return res.status(404).json({ error: 'fact not found' });
+  if (fact.review_status !== 'quarantined') {
+    return res.status(409).json({ error: 'fact is not quarantined', review_status: fact.review_status });
+  }
+
+  const { patch, error } = reviewPatch(body, fact);
+  if (error) return res.status(400).json({ error });
+
+  // la mise à jour ne passe que si personne n'a décidé entre-temps
+  const updated = await store.facts.decide(fact.id, patch);
+  if (!updated) return res.status(409).json({ error: 'fact was reviewed concurrently' });
+  await companyChanged(store, [fact.company_id]);
+
+  const review = await store.factReviews.insert({
+    fact_id: fact.id,
+    company_id: fact.company_id,
+    decision: body.action,
+    previous_value: fact.metric_value,
+    previous_value_num: fact.metric_value_num,
+    corrected_value: body.action === 'correct' ? patch.metric_value : null,
+    corrected_value_num: body.action === 'correct' ? patch.metric_value_num : null,
+    corrected_unit: body.action === 'correct' ? patch.unit : null,
+    note: body.note ?? null,
+    api_key_id: apiKey.id,
+    api_key_name: apiKey.name
+  });
+  return res.status(200).json({ ok: true, fact: updated, review });
+}
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+    const apiKey = await authorize(store, req, res, 'ingest');
+    if (!apiKey) return;
+    if (req.method === 'GET') return await list(req, res, apiKey);
+
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    const parsed = bodySchema.safeParse(body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues.map(i => i.message).join('; ') });
+    }
+    return await decide(parsed.data, apiKey, res);
+
+  } catch (err) {
+    console.error('REVIEW ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
@@ -0,0 +1,64 @@
+// /api/scorecard.js — Lowpill v1.1.0
+// Company scorecard by framework bucket (competitiveness / solvency / development): latest metrics scored by
+// trend and signal strength, bucket + overall scores with an explanation, and the history of those scores
+// + API key with the 'read' scope; a company-restricted key gets 403 on other companies
+const { z } = require('zod');
+const { COMPANY_COLS } = require('../lib/peers');
+const { loadBucketSeries, scoreAt, scoreHistory } = require('../lib/scorecard');
+const { resolveCompany } = require('../lib/identity');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+// -------- validation ----------
+const querySchema = z.object({
+  company: z.string().min(1),
+  basis: z.enum(['latest', 'original']).optional(),
+  as_known_at: z.string()
+    .refine(s => !Number.isNaN(new Date(s).getTime()), { message: 'as_known_at must be an ISO date/time' })
+    .transform(s => new Date(s).toISOString())
+    .optional()
+});
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const apiKey = await authorize(store, req, res, 'read');
+    if (!apiKey) return;
+
+    const parsed = querySchema.parse({
+      company: req.query.company,
+      basis: req.query.basis,
+      as_known_at: req.query.as_known_at
+    });
+    const basis = parsed.basis ?? 'latest';
+    const asKnownAt = parsed.as_known_at ?? null;
+
+    const company = (await resolveCompany(store, parsed.company, COMPANY_COLS))?.company;
+    if (!company) return res.status(404).json({ error: 'company not found' });
+    if (!allowsCompany(apiKey, company.id)) return res.status(403).json({ error: 'API key not allowed for this company' });
+
+    const { loaded, skipped } = await loadBucketSeries(store, company, { basis, asKnownAt });
+
+    // Dernier point de chaque métrique (à as_known_at pour une vue point-in-time)
+    const asOf = asKnownAt || new Date().toISOString();
+    const latest = scoreAt(loaded, asOf);
+
+    return res.status(200).json({
+      company: { slug: company.slug, name: company.name },
+      basis,
+      as_known_at: asKnownAt,
+      overall: latest.overall,
+      buckets: latest.buckets,
+      skipped,
+      history: scoreHistory(loaded)
+    });
+
+  } catch (err) {
+    console.error('SCORECARD ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
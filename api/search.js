@@ -0,0 +1,182 @@
+// /api/search.js — Lowpill v1.2.1
+// Full-text search over insight text and news headline / summary / full_text, all companies
+// Query: q, company (slug, alias, ticker, ISIN...; comma list), theme, publisher_type (comma list), type (insight|news), from, to, limit (<=50)
+// Ranking: relevance × provenance_score × recency (lib/search); FR/EN, accents folded like toSlug
+// + one result per near-duplicate cluster; provenance corroborated by the other publishers of the cluster (lib/cluster)
+// + API key with the 'read' scope; a company-restricted key only searches its companies
+// + malformed query (q too short, type, dates, limit): 400 instead of 500
+const { z } = require('zod');
+const { toSlug } = require('../lib/slug');
+const { SOURCE_EMBED, publisherOf, provenanceScore } = require('../lib/provenance');
+const { searchText, queryTerms, scoreRelevance, recencyOf, rankScore, snippet } = require('../lib/search');
+const { resolveCompany } = require('../lib/identity');
+const { authorize, allowsCompany } = require('../lib/auth');
+const { collapseClusters } = require('../lib/cluster');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+
+const DEFAULT_LIMIT = 20;
+// Candidats lus par table (les plus récents) avant le classement en mémoire
+const CANDIDATE_LIMIT = 500;
+
+const COMPANY_EMBED = 'companies:company_id ( slug, name )';
+const INSIGHT_COLS = `id, company_id, source_id, cluster_id, theme_enum, theme, text, confidence, created_at, search_text, ${COMPANY_EMBED}, ${SOURCE_EMBED}`;
+const NEWS_COLS = `id, company_id, source_id, cluster_id, event_date, headline, summary, full_text, theme_enum, importance, created_at, search_text, ${COMPANY_EMBED}, ${SOURCE_EMBED}`;
+
+// a,b ou a&b -> ['a', 'b']
+const listParam = (q) => Array.from(new Set(
+  [].concat(q ?? []).flatMap(m => String(m).split(',')).map(m => m.trim()).filter(Boolean)
+));
+
+// -------- validation ----------
+const isoDate = (endOfDay) => z.string()
+  .refine(s => !Number.isNaN(new Date(s).getTime()), { message: 'expected an ISO date/time' })
+  .transform(s => (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T23:59:59.999Z` : s))
+  .transform(s => new Date(s).toISOString());
+
+const querySchema = z.object({
+  q: z.string().trim().min(2).max(200),
+  companies: z.array(z.string().min(1)).max(50),
+  theme: z.string().optional(),
+  publisher_types: z.array(z.string().min(1)),
+  type: z.enum(['insight', 'news']).optional(),
+  from: isoDate(false).optional(),
+  to: isoDate(true).optional(),
+  limit: z.coerce.number().int().min(1).max(50).optional()
+});
+
+const companyOf = (r) => ({ slug: r.companies?.slug ?? null, name: r.companies?.name ?? null });
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+    const apiKey = await authorize(store, req, res, 'read');
+    if (!apiKey) return;
+
+    const query = querySchema.safeParse({
+      q: req.query.q,
+      companies: listParam(req.query.company),
+      theme: req.query.theme,
+      publisher_types: listParam(req.query.publisher_type),
+      type: req.query.type,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit
+    });
+    if (!query.success) return res.status(400).json({ error: query.error.issues.map(i => i.message).join('; ') });
+    const parsed = query.data;
+    const lim = parsed.limit ?? DEFAULT_LIMIT;
+
+    const terms = queryTerms(parsed.q);
+    if (!terms.length) return res.status(400).json({ error: 'query has no searchable words' });
+    const folded = searchText(parsed.q);
+    const phrase = folded.includes(' ') ? folded : null;
+
+    // 1) Sociétés (optionnel)
+    let companyIds = null;
+    let companySlugs = [];
+    if (parsed.companies.length) {
+      const found = [];
+      for (const ref of parsed.companies) {
+        const resolved = await resolveCompany(store, ref, 'id, slug');
+        if (resolved) found.push(resolved.company);
+      }
+      if (!found.length) return res.status(404).json({ error: 'company not found' });
+      if (!found.every(c => allowsCompany(apiKey, c.id))) return res.status(403).json({ error: 'API key not allowed for this company' });
+      companyIds = found.map(c => c.id);
+      companySlugs = found.map(c => c.slug);
+    } else if (apiKey.company_ids) {
+      companyIds = apiKey.company_ids;
+    }
+    const themeEnum = parsed.theme ? toSlug(parsed.theme) : null;
+    const publisherTypes = parsed.publisher_types.map(toSlug);
+
+    // 2) Candidats: search_text contient un des termes (date des insights: publication de la source, filtrée ensuite)
+    const insights = parsed.type === 'news' ? [] : await store.insights.search(terms, {
+      companyIds, themeEnum, limit: CANDIDATE_LIMIT, columns: INSIGHT_COLS
+    });
+    const news = parsed.type === 'insight' ? [] : await store.news.search(terms, {
+      companyIds, themeEnum, from: parsed.from, to: parsed.to, limit: CANDIDATE_LIMIT, columns: NEWS_COLS
+    });
+
+    const docs = [
+      ...insights.map(r => ({
+        kind: 'insight',
+        id: r.id,
+        cluster_id: r.cluster_id ?? r.id,
+        company: companyOf(r),
+        date: r.sources?.published_at ?? r.created_at,
+        theme: r.theme ?? r.theme_enum ?? 'other',
+        text: r.text,
+        snippet: snippet(r.text, terms),
+        confidence: r.confidence ?? 0,
+        provenance_score: provenanceScore(r.confidence, r.sources),
+        publisher: publisherOf(r.sources),
+        search_text: r.search_text || searchText(r.text)
+      })),
+      ...news.map(r => ({
+        kind: 'news',
+        id: r.id,
+        cluster_id: r.cluster_id ?? r.id,
+        company: companyOf(r),
+        date: r.event_date,
+        theme: r.theme_enum ?? 'other',
+        headline: r.headline,
+        summary: r.summary ?? null,
+        snippet: snippet([r.summary, r.full_text].filter(Boolean).join(' — ') || r.headline, terms),
+        importance: r.importance ?? null,
+        provenance_score: provenanceScore(1, r.sources),
+        publisher: publisherOf(r.sources),
+        search_text: r.search_text || searchText(r.headline, r.summary, r.full_text)
+      }))
+    ].filter(d => {
+      if (publisherTypes.length && !publisherTypes.includes(d.publisher.type)) return false;
+      const t = new Date(d.date).toISOString();
+      return (!parsed.from || t >= parsed.from) && (!parsed.to || t <= parsed.to);
+    });
+
+    // 3) Classement: un résultat par cluster (le mieux classé), provenance corroborée par les autres membres
+    const relevance = scoreRelevance(docs, terms, phrase);
+    const now = Date.now();
+    const byScore = (a, b) => (b.score - a.score) || (new Date(b.date) - new Date(a.date));
+    const scored = docs
+      .map((d, i) => {
+        const { search_text, ...item } = d;
+        const recency = recencyOf(d.date, now);
+        return { ...item, score: rankScore(relevance[i], d.provenance_score, recency), relevance: relevance[i], recency };
+      })
+      .filter(r => r.relevance > 0)
+      .sort(byScore);
+    const results = collapseClusters(scored, r => `${r.kind}:${r.cluster_id}`)
+      .map(r => ({
+        ...r,
+        score: Number(rankScore(r.relevance, r.corroborated_score, r.recency).toFixed(4)),
+        relevance: Number(r.relevance.toFixed(4)),
+        recency: Number(r.recency.toFixed(4))
+      }))
+      .sort(byScore);
+
+    return res.status(200).json({
+      query: parsed.q,
+      terms,
+      filters: {
+        companies: companySlugs,
+        theme: themeEnum,
+        publisher_types: publisherTypes,
+        type: parsed.type ?? null,
+        from: parsed.from ?? null,
+        to: parsed.to ?? null
+      },
+      total: results.length,
+      truncated: insights.length >= CANDIDATE_LIMIT || news.length >= CANDIDATE_LIMIT,
+      results: results.slice(0, lim)
+    });
+
+  } catch (err) {
+    console.error('SEARCH ERROR:', err);
+    return res.status(500).json({ error: err?.message || 'unknown' });
+  }
+};
@@ -0,0 +1,228 @@
+// /lib/alerts.js — alert subscriptions evaluated at ingest; matching events are queued in alert_deliveries
+// (one per subscription and event, so a re-ingested document alerts once). Ingest only queues: deliveries are
+// POSTed by lib/webhooks from deliverDue (POST /api/alerts { action: 'deliver' }, or scripts/deliver-alerts.js
+// from a cron), so a slow receiver never holds an ingest request. A failed delivery is retried with exponential
+// backoff, every attempt is kept in alert_delivery_attempts.
+const { loadSeries } = require('./series');
+const { signalOf } = require('./signals');
+const { postWebhook } = require('./webhooks');
+
+const EVENT_TYPES = ['metric_signal', 'news_importance', 'official_source'];
+const SIGNAL_LEVELS = ['weak', 'moderate', 'strong'];
+const SIGNAL_RANK = { none: 0, weak: 1, moderate: 2, strong: 3 };
+
+// Nouvelle tentative après 1 min, 2, 4... (6 h au plus); 'failed' après MAX_ATTEMPTS
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+// Une tentative en cours réserve la livraison (pas d'envoi en double par deux exécutions concurrentes)
+const LEASE_MS = 60 * 1000;
+
+const SUB_COLS = 'id, name, event_type, company_id, metric_key, theme_enum, min_signal, min_importance, url, secret, active';
+const COMPANY_COLS = 'id, slug, name, fiscal_year_end';
+
+const backoffMs = (attempts) => Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1));
+const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : null);
+
+// ---------- évaluation ----------
+// Séries des métriques dont des faits viennent d'être insérés -> signaux des périodes touchées
+// Série chargée par l'entrée du dictionnaire (metric_id résolu à l'ingestion), comme api/read: les faits
+// saisis "Revenue" et "revenue" forment une seule série
+async function metricEvents(store, company, facts, subs) {
+  const byMetric = new Map();
+  for (const f of facts) {
+    if (f.status !== 'insert' || f.review_status === 'quarantined' || !f.key_slug || !f.as_of_date) continue;
+    if (!byMetric.has(f.key_slug)) byMetric.set(f.key_slug, { metricKey: f.metric_key, metricId: f.metric_id ?? null, dates: new Set() });
+    byMetric.get(f.key_slug).dates.add(day(f.as_of_date));
+  }
+
+  const events = [];
+  for (const [slug, { metricKey, metricId, dates }] of byMetric) {
+    const targets = subs.filter(s => !s.metric_key || s.metric_key === slug);
+    if (!targets.length) continue;
+    let series;
+    try {
+      series = metricId
+        ? await loadSeries(store, company, null, { metricId })
+        : await loadSeries(store, company, metricKey);
+    } catch (e) {
+      if (e.code === 'UNIT_MISMATCH') continue; // pas de série: pas de signal
+      throw e;
+    }
+    for (const p of series.filter(x => dates.has(day(x.date)))) {
+      const signal = signalOf(p);
+      for (const sub of targets.filter(s => SIGNAL_RANK[signal] >= SIGNAL_RANK[s.min_signal || 'strong'])) {
+        events.push({
+          sub,
+          event_key: `metric:${slug}:${p.period.key}:${signal}`,
+          data: {
+            metric: { key: slug, label: metricKey },
+            period: p.period.label,
+            period_type: p.period.type,
+            date: p.date,
+            value: p.value,
+            currency: p.currency ?? null,
+            base_unit: p.base_unit ?? null,
+            yoy: p.yoy,
+            qoq: p.qoq,
+            trend: p.trend,
+            signal
+          }
+        });
+      }
+    }
+  }
+  return events;
+}
+
+// rapport d'ingestion d'une source (api/ingest) + abonnements de la société -> [{ sub, event_key, data }]
+async function evaluate(store, company, report, subs) {
+  const of = (type) => subs.filter(s => s.event_type === type);
+  const source = report.source || {};
+  const sourceBlock = {
+    id: report.source_id ?? null,
+    url: source.url ?? null,
+    action: source.action ?? null,
+    version: source.version ?? null,
+    doc_type: source.doc_type ?? null,
+    publisher_name: source.provenance?.publisher_name ?? null,
+    publisher_type: source.provenance?.publisher_type ?? null,
+    is_official: !!source.provenance?.is_official,
+    trust_score: source.provenance?.trust_score ?? null
+  };
+  const events = [];
+
+  // nouveau document officiel (ou nouvelle version)
+  if (['create', 'new_version'].includes(source.action) && source.provenance?.is_official) {
+    for (const sub of of('official_source')) {
+      events.push({ sub, event_key: `source:${report.source_id}`, data: { source: sourceBlock } });
+    }
+  }
+
+  for (const n of (report.news || []).filter(d => d.status === 'insert')) {
+    for (const sub of of('news_importance')) {
+      if (n.importance < Number(sub.min_importance ?? 0.8)) continue;
+      if (sub.theme_enum && sub.theme_enum !== n.theme_enum) continue;
+      events.push({
+        sub,
+        event_key: `news:${n.text_md5}`,
+        data: {
+          news: { headline: n.headline, event_date: n.event_date, importance: n.importance, theme: n.theme_enum ?? 'other' },
+          source: sourceBlock
+        }
+      });
+    }
+  }
+
+  if (of('metric_signal').length) {
+    const metrics = await metricEvents(store, company, report.facts || [], of('metric_signal'));
+    for (const e of metrics) events.push({ ...e, data: { ...e.data, source: sourceBlock } });
+  }
+  return events;
+}
+
+// ---------- livraison ----------
+const bodyOf = (delivery) => JSON.stringify({ delivery_id: delivery.id, ...delivery.payload });
+
+// Une tentative (réservée au préalable) -> ligne alert_deliveries à jour; retry false: une seule tentative (test)
+async function attempt(store, delivery, sub, { retry = true } = {}) {
+  const leaseUntil = new Date(Date.now() + LEASE_MS).toISOString();
+  if (!(await store.alertDeliveries.claim(delivery.id, delivery.attempts, leaseUntil))) return null;
+
+  const n = delivery.attempts + 1;
+  const result = sub?.active
+    ? await postWebhook(sub.url, sub.secret, { event: delivery.event_type, delivery: delivery.id, body: bodyOf(delivery) })
+    : { ok: false, status_code: null, error: 'subscription disabled', duration_ms: 0 };
+  await store.alertAttempts.insert({
+    delivery_id: delivery.id,
+    attempt: n,
+    status_code: result.status_code,
+    error: result.error,
+    duration_ms: result.duration_ms
+  });
+
+  const now = Date.now();
+  const done = result.ok || !sub?.active || !retry || n >= MAX_ATTEMPTS;
+  return store.alertDeliveries.update(delivery.id, {
+    attempts: n,
+    status: result.ok ? 'delivered' : (done ? 'failed' : 'pending'),
+    last_status_code: result.status_code,
+    last_error: result.error,
+    delivered_at: result.ok ? new Date(now).toISOString() : null,
+    next_attempt_at: new Date(done ? now : now + backoffMs(n)).toISOString()
+  });
+}
+
+const tally = (rows) => ({
+  delivered: rows.filter(d => d?.status === 'delivered').length,
+  retrying: rows.filter(d => d?.status === 'pending').length,
+  failed: rows.filter(d => d?.status === 'failed').length
+});
+
+// ligne alert_deliveries d'un événement (payload = corps du webhook, sans delivery_id)
+const deliveryRow = (sub, type, eventKey, company, data) => ({
+  subscription_id: sub.id,
+  event_type: type,
+  event_key: eventKey,
+  company_id: company?.id ?? null,
+  payload: {
+    type,
+    created_at: new Date().toISOString(),
+    subscription: { id: sub.id, name: sub.name ?? null },
+    company: company ? { slug: company.slug, name: company.name } : null,
+    data
+  },
+  next_attempt_at: new Date().toISOString()
+});
+
+// événements -> livraisons nouvelles (doublons ignorés), dues tout de suite -> nombre de livraisons créées
+async function queue(store, company, events) {
+  let queued = 0;
+  for (const e of events) {
+    if (await store.alertDeliveries.insertNew(deliveryRow(e.sub, e.sub.event_type, e.event_key, company, e.data))) queued++;
+  }
+  return queued;
+}
+
+// rapports d'ingestion (écrits, pas dry-run) -> alertes de leurs sociétés, en file (envoi: deliverDue)
+async function raiseAlerts(store, reports) {
+  const stats = { queued: 0 };
+  for (const report of reports) {
+    if (report.company_id == null) continue;
+    const subs = await store.alertSubscriptions.listActiveFor(report.company_id, SUB_COLS);
+    if (!subs.length) continue;
+    const company = await store.companies.findById(report.company_id, COMPANY_COLS);
+    stats.queued += await queue(store, company, await evaluate(store, company, report, subs));
+  }
+  return stats;
+}
+
+// Livraison de test (ping) d'un abonnement
+async function sendTest(store, sub) {
+  const company = sub.company_id != null ? await store.companies.findById(sub.company_id, COMPANY_COLS) : null;
+  const row = await store.alertDeliveries.insertNew(deliveryRow(sub, 'test', `test:${Date.now()}`, company, { message: 'Lowpill webhook test' }));
+  return attempt(store, row, sub, { retry: false });
+}
+
+// Livraisons 'pending' arrivées à échéance: nouvelles (mises en file à l'ingestion) et retries
+async function deliverDue(store, { limit = 50 } = {}) {
+  const due = await store.alertDeliveries.listDue(new Date().toISOString(), limit);
+  const subs = new Map();
+  const out = [];
+  for (const d of due) {
+    if (!subs.has(d.subscription_id)) subs.set(d.subscription_id, await store.alertSubscriptions.findById(d.subscription_id, SUB_COLS));
+    out.push(await attempt(store, d, subs.get(d.subscription_id)));
+  }
+  return { due: due.length, ...tally(out) };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  SIGNAL_LEVELS,
+  MAX_ATTEMPTS,
+  backoffMs,
+  evaluate,
+  raiseAlerts,
+  sendTest,
+  deliverDue
+};
@@ -0,0 +1,95 @@
+// /lib/anomalies.js — outlier check of a new numeric fact against the company's history for that metric
+// A value off by a power of 1000 (FR/US decimal guess, k/m/b suffix, unit scale) or in another base unit
+// than the history is quarantined by /api/ingest (facts.review_status) until reviewed in /api/review.
+
+// Écart toléré avec la médiane des points voisins (une croissance x50 d'une période à l'autre est déjà suspecte)
+const MAX_RATIO = 50;
+// Points de l'historique comparés: les plus proches en date
+const HISTORY_POINTS = 8;
+// Sans historique: un pourcentage au-delà est forcément mal lu
+const MAX_PERCENT = 1000;
+
+// Facteurs d'échelle qu'une mauvaise lecture produit typiquement (x100: fraction lue comme %)
+const SCALE_FACTORS = [1e3, 1e6, 1e9];
+const PERCENT_FACTORS = [100, ...SCALE_FACTORS];
+
+const median = (values) => {
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// ratio ~ 1000^k (à un facteur 3 près) -> facteur probable, sinon null
+function likelyScale(ratio, factors) {
+  const lr = Math.log10(ratio);
+  for (const f of factors) {
+    const lf = Math.log10(f);
+    if (Math.abs(lr - lf) < 0.5) return f;
+    if (Math.abs(lr + lf) < 0.5) return 1 / f;
+  }
+  return null;
+}
+
+// Base d'unité majoritaire de l'historique
+function dominantBaseUnit(history) {
+  const counts = new Map();
+  for (const h of history) if (h.base_unit) counts.set(h.base_unit, (counts.get(h.base_unit) || 0) + 1);
+  return Array.from(counts).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+// fact { value, base_unit, currency, as_of_date } + history [{ metric_value_num, base_unit, currency, as_of_date }]
+// -> null (rien à signaler) | { reasons, history_points, history_median?, ratio?, likely_scale?, suggested_value?, expected_base_unit? }
+function detectAnomaly(fact, history = []) {
+  const value = Number(fact.value);
+  if (fact.value == null || !Number.isFinite(value)) return null;
+  const reasons = [];
+  const out = { history_points: 0 };
+
+  const expectedBase = dominantBaseUnit(history);
+  if (expectedBase && fact.base_unit && fact.base_unit !== expectedBase) {
+    reasons.push('unit_mismatch');
+    out.expected_base_unit = expectedBase;
+  }
+
+  // comparables: même base d'unité, même devise quand les deux sont connues
+  const at = fact.as_of_date ? new Date(fact.as_of_date).getTime() : Date.now();
+  const comparable = history
+    .filter(h => h.metric_value_num != null && Number.isFinite(Number(h.metric_value_num)))
+    .filter(h => !fact.base_unit || !h.base_unit || h.base_unit === fact.base_unit)
+    .filter(h => !fact.currency || !h.currency || h.currency === fact.currency)
+    .sort((a, b) => Math.abs(new Date(a.as_of_date).getTime() - at) - Math.abs(new Date(b.as_of_date).getTime() - at))
+    .slice(0, HISTORY_POINTS);
+  out.history_points = comparable.length;
+
+  const ref = comparable.length ? median(comparable.map(h => Math.abs(Number(h.metric_value_num)))) : null;
+  if (ref) {
+    const ratio = value === 0 ? null : Math.abs(value) / ref;
+    out.history_median = ref;
+    if (ratio != null) out.ratio = Number(ratio.toPrecision(4));
+    if (ratio != null && (ratio > MAX_RATIO || ratio < 1 / MAX_RATIO)) {
+      reasons.push('magnitude');
+      const scale = likelyScale(ratio, fact.base_unit === 'percent' ? PERCENT_FACTORS : SCALE_FACTORS);
+      if (scale) {
+        out.likely_scale = scale;
+        out.suggested_value = Number((value / scale).toPrecision(12));
+      }
+    }
+  } else if (fact.base_unit === 'percent' && Math.abs(value) > MAX_PERCENT) {
+    reasons.push('out_of_range');
+  }
+
+  return reasons.length ? { reasons, ...out } : null;
+}
+
+// anomalie -> avertissement lisible dans le rapport d'ingestion
+function describeAnomaly(a) {
+  const parts = a.reasons.map(r => {
+    if (r === 'unit_mismatch') return `base unit differs from history (${a.expected_base_unit})`;
+    if (r === 'magnitude') return `${a.ratio}x the median of ${a.history_points} historical values`;
+    return `percentage above ${MAX_PERCENT}`;
+  });
+  if (a.likely_scale) parts.push(`likely scale error, suggested value ${a.suggested_value}`);
+  return parts.join('; ');
+}
+
+module.exports = { MAX_RATIO, HISTORY_POINTS, detectAnomaly, describeAnomaly };
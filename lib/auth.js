@@ -0,0 +1,119 @@
+// /lib/auth.js — API keys: scopes (read, ingest, admin), optional company restriction, per-key rate limit
+// Keys live in api_keys (sha256 only, the key itself is shown once by /api/keys). INGEST_TOKEN and ADMIN_TOKEN
+// still work as bootstrap keys: INGEST_TOKEN = read + ingest, ADMIN_TOKEN = admin (every scope, no limit).
+const crypto = require('crypto');
+
+const SCOPES = ['read', 'ingest', 'admin'];
+
+// Fenêtre du rate limit; limite par défaut d'une clé sans rate_limit_per_minute
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_RATE_LIMIT = 120;
+
+// 'lp_' + préfixe (affiché, sert à reconnaître la clé) + '_' + secret
+const KEY_RE = /^lp_([a-f0-9]{8})_[A-Za-z0-9_-]{32,}$/;
+
+const KEY_COLS = 'id, name, key_prefix, scopes, company_ids, rate_limit_per_minute, expires_at, revoked_at, last_used_at';
+
+function constTimeEq(a = '', b = '') {
+  const A = Buffer.from(String(a));
+  const B = Buffer.from(String(b));
+  if (A.length !== B.length) return false;
+  return crypto.timingSafeEqual(A, B);
+}
+
+// Authorization: Bearer <clé>, ou X-Api-Key: <clé>
+function bearerToken(req) {
+  const authHeader = req.headers.authorization || req.headers.Authorization || '';
+  return (authHeader || '').split(/\s+/)[1] || String(req.headers['x-api-key'] || '').trim();
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// -> { key (à montrer une seule fois), key_prefix, key_hash }
+function generateKey() {
+  const key_prefix = crypto.randomBytes(4).toString('hex');
+  const key = `lp_${key_prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, key_prefix, key_hash: hashKey(key) };
+}
+
+// Clés d'environnement (bootstrap)
+function envKey(token) {
+  if (process.env.ADMIN_TOKEN && constTimeEq(token, process.env.ADMIN_TOKEN)) {
+    return { id: null, name: 'ADMIN_TOKEN', scopes: ['admin'], company_ids: null, rate_limit_per_minute: null };
+  }
+  if (process.env.INGEST_TOKEN && constTimeEq(token, process.env.INGEST_TOKEN)) {
+    return { id: null, name: 'INGEST_TOKEN', scopes: ['read', 'ingest'], company_ids: null, rate_limit_per_minute: null };
+  }
+  return null;
+}
+
+// requête -> clé active | null
+async function authenticate(store, req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+  const env = envKey(token);
+  if (env) return env;
+  if (!KEY_RE.test(token)) return null;
+
+  const key = await store.apiKeys.findByHash(hashKey(token), KEY_COLS);
+  if (!key || key.revoked_at) return null;
+  if (key.expires_at && new Date(key.expires_at).getTime() <= Date.now()) return null;
+  return key;
+}
+
+const hasScope = (key, scope) => !!key && (key.scopes.includes('admin') || key.scopes.includes(scope));
+
+// company_ids null = toutes les sociétés
+const allowsCompany = (key, companyId) =>
+  !key?.company_ids || (companyId != null && key.company_ids.map(Number).includes(Number(companyId)));
+
+// Compteur de la fenêtre courante -> { limit, remaining, reset } ; remaining < 0 = dépassé
+async function consumeRate(store, key) {
+  const limit = key.rate_limit_per_minute ?? DEFAULT_RATE_LIMIT;
+  const start = Math.floor(Date.now() / WINDOW_MS) * WINDOW_MS;
+  const count = await store.apiKeyWindows.increment(key.id, new Date(start).toISOString());
+  return { limit, remaining: limit - count, reset: Math.ceil((start + WINDOW_MS) / 1000) };
+}
+
+// Auth d'une route: clé + scope + rate limit. Répond 401 / 403 / 429 elle-même et renvoie null,
+// sinon renvoie la clé (vérifier ensuite la société avec allowsCompany).
+async function authorize(store, req, res, scope) {
+  const key = await authenticate(store, req);
+  if (!key) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return null;
+  }
+  if (!hasScope(key, scope)) {
+    res.status(403).json({ error: `API key lacks the '${scope}' scope` });
+    return null;
+  }
+  if (key.id == null) return key; // clés d'environnement: pas de limite
+
+  const rate = await consumeRate(store, key);
+  res.setHeader('X-RateLimit-Limit', String(rate.limit));
+  res.setHeader('X-RateLimit-Remaining', String(Math.max(0, rate.remaining)));
+  res.setHeader('X-RateLimit-Reset', String(rate.reset));
+  if (rate.remaining < 0) {
+    res.setHeader('Retry-After', String(Math.max(1, rate.reset - Math.floor(Date.now() / 1000))));
+    res.status(429).json({ error: 'rate limit exceeded', limit: rate.limit });
+    return null;
+  }
+  // last_used_at: une écriture par fenêtre au plus
+  if (!key.last_used_at || Date.now() - new Date(key.last_used_at).getTime() >= WINDOW_MS) {
+    await store.apiKeys.update(key.id, { last_used_at: new Date().toISOString() });
+  }
+  return key;
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_RATE_LIMIT,
+  constTimeEq,
+  bearerToken,
+  hashKey,
+  generateKey,
+  authenticate,
+  hasScope,
+  allowsCompany,
+  authorize
+};
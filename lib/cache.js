@@ -0,0 +1,99 @@
+// /lib/cache.js — per-company response cache and conditional GET (ETag / Last-Modified) for the read routes.
+// Entries are keyed by company, its content version (companies.content_updated_at), the global version and the
+// normalized query: a write to the company (companyChanged: ingest, review, re-score, reclassify, merge) bumps the
+// company's version in the database, a write that changes every company's reads (globalChanged: metric formulas,
+// FX rates, peer group membership) bumps cache_versions 'global'; other instances miss too and this instance's
+// entries are dropped. Peer facts ingested for other companies are not part of the key (entries expire after
+// TTL_MS) but are part of Last-Modified: the later of the company, global and peer versions, known once the
+// response is built, so a conditional GET without a live entry is answered after building it. The ETag is a hash
+// of the body: cached and freshly built responses carry the same one.
+const crypto = require('crypto');
+
+const MAX_ENTRIES = 500;
+const TTL_MS = 5 * 60 * 1000;
+
+// clé -> { etag, last_modified, body, expires }; ordre d'insertion = ordre d'usage (LRU)
+const entries = new Map();
+
+const isoOf = (d) => (d ? new Date(d).toISOString() : '');
+const entryKey = (company, key, globalAt) => `${company.id}|${isoOf(company.content_updated_at)}|${isoOf(globalAt)}|${key}`;
+
+// Last-Modified d'une lecture: la plus récente des versions (société, globale, pairs)
+const lastModified = (company, globalAt = null, peersAt = null) => {
+  const dates = [company.content_updated_at, globalAt, peersAt].filter(Boolean);
+  return dates.length ? new Date(Math.max(...dates.map(d => new Date(d).getTime()))).toISOString() : null;
+};
+
+const globalVersion = (store) => store.cacheVersions.get('global');
+
+const etagOf = (body) => `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+
+function getCached(company, key, globalAt = null) {
+  const k = entryKey(company, key, globalAt);
+  const e = entries.get(k);
+  if (!e) return null;
+  entries.delete(k);
+  if (e.expires < Date.now()) return null;
+  entries.set(k, e);
+  return e;
+}
+
+function setCached(company, key, body, globalAt = null, peersAt = null) {
+  const e = {
+    etag: etagOf(body),
+    last_modified: lastModified(company, globalAt, peersAt),
+    body,
+    expires: Date.now() + TTL_MS
+  };
+  entries.set(entryKey(company, key, globalAt), e);
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  return e;
+}
+
+function invalidateCompany(companyId) {
+  for (const k of entries.keys()) if (k.startsWith(`${companyId}|`)) entries.delete(k);
+}
+
+// Écriture sur des sociétés: nouvelle version en base + entrées locales supprimées
+async function companyChanged(store, companyIds) {
+  const ids = Array.from(new Set(companyIds.filter(id => id != null)));
+  if (!ids.length) return;
+  for (const id of ids) invalidateCompany(id);
+  await store.companies.touch(ids);
+}
+
+// Écriture qui change les lectures de toutes les sociétés: nouvelle version globale + cache local vidé
+async function globalChanged(store) {
+  entries.clear();
+  await store.cacheVersions.touch('global');
+}
+
+// If-None-Match (prioritaire) ou If-Modified-Since (à la seconde) -> true: répondre 304
+function isNotModified(req, { etag = null, last_modified = null }) {
+  const inm = req.headers?.['if-none-match'];
+  if (inm) {
+    return etag != null && String(inm).split(',').map(t => t.trim().replace(/^W\//, '')).some(t => t === '*' || t === etag);
+  }
+  const ims = Date.parse(req.headers?.['if-modified-since'] || '');
+  if (Number.isNaN(ims) || !last_modified) return false;
+  return Math.floor(new Date(last_modified).getTime() / 1000) <= Math.floor(ims / 1000);
+}
+
+function setValidators(res, { etag = null, last_modified = null }) {
+  if (etag) res.setHeader('ETag', etag);
+  if (last_modified) res.setHeader('Last-Modified', new Date(last_modified).toUTCString());
+  res.setHeader('Cache-Control', 'private, no-cache');
+}
+
+module.exports = {
+  TTL_MS,
+  getCached,
+  setCached,
+  lastModified,
+  globalVersion,
+  invalidateCompany,
+  companyChanged,
+  globalChanged,
+  isNotModified,
+  setValidators
+};
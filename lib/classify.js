@@ -0,0 +1,251 @@
+// /lib/classify.js — theme (insights / news) and document type (sources): explicit labels first,
+// else a local keyword classifier (FR / EN / DE vocabularies) on the text, the title and the URL.
+// Same folding and stemming as /lib/search; no model, no network: reruns identically offline (scripts/reclassify.js).
+const { searchText, stem } = require('./search');
+
+const THEMES = ['growth', 'margin', 'risk', 'cash', 'strategy', 'geography', 'esg', 'product', 'moat', 'other'];
+const DOC_TYPES = ['annual_report', 'quarterly_report', 'press_release', 'investor_presentation', 'news', 'webpage', 'other'];
+
+// En dessous, le label inféré est conservé (theme_inferred) mais ne remplace pas 'other'
+const MIN_CONFIDENCE = 0.5;
+
+// Un libellé explicite non reconnu compte double face au texte
+const LABEL_WEIGHT = 2;
+
+// Vocabulaires (pliés: sans accents, minuscules). Un mot = racine ou préfixe; plusieurs mots = expression (poids 2).
+// Les racines allemandes de 6 lettres ou plus matchent aussi à l'intérieur d'un mot composé (Umsatzwachstum).
+const THEME_VOCAB = {
+  growth: [
+    'growth', 'grow', 'increase', 'expansion', 'organic', 'organique', 'outperform', 'accelerat', 'record sales',
+    'croissance', 'croit', 'hausse', 'progression', 'progresse', 'augmentation', 'accelere', 'dynamique',
+    'wachstum', 'wachs', 'steigerung', 'gestiegen', 'zuwachs', 'anstieg', 'zugelegt'
+  ],
+  margin: [
+    'margin', 'profitab', 'ebit', 'operating margin', 'gross margin', 'operating income', 'operating profit',
+    'gross profit', 'cost', 'opex',
+    'marge', 'marge operationnelle', 'marge brute', 'rentabilit', 'resultat operationnel', 'resultat d exploitation',
+    'cout',
+    'rendite', 'rentabilitat', 'profitabilitat', 'betriebsergebnis', 'kosten'
+  ],
+  risk: [
+    'risk', 'uncertain', 'litigation', 'lawsuit', 'headwind', 'downturn', 'slowdown', 'decline', 'volatil',
+    'exposure', 'threat', 'warning', 'impairment',
+    'risque', 'incertitude', 'litige', 'ralenti', 'baisse', 'recul', 'menace', 'deprecia', 'avertissement',
+    'risiko', 'risiken', 'unsicher', 'rechtsstreit', 'abschwung', 'ruckgang', 'gefahr', 'warnung', 'abschreibung'
+  ],
+  cash: [
+    'cash', 'free cash flow', 'liquidity', 'dividend', 'buyback', 'share repurchase', 'debt', 'leverage', 'capex',
+    'capital expenditure', 'working capital', 'balance sheet',
+    'tresorerie', 'flux de tresorerie', 'liquidite', 'dividende', 'rachat d action', 'dette', 'endettement',
+    'besoin en fonds de roulement',
+    'cashflow', 'liquiditat', 'ruckkauf', 'verschuldung', 'schulden', 'investitionen', 'barmittel'
+  ],
+  strategy: [
+    'strateg', 'acquisition', 'acquire', 'merger', 'partnership', 'joint venture', 'restructuring', 'divest',
+    'guidance', 'outlook',
+    'rachat', 'fusion', 'partenariat', 'cession', 'restructuration', 'perspective', 'objectif',
+    'ubernahme', 'partnerschaft', 'umstrukturierung', 'ausblick', 'prognose'
+  ],
+  geography: [
+    'china', 'chinese', 'asia', 'europe', 'america', 'united states', 'us market', 'japan', 'middle east', 'india',
+    'region', 'emerging market',
+    'chine', 'chinois', 'asie', 'amerique', 'etats unis', 'japon', 'moyen orient', 'marches emergent',
+    'chinesisch', 'asien', 'europa', 'amerika', 'vereinigte staaten', 'nahost', 'indien'
+  ],
+  esg: [
+    'esg', 'sustainab', 'climate', 'carbon', 'emission', 'decarbon', 'renewable', 'diversity', 'governance',
+    'social responsibility', 'biodiversit',
+    'durable', 'durabilit', 'climat', 'carbone', 'environnement', 'gouvernance', 'rse',
+    'nachhaltig', 'klima', 'umwelt', 'co2', 'erneuerbar'
+  ],
+  product: [
+    'product', 'launch', 'pipeline', 'innovation', 'collection', 'new model', 'research and development', 'r d',
+    'portfolio',
+    'produit', 'lancement', 'lance', 'gamme', 'nouveaute', 'recherche et developpement',
+    'produkt', 'einfuhrung', 'kollektion', 'sortiment', 'neuheit', 'forschung'
+  ],
+  moat: [
+    'moat', 'competitive advantage', 'barrier', 'market share', 'pricing power', 'brand equity', 'market leader',
+    'leadership', 'network effect', 'switching cost', 'patent',
+    'avantage concurrentiel', 'barriere', 'part de marche', 'pouvoir de prix', 'leader', 'position dominante', 'brevet',
+    'wettbewerbsvorteil', 'burggraben', 'marktanteil', 'marktfuhrer', 'preissetzungsmacht', 'eintrittsbarriere'
+  ]
+};
+
+const DOC_TYPE_VOCAB = {
+  annual_report: [
+    'annual report', 'annual results', 'full year', 'fy', 'integrated report', 'universal registration document',
+    'registration document', '10 k', '20 f',
+    'rapport annuel', 'resultats annuel', 'document d enregistrement universel', 'urd',
+    'geschaftsbericht', 'jahresbericht', 'jahresabschluss'
+  ],
+  quarterly_report: [
+    'quarterly', 'quarter', 'q1', 'q2', 'q3', 'q4', 'h1', 'h2', 'half year', 'first half', 'semi annual', 'interim',
+    '10 q',
+    'trimestre', 'trimestriel', 'semestriel', 'premier semestre',
+    'quartal', 'halbjahr', 'zwischenbericht'
+  ],
+  press_release: [
+    'press release', 'press', 'news release', 'announce',
+    'communique', 'annonce',
+    'pressemitteilung', 'medienmitteilung', 'mitteilung'
+  ],
+  investor_presentation: [
+    'presentation', 'slides', 'investor day', 'capital markets day', 'cmd', 'roadshow', 'webcast', 'deck',
+    'journee investisseur',
+    'prasentation', 'investorentag'
+  ],
+  news: [
+    'article', 'news', 'story', 'interview', 'breaking',
+    'actualite', 'depeche',
+    'nachricht', 'meldung'
+  ],
+  webpage: [
+    'about us', 'homepage', 'html', 'page',
+    'qui sommes nous', 'accueil',
+    'uber uns', 'startseite'
+  ]
+};
+
+// ---------- labels explicites ----------
+function mapThemeEnum(t) {
+  if (!t) return 'other';
+  const m = String(t).toLowerCase();
+  if (['growth','croissance'].includes(m)) return 'growth';
+  if (['margin','marge','profitability'].includes(m)) return 'margin';
+  if (['risk','risque'].includes(m)) return 'risk';
+  if (['cash','cashflow','flux'].includes(m)) return 'cash';
+  if (['strategy','stratégie','strategie'].includes(m)) return 'strategy';
+  if (['geography','geo','china','europe','us'].includes(m)) return 'geography';
+  if (['esg','sustainability'].includes(m)) return 'esg';
+  if (['product','produit','pipeline'].includes(m)) return 'product';
+  if (['moat','avantage','barrier'].includes(m)) return 'moat';
+  return 'other';
+}
+
+function mapDocTypeEnum(t) {
+  if (!t) return 'other';
+  const m = String(t).toLowerCase();
+  if (m.includes('annual')) return 'annual_report';
+  if (m.includes('quarter')) return 'quarterly_report';
+  if (m.includes('press')) return 'press_release';
+  if (m.includes('presentation')) return 'investor_presentation';
+  if (m.includes('news')) return 'news';
+  if (m.includes('web') || m.includes('site')) return 'webpage';
+  return 'other';
+}
+
+// ---------- classifieur ----------
+// vocabulaire -> [{ label, term, phrase }] (racines calculées une fois)
+const compile = (vocab) => Object.entries(vocab).flatMap(([label, terms]) => terms.map(t => {
+  const words = searchText(t).split(' ').map(stem);
+  return { label, term: words.join(' '), phrase: words.length > 1 };
+}));
+
+const THEME_TERMS = compile(THEME_VOCAB);
+const DOC_TYPE_TERMS = compile(DOC_TYPE_VOCAB);
+
+const tokenMatches = (token, term, inner = true) =>
+  token === term ||
+  (term.length >= 4 && token.startsWith(term)) ||
+  (inner && term.length >= 6 && token.includes(term));
+
+// score de chaque label pour un texte: un token compte une fois par label (même s'il matche la racine FR et EN),
+// deux fois au plus (une répétition ne fait pas un thème); une expression trouvée vaut 2
+function scoreText(terms, text) {
+  const scores = new Map();
+  const tokens = searchText(text).split(' ').filter(Boolean).map(stem);
+  if (!tokens.length) return scores;
+  const joined = ` ${tokens.join(' ')} `;
+  const counted = new Map(); // label|token -> occurrences comptées
+  // mot composé: un terme en tête du token l'emporte sur ceux trouvés à l'intérieur ('halbjahresbericht': halbjahr)
+  const anchored = tokens.map(token => terms.some(t => !t.phrase && tokenMatches(token, t.term, false)));
+  for (const t of terms) {
+    if (t.phrase) {
+      if (joined.includes(` ${t.term} `)) scores.set(t.label, (scores.get(t.label) || 0) + 2);
+      continue;
+    }
+    tokens.forEach((token, i) => {
+      if (!tokenMatches(token, t.term, !anchored[i])) return;
+      const key = `${t.label}|${token}`;
+      const seen = counted.get(key) || new Set();
+      if (seen.has(i) || seen.size >= 2) return;
+      seen.add(i);
+      counted.set(key, seen);
+      scores.set(t.label, (scores.get(t.label) || 0) + 1);
+    });
+  }
+  return scores;
+}
+
+// parts: [[texte, poids]] -> { label, confidence } ; confidence = meilleur score / (total + 1)
+function classify(terms, parts) {
+  const scores = new Map();
+  for (const [text, weight] of parts) {
+    for (const [label, v] of scoreText(terms, text)) scores.set(label, (scores.get(label) || 0) + v * weight);
+  }
+  if (!scores.size) return { label: 'other', confidence: 0 };
+  const ranked = Array.from(scores.entries()).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((s, [, v]) => s + v, 0);
+  return { label: ranked[0][0], confidence: Number((ranked[0][1] / (total + 1)).toFixed(3)) };
+}
+
+const classifyTheme = (...texts) => classify(THEME_TERMS, texts.filter(Boolean).map(t => [t, 1]));
+
+// URL: chemin et nom de fichier (le domaine ne dit rien du type de document)
+const urlWords = (url) => {
+  try {
+    const u = new URL(url);
+    return decodeURIComponent(`${u.pathname} ${u.search}`);
+  } catch {
+    return '';
+  }
+};
+
+const classifyDocType = (title, url) => classify(DOC_TYPE_TERMS, [[title, 1], [urlWords(url), 1]]);
+
+// Label retenu: explicite reconnu > inféré (>= MIN_CONFIDENCE) > 'other'
+// origin: explicit | inferred | default
+function pick(explicit, inferred) {
+  if (explicit !== 'other') return { value: explicit, origin: 'explicit' };
+  if (inferred.label !== 'other' && inferred.confidence >= MIN_CONFIDENCE) return { value: inferred.label, origin: 'inferred' };
+  return { value: 'other', origin: 'default' };
+}
+
+// insight / news: libellé fourni (peut être libre: 'marges opérationnelles') + texte
+// -> { theme_enum, theme_origin, theme_inferred, theme_confidence }
+function resolveTheme(label, ...texts) {
+  const explicit = mapThemeEnum(label);
+  const parts = texts.filter(Boolean).map(t => [t, 1]);
+  if (label && explicit === 'other') parts.push([label, LABEL_WEIGHT]);
+  const inferred = classify(THEME_TERMS, parts);
+  const { value, origin } = pick(explicit, inferred);
+  return { theme_enum: value, theme_origin: origin, theme_inferred: inferred.label, theme_confidence: inferred.confidence };
+}
+
+// source: doc_type fourni + titre + url -> { source_type, source_type_origin, source_type_inferred, source_type_confidence }
+function resolveDocType(label, title, url) {
+  const explicit = mapDocTypeEnum(label);
+  const parts = [[title, 1], [urlWords(url), 1]];
+  if (label && explicit === 'other') parts.push([label, LABEL_WEIGHT]);
+  const inferred = classify(DOC_TYPE_TERMS, parts);
+  const { value, origin } = pick(explicit, inferred);
+  return {
+    source_type: value,
+    source_type_origin: origin,
+    source_type_inferred: inferred.label,
+    source_type_confidence: inferred.confidence
+  };
+}
+
+module.exports = {
+  THEMES,
+  DOC_TYPES,
+  MIN_CONFIDENCE,
+  mapThemeEnum,
+  mapDocTypeEnum,
+  classifyTheme,
+  classifyDocType,
+  resolveTheme,
+  resolveDocType
+};
@@ -0,0 +1,108 @@
+// /lib/cluster.js — near-duplicate insights / news (same story rewritten by several publishers) and corroboration.
+// Word shingles over the folded, stemmed text (lib/search), Jaccard similarity; ingest stores cluster_id
+// (id of the first row of the cluster), the read routes return one item per cluster with its supporting sources.
+const { searchText, stem, STOPWORDS } = require('./search');
+
+// Textes courts (titres): mots seuls; textes longs: mots et paires de mots consécutifs
+const SHORT_TOKENS = 12;
+const SHORT_JACCARD = 0.6;
+const WORD_JACCARD = 0.5;
+const SHINGLE_JACCARD = 0.3;
+const STRONG_SHINGLE_JACCARD = 0.5;
+
+// Poids d'un éditeur indépendant supplémentaire (× son trust_score) dans le score corroboré
+const CORROBORATION_WEIGHT = 0.5;
+
+// texte -> { words: Set, shingles: Set, size }
+function fingerprint(...parts) {
+  const tokens = searchText(...parts).split(' ').filter(t => t && !STOPWORDS.has(t)).map(stem);
+  const shingles = new Set();
+  for (let i = 1; i < tokens.length; i++) shingles.add(`${tokens[i - 1]} ${tokens[i]}`);
+  return { words: new Set(tokens), shingles, size: tokens.length };
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+function isNearDuplicate(a, b) {
+  if (!a.size || !b.size) return false;
+  const words = jaccard(a.words, b.words);
+  if (Math.min(a.size, b.size) <= SHORT_TOKENS) return words >= SHORT_JACCARD;
+  const shingles = jaccard(a.shingles, b.shingles);
+  return shingles >= STRONG_SHINGLE_JACCARD || (words >= WORD_JACCARD && shingles >= SHINGLE_JACCARD);
+}
+
+// candidates: [{ id, cluster_id, fingerprint }] -> premier candidat quasi identique, ou null
+const findCluster = (fp, candidates) => candidates.find(c => isNearDuplicate(fp, c.fingerprint)) || null;
+
+// une ligne sans cluster_id est son propre cluster
+const clusterKey = (r) => r.cluster_id ?? r.id;
+
+// éditeur indépendant: nom, sinon domaine sans sous-domaine
+const publisherKey = (p) => (p?.name || (p?.domain || '').split('.').slice(-2).join('.') || null);
+
+// membres d'un cluster (items avec provenance_score, publisher) -> score corroboré + sources à l'appui
+// score = 1 - (1 - meilleur) × Π (1 - 0.5 × trust des autres éditeurs indépendants)
+function corroborate(members) {
+  const best = new Map(); // éditeur -> membre le mieux noté
+  for (const m of members) {
+    const k = publisherKey(m.publisher) ?? `source:${m.publisher?.url ?? m.id}`;
+    if (!best.has(k) || (m.provenance_score ?? 0) > (best.get(k).provenance_score ?? 0)) best.set(k, m);
+  }
+  const ranked = Array.from(best.values()).sort((a, b) => (b.provenance_score ?? 0) - (a.provenance_score ?? 0));
+  let doubt = 1 - (ranked[0]?.provenance_score ?? 0);
+  for (const m of ranked.slice(1)) doubt *= 1 - CORROBORATION_WEIGHT * (m.publisher?.trust_score ?? 0);
+
+  const seen = new Set();
+  const supporting = [];
+  for (const m of members) {
+    const k = m.publisher?.url ?? `item:${m.id}`;
+    if (seen.has(k)) continue;
+    seen.add(k);
+    supporting.push({ item_id: m.id, ...m.publisher });
+  }
+  return {
+    score: Number((1 - doubt).toFixed(3)),
+    publishers: ranked.length,
+    supporting_sources: supporting
+  };
+}
+
+// lead.cluster_id (clé interne) -> bloc cluster
+const withCorroboration = (lead, members) => {
+  const c = corroborate(members);
+  const { cluster_id, ...item } = lead;
+  return {
+    ...item,
+    cluster: { id: cluster_id ?? lead.id, size: members.length, publishers: c.publishers },
+    corroborated_score: c.score,
+    supporting_sources: c.supporting_sources
+  };
+};
+
+// items (déjà triés: le premier de chaque cluster le représente) -> un item par cluster, enrichi
+// keyOf: item -> clé de cluster (ex. `${kind}:${cluster}`)
+function collapseClusters(items, keyOf) {
+  const groups = new Map();
+  for (const it of items) {
+    const k = keyOf(it);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(it);
+  }
+  return Array.from(groups.values()).map(members => withCorroboration(members[0], members));
+}
+
+module.exports = {
+  CORROBORATION_WEIGHT,
+  fingerprint,
+  isNearDuplicate,
+  findCluster,
+  clusterKey,
+  corroborate,
+  collapseClusters,
+  withCorroboration
+};
@@ -0,0 +1,102 @@
+// /lib/consensus.js — trust-weighted consensus when several sources report the same fact
+// Values within `tolerance` of each other agree; the agreeing group with the most weight wins
+// and its weighted mean is the consensus value.
+
+const DEFAULT_TOLERANCE = 0.005;   // 0.5% relatif
+const OFFICIAL_BOOST = 1.5;        // issuer / regulator / exchange
+const DEFAULT_TRUST = 0.5;         // même défaut que classifyProvenance 'other'
+const DEFAULT_EXTRACTION = 0.8;
+const RECENCY_HALF_LIFE_DAYS = 365;
+const DAY_MS = 24 * 3600 * 1000;
+
+const round = (x, d = 4) => (x == null ? null : Number(x.toFixed(d)));
+
+// Date de référence d'un candidat: publication de la source, sinon date d'ingestion
+const refTime = (c) => {
+  const t = new Date(c.source?.published_at || c.created_at || 0).getTime();
+  return Number.isNaN(t) ? 0 : t;
+};
+
+// Poids = confiance éditeur × officiel × confiance d'extraction × fraîcheur (relative au plus récent)
+function candidateWeight(c, newest) {
+  const trust = c.source?.trust_score ?? DEFAULT_TRUST;
+  const official = c.source?.is_official ? OFFICIAL_BOOST : 1;
+  const extraction = c.extraction_confidence ?? DEFAULT_EXTRACTION;
+  const ageDays = Math.max(0, (newest - refTime(c)) / DAY_MS);
+  const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  return trust * official * extraction * recency;
+}
+
+const agrees = (a, b, tolerance) => {
+  if (a === b) return true;
+  const scale = Math.max(Math.abs(a), Math.abs(b));
+  return scale > 0 && Math.abs(a - b) / scale <= tolerance;
+};
+
+// candidates: [{ value, currency?, base_unit?, extraction_confidence?, created_at?, source: {...} }]
+// (déjà ramenés à une devise commune quand c'est possible: lib/series buildSeries)
+// -> { value, candidate, agreement, conflict, spread, candidates: [...] }
+function resolveConsensus(candidates, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  if (!candidates?.length) return null;
+  const newest = Math.max(...candidates.map(refTime));
+  const weighted = candidates.map(c => ({ ...c, weight: candidateWeight(c, newest) }));
+
+  // Groupes de valeurs concordantes (même devise, même unité de base)
+  const groups = [];
+  for (const c of [...weighted].sort((a, b) => b.weight - a.weight)) {
+    const g = groups.find(x => x.currency === (c.currency ?? null) && x.base_unit === (c.base_unit ?? null) &&
+      agrees(x.anchor, c.value, tolerance));
+    if (g) { g.members.push(c); g.weight += c.weight; }
+    else {
+      groups.push({ anchor: c.value, currency: c.currency ?? null, base_unit: c.base_unit ?? null, members: [c], weight: c.weight });
+    }
+  }
+  groups.sort((a, b) => b.weight - a.weight);
+
+  const best = groups[0];
+  const total = weighted.reduce((s, c) => s + c.weight, 0);
+  const value = best.weight > 0
+    ? best.members.reduce((s, c) => s + c.value * c.weight, 0) / best.weight
+    : best.anchor;
+  const values = weighted.map(c => c.value);
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const scale = Math.max(Math.abs(lo), Math.abs(hi));
+
+  return {
+    value,
+    candidate: best.members[0], // le plus lourd du groupe gagnant (unité, devise, source)
+    agreement: total > 0 ? round(best.weight / total, 3) : null,
+    conflict: groups.length > 1,
+    spread: scale > 0 ? round((hi - lo) / scale) : 0,
+    candidates: weighted
+  };
+}
+
+// Bloc "sources" renvoyé par /api/read et /api/conflicts
+function describeCandidate(c) {
+  return {
+    value: c.value,
+    currency: c.currency ?? null,
+    ...(c.original_currency ? {
+      original_value: c.original_value,
+      original_currency: c.original_currency,
+      fx_rate: c.fx_rate
+    } : {}),
+    weight: round(c.weight),
+    fact_id: c.fact_id ?? null,
+    extraction_confidence: c.extraction_confidence ?? null,
+    source: {
+      id: c.source?.id ?? null,
+      url: c.source?.url ?? null,
+      title: c.source?.title ?? null,
+      published_at: c.source?.published_at ?? null,
+      publisher_name: c.source?.publisher_name ?? null,
+      publisher_type: c.source?.publisher_type ?? 'other',
+      is_official: !!c.source?.is_official,
+      trust_score: c.source?.trust_score ?? null
+    }
+  };
+}
+
+module.exports = { DEFAULT_TOLERANCE, candidateWeight, resolveConsensus, describeCandidate };
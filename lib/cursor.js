@@ -0,0 +1,24 @@
+// /lib/cursor.js — opaque pagination cursors (base64url JSON of the last item's sort key)
+
+class CursorError extends Error {
+  constructor(message = 'invalid cursor') {
+    super(message);
+    this.code = 'CURSOR_INVALID';
+  }
+}
+
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+// -> objet, CursorError si illisible ou incomplet
+function decodeCursor(cursor, fields = []) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new CursorError();
+  }
+  if (!key || typeof key !== 'object' || fields.some(f => key[f] == null)) throw new CursorError();
+  return key;
+}
+
+module.exports = { CursorError, encodeCursor, decodeCursor };
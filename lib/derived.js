@@ -0,0 +1,171 @@
+// /lib/derived.js — derived metrics: metrics_dictionary.formula over other metrics, aligned on fiscal period
+// Each derived point keeps its inputs (value, facts, sources) so a ratio can be traced back to documents.
+const { toSlug } = require('./slug');
+const { computeChanges } = require('./periods');
+const { loadSeries, baseUnitsOf, UnitMismatchError } = require('./series');
+const { describeCandidate } = require('./consensus');
+const { FormulaError, parseFormula, refsOf, evaluate } = require('./formulas');
+
+// Formules imbriquées (marge -> résultat opérationnel -> ...) : profondeur max
+const MAX_DEPTH = 5;
+
+class CurrencyMismatchError extends Error {
+  constructor(metric, currencies) {
+    super(`inputs of ${metric} are in different currencies (${currencies.join(', ')}): pass currency=XXX to convert them`);
+    this.code = 'CURRENCY_MISMATCH';
+    this.currencies = currencies;
+  }
+}
+
+// Unité de base du résultat: +/- entre mêmes unités, a/b même unité -> ratio, constantes neutres
+function unitOf(ast, unitOfRef) {
+  switch (ast.type) {
+    case 'num': return null;
+    case 'ref': return unitOfRef(ast.key);
+    case 'neg': return unitOf(ast.arg, unitOfRef);
+    default: {
+      const a = unitOf(ast.left, unitOfRef);
+      const b = unitOf(ast.right, unitOfRef);
+      if (ast.op === '+' || ast.op === '-') {
+        if (a && b && a !== b) throw new UnitMismatchError([a, b].sort());
+        return a || b;
+      }
+      if (ast.op === '/') {
+        if (a && b) return a === b ? 'ratio' : null;
+        return a || null; // a / constante
+      }
+      return a && b ? null : (a || b); // produit de deux grandeurs: unité inconnue
+    }
+  }
+}
+
+// Valeur "telle que publiée" d'un point, déjà dans la devise du point (convertie par convertPoints / toCurrency)
+const asReported = (p) => (p.restated ? (p.as_reported_value ?? p.value) : p.value);
+
+// Bloc `inputs` d'un point dérivé: faits + sources d'une entrée directe, entrées d'une entrée dérivée
+function describeInput(p) {
+  const base = { value: p.value, currency: p.currency ?? null, base_unit: p.base_unit ?? null, restated: !!p.restated };
+  if (p.inputs) return { ...base, formula: p.formula, inputs: p.inputs };
+  return {
+    ...base,
+    facts: [...p.consensus.candidates]
+      .sort((a, b) => b.weight - a.weight)
+      .map(describeCandidate)
+  };
+}
+
+// Sources distinctes derrière un point dérivé (entrées imbriquées comprises)
+function inputSourceIds(inputs, out = new Set()) {
+  for (const input of Object.values(inputs || {})) {
+    if (input.inputs) inputSourceIds(input.inputs, out);
+    for (const f of input.facts || []) if (f.source?.id != null) out.add(f.source.id);
+  }
+  return out;
+}
+
+// def: ligne metrics_dictionary avec formula -> série asc (yoy/qoq) de points { ..., inputs }
+async function loadDerivedSeries(store, company, def, opts = {}, stack = []) {
+  const chain = [...stack, def.key_slug];
+  if (stack.includes(def.key_slug)) throw new FormulaError(`circular reference ${chain.join(' -> ')}`, def.formula);
+  if (stack.length >= MAX_DEPTH) throw new FormulaError(`nested deeper than ${MAX_DEPTH} formulas`, def.formula);
+
+  const ast = parseFormula(def.formula);
+  const refs = [...refsOf(ast)];
+  if (!refs.length) throw new FormulaError('references no metric', def.formula);
+
+  const defs = new Map((await store.metrics.findBySlugs(refs, 'id, key_slug, formula')).map(d => [d.key_slug, d]));
+  const unknown = refs.filter(k => !defs.has(k));
+  if (unknown.length) throw new FormulaError(`unknown metric(s): ${unknown.join(', ')}`, def.formula);
+
+  // key_slug -> période -> point
+  const inputs = new Map();
+  const units = new Map();
+  for (const key of refs) {
+    const d = defs.get(key);
+    const series = d.formula
+      ? await loadDerivedSeries(store, company, d, opts, chain)
+      : await loadSeries(store, company, null, { ...opts, metricId: d.id });
+    inputs.set(key, new Map(series.map(p => [p.period.key, p])));
+    units.set(key, baseUnitsOf(series)[0] ?? null);
+  }
+  const baseUnit = unitOf(ast, k => units.get(k));
+
+  // seules les périodes présentes dans toutes les entrées
+  const [first, ...rest] = refs;
+  const points = [];
+  for (const [periodKey, head] of inputs.get(first)) {
+    if (!rest.every(k => inputs.get(k).has(periodKey))) continue;
+    const pts = refs.map(k => [k, inputs.get(k).get(periodKey)]);
+
+    const currencies = Array.from(new Set(pts.map(([, p]) => p.currency).filter(Boolean))).sort();
+    if (currencies.length > 1) throw new CurrencyMismatchError(def.key_slug, currencies);
+
+    const value = evaluate(ast, k => inputs.get(k).get(periodKey).value);
+    if (value == null) continue; // division par zéro
+    const restated = pts.some(([, p]) => p.restated);
+
+    points.push({
+      date: pts.map(([, p]) => p.date).sort().pop(),
+      value,
+      period: head.period,
+      currency: baseUnit === 'currency' ? (currencies[0] ?? null) : null,
+      base_unit: baseUnit,
+      restated,
+      as_reported_value: restated ? evaluate(ast, k => asReported(inputs.get(k).get(periodKey))) : value,
+      formula: def.formula,
+      inputs: Object.fromEntries(pts.map(([k, p]) => [k, describeInput(p)])),
+      consensus: null
+    });
+  }
+
+  points.sort((a, b) => (new Date(a.date) - new Date(b.date)) || (a.period.type === 'FY') - (b.period.type === 'FY'));
+  return computeChanges(points);
+}
+
+// Métrique demandée à /api/read: formule du dictionnaire si définie, sinon faits ingérés pour cette entrée
+// du dictionnaire (metric_id), ou sous ce metric_key quand elle n'existe pas
+// -> { derived, metric_id, key_slug, label, formula, series } ; label: libellé du dictionnaire (narratifs)
+async function loadMetricSeries(store, company, metric, opts = {}) {
+  const def = await store.metrics.findBySlug(toSlug(metric), 'id, key_slug, label, display_label, formula');
+  const label = def ? (def.display_label || def.label || def.key_slug) : metric;
+  if (def?.formula) {
+    return { derived: true, metric_id: def.id, key_slug: def.key_slug, label, formula: def.formula, series: await loadDerivedSeries(store, company, def, opts) };
+  }
+  // métrique du dictionnaire: par metric_id (?metric=revenue retrouve les faits saisis "Revenue")
+  const series = def
+    ? await loadSeries(store, company, null, { ...opts, metricId: def.id })
+    : await loadSeries(store, company, metric, opts);
+  return { derived: false, metric_id: def?.id ?? null, key_slug: def?.key_slug ?? null, label, formula: null, series };
+}
+
+// Validation d'un dictionnaire de formules (key_slug -> formula|null): syntaxe, références connues, pas de cycle
+function checkFormulas(formulas) {
+  const graph = new Map();
+  for (const [key, formula] of formulas) {
+    if (!formula) { graph.set(key, []); continue; }
+    const refs = [...refsOf(parseFormula(formula))];
+    const unknown = refs.filter(k => !formulas.has(k));
+    if (unknown.length) throw new FormulaError(`unknown metric(s): ${unknown.join(', ')}`, formula);
+    graph.set(key, refs);
+  }
+  const state = new Map(); // 1: en cours, 2: vérifié
+  const visit = (key, path) => {
+    if (state.get(key) === 2) return;
+    if (state.get(key) === 1) {
+      const loop = [...path.slice(path.indexOf(key)), key];
+      throw new FormulaError(`circular reference ${loop.join(' -> ')}`, formulas.get(key));
+    }
+    state.set(key, 1);
+    for (const ref of graph.get(key) || []) visit(ref, [...path, key]);
+    state.set(key, 2);
+  };
+  for (const key of graph.keys()) visit(key, []);
+}
+
+module.exports = {
+  CurrencyMismatchError,
+  loadDerivedSeries,
+  loadMetricSeries,
+  inputSourceIds,
+  checkFormulas
+};
@@ -0,0 +1,145 @@
+// /lib/export.js — rows of /api/export: series points -> CSV (long or wide), insights / news -> NDJSON items
+// Every fact row carries its unit, currency, source URL and trust score; a derived point (formula) lists the
+// sources of its inputs and the lowest trust among them.
+const { publisherOf, provenanceScore } = require('./provenance');
+
+// ---------- CSV ----------
+// RFC 4180: guillemets si séparateur, guillemet ou retour ligne.
+// Texte commençant par = + - @ (ou tab / CR): préfixé d'une apostrophe pour qu'un tableur ne l'évalue pas
+// comme une formule; les nombres (valeurs négatives) ne sont pas touchés
+function csvCell(v) {
+  if (v == null) return '';
+  const s = typeof v === 'string' && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvLine = (cells) => cells.map(csvCell).join(',') + '\r\n';
+
+// ---------- facts ----------
+// Sources d'un point: celle qui porte la valeur retenue, ou pour un point dérivé la mieux pondérée de chaque entrée
+function pointSources(p) {
+  if (!p.inputs) return p.consensus?.candidate?.source ? [p.consensus.candidate.source] : [];
+  const out = [];
+  const walk = (inputs) => {
+    for (const input of Object.values(inputs || {})) {
+      if (input.inputs) walk(input.inputs);
+      else if (input.facts?.[0]?.source) out.push(input.facts[0].source);
+    }
+  };
+  walk(p.inputs);
+  return out;
+}
+
+// point de série (lib/series, lib/derived) -> champs communs aux deux formats
+function factFields(p) {
+  const sources = pointSources(p);
+  const urls = Array.from(new Set(sources.map(s => s.url).filter(Boolean)));
+  const trusts = sources.map(s => s.trust_score).filter(t => t != null).map(Number);
+  return {
+    value: p.value,
+    unit: p.base_unit ?? null,
+    currency: p.currency ?? null,
+    source_url: urls.join(' | ') || null,
+    trust_score: trusts.length ? Math.min(...trusts) : null
+  };
+}
+
+const LONG_COLUMNS = [
+  'company', 'company_name', 'metric', 'derived', 'period', 'period_type', 'fiscal_year', 'date',
+  'value', 'unit', 'currency', 'restated', 'as_reported_value', 'sources', 'source_url', 'trust_score'
+];
+
+// une ligne par société × métrique × période
+function longRow(company, metric, p) {
+  const f = factFields(p);
+  return {
+    company: company.slug,
+    company_name: company.name,
+    metric: metric.name,
+    derived: metric.derived,
+    period: p.period.label,
+    period_type: p.period.type,
+    fiscal_year: p.period.fiscal_year,
+    date: p.date,
+    ...f,
+    restated: !!p.restated,
+    as_reported_value: p.restated ? (p.as_reported_value ?? null) : null,
+    sources: p.inputs ? pointSources(p).length : p.consensus.candidates.length
+  };
+}
+
+// une ligne par société × période; par métrique: valeur, unité, devise, source(s), trust
+const WIDE_FIELDS = ['unit', 'currency', 'source_url', 'trust_score'];
+
+const wideColumns = (metricNames) => [
+  'company', 'company_name', 'period', 'period_type', 'fiscal_year', 'date',
+  ...metricNames.flatMap(m => [m, ...WIDE_FIELDS.map(k => `${m}_${k}`)])
+];
+
+// company + [{ name, series }] -> lignes triées par date (une période = une ligne)
+function wideRows(company, metrics) {
+  const byPeriod = new Map();
+  for (const m of metrics) {
+    for (const p of m.series) {
+      if (!byPeriod.has(p.period.key)) {
+        byPeriod.set(p.period.key, {
+          company: company.slug,
+          company_name: company.name,
+          period: p.period.label,
+          period_type: p.period.type,
+          fiscal_year: p.period.fiscal_year,
+          date: p.date
+        });
+      }
+      const row = byPeriod.get(p.period.key);
+      const f = factFields(p);
+      row[m.name] = f.value;
+      for (const k of WIDE_FIELDS) row[`${m.name}_${k}`] = f[k];
+    }
+  }
+  return Array.from(byPeriod.values())
+    .sort((a, b) => (new Date(a.date) - new Date(b.date)) || (a.period_type === 'FY') - (b.period_type === 'FY'));
+}
+
+// ---------- insights / news ----------
+const iso = (d) => (d ? new Date(d).toISOString() : null);
+
+const insightItem = (r, company) => ({
+  kind: 'insight',
+  id: r.id,
+  company: company.slug,
+  cluster_id: r.cluster_id ?? r.id,
+  date: iso(r.created_at),
+  theme: r.theme ?? r.theme_enum ?? 'other',
+  theme_enum: r.theme_enum ?? 'other',
+  text: r.text,
+  confidence: r.confidence ?? null,
+  provenance_score: provenanceScore(r.confidence ?? 0, r.sources),
+  publisher: publisherOf(r.sources)
+});
+
+const newsItem = (r, company) => ({
+  kind: 'news',
+  id: r.id,
+  company: company.slug,
+  cluster_id: r.cluster_id ?? r.id,
+  date: iso(r.event_date),
+  headline: r.headline,
+  summary: r.summary ?? null,
+  full_text: r.full_text ?? null,
+  theme: r.theme_enum ?? 'other',
+  importance: r.importance ?? null,
+  provenance_score: provenanceScore(1, r.sources),
+  publisher: publisherOf(r.sources)
+});
+
+module.exports = {
+  csvCell,
+  csvLine,
+  LONG_COLUMNS,
+  longRow,
+  wideColumns,
+  wideRows,
+  insightItem,
+  newsItem
+};
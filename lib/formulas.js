@@ -0,0 +1,108 @@
+// /lib/formulas.js — derived metric formulas, e.g. `operating_income / revenue`, `debt - cash`
+// Identifiers are metrics_dictionary key_slugs, numbers are constants; + - * / and parentheses.
+
+class FormulaError extends Error {
+  constructor(message, formula) {
+    super(formula != null ? `formula "${formula}": ${message}` : message);
+    this.code = 'FORMULA_INVALID';
+    this.formula = formula ?? null;
+  }
+}
+
+// identifiant: contient au moins une lettre ou '_' (sinon c'est un nombre)
+const TOKEN = /\s*(?:([a-z0-9_]*[a-z_][a-z0-9_]*)|(\d+(?:\.\d+)?|\.\d+)|([-+*/()]))/y;
+
+function tokenize(src) {
+  const tokens = [];
+  const text = String(src).toLowerCase();
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    if (!text.slice(TOKEN.lastIndex).trim()) break;
+    const at = TOKEN.lastIndex;
+    const m = TOKEN.exec(text);
+    if (!m) throw new FormulaError(`unexpected character "${text[at]}" at ${at}`, src);
+    if (m[1]) tokens.push({ type: 'ref', value: m[1] });
+    else if (m[2]) tokens.push({ type: 'num', value: Number(m[2]) });
+    else tokens.push({ type: 'op', value: m[3] });
+  }
+  return tokens;
+}
+
+// expr := term (('+'|'-') term)* ; term := factor (('*'|'/') factor)* ; factor := '-' factor | num | ref | '(' expr ')'
+// -> AST: { type: 'num', value } | { type: 'ref', key } | { type: 'neg', arg } | { type: 'bin', op, left, right }
+function parseFormula(src) {
+  if (!src || !String(src).trim()) throw new FormulaError('empty formula', src);
+  const tokens = tokenize(src);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+
+  function factor() {
+    const t = tokens[i++];
+    if (!t) throw new FormulaError('unexpected end', src);
+    if (t.type === 'num') return { type: 'num', value: t.value };
+    if (t.type === 'ref') return { type: 'ref', key: t.value };
+    if (t.value === '-') return { type: 'neg', arg: factor() };
+    if (t.value === '(') {
+      const e = expr();
+      if (!isOp(')')) throw new FormulaError('missing ")"', src);
+      i++;
+      return e;
+    }
+    throw new FormulaError(`unexpected "${t.value}"`, src);
+  }
+  function term() {
+    let left = factor();
+    while (isOp('*', '/')) {
+      const op = tokens[i++].value;
+      left = { type: 'bin', op, left, right: factor() };
+    }
+    return left;
+  }
+  function expr() {
+    let left = term();
+    while (isOp('+', '-')) {
+      const op = tokens[i++].value;
+      left = { type: 'bin', op, left, right: term() };
+    }
+    return left;
+  }
+
+  const ast = expr();
+  if (i < tokens.length) throw new FormulaError(`unexpected "${tokens[i].value}"`, src);
+  return ast;
+}
+
+// key_slugs référencés
+function refsOf(ast, out = new Set()) {
+  if (ast.type === 'ref') out.add(ast.key);
+  else if (ast.type === 'neg') refsOf(ast.arg, out);
+  else if (ast.type === 'bin') { refsOf(ast.left, out); refsOf(ast.right, out); }
+  return out;
+}
+
+// valueOf(key) -> number | null ; null si une entrée manque ou division par zéro
+function evaluate(ast, valueOf) {
+  switch (ast.type) {
+    case 'num': return ast.value;
+    case 'ref': {
+      const v = valueOf(ast.key);
+      return v == null || !Number.isFinite(Number(v)) ? null : Number(v);
+    }
+    case 'neg': {
+      const v = evaluate(ast.arg, valueOf);
+      return v == null ? null : -v;
+    }
+    default: {
+      const a = evaluate(ast.left, valueOf);
+      const b = evaluate(ast.right, valueOf);
+      if (a == null || b == null) return null;
+      if (ast.op === '+') return a + b;
+      if (ast.op === '-') return a - b;
+      if (ast.op === '*') return a * b;
+      return b === 0 ? null : a / b;
+    }
+  }
+}
+
+module.exports = { FormulaError, parseFormula, refsOf, evaluate };
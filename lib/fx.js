@@ -0,0 +1,218 @@
+// /lib/fx.js — currency tagging + conversion from the local fx_rates table
+// Rates are stored as 1 base = rate quote (ex: EUR/USD 1.0842), one row per day.
+
+// Pivots used for cross rates when no direct/inverse pair is loaded
+const PIVOTS = ['EUR', 'USD'];
+
+// Weekends / holidays: a rate up to this many days old still applies
+const MAX_STALENESS_DAYS = 7;
+const DAY_MS = 24 * 3600 * 1000;
+
+// Ordre: codes et variantes du dollar ("HK$", "C$", "US dollars") avant le "$" et les "dollars" seuls
+const CURRENCY_RULES = [
+  ['USD', /USD|(?<![A-Z])U\.?S\.?\s?\$|\bU\.?S\.?\s+DOLLARS?\b|\bDOLLARS?\s+(AMERICAINS?|US)\b/],
+  ['HKD', /(?<![A-Z])HK\$|\bHONG\s+KONG\s+DOLLARS?\b|\bDOLLARS?\s+DE\s+HONG\s+KONG\b/],
+  ['CAD', /(?<![A-Z])CA?\$|\bCANADIAN\s+DOLLARS?\b|\bDOLLARS?\s+CANADIENS?\b/],
+  ['AUD', /(?<![A-Z])AU?\$|\bAUSTRALIAN\s+DOLLARS?\b|\bDOLLARS?\s+AUSTRALIENS?\b/],
+  ['NZD', /(?<![A-Z])NZ\$|\bNEW\s+ZEALAND\s+DOLLARS?\b/],
+  ['SGD', /(?<![A-Z])SG?\$|\bSINGAPORE\s+DOLLARS?\b/],
+  ['CHF', /\bSWISS\s+FRANCS?\b|\bFRANCS?\s+SUISSES?\b/],
+  ['EUR', /\bEUROS?\b/],
+  ['USD', /\$|\bDOLLARS?\b/],
+  ['GBP', /GBP|£|\bPOUNDS?\b|\bSTERLING\b/],
+  ['JPY', /JPY|¥|\bYEN\b/],
+  ['CNY', /CNY|RMB|\bYUAN\b|\bRENMINBI\b/]
+];
+
+// Codes ajoutés: seuls ou collés à une échelle ("CADm", "MCHF"), jamais dans un mot ("AUDience")
+const ISO_CODE_RE = /(?<![A-Z])(?:MM|MN|BN|[MKTB])?(HKD|CAD|AUD|NZD|SGD|CHF)(?:BN|MN|MM|[MKB])?(?![A-Z])/;
+
+function guessCurrencyCode(str='') {
+  const s = String(str).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toUpperCase();
+  if (/€|EUR/.test(s)) return 'EUR';
+  const iso = s.match(ISO_CODE_RE);
+  if (iso) return iso[1];
+  for (const [code, re] of CURRENCY_RULES) if (re.test(s)) return code;
+  return 'CURRENCY_UNKNOWN';
+}
+
+// fact row -> ISO code ou null (non monétaire / inconnu); lit la colonne currency puis unit
+function currencyOf(row) {
+  if (row?.currency) return row.currency;
+  if (!row?.unit) return null;
+  const c = guessCurrencyCode(row.unit);
+  return c === 'CURRENCY_UNKNOWN' ? null : c;
+}
+
+class FxRateMissingError extends Error {
+  constructor(missing) {
+    super(`missing FX rate for ${missing.map(m => `${m.from}/${m.to}@${m.date}`).join(', ')}`);
+    this.code = 'FX_RATE_MISSING';
+    this.missing = missing;
+  }
+}
+
+// ---------- parsing (POST /api/fx) ----------
+const toDay = (d) => {
+  const t = new Date(d);
+  return Number.isNaN(t.getTime()) ? null : t.toISOString().slice(0, 10);
+};
+
+// CSV long (date,base,quote,rate) ou large façon BCE (date,USD,JPY,... avec base par défaut)
+function parseRatesCsv(text, defaultBase = 'EUR') {
+  const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (!lines.length) return [];
+  const sep = lines[0].includes(';') ? ';' : ',';
+  const header = lines[0].split(sep).map(h => h.trim().toLowerCase());
+  const rows = [];
+  const isLong = ['date', 'base', 'quote', 'rate'].every(h => header.includes(h));
+  for (const line of lines.slice(1)) {
+    const cells = line.split(sep).map(c => c.trim());
+    if (isLong) {
+      const rec = Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+      rows.push({ date: rec.date, base: rec.base, quote: rec.quote, rate: rec.rate });
+    } else {
+      for (let i = 1; i < header.length; i++) {
+        rows.push({ date: cells[0], base: defaultBase, quote: header[i], rate: cells[i] });
+      }
+    }
+  }
+  return rows;
+}
+
+// -> { rows: [{ rate_date, base, quote, rate }], rejected: [{ index, reason }] }
+function normalizeRates(input, defaultBase = 'EUR') {
+  const rows = [];
+  const rejected = [];
+  (input || []).forEach((r, index) => {
+    const rate_date = toDay(r.date ?? r.rate_date);
+    const base = String(r.base || defaultBase || '').trim().toUpperCase();
+    const quote = String(r.quote || '').trim().toUpperCase();
+    const rate = Number(String(r.rate ?? '').replace(',', '.'));
+    if (!rate_date) return rejected.push({ index, reason: 'invalid date' });
+    if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(quote)) return rejected.push({ index, reason: 'invalid currency code' });
+    if (base === quote) return rejected.push({ index, reason: 'base equals quote' });
+    if (!Number.isFinite(rate) || rate <= 0) return rejected.push({ index, reason: 'invalid rate' });
+    rows.push({ rate_date, base, quote, rate });
+  });
+  return { rows, rejected };
+}
+
+// ---------- lookup ----------
+// Charge les taux utiles (currencies + pivots) sur [minDate - staleness, maxDate]
+async function loadRates(store, currencies, minDate, maxDate) {
+  const codes = Array.from(new Set([...currencies, ...PIVOTS]));
+  const from = new Date(new Date(minDate).getTime() - MAX_STALENESS_DAYS * DAY_MS).toISOString().slice(0, 10);
+  const data = await store.fxRates.listBetween(codes, from, maxDate);
+
+  const index = new Map(); // 'EUR/USD' -> [{ date, rate }] asc
+  for (const r of data || []) {
+    const k = `${r.base}/${r.quote}`;
+    if (!index.has(k)) index.set(k, []);
+    index.get(k).push({ date: toDay(r.rate_date), rate: Number(r.rate) });
+  }
+  return index;
+}
+
+// Dernier taux <= date et pas plus vieux que MAX_STALENESS_DAYS
+function pairRate(index, base, quote, date) {
+  const list = index.get(`${base}/${quote}`);
+  if (!list) return null;
+  const t = new Date(date).getTime();
+  for (let i = list.length - 1; i >= 0; i--) {
+    const rt = new Date(list[i].date).getTime();
+    if (rt > t) continue;
+    if (t - rt > MAX_STALENESS_DAYS * DAY_MS) return null;
+    return list[i];
+  }
+  return null;
+}
+
+// from -> to à la date: direct, inverse, puis croisé via pivot -> { rate, rate_date, via } | null
+function rateFor(index, from, to, date) {
+  if (from === to) return { rate: 1, rate_date: date, via: null };
+  const direct = (a, b) => {
+    const d = pairRate(index, a, b, date);
+    if (d) return { rate: d.rate, rate_date: d.date };
+    const inv = pairRate(index, b, a, date);
+    if (inv) return { rate: 1 / inv.rate, rate_date: inv.date };
+    return null;
+  };
+  const hit = direct(from, to);
+  if (hit) return { ...hit, via: null };
+  for (const p of PIVOTS) {
+    if (p === from || p === to) continue;
+    const a = direct(from, p);
+    const b = a && direct(p, to);
+    if (a && b) {
+      return { rate: a.rate * b.rate, rate_date: a.rate_date < b.rate_date ? a.rate_date : b.rate_date, via: p };
+    }
+  }
+  return null;
+}
+
+// Candidats du consensus d'un point (lib/series) -> même devise que la valeur; false si un taux manque
+function convertCandidates(index, p, target, missing) {
+  let ok = true;
+  for (const c of p.consensus?.candidates || []) {
+    if (!c.currency || c.currency === target) continue;
+    const r = rateFor(index, c.currency, target, c.date ?? p.date);
+    if (!r) {
+      missing.push({ from: c.currency, to: target, date: c.date ?? p.date });
+      ok = false;
+      continue;
+    }
+    // déjà converti vers la devise du consensus: taux composé depuis la devise publiée
+    const rate = c.original_currency ? c.fx_rate * r.rate : r.rate;
+    c.original_value = c.original_value ?? c.value;
+    c.original_currency = c.original_currency ?? c.currency;
+    c.fx_rate = Number(rate.toPrecision(10));
+    c.value = c.value * r.rate;
+    c.currency = target;
+  }
+  return ok;
+}
+
+// points: [{ date, value, currency, consensus? }] -> convertit en place (valeur, valeur publiée à l'origine
+// et candidats du consensus); throws FxRateMissingError (ou ignore si drop)
+async function convertPoints(store, points, target, { onMissing = 'throw' } = {}) {
+  const monetary = points.filter(p => p.currency);
+  if (!monetary.length) return points;
+  const dates = monetary.map(p => p.date).sort();
+  const currencies = monetary.flatMap(p => [p.currency, ...(p.consensus?.candidates || []).map(c => c.currency)]);
+  const index = await loadRates(store, [target, ...currencies.filter(Boolean)], dates[0], dates[dates.length - 1]);
+
+  const missing = [];
+  const kept = [];
+  for (const p of points) {
+    if (!p.currency) { kept.push(p); continue; }
+    const r = rateFor(index, p.currency, target, p.date);
+    if (!r) {
+      missing.push({ from: p.currency, to: target, date: p.date });
+      continue;
+    }
+    if (!convertCandidates(index, p, target, missing)) continue;
+    p.original_currency = p.currency;
+    p.original_value = p.value;
+    p.fx_rate = Number(r.rate.toPrecision(10));
+    p.fx_rate_date = r.rate_date;
+    p.fx_via = r.via;
+    p.value = p.value * r.rate;
+    if (p.as_reported_value != null) p.as_reported_value = p.as_reported_value * r.rate;
+    p.currency = target;
+    kept.push(p);
+  }
+  if (missing.length && onMissing === 'throw') throw new FxRateMissingError(missing);
+  return kept;
+}
+
+module.exports = {
+  guessCurrencyCode,
+  currencyOf,
+  FxRateMissingError,
+  parseRatesCsv,
+  normalizeRates,
+  loadRates,
+  rateFor,
+  convertPoints
+};
@@ -0,0 +1,70 @@
+// /lib/idempotency.js — Idempotency-Key support for write routes
+// First request with a key claims it (status 'processing'), then stores its response.
+// A retry with the same key and payload replays that response; a different payload is refused.
+// Keys are scoped by API key: owner = { apiKeyId, key } (apiKeyId null = bootstrap tokens).
+// A claim left 'processing' past LEASE_MS (request killed before completing or releasing) is taken over by a retry.
+const crypto = require('crypto');
+
+// Au-delà de la durée maximale d'une fonction: un claim plus ancien appartient à une requête morte
+const LEASE_MS = 5 * 60 * 1000;
+
+const requestHash = (scope, raw) =>
+  crypto.createHash('sha256').update(`${scope}\n${raw || ''}`).digest('hex');
+
+function idempotencyKey(req) {
+  const k = req.headers['idempotency-key'] || req.headers['Idempotency-Key'] || '';
+  const key = String(k).trim();
+  return key ? key.slice(0, 255) : null;
+}
+
+// -> { state: 'claimed' } | { state: 'replay', status, body } | { state: 'conflict', status, error }
+async function claimKey(store, owner, hash) {
+  const { apiKeyId, key } = owner;
+  try {
+    await store.ingestRequests.insert({
+      api_key_id: apiKeyId,
+      idempotency_key: key,
+      request_hash: hash,
+      status: 'processing',
+      claimed_at: new Date().toISOString()
+    });
+    return { state: 'claimed' };
+  } catch (e) {
+    if (e.code !== '23505') throw e;
+  }
+
+  const data = await store.ingestRequests.findByKey(apiKeyId, key);
+  if (!data) return claimKey(store, owner, hash); // libérée entre-temps
+
+  if (data.request_hash !== hash) {
+    return { state: 'conflict', status: 422, error: 'Idempotency-Key already used with a different payload' };
+  }
+  if (data.status === 'completed') {
+    return { state: 'replay', status: data.response_status, body: data.response_body };
+  }
+  const expired = Date.parse(data.claimed_at) <= Date.now() - LEASE_MS;
+  if (expired && await store.ingestRequests.takeOver(apiKeyId, key, data.claimed_at, new Date().toISOString())) {
+    return { state: 'claimed' };
+  }
+  return { state: 'conflict', status: 409, error: 'a request with this Idempotency-Key is still in progress' };
+}
+
+async function completeKey(store, { apiKeyId, key }, status, body) {
+  await store.ingestRequests.update(apiKeyId, key, {
+    status: 'completed',
+    response_status: status,
+    response_body: body,
+    completed_at: new Date().toISOString()
+  });
+}
+
+// Échec annulé (rien d'écrit): la clé est libérée pour qu'un retry rejoue réellement
+async function releaseKey(store, { apiKeyId, key }) {
+  try {
+    await store.ingestRequests.remove(apiKeyId, key);
+  } catch (e) {
+    console.error('ingest_requests release:', e.message);
+  }
+}
+
+module.exports = { LEASE_MS, requestHash, idempotencyKey, claimKey, completeKey, releaseKey };
@@ -0,0 +1,176 @@
+// /lib/identity.js — company identity resolution: slug, then company_aliases (names, tickers, ISIN, LEI, domain)
+// Shared by /api/ingest (which company a payload belongs to) and the read routes (company=<anything known>).
+const { toSlug } = require('./slug');
+
+const ALIAS_KINDS = ['name', 'ticker', 'isin', 'lei', 'domain'];
+
+// Identifiants forts d'abord: un ISIN l'emporte sur un nom
+const PRIORITY = ['isin', 'lei', 'domain', 'ticker', 'name'];
+
+// Formes juridiques retirées en fin de nom ('LVMH SE' = 'LVMH')
+const LEGAL_FORMS = new Set([
+  'sa', 'se', 'sas', 'sasu', 'sca', 'scs', 'spa', 'ag', 'kgaa', 'nv', 'bv', 'plc', 'inc', 'corp', 'corporation',
+  'ltd', 'limited', 'llc', 'gmbh', 'co', 'ab', 'asa', 'oyj'
+]);
+
+// 'LVMH Moët Hennessy Louis Vuitton SE' -> 'lvmh_moet_hennessy_louis_vuitton'
+function nameKey(name) {
+  const parts = toSlug(name).split('_').filter(Boolean);
+  while (parts.length > 1 && LEGAL_FORMS.has(parts[parts.length - 1])) parts.pop();
+  return parts.join('_') || null;
+}
+
+// ISIN: 12 caractères, chiffre de contrôle Luhn sur les lettres converties (A=10..Z=35)
+function validIsin(isin) {
+  if (!/^[A-Z]{2}[A-Z0-9]{9}[0-9]$/.test(isin)) return false;
+  const digits = isin.replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// LEI (ISO 17442): 20 caractères, ISO 7064 mod 97-10 = 1
+function validLei(lei) {
+  if (!/^[A-Z0-9]{18}[0-9]{2}$/.test(lei)) return false;
+  const digits = lei.replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+  let rem = 0;
+  for (const ch of digits) rem = (rem * 10 + Number(ch)) % 97;
+  return rem === 1;
+}
+
+// 'https://www.LVMH.com/fr/' -> 'lvmh.com'
+function domainKey(value) {
+  const host = String(value).trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+}
+
+// Valeur normalisée d'un alias, null si invalide
+function normalizeAlias(kind, value) {
+  if (value == null || String(value).trim() === '') return null;
+  const compact = String(value).trim().toUpperCase().replace(/\s+/g, '');
+  switch (kind) {
+    case 'name': return nameKey(value);
+    case 'ticker': return /^[A-Z0-9][A-Z0-9.:-]{0,19}$/.test(compact) ? compact : null;
+    case 'isin': return validIsin(compact) ? compact : null;
+    case 'lei': return validLei(compact) ? compact : null;
+    case 'domain': return domainKey(value);
+    default: return null;
+  }
+}
+
+// Texte libre (company=...) -> alias possibles, sans savoir s'il s'agit d'un nom, d'un ticker, d'un ISIN...
+function candidatesOf(ref) {
+  const out = [];
+  for (const kind of ALIAS_KINDS) {
+    if (kind === 'domain' && !String(ref).includes('.')) continue;
+    const value = normalizeAlias(kind, ref);
+    if (value) out.push({ kind, value });
+  }
+  return out;
+}
+
+// Payload d'ingest -> alias déclarés (nom de la société compris), normalisés et sans doublon
+function aliasesOf(parsed) {
+  const declared = [
+    ['name', parsed.company],
+    ...[].concat(parsed.aliases || []).map(v => ['name', v]),
+    ...[].concat(parsed.tickers || []).map(v => ['ticker', v]),
+    ...[].concat(parsed.isin || []).map(v => ['isin', v]),
+    ...[].concat(parsed.lei || []).map(v => ['lei', v]),
+    ...[].concat(parsed.domain || []).map(v => ['domain', v])
+  ];
+  const seen = new Set();
+  const out = [];
+  for (const [kind, raw] of declared) {
+    const value = normalizeAlias(kind, raw);
+    if (!value || seen.has(`${kind}|${value}`)) continue;
+    seen.add(`${kind}|${value}`);
+    out.push({ kind, value });
+  }
+  return out;
+}
+
+// Alias invalides d'un payload (pour un message d'erreur)
+function invalidAliases(parsed) {
+  const out = [];
+  for (const kind of ['tickers', 'isin', 'lei', 'domain']) {
+    const aliasKind = kind === 'tickers' ? 'ticker' : kind;
+    for (const v of [].concat(parsed[kind] || [])) if (!normalizeAlias(aliasKind, v)) out.push(`${aliasKind} ${v}`);
+  }
+  return out;
+}
+
+const pairKey = (p) => `${p.kind}|${p.value}`;
+const byPriority = (a, b) => PRIORITY.indexOf(a.kind) - PRIORITY.indexOf(b.kind);
+
+// company=<slug | nom | ticker | ISIN | LEI | domaine> -> { company, matched_by } | null
+async function resolveCompany(store, ref, columns = '*') {
+  const slug = toSlug(ref);
+  if (slug) {
+    const company = await store.companies.findBySlug(slug, columns);
+    if (company) return { company, matched_by: 'slug' };
+  }
+  const hits = (await store.companyAliases.findMatches(candidatesOf(ref))).sort(byPriority);
+  for (const hit of hits) {
+    const company = await store.companies.findById(hit.company_id, columns);
+    if (company) return { company, matched_by: hit.kind };
+  }
+  return null;
+}
+
+// Payloads d'ingest -> [{ company, matched_by, conflicts } | null] (deux lectures pour tout le lot)
+// Ordre: identifiants forts déclarés (ISIN, LEI, domaine, ticker), puis slug, puis noms / alias de nom.
+// conflicts: alias déclarés déjà rattachés à une autre société (ils ne sont pas réattribués)
+async function resolveForIngest(store, parsedList) {
+  const declared = parsedList.map(aliasesOf);
+  const slugs = Array.from(new Set(parsedList.map(p => toSlug(p.company)).filter(Boolean)));
+  const bySlug = new Map((await store.companies.findBySlugs(slugs)).map(c => [c.slug, c]));
+  const hits = new Map((await store.companyAliases.findMatches(declared.flat())).map(r => [pairKey(r), r]));
+
+  const missing = Array.from(new Set(Array.from(hits.values()).map(h => h.company_id)))
+    .filter(id => !Array.from(bySlug.values()).some(c => c.id === id));
+  const byId = new Map(Array.from(bySlug.values()).map(c => [c.id, c]));
+  for (const c of await store.companies.findByIds(missing)) byId.set(c.id, c);
+
+  return parsedList.map((p, i) => {
+    const found = declared[i].map(a => hits.get(pairKey(a))).filter(h => h && byId.has(h.company_id)).sort(byPriority);
+    const strong = found.find(h => h.kind !== 'name');
+    let company = null;
+    let matched_by = null;
+    if (strong) { company = byId.get(strong.company_id); matched_by = strong.kind; }
+    else if (bySlug.has(toSlug(p.company))) { company = bySlug.get(toSlug(p.company)); matched_by = 'slug'; }
+    else if (found.length) { company = byId.get(found[0].company_id); matched_by = found[0].kind; }
+    if (!company) return null;
+    const conflicts = found
+      .filter(h => h.company_id !== company.id)
+      .map(h => ({ kind: h.kind, value: h.value, company_id: h.company_id, company: byId.get(h.company_id)?.slug ?? null }));
+    return { company, matched_by, conflicts };
+  });
+}
+
+// Lignes company_aliases à enregistrer pour une société (slug compris)
+const aliasRows = (companyId, aliases, slug = null) => {
+  const rows = aliases.map(a => ({ company_id: companyId, kind: a.kind, value: a.value }));
+  const key = slug ? nameKey(slug) : null;
+  if (key && !aliases.some(a => a.kind === 'name' && a.value === key)) rows.push({ company_id: companyId, kind: 'name', value: key });
+  return rows;
+};
+
+module.exports = {
+  ALIAS_KINDS,
+  nameKey,
+  normalizeAlias,
+  aliasesOf,
+  invalidAliases,
+  aliasRows,
+  resolveCompany,
+  resolveForIngest
+};
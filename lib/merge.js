@@ -0,0 +1,127 @@
+// /lib/merge.js — merge a duplicate company into another one: sources, facts, insights, news and aliases move,
+// the duplicate's name and slug become aliases of the kept company, API keys restricted to the duplicate are
+// restricted to the kept company, its alert subscriptions and delivery log follow it, then the duplicate is deleted.
+// Not one transaction (PostgREST): each step is idempotent, so re-running a merge that stopped halfway finishes it.
+const { nameKey } = require('./identity');
+const { rankCompanyInsights } = require('./ranking');
+const { companyChanged, globalChanged } = require('./cache');
+
+// Attributs repris du doublon quand la société conservée ne les a pas
+const FILLED_ATTRS = ['domain', 'sector', 'industry', 'fiscal_year_end'];
+
+const sourceKey = (s) => `${s.url}|${s.version ?? 1}`;
+
+// ids à déplacer, groupés par source cible (null = source inchangée)
+function groupBySource(rows, sourceMap) {
+  const groups = new Map();
+  for (const r of rows) {
+    const target = sourceMap.get(r.source_id) ?? null;
+    if (!groups.has(target)) groups.set(target, []);
+    groups.get(target).push(r.id);
+  }
+  return groups;
+}
+
+async function moveRows(repo, groups, companyId) {
+  for (const [sourceId, ids] of groups) {
+    await repo.updateIds(ids, sourceId == null ? { company_id: companyId } : { company_id: companyId, source_id: sourceId });
+  }
+}
+
+// into / from: lignes companies -> { moved, dry_run }
+async function mergeCompanies(store, into, from, { dryRun = false } = {}) {
+  if (into.id === from.id) throw new Error('cannot merge a company into itself');
+
+  // 1) Sources: même document (url + version) des deux côtés -> celle du doublon disparaît
+  const [fromSources, intoSources] = await Promise.all([
+    store.sources.listByCompany(from.id, 'id, url, version'),
+    store.sources.listByCompany(into.id, 'id, url, version')
+  ]);
+  const intoByKey = new Map(intoSources.map(s => [sourceKey(s), s.id]));
+  const sourceMap = new Map(); // source du doublon -> source conservée
+  for (const s of fromSources) if (intoByKey.has(sourceKey(s))) sourceMap.set(s.id, intoByKey.get(sourceKey(s)));
+  const movedSources = fromSources.filter(s => !sourceMap.has(s.id)).map(s => s.id);
+
+  // 2) Contenus: faits / insights / news déjà présents (même hash, unique par société) côté conservé -> supprimés
+  const listFacts = (id, o) => store.facts.listByCompanies([id], { reviewStatus: null, ...o });
+  const content = {};
+  for (const [name, list, hash] of [
+    ['facts', listFacts, 'fact_md5'],
+    ['insights', (id, o) => store.insights.listByCompany(id, o), 'text_md5'],
+    ['news', (id, o) => store.news.listByCompany(id, o), 'text_md5']
+  ]) {
+    const [fromRows, intoRows] = await Promise.all([
+      list(from.id, { columns: `id, source_id, ${hash}` }),
+      list(into.id, { columns: hash })
+    ]);
+    const known = new Set(intoRows.map(r => r[hash]));
+    content[name] = {
+      move: fromRows.filter(r => !known.has(r[hash])),
+      drop: fromRows.filter(r => known.has(r[hash])).map(r => r.id)
+    };
+  }
+
+  const aliases = await store.companyAliases.listByCompanies([from.id]);
+  // clés API limitées au doublon (table courte: lue en entier)
+  const keys = (await store.apiKeys.list('id, company_ids'))
+    .filter(k => k.company_ids?.some(id => Number(id) === Number(from.id)));
+  const subscriptions = await store.alertSubscriptions.list({ companyId: from.id, columns: 'id' });
+  const moved = {
+    sources: movedSources.length,
+    sources_deduplicated: sourceMap.size,
+    facts: content.facts.move.length,
+    facts_deduplicated: content.facts.drop.length,
+    insights: content.insights.move.length,
+    insights_deduplicated: content.insights.drop.length,
+    news: content.news.move.length,
+    news_deduplicated: content.news.drop.length,
+    aliases: aliases.length,
+    api_keys: keys.length,
+    alert_subscriptions: subscriptions.length
+  };
+  if (dryRun) return { moved, dry_run: true };
+
+  // 3) Écritures: contenus d'abord, puis sources, alias, attributs; le doublon en dernier
+  for (const name of ['facts', 'insights', 'news']) {
+    await store[name].removeIds(content[name].drop);
+    await moveRows(store[name], groupBySource(content[name].move, sourceMap), into.id);
+  }
+  for (const [dupId, keptId] of sourceMap) {
+    await store.sources.repoint(dupId, keptId);
+    await store.sources.remove(dupId);
+  }
+  await store.sources.updateIds(movedSources, { company_id: into.id });
+
+  await store.companyAliases.moveCompany(from.id, into.id);
+  const names = Array.from(new Set([nameKey(from.name), nameKey(from.slug)].filter(Boolean)));
+  await store.companyAliases.insertMissing(names.map(value => ({ company_id: into.id, kind: 'name', value })));
+
+  for (const k of keys) {
+    const ids = Array.from(new Set(k.company_ids.map(id => (Number(id) === Number(from.id) ? into.id : Number(id)))));
+    await store.apiKeys.update(k.id, { company_ids: ids }, 'id');
+  }
+  // abonnements (et leurs livraisons) supprimés en cascade avec le doublon s'ils restaient attachés
+  await store.alertSubscriptions.moveCompany(from.id, into.id);
+  await store.alertDeliveries.moveCompany(from.id, into.id);
+
+  const patch = {};
+  for (const attr of FILLED_ATTRS) if (into[attr] == null && from[attr] != null) patch[attr] = from[attr];
+  if (Object.keys(patch).length) await store.companies.update(into.id, patch);
+
+  await store.companies.remove(from.id);
+  // insights repris / dédupliqués: clusters reclassés; les lectures des deux sociétés sont périmées
+  await rankCompanyInsights(store, into.id);
+  await companyChanged(store, [into.id, from.id]);
+  // doublon classé: il quitte son groupe de pairs (et peut classer la société conservée)
+  if (from.sector || from.industry) await globalChanged(store);
+  const merge = await store.companyMerges.insert({
+    into_company_id: into.id,
+    from_company_id: from.id,
+    from_slug: from.slug,
+    from_name: from.name ?? null,
+    moved
+  });
+  return { moved, dry_run: false, merge_id: merge?.id ?? null, filled: patch };
+}
+
+module.exports = { mergeCompanies };
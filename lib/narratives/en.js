@@ -0,0 +1,43 @@
+// /lib/narratives/en.js — English narrative templates (lib/narratives)
+// {placeholders} are filled by the engine; values, changes and periods arrive already formatted.
+module.exports = {
+  intl: 'en-GB',
+
+  // Période seule / précédée de sa préposition
+  period: {
+    FY: 'FY{year}',
+    H: 'H{n} {year}',
+    Q: 'Q{n} {year}',
+    TTM: 'the 12 months to Q{n} {year}'
+  },
+  in_period: {
+    FY: 'in FY{year}',
+    H: 'in H{n} {year}',
+    Q: 'in Q{n} {year}',
+    TTM: 'over the 12 months to Q{n} {year}'
+  },
+
+  // yoy: même période un an plus tôt; qoq: trimestre précédent
+  comparison: {
+    yoy: 'year on year',
+    qoq: 'quarter on quarter'
+  },
+
+  units: { bps: '{value} bps', multiple: '{value}x', points: '{value} pts' },
+
+  subject: '{company}’s {metric}',
+  up: '{subject} rose {change} {comparison} {in_period}, to {value} from {prior_value} in {prior}.',
+  down: '{subject} fell {change} {comparison} {in_period}, to {value} from {prior_value} in {prior}.',
+  flat: '{subject} was flat {comparison} {in_period}, at {value}.',
+  no_comparison: '{subject} was {value} {in_period}; there is no comparable prior period.',
+  missing: 'No figures are available for {subject}.',
+
+  // Paragraphe de synthèse: une phrase par métrique (dernier point), puis les insights principaux
+  summary: '{company}: {body}',
+  summary_subject: '{metric}',
+  insights: 'Top insights: {items}.',
+  insight: '“{text}” ({publisher})',
+  insight_unsourced: '“{text}”',
+  list_separator: '; ',
+  summary_empty: 'No figures or insights are available for {company} yet.'
+};
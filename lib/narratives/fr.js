@@ -0,0 +1,40 @@
+// /lib/narratives/fr.js — modèles de narratifs en français (lib/narratives)
+// Les {placeholders} sont remplis par le moteur; valeurs, variations et périodes arrivent déjà formatées.
+module.exports = {
+  intl: 'fr-FR',
+
+  period: {
+    FY: 'l’exercice {year}',
+    H: 'le S{n} {year}',
+    Q: 'le T{n} {year}',
+    TTM: 'les 12 mois à fin T{n} {year}'
+  },
+  in_period: {
+    FY: 'sur l’exercice {year}',
+    H: 'au S{n} {year}',
+    Q: 'au T{n} {year}',
+    TTM: 'sur les 12 mois à fin T{n} {year}'
+  },
+
+  comparison: {
+    yoy: 'sur un an',
+    qoq: 'sur un trimestre'
+  },
+
+  units: { bps: '{value} pb', multiple: '{value}x', points: '{value} pt' },
+
+  subject: '{company} — {metric}',
+  up: '{subject} : hausse de {change} {comparison} {in_period}, à {value} contre {prior_value} pour {prior}.',
+  down: '{subject} : baisse de {change} {comparison} {in_period}, à {value} contre {prior_value} pour {prior}.',
+  flat: '{subject} : stable {comparison} {in_period}, à {value}.',
+  no_comparison: '{subject} : {value} {in_period}, sans période comparable.',
+  missing: '{subject} : aucune donnée disponible.',
+
+  summary: '{company} — {body}',
+  summary_subject: '{metric}',
+  insights: 'À retenir : {items}.',
+  insight: '« {text} » ({publisher})',
+  insight_unsourced: '« {text} »',
+  list_separator: ' ; ',
+  summary_empty: 'Aucun chiffre ni insight disponible pour {company} pour l’instant.'
+};
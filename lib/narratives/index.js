@@ -0,0 +1,162 @@
+// /lib/narratives/index.js — metric narratives and company summary from per-locale template catalogues
+// One catalogue per locale (fr.js, en.js): adding a language = a new file registered in LOCALES.
+// Numbers, currencies and percentages go through Intl with the catalogue's locale; periods are worded from
+// the fiscal period (FY / H / Q / TTM), changes compare like-for-like periods (lib/periods).
+const { priorYearKey, priorQuarterKey } = require('../periods');
+
+const LOCALES = {
+  fr: require('./fr'),
+  en: require('./en')
+};
+const DEFAULT_LOCALES = Object.keys(LOCALES);
+
+// Variation affichée à 0,0 % (ou 0,0 pt) -> « stable »
+const FLAT_CHANGE = 0.05;
+const MAX_INSIGHTS = 3;
+const MAX_INSIGHT_CHARS = 160;
+
+// 'fr,en' / ['de', 'en'] -> locales connues (ordre conservé); rien de connu -> toutes
+function localesOf(q) {
+  const wanted = [].concat(q ?? []).flatMap(l => String(l).split(',')).map(l => l.trim().toLowerCase().slice(0, 2));
+  const known = Array.from(new Set(wanted.filter(l => LOCALES[l])));
+  return known.length ? known : DEFAULT_LOCALES;
+}
+
+// 'Hausse de {change}' + { change: '3 %' } -> 'Hausse de 3 %' (placeholder inconnu laissé tel quel)
+const fill = (template, vars) => String(template).replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? vars[k] : m));
+
+// -------- formatage ----------
+const numberFormat = (cat, options) => new Intl.NumberFormat(cat.intl, options);
+
+function formatValue(cat, value, { base_unit, currency } = {}) {
+  if (value == null || !Number.isFinite(Number(value))) return '—';
+  const v = Number(value);
+  switch (base_unit) {
+    case 'currency':
+      return currency
+        ? numberFormat(cat, { style: 'currency', currency, notation: 'compact', maximumSignificantDigits: 3 }).format(v)
+        : numberFormat(cat, { notation: 'compact', maximumSignificantDigits: 3 }).format(v);
+    case 'percent':
+      return numberFormat(cat, { style: 'unit', unit: 'percent', maximumFractionDigits: 1 }).format(v);
+    case 'bps':
+      return fill(cat.units.bps, { value: numberFormat(cat, { maximumFractionDigits: 0 }).format(v) });
+    case 'multiple':
+      return fill(cat.units.multiple, { value: numberFormat(cat, { maximumFractionDigits: 1 }).format(v) });
+    case 'ratio':
+      return numberFormat(cat, { maximumFractionDigits: 2 }).format(v);
+    case 'count':
+      return Math.abs(v) < 1e6
+        ? numberFormat(cat, { maximumFractionDigits: 0 }).format(v)
+        : numberFormat(cat, { notation: 'compact', maximumSignificantDigits: 3 }).format(v);
+    default:
+      return numberFormat(cat, { notation: 'compact', maximumSignificantDigits: 3 }).format(v);
+  }
+}
+
+// variation sans signe (le modèle dit hausse / baisse): en % (12.34 -> '12,3 %'), en points pour une métrique en %
+function formatChange(cat, change, { points = false } = {}) {
+  const digits = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+  return points
+    ? fill(cat.units.points, { value: numberFormat(cat, digits).format(Math.abs(change)) })
+    : numberFormat(cat, { style: 'unit', unit: 'percent', ...digits }).format(Math.abs(change));
+}
+
+// période -> 'Q3 2024' / 'au T3 2024' (in: avec sa préposition); libellé brut si type inconnu
+function periodText(cat, period, { in: inPeriod = false } = {}) {
+  const templates = inPeriod ? cat.in_period : cat.period;
+  if (!period || !templates[period.type]) return period?.label ?? '';
+  return fill(templates[period.type], { year: period.fiscal_year, n: period.n });
+}
+
+// -------- narratifs ----------
+// point (yoy / qoq de lib/periods) + point comparé -> { case, change, points, basis, prior }
+// Une métrique en % (marge, taux) varie en points: 11 % -> 12,5 % = +1,5 pt, pas +13,6 %
+function comparisonOf(point, byKey) {
+  const basis = point.yoy != null ? 'yoy' : (point.qoq != null ? 'qoq' : null);
+  if (!basis) return { case: 'no_comparison' };
+  const priorKey = basis === 'yoy' ? priorYearKey(point.period) : priorQuarterKey(point.period);
+  const prior = byKey.get(priorKey) ?? null;
+  if (!prior) return { case: 'no_comparison' };
+  const points = point.base_unit === 'percent';
+  const change = points ? point.value - prior.value : point[basis];
+  const kind = Math.abs(change) < FLAT_CHANGE ? 'flat' : (change > 0 ? 'up' : 'down');
+  return { case: kind, change, points, basis, prior };
+}
+
+// Une phrase pour un point (null: métrique sans données)
+function sentence(cat, { company, metric, point, byKey, inSummary = false }) {
+  const subject = inSummary
+    ? fill(cat.summary_subject, { metric })
+    : fill(cat.subject, { company, metric });
+  if (!point) return fill(cat.missing, { subject });
+
+  const cmp = comparisonOf(point, byKey);
+  return fill(cat[cmp.case], {
+    subject,
+    value: formatValue(cat, point.value, point),
+    in_period: periodText(cat, point.period, { in: true }),
+    change: cmp.change != null ? formatChange(cat, cmp.change, cmp) : null,
+    comparison: cmp.basis ? cat.comparison[cmp.basis] : null,
+    prior: cmp.prior ? periodText(cat, cmp.prior.period) : null,
+    prior_value: cmp.prior ? formatValue(cat, cmp.prior.value, cmp.prior) : null
+  });
+}
+
+const keyed = (series) => new Map(series.filter(p => p.period).map(p => [p.period.key, p]));
+
+// série asc (points lib/series / lib/derived) -> un texte par point et par locale
+function metricNarratives({ company, metric, series, locales = DEFAULT_LOCALES }) {
+  const byKey = keyed(series);
+  return series.map(point => {
+    const texts = {};
+    for (const l of locales) texts[l] = sentence(LOCALES[l], { company: company.name, metric, point, byKey });
+    return { point, texts };
+  });
+}
+
+const clip = (text) => {
+  const t = String(text || '').replace(/\s+/g, ' ').trim().replace(/[.;:\s]+$/, '');
+  return t.length > MAX_INSIGHT_CHARS ? `${t.slice(0, MAX_INSIGHT_CHARS - 1).trimEnd()}…` : t;
+};
+
+// metrics: [{ metric, series }] (dernier point de chaque série); insights déjà classés -> { fr, en, ... }
+function companySummary({ company, metrics = [], insights = [], locales = DEFAULT_LOCALES }) {
+  const top = insights.filter(i => i?.text).slice(0, MAX_INSIGHTS);
+  const out = {};
+  for (const l of locales) {
+    const cat = LOCALES[l];
+    if (!metrics.length && !top.length) {
+      out[l] = fill(cat.summary_empty, { company: company.name });
+      continue;
+    }
+    const parts = metrics.map(({ metric, series }) => sentence(cat, {
+      company: company.name,
+      metric,
+      point: series.length ? series[series.length - 1] : null,
+      byKey: keyed(series),
+      inSummary: true
+    }));
+    if (top.length) {
+      const items = top.map(i => {
+        const publisher = i.publisher?.name || i.publisher?.domain;
+        return publisher
+          ? fill(cat.insight, { text: clip(i.text), publisher })
+          : fill(cat.insight_unsourced, { text: clip(i.text) });
+      });
+      parts.push(fill(cat.insights, { items: items.join(cat.list_separator) }));
+    }
+    out[l] = fill(cat.summary, { company: company.name, body: parts.join(' ') });
+  }
+  return out;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALES,
+  localesOf,
+  formatValue,
+  formatChange,
+  periodText,
+  metricNarratives,
+  companySummary
+};
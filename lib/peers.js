@@ -0,0 +1,140 @@
+// /lib/peers.js — sector/industry peer groups, z-scores & percentile ranks across companies
+const { candidateRates, buildSeries, selectMetricFacts } = require('./series');
+const { computeChanges } = require('./periods');
+const { convertPoints } = require('./fx');
+
+// En dessous de ce nombre de valeurs, pas de z-score (distribution non significative)
+const MIN_PEERS = 3;
+
+// A peer's figure counts for a date if it closes a period of the same type within this window,
+// so companies with different fiscal year ends still line up.
+const PERIOD_WINDOW_DAYS = { FY: 366, H: 184, Q: 92, TTM: 92 };
+const DAY_MS = 24 * 3600 * 1000;
+
+const COMPANY_COLS = 'id, slug, name, domain, fiscal_year_end, sector, industry';
+
+// Industry when it has enough members, else the wider sector
+// (companies avec leur version de contenu: Last-Modified des lectures qui les comparent)
+async function loadPeerGroup(store, { sector, industry }) {
+  if (!sector && !industry) return null;
+  const all = await store.companies.listByClassification({ sector, industry }, `${COMPANY_COLS}, content_updated_at`);
+  const sameIndustry = industry ? all.filter(c => c.industry === industry) : [];
+  if (industry && sameIndustry.length >= MIN_PEERS) {
+    return { level: 'industry', sector: sector || null, industry, companies: sameIndustry };
+  }
+  return { level: sector ? 'sector' : 'industry', sector: sector || null, industry: industry || null, companies: all };
+}
+
+// company_id -> série asc (périodes + yoy/qoq)
+// Montants ramenés à une seule devise avant tout classement: currency=, sinon la devise de publication de la
+// société analysée (subjectId, son dernier point), sinon la plus fréquente du groupe; un point sans devise
+// ou sans taux est écarté (la société analysée, elle, échoue avant)
+// baseUnit: seuls les points de cette unité de base comptent (défaut: la plus fréquente)
+// metricId: faits de cette entrée du dictionnaire (metricKey ignoré)
+async function loadPeerSeries(store, companies, metricKey, { currency, subjectId, baseUnit, basis, asKnownAt, metricId } = {}) {
+  const out = new Map();
+  if (!companies?.length) return out;
+  const rows = await selectMetricFacts(store, companies.map(c => c.id), metricId ? null : metricKey, { asKnownAt, metricId });
+  const byCompany = new Map();
+  for (const r of rows) {
+    if (!byCompany.has(r.company_id)) byCompany.set(r.company_id, []);
+    byCompany.get(r.company_id).push(r);
+  }
+  const rates = await candidateRates(store, rows);
+  for (const c of companies) out.set(c.id, buildSeries(byCompany.get(c.id), c.fiscal_year_end, { basis, rates }));
+
+  const unit = baseUnit !== undefined ? baseUnit : mostCommon([...out.values()].flat().map(p => p.base_unit));
+  if (unit) {
+    for (const [id, series] of out) out.set(id, series.filter(p => !p.base_unit || p.base_unit === unit));
+  }
+
+  const points = [...out.values()].flat();
+  const target = currency || (unit === 'currency'
+    ? (out.get(subjectId)?.filter(p => p.currency).pop()?.currency ?? mostCommon(points.map(p => p.currency)))
+    : null);
+  if (target) {
+    const converted = new Set(await convertPoints(store, points.filter(p => p.currency && p.currency !== target), target, { onMissing: 'drop' }));
+    const kept = (p) => (p.currency ? p.currency === target || converted.has(p) : unit !== 'currency');
+    for (const [id, series] of out) out.set(id, series.filter(kept));
+  }
+  for (const series of out.values()) computeChanges(series);
+  return out;
+}
+
+// Valeur non nulle la plus fréquente (unité de base, devise)
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [u, n] of counts) if (!best || n > counts.get(best)) best = u;
+  return best;
+}
+
+// Dernier point du type demandé, daté <= date et dans la fenêtre de la période
+function snapshotAt(series, periodType, date) {
+  const t = new Date(date).getTime();
+  const window = (PERIOD_WINDOW_DAYS[periodType] ?? 366) * DAY_MS;
+  let hit = null;
+  for (const p of series || []) {
+    if (p.period.type !== periodType) continue;
+    const pt = new Date(p.date).getTime();
+    if (pt > t || t - pt >= window) continue;
+    if (!hit || pt >= new Date(hit.date).getTime()) hit = p;
+  }
+  return hit;
+}
+
+function scoreAgainst(value, values) {
+  if (value == null || !values || values.length < MIN_PEERS) return { zscore: null, percentile: null };
+  const n = values.length;
+  const mean = values.reduce((s, v) => s + v, 0) / n;
+  const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / n);
+  const below = values.filter(v => v < value).length;
+  const equal = values.filter(v => v === value).length;
+  return {
+    zscore: sd > 0 ? Number(((value - mean) / sd).toFixed(3)) : 0,
+    percentile: Number((100 * (below + 0.5 * equal) / n).toFixed(1))
+  };
+}
+
+// Values of every peer for the period closing at `date`
+function peerValuesAt(peerSeries, periodType, date) {
+  const values = [];
+  for (const series of peerSeries.values()) {
+    const p = snapshotAt(series, periodType, date);
+    if (p) values.push(p.value);
+  }
+  return values;
+}
+
+// Classement des pairs pour une métrique à une date (desc par valeur)
+function rankPeers(group, peerSeries, periodType, date) {
+  const entries = [];
+  for (const c of group.companies) {
+    const p = snapshotAt(peerSeries.get(c.id), periodType, date);
+    if (p) entries.push({ company: c, point: p });
+  }
+  const values = entries.map(e => e.point.value);
+  entries.sort((a, b) => b.point.value - a.point.value);
+  return entries.map((e, i) => ({
+    rank: i + 1,
+    company: { slug: e.company.slug, name: e.company.name },
+    date: e.point.date,
+    period: e.point.period.label,
+    value: e.point.value,
+    currency: e.point.currency ?? null,
+    yoy: e.point.yoy,
+    ...scoreAgainst(e.point.value, values)
+  }));
+}
+
+module.exports = {
+  MIN_PEERS,
+  COMPANY_COLS,
+  loadPeerGroup,
+  loadPeerSeries,
+  snapshotAt,
+  scoreAgainst,
+  peerValuesAt,
+  rankPeers
+};
@@ -0,0 +1,185 @@
+// /lib/periods.js — fiscal period inference for facts (FY, H1/H2, Q1–Q4, TTM)
+// A fact's period comes from its qualifier when it says so ("Q3 2024", "S1", "FY23", "TTM", "3 months ended"),
+// otherwise from where as_of_date falls in the company's fiscal year, read with the cadence of its series.
+
+const DEFAULT_FYE = '12-31';
+
+const isFiniteNum = (x) => Number.isFinite(x) && !Number.isNaN(x);
+
+// 'MM-DD' (ex: '03-31') ou mois seul (3) -> { month, day }
+function parseFiscalYearEnd(fye) {
+  if (fye == null || fye === '') fye = DEFAULT_FYE;
+  if (typeof fye === 'number' && fye >= 1 && fye <= 12) return { month: fye, day: null };
+  const m = String(fye).trim().match(/^-{0,2}(\d{1,2})(?:-(\d{1,2}))?$/);
+  if (!m) return { month: 12, day: 31 };
+  const month = Number(m[1]);
+  if (month < 1 || month > 12) return { month: 12, day: 31 };
+  return { month, day: m[2] ? Number(m[2]) : null };
+}
+
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4 };
+
+// qualifier -> { type, n, year } (n / year null when the text does not say)
+function parseQualifier(qualifier) {
+  if (!qualifier) return null;
+  const q = String(qualifier)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+  let year = null;
+  const y4 = q.match(/(?:^|[^0-9])((?:19|20)\d{2})(?![0-9])/);
+  const y2 = q.match(/\bfy\s*'?(\d{2})(?![0-9])/) || q.match(/\b[qths][1-4]\s*[-/' ]\s*(\d{2})(?![0-9])/);
+  if (y4) year = Number(y4[1]);
+  else if (y2) year = 2000 + Number(y2[1]);
+
+  if (/\b(ttm|ltm|trailing|rolling|glissants?)\b|\blast\s+(12|twelve)\s+months\b/.test(q)) {
+    const qn = q.match(/(?:^|[^a-z0-9])[qt]([1-4])(?![0-9])/);
+    return { type: 'TTM', n: qn ? Number(qn[1]) : null, year };
+  }
+
+  let m = q.match(/(?:^|[^a-z0-9])[qt]([1-4])(?![0-9])/) || q.match(/(?:^|[^a-z0-9])([1-4])q(?![a-z])/);
+  if (m) return { type: 'Q', n: Number(m[1]), year };
+  m = q.match(/\b(first|1st|second|2nd|third|3rd|fourth|4th)\s+quarter\b/);
+  if (m) return { type: 'Q', n: ORDINALS[m[1]], year };
+  m = q.match(/\b(1er|premier|2e|2eme|deuxieme|3e|3eme|troisieme|4e|4eme|quatrieme)\s+trimestre\b/);
+  if (m) return { type: 'Q', n: Number(m[1][0]) || { premier: 1, deuxieme: 2, troisieme: 3, quatrieme: 4 }[m[1]], year };
+  if (/\b(quarter|quarterly|trimestre|trimestriel|quartal)\b/.test(q)) return { type: 'Q', n: null, year };
+  if (/\b(3|three|trois)[\s-]+(months?|mois)\b/.test(q)) return { type: 'Q', n: null, year };
+
+  m = q.match(/(?:^|[^a-z0-9])[hs]([12])(?![0-9])/);
+  if (m) return { type: 'H', n: Number(m[1]), year };
+  if (/\b(first|1st)\s+half\b|\b(1er|premier)\s+semestre\b/.test(q)) return { type: 'H', n: 1, year };
+  if (/\b(second|2nd)\s+half\b|\b(2e|2eme|second|deuxieme)\s+semestre\b/.test(q)) return { type: 'H', n: 2, year };
+  if (/\b(half|semestre|semestriel|halbjahr)\b/.test(q)) return { type: 'H', n: null, year };
+  if (/\b(6|six)[\s-]+(months?|mois)\b/.test(q)) return { type: 'H', n: null, year };
+  if (/\b(12|twelve|douze)[\s-]+(months?|mois)\b/.test(q)) return { type: 'FY', n: null, year };
+
+  if (/\bfy|\b(full[\s-]?year|annual|annuel(le)?|exercice|geschaftsjahr)\b/.test(q)) return { type: 'FY', n: null, year };
+  return year != null ? { type: null, n: null, year } : null;
+}
+
+// Position of a date inside the company's fiscal year
+function fiscalPosition(date, fye) {
+  const { month: endMonth } = parseFiscalYearEnd(fye);
+  const d = new Date(date);
+  if (Number.isNaN(d.getTime())) return null;
+  const y = d.getUTCFullYear();
+  const m = d.getUTCMonth() + 1;
+  const startMonth = (endMonth % 12) + 1;
+  const offset = (m - startMonth + 12) % 12; // 0..11 months since fiscal year start
+  return {
+    fiscal_year: m > endMonth ? y + 1 : y, // fiscal year is named after the calendar year it ends in
+    offset,
+    quarter: Math.floor(offset / 3) + 1,
+    half: offset < 6 ? 1 : 2,
+    is_quarter_end: (offset + 1) % 3 === 0
+  };
+}
+
+function periodLabel(type, n, fiscalYear) {
+  if (type === 'FY') return `FY${fiscalYear}`;
+  if (type === 'H') return `H${n} ${fiscalYear}`;
+  if (type === 'TTM') return `TTM Q${n} ${fiscalYear}`;
+  return `Q${n} ${fiscalYear}`;
+}
+
+// Cadence of a series from the dates of its facts without an explicit period:
+// 'FY' only fiscal year ends, 'H' only mid-years and year ends, 'Q' anything else
+function seriesCadence(dates, fiscalYearEnd) {
+  const offsets = new Set();
+  for (const d of dates) {
+    const pos = fiscalPosition(d, fiscalYearEnd);
+    if (pos) offsets.add(pos.offset);
+  }
+  const all = (ok) => offsets.size > 0 && [...offsets].every(ok);
+  if (all(o => o === 11)) return 'FY';
+  if (all(o => o === 5 || o === 11)) return 'H';
+  return 'Q';
+}
+
+// { as_of_date, qualifier } + fiscal year end -> { type, n, fiscal_year, label, key }
+// Without a qualifier the date alone is ambiguous (a Dec 31 fact closes Q4 as well as the year):
+// FY / H1 only when the series' cadence says so, otherwise the fiscal quarter the date falls in.
+function inferPeriod({ as_of_date, qualifier } = {}, fiscalYearEnd, { cadence = 'Q' } = {}) {
+  const pos = as_of_date ? fiscalPosition(as_of_date, fiscalYearEnd) : null;
+  const hint = parseQualifier(qualifier);
+  if (!pos && !(hint?.year)) return null;
+
+  let type = hint?.type || null;
+  if (!type) {
+    if (!pos) type = 'FY';
+    else if (cadence !== 'Q' && pos.offset === 11) type = 'FY';
+    else if (cadence === 'H' && pos.offset === 5) type = 'H1';
+    else type = 'Q';
+  }
+
+  let n = hint?.n ?? null;
+  if (type === 'H1') { type = 'H'; n = 1; }
+  if (type !== 'FY' && n == null) {
+    // year-only qualifier: assume the period closing the year
+    n = pos ? (type === 'H' ? pos.half : pos.quarter) : (type === 'H' ? 2 : 4);
+  }
+
+  const fiscal_year = hint?.year ?? pos.fiscal_year;
+  return {
+    type,
+    n,
+    fiscal_year,
+    label: periodLabel(type, n, fiscal_year),
+    key: periodKey(type, n, fiscal_year)
+  };
+}
+
+const periodKey = (type, n, fiscalYear) => `${type}:${fiscalYear}:${n ?? ''}`;
+
+// Same period one fiscal year earlier
+function priorYearKey(p) {
+  return periodKey(p.type, p.n, p.fiscal_year - 1);
+}
+
+// Sequential predecessor, only meaningful for quarters and rolling quarters
+function priorQuarterKey(p) {
+  if (p.type !== 'Q' && p.type !== 'TTM') return null;
+  return p.n > 1
+    ? periodKey(p.type, p.n - 1, p.fiscal_year)
+    : periodKey(p.type, 4, p.fiscal_year - 1);
+}
+
+const pctChange = (cur, prev) =>
+  prev && isFiniteNum(prev.value) && prev.value !== 0 && isFiniteNum(cur.value)
+    ? Number(((100 * (cur.value - prev.value)) / Math.abs(prev.value)).toFixed(2))
+    : null;
+
+// points: [{ value, period }] — sets yoy/qoq/trend, comparing only like-for-like periods.
+// Trend follows YoY when available (no seasonality), else QoQ.
+function computeChanges(points) {
+  const byKey = new Map();
+  for (const p of points) if (p.period) byKey.set(p.period.key, p);
+
+  for (const cur of points) {
+    const p = cur.period;
+    cur.yoy = p ? pctChange(cur, byKey.get(priorYearKey(p))) : null;
+    const qKey = p ? priorQuarterKey(p) : null;
+    cur.qoq = qKey ? pctChange(cur, byKey.get(qKey)) : null;
+    const ref = cur.yoy ?? cur.qoq;
+    cur.trend = isFiniteNum(ref)
+      ? (ref > 0 ? 'up' : (ref < 0 ? 'down' : 'flat'))
+      : 'flat';
+  }
+  return points;
+}
+
+module.exports = {
+  DEFAULT_FYE,
+  parseFiscalYearEnd,
+  parseQualifier,
+  fiscalPosition,
+  seriesCadence,
+  inferPeriod,
+  periodLabel,
+  periodKey,
+  priorYearKey,
+  priorQuarterKey,
+  computeChanges
+};
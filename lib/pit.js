@@ -0,0 +1,31 @@
+// /lib/pit.js — point-in-time view ("as known at"): only what Lowpill knew at a given moment
+// A row counts if it was ingested before the cutoff and its source was both published and
+// ingested before it. Rows from later source versions drop out, so the version current at
+// the cutoff is what remains.
+
+const ts = (x) => {
+  if (!x) return null;
+  const t = new Date(x).getTime();
+  return Number.isNaN(t) ? null : t;
+};
+
+// row: fact / insight / news (created_at), source: joined sources row (published_at, created_at)
+function knownAt(row, source, asKnownAt) {
+  const cutoff = ts(asKnownAt);
+  if (cutoff == null) return true;
+  const ingested = ts(row?.created_at);
+  if (ingested != null && ingested > cutoff) return false;
+  const published = ts(source?.published_at);
+  if (published != null && published > cutoff) return false;
+  const sourceIngested = ts(source?.created_at);
+  if (sourceIngested != null && sourceIngested > cutoff) return false;
+  return true;
+}
+
+// rows joinés sur `sources` -> filtrés au moment donné
+function filterKnownAt(rows, asKnownAt, sourceOf = (r) => r.sources) {
+  if (!asKnownAt) return rows || [];
+  return (rows || []).filter(r => knownAt(r, sourceOf(r), asKnownAt));
+}
+
+module.exports = { knownAt, filterKnownAt };
@@ -0,0 +1,138 @@
+// /lib/provenance.js — source provenance: classification against provenance_rules + the company's own domains
+// (issuer), re-scoring after a rule change, and the publisher block returned with insights and news.
+
+// Embed `sources` sur insights / news_events
+const SOURCE_EMBED = `
+  sources:source_id (
+    id, url, title, published_at, created_at,
+    publisher_domain, publisher_name, publisher_type, is_official, trust_score, source_type
+  )
+`;
+
+// sources joinée -> bloc publisher
+const publisherOf = (src) => ({
+  name: src?.publisher_name ?? null,
+  domain: src?.publisher_domain ?? null,
+  type: src?.publisher_type ?? 'other',
+  is_official: !!src?.is_official,
+  trust_score: src?.trust_score ?? 0,
+  doc_type: src?.source_type ?? 'other',
+  url: src?.url ?? null,
+  title: src?.title ?? null,
+  published_at: src?.published_at ?? null
+});
+
+// confiance (insight) ou 1 (news: pas de confiance d'extraction) × trust de la source
+const provenanceScore = (confidence, src) => Number(((confidence ?? 0) * (src?.trust_score ?? 0)).toFixed(3));
+
+// ---------- classification ----------
+const PUBLISHER_TYPES = ['issuer', 'regulator', 'exchange', 'newswire', 'analyst', 'media', 'other'];
+const OFFICIAL_TYPES = ['issuer', 'regulator', 'exchange'];
+const DEFAULT_TRUST = 0.50;
+const ISSUER_TRUST = 0.70;
+
+const SOURCE_PROVENANCE_COLS = 'id, company_id, url, publisher_domain, publisher_name, publisher_type, is_official, trust_score';
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+// le domaine et ses sous-domaines
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// Domaines "issuer" d'une société: companies.domain + alias de type domain
+const issuerDomainsOf = (company, aliases = []) => Array.from(new Set([
+  company?.domain,
+  ...aliases.filter(a => a.kind === 'domain' && (!company || a.company_id === company.id)).map(a => a.value)
+].filter(Boolean).map(d => String(d).toLowerCase().replace(/^www\./, ''))));
+
+// url -> champs publisher_* / trust_score d'une source
+// Le domaine le plus long l'emporte; à longueur égale une règle explicite prime sur le domaine de la société.
+function classifyProvenance(url, { rules = [], issuerDomains = [], issuerName = null } = {}) {
+  const host = hostOf(url);
+  if (!host) return { publisher_domain: null, publisher_name: null, publisher_type: 'other', is_official: false, trust_score: DEFAULT_TRUST };
+
+  const rule = rules
+    .filter(r => matchesDomain(host, r.domain))
+    .sort((a, b) => b.domain.length - a.domain.length)[0];
+  const issuer = issuerDomains
+    .filter(d => matchesDomain(host, d))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (rule && (!issuer || rule.domain.length >= issuer.length)) {
+    return {
+      publisher_domain: host,
+      publisher_name:   rule.publisher_name || rule.domain,
+      publisher_type:   rule.publisher_type,
+      is_official:      OFFICIAL_TYPES.includes(rule.publisher_type),
+      trust_score:      Number(rule.trust_score)
+    };
+  }
+  if (issuer) {
+    return { publisher_domain: host, publisher_name: issuerName || host, publisher_type: 'issuer', is_official: true, trust_score: ISSUER_TRUST };
+  }
+  return { publisher_domain: host, publisher_name: host, publisher_type: 'other', is_official: false, trust_score: DEFAULT_TRUST };
+}
+
+// ---------- re-scoring ----------
+const PROVENANCE_FIELDS = ['publisher_name', 'publisher_type', 'is_official', 'trust_score'];
+
+// sources (SOURCE_PROVENANCE_COLS) reclassées avec les règles actuelles; insights.provenance_score suit le trust,
+// puis le classement de leurs clusters (lib/ranking) et la version de contenu des sociétés (lib/cache)
+// -> { sources, insights, changes }
+async function rescoreSources(store, sources) {
+  if (!sources.length) return { sources: 0, insights: 0, changes: [] };
+  const rules = await store.provenanceRules.list();
+  const companyIds = Array.from(new Set(sources.map(s => s.company_id).filter(id => id != null)));
+  const companies = new Map((await store.companies.findByIds(companyIds, 'id, name, domain')).map(c => [c.id, c]));
+  const aliases = await store.companyAliases.listByCompanies(companyIds);
+
+  const changes = [];
+  for (const s of sources) {
+    const company = companies.get(s.company_id) || null;
+    const next = classifyProvenance(s.url, { rules, issuerDomains: issuerDomainsOf(company, aliases), issuerName: company?.name });
+    const changed = PROVENANCE_FIELDS.filter(f => (f === 'trust_score' ? Number(s[f]) !== next[f] : (s[f] ?? null) !== next[f]));
+    if (!changed.length) continue;
+    await store.sources.updateIds([s.id], Object.fromEntries(PROVENANCE_FIELDS.map(f => [f, next[f]])));
+    changes.push({
+      source_id: s.id,
+      url: s.url,
+      from: { publisher_type: s.publisher_type ?? null, trust_score: s.trust_score ?? null },
+      to: { publisher_type: next.publisher_type, trust_score: next.trust_score }
+    });
+  }
+
+  // insights: provenance_score = confidence × trust (une mise à jour par valeur)
+  const trustOf = new Map(changes.map(c => [c.source_id, c.to.trust_score]));
+  const insights = await store.insights.listBySources(Array.from(trustOf.keys()), 'id, source_id, cluster_id, confidence');
+  const byScore = new Map();
+  for (const r of insights) {
+    const score = (r.confidence ?? 0) * trustOf.get(r.source_id);
+    if (!byScore.has(score)) byScore.set(score, []);
+    byScore.get(score).push(r.id);
+  }
+  for (const [score, ids] of byScore) await store.insights.updateIds(ids, { provenance_score: score });
+
+  if (changes.length) {
+    // require ici: lib/ranking dépend de ce module
+    await require('./ranking').refreshClusters(store, insights.map(r => r.cluster_id ?? r.id));
+    await require('./cache').companyChanged(store, sources.filter(s => trustOf.has(s.id)).map(s => s.company_id));
+  }
+
+  return { sources: changes.length, insights: insights.length, changes };
+}
+
+module.exports = {
+  SOURCE_EMBED,
+  PUBLISHER_TYPES,
+  SOURCE_PROVENANCE_COLS,
+  publisherOf,
+  provenanceScore,
+  issuerDomainsOf,
+  classifyProvenance,
+  rescoreSources
+};
@@ -0,0 +1,78 @@
+// /lib/ranking.js — insight ranking kept in the table so /api/read can sort and page in the query:
+// per near-duplicate cluster, the best-sourced member is the head (cluster_head) and every member carries the
+// cluster's corroborated score (cluster_score), size and supporting sources (lib/cluster corroborate).
+// Refreshed by /api/ingest for the clusters it extends, after a provenance re-score and after a company merge;
+// node scripts/rank-insights.js rebuilds every company (rows ingested before sql/017).
+const { clusterKey, corroborate } = require('./cluster');
+const { SOURCE_EMBED, publisherOf, provenanceScore } = require('./provenance');
+
+const MEMBER_COLS = `id, company_id, cluster_id, confidence, created_at, ${SOURCE_EMBED}`;
+
+// Colonnes d'une tête de cluster pour /api/read
+const RANKED_COLS = `id, company_id, source_id, cluster_id, theme_enum, theme, text, confidence, created_at,
+  cluster_score, cluster_size, cluster_publishers, supporting_sources, ${SOURCE_EMBED}`;
+
+const memberItem = (r) => ({
+  id: r.id,
+  cluster_id: clusterKey(r),
+  date: r.created_at,
+  provenance_score: provenanceScore(r.confidence ?? 0, r.sources),
+  publisher: publisherOf(r.sources)
+});
+
+// membres d'un cluster -> tête (mieux sourcée, puis plus récente) + colonnes de classement
+function rankCluster(rows) {
+  const members = rows.map(memberItem)
+    .sort((a, b) => (b.provenance_score - a.provenance_score) || (new Date(b.date) - new Date(a.date)));
+  const c = corroborate(members);
+  return {
+    head: members[0].id,
+    others: members.slice(1).map(m => m.id),
+    supporting: c.supporting_sources,
+    patch: { cluster_score: c.score, cluster_size: members.length, cluster_publishers: c.publishers }
+  };
+}
+
+// clés de cluster (cluster_id, ou id d'une ligne seule) -> colonnes de classement recalculées
+async function refreshClusters(store, keys) {
+  const list = Array.from(new Set(keys.filter(k => k != null)));
+  if (!list.length) return { clusters: 0 };
+  const groups = new Map();
+  for (const r of await store.insights.listByClusters(list, MEMBER_COLS)) {
+    const k = clusterKey(r);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  for (const rows of groups.values()) {
+    const { head, others, supporting, patch } = rankCluster(rows);
+    await store.insights.updateIds([head], { ...patch, cluster_head: true, supporting_sources: supporting });
+    if (others.length) await store.insights.updateIds(others, { ...patch, cluster_head: false, supporting_sources: null });
+  }
+  return { clusters: groups.size };
+}
+
+// tous les clusters d'une société (fusion, reconstruction)
+async function rankCompanyInsights(store, companyId) {
+  const rows = await store.insights.listByCompany(companyId, { columns: 'id, cluster_id' });
+  return refreshClusters(store, rows.map(clusterKey));
+}
+
+// tête de cluster (RANKED_COLS) -> item de /api/read (mêmes champs que lib/cluster withCorroboration)
+function rankedItem(r) {
+  const conf = r.confidence ?? 0;
+  const publisher = publisherOf(r.sources);
+  return {
+    id: r.id,
+    date: r.created_at,
+    theme: r.theme ?? r.theme_enum ?? 'other',
+    text: r.text,
+    confidence: conf,
+    provenance_score: provenanceScore(conf, r.sources),
+    publisher,
+    cluster: { id: clusterKey(r), size: r.cluster_size ?? 1, publishers: r.cluster_publishers ?? 1 },
+    corroborated_score: Number(r.cluster_score ?? provenanceScore(conf, r.sources)),
+    supporting_sources: r.supporting_sources ?? [{ item_id: r.id, ...publisher }]
+  };
+}
+
+module.exports = { RANKED_COLS, refreshClusters, rankCompanyInsights, rankedItem };
@@ -0,0 +1,147 @@
+// /lib/scorecard.js — framework scorecard: metrics_dictionary.framework_bucket (competitiveness / solvency /
+// development) -> score per metric from its trend and signal strength, averaged per bucket and overall.
+// Scores are 0–100: 50 = neutral, 100 = every metric strongly improving, 0 = every metric strongly worsening.
+const { loadSeries } = require('./series');
+const { loadDerivedSeries } = require('./derived');
+const { signalOf } = require('./signals');
+
+const BUCKETS = ['competitiveness', 'solvency', 'development'];
+const SIGNAL_STRENGTH = { strong: 1, moderate: 2 / 3, weak: 1 / 3, none: 0 };
+
+// Historique: une métrique compte à une date si son dernier point a moins de ~13 mois
+const STALE_DAYS = 400;
+const DAY_MS = 24 * 3600 * 1000;
+
+const DICT_COLS = 'id, key_slug, label, display_label, framework_bucket, higher_is_better, formula';
+
+const to100 = (x) => Math.round(50 + 50 * x);
+const mean = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null);
+
+function rating(score) {
+  if (score == null) return null;
+  if (score >= 60) return 'positive';
+  if (score <= 40) return 'negative';
+  return 'neutral';
+}
+
+// Métriques classées dans un bucket -> [{ def, series }] ; une métrique en erreur est écartée (skipped)
+async function loadBucketSeries(store, company, { basis, asKnownAt } = {}) {
+  const defs = (await store.metrics.list(DICT_COLS)).filter(d => BUCKETS.includes(d.framework_bucket));
+  const loaded = [];
+  const skipped = [];
+  for (const def of defs) {
+    try {
+      const series = def.formula
+        ? await loadDerivedSeries(store, company, def, { basis, asKnownAt })
+        : await loadSeries(store, company, null, { basis, asKnownAt, metricId: def.id });
+      if (series.length) loaded.push({ def, series });
+    } catch (e) {
+      if (!['UNIT_MISMATCH', 'CURRENCY_MISMATCH', 'FORMULA_INVALID'].includes(e.code)) throw e;
+      skipped.push({ metric: def.key_slug, bucket: def.framework_bucket, error: e.message });
+    }
+  }
+  return { loaded, skipped };
+}
+
+// Dernier point <= date (maxAgeDays: pas plus ancien)
+function pointAt(series, date, maxAgeDays = null) {
+  const t = new Date(date).getTime();
+  for (let i = series.length - 1; i >= 0; i--) {
+    const pt = new Date(series[i].date).getTime();
+    if (pt > t) continue;
+    if (maxAgeDays != null && (t - pt) / DAY_MS > maxAgeDays) return null;
+    return series[i];
+  }
+  return null;
+}
+
+// Score d'une métrique: sens de la variation (selon higher_is_better) × force du signal, dans [-1, 1]
+function scoreMetric(def, point) {
+  const change = point.yoy ?? point.qoq;
+  const base = {
+    metric: def.key_slug,
+    label: def.display_label || def.label || def.key_slug,
+    date: point.date,
+    period: point.period.label,
+    value: point.value,
+    base_unit: point.base_unit ?? null,
+    currency: point.currency ?? null,
+    higher_is_better: def.higher_is_better !== false
+  };
+  if (change == null) return { ...base, change: null, basis: null, trend: null, signal: 'none', score: null };
+
+  const signal = signalOf(point);
+  const direction = point.trend === 'up' ? 1 : point.trend === 'down' ? -1 : 0;
+  const polarity = base.higher_is_better ? 1 : -1;
+  return {
+    ...base,
+    change,
+    basis: point.yoy != null ? 'YoY' : 'QoQ',
+    trend: point.trend,
+    signal,
+    score: to100(direction * polarity * SIGNAL_STRENGTH[signal])
+  };
+}
+
+const describeMetric = (m) => {
+  const chg = `${m.change > 0 ? '+' : ''}${m.change.toFixed(1)}% ${m.basis}`;
+  return `${m.metric} ${m.trend} ${chg} in ${m.period} (${m.signal}${m.higher_is_better ? '' : ', lower is better'})`;
+};
+
+// Scorecard à une date: buckets + global, avec explication
+function scoreAt(loaded, date, { maxAgeDays = null } = {}) {
+  const buckets = {};
+  for (const name of BUCKETS) {
+    const metrics = loaded
+      .filter(x => x.def.framework_bucket === name)
+      .map(x => {
+        const p = pointAt(x.series, date, maxAgeDays);
+        return p ? scoreMetric(x.def, p) : null;
+      })
+      .filter(Boolean);
+    const scored = metrics.filter(m => m.score != null);
+    const score = scored.length ? Math.round(mean(scored.map(m => m.score))) : null;
+    const unscored = metrics.filter(m => m.score == null).map(m => m.metric);
+
+    let explanation;
+    if (!metrics.length) explanation = `${name}: no metric classified in this bucket has data`;
+    else if (score == null) explanation = `${name}: no comparable prior period for ${unscored.join(', ')}`;
+    else {
+      explanation = `${name} ${score}/100 (${rating(score)}): ` +
+        [...scored].sort((a, b) => Math.abs(b.score - 50) - Math.abs(a.score - 50)).map(describeMetric).join('; ');
+      if (unscored.length) explanation += `; not scored (no comparable period): ${unscored.join(', ')}`;
+    }
+    buckets[name] = { score, rating: rating(score), metrics, explanation };
+  }
+
+  const withScore = BUCKETS.filter(b => buckets[b].score != null);
+  const overall = withScore.length ? Math.round(mean(withScore.map(b => buckets[b].score))) : null;
+  const missing = BUCKETS.filter(b => buckets[b].score == null);
+  const explanation = overall == null
+    ? 'no scored metric: classify metrics with framework_bucket and ingest at least two comparable periods'
+    : `overall ${overall}/100 (${rating(overall)}), equal-weight average of ` +
+      withScore.map(b => `${b} ${buckets[b].score}`).join(', ') +
+      (missing.length ? `; without score: ${missing.join(', ')}` : '');
+
+  return { overall: { score: overall, rating: rating(overall), explanation }, buckets };
+}
+
+// Historique: score recalculé à chaque date de publication d'un point
+function scoreHistory(loaded) {
+  const dates = Array.from(new Set(loaded.flatMap(x => x.series.map(p => p.date)))).sort();
+  const history = [];
+  for (const date of dates) {
+    const s = scoreAt(loaded, date, { maxAgeDays: STALE_DAYS });
+    if (s.overall.score == null) continue;
+    history.push({
+      date,
+      overall: s.overall.score,
+      rating: s.overall.rating,
+      buckets: Object.fromEntries(BUCKETS.map(b => [b, s.buckets[b].score])),
+      metrics: BUCKETS.reduce((n, b) => n + s.buckets[b].metrics.filter(m => m.score != null).length, 0)
+    });
+  }
+  return history;
+}
+
+module.exports = { BUCKETS, STALE_DAYS, loadBucketSeries, scoreAt, scoreHistory };
@@ -0,0 +1,115 @@
+// /lib/search.js — full-text search over insights and news (FR/EN): same accent folding as toSlug,
+// light stemming by prefix, relevance (BM25-like, query coverage, phrase bonus) × provenance × recency.
+// search_text (insights / news_events) holds the folded text; the store narrows candidates on it.
+
+// Mots vides FR/EN (après pliage des accents)
+const STOPWORDS = new Set([
+  // en
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its', 'of', 'on',
+  'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'which', 'who', 'with', 'what', 'about',
+  // fr
+  'au', 'aux', 'avec', 'ce', 'ces', 'dans', 'de', 'des', 'du', 'elle', 'en', 'est', 'et', 'il', 'la', 'le', 'les',
+  'leur', 'leurs', 'mais', 'ou', 'par', 'pour', 'qui', 'que', 'quel', 'quelle', 'quelles', 'quels', 'sa', 'se', 'ses',
+  'son', 'sur', 'un', 'une', 'l', 'd'
+]);
+
+// BM25
+const K1 = 1.2;
+const B = 0.75;
+
+// Récence: demi-vie en jours; provenance et récence gardent un plancher (un document ancien ou peu sûr reste trouvable)
+const HALF_LIFE_DAYS = 365;
+const PROVENANCE_FLOOR = 0.25;
+const RECENCY_FLOOR = 0.25;
+const DAY_MS = 24 * 3600 * 1000;
+
+// même pliage que toSlug (NFKD, sans diacritiques, minuscules), mots séparés par des espaces
+const fold = (s) => String(s || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const searchText = (...parts) => fold(parts.filter(Boolean).join(' ')).replace(/[^a-z0-9]+/g, ' ').trim();
+
+// pluriels / flexions courantes: demandes -> demand, slowdowns -> slowdown, chinoise -> chinois
+function stem(token) {
+  if (token.length <= 4 || /^\d+$/.test(token)) return token;
+  return token.replace(/(es|s|e|x)$/, '');
+}
+
+// requête -> termes (racines, sans mots vides, sans doublon)
+function queryTerms(q) {
+  const tokens = searchText(q).split(' ').filter(t => t && !STOPWORDS.has(t));
+  return Array.from(new Set(tokens.map(stem)));
+}
+
+// un token du document correspond à un terme: même racine, ou préfixe pour les racines d'au moins 4 lettres
+const matches = (token, term) => stem(token) === term || (term.length >= 4 && token.startsWith(term));
+
+// Pertinence dans [0, 1] de chaque document: BM25 normalisé × couverture de la requête, bonus si phrase exacte
+function scoreRelevance(docs, terms, phrase) {
+  const tokenized = docs.map(d => d.search_text.split(' ').filter(Boolean));
+  const avgLen = tokenized.reduce((s, t) => s + t.length, 0) / (tokenized.length || 1) || 1;
+  const df = terms.map(term => tokenized.filter(toks => toks.some(t => matches(t, term))).length);
+  const idf = df.map(n => Math.log(1 + (docs.length - n + 0.5) / (n + 0.5)));
+  // termes absents de tous les candidats ("companies", "mention"...): ignorés pour la normalisation et la couverture
+  const present = terms.map((_, j) => df[j] > 0);
+  const maxScore = idf.reduce((s, x, j) => s + (present[j] ? x : 0), 0) || 1; // chaque terme une fois, longueur moyenne
+  const nPresent = present.filter(Boolean).length || 1;
+
+  return tokenized.map((toks, i) => {
+    let bm25 = 0;
+    let covered = 0;
+    terms.forEach((term, j) => {
+      const tf = toks.filter(t => matches(t, term)).length;
+      if (!tf) return;
+      covered++;
+      bm25 += idf[j] * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * toks.length / avgLen));
+    });
+    if (!covered) return 0;
+    const coverage = covered / nPresent;
+    const bonus = phrase && ` ${docs[i].search_text} `.includes(` ${phrase} `) ? 1.5 : 1;
+    return Math.min(1, (bm25 / maxScore) * coverage * bonus);
+  });
+}
+
+const recencyOf = (date, now = Date.now()) => {
+  const t = new Date(date).getTime();
+  if (Number.isNaN(t)) return 0;
+  const age = Math.max(0, (now - t) / DAY_MS);
+  return Math.pow(0.5, age / HALF_LIFE_DAYS);
+};
+
+// score final = pertinence × provenance × récence (avec planchers)
+const rankScore = (relevance, provenance, recency) =>
+  relevance *
+  (PROVENANCE_FLOOR + (1 - PROVENANCE_FLOOR) * (provenance ?? 0)) *
+  (RECENCY_FLOOR + (1 - RECENCY_FLOOR) * recency);
+
+// extrait du texte original autour du premier terme trouvé
+function snippet(text, terms, width = 160) {
+  const src = String(text || '');
+  if (src.length <= width) return src;
+  // pliage caractère par caractère: mêmes positions que le texte original
+  const folded = src.split('').map(ch => fold(ch)[0] || ' ').join('').replace(/[^a-z0-9]/g, ' ');
+  let at = -1;
+  for (const term of terms) {
+    const m = new RegExp(`(^| )${term}`).exec(folded);
+    if (m && (at < 0 || m.index < at)) at = m.index + m[1].length;
+  }
+  const start = Math.max(0, at < 0 ? 0 : at - Math.floor(width / 3));
+  const end = Math.min(src.length, start + width);
+  return `${start > 0 ? '…' : ''}${src.slice(start, end).trim()}${end < src.length ? '…' : ''}`;
+}
+
+module.exports = {
+  HALF_LIFE_DAYS,
+  STOPWORDS,
+  searchText,
+  stem,
+  queryTerms,
+  scoreRelevance,
+  recencyOf,
+  rankScore,
+  snippet
+};
@@ -0,0 +1,172 @@
+// /lib/series.js — facts -> séries par période (valeurs / dates nulles et faits non publiés filtrés en base;
+// regroupement par période, choix de version et consensus ici: voir buildSeries)
+const { parseQualifier, seriesCadence, inferPeriod, computeChanges } = require('./periods');
+const { currencyOf, loadRates, rateFor, convertPoints } = require('./fx');
+const { baseUnitOf } = require('./units');
+const { resolveConsensus } = require('./consensus');
+const { filterKnownAt } = require('./pit');
+
+class UnitMismatchError extends Error {
+  constructor(baseUnits) {
+    super(`cannot build one series from facts in different base units: ${baseUnits.join(', ')}`);
+    this.code = 'UNIT_MISMATCH';
+    this.base_units = baseUnits;
+  }
+}
+
+const FACT_COLS = `
+  id, company_id, source_id, as_of_date, metric_value_num, metric_id, metric_key, qualifier, unit, currency, base_unit,
+  extraction_confidence, created_at, is_restatement, restates_fact_id,
+  sources:source_id (
+    id, url, title, published_at, created_at, version, root_source_id,
+    publisher_domain, publisher_name, publisher_type, is_official, trust_score
+  )
+`;
+
+// Devise la plus fréquente des faits (référence du consensus quand les sources publient en plusieurs devises)
+function mainCurrency(rows) {
+  const counts = new Map();
+  for (const r of rows) {
+    const c = currencyOf(r);
+    if (c) counts.set(c, (counts.get(c) || 0) + 1);
+  }
+  let best = null;
+  for (const [c, n] of counts) if (!best || n > counts.get(best)) best = c;
+  return best;
+}
+
+// Taux pour ramener les candidats d'une période à une devise commune, chargés seulement si
+// une société a des faits en plusieurs devises -> index lib/fx loadRates | null
+async function candidateRates(store, rows) {
+  const byCompany = new Map();
+  for (const r of rows) {
+    const c = currencyOf(r);
+    if (!c || !r.as_of_date) continue;
+    if (!byCompany.has(r.company_id)) byCompany.set(r.company_id, new Set());
+    byCompany.get(r.company_id).add(c);
+  }
+  if (![...byCompany.values()].some(set => set.size > 1)) return null;
+  const currencies = new Set([...byCompany.values()].flatMap(set => [...set]));
+  const dates = rows.filter(r => r.as_of_date).map(r => new Date(r.as_of_date).toISOString().slice(0, 10)).sort();
+  return loadRates(store, [...currencies], dates[0], dates[dates.length - 1]);
+}
+
+// Candidat dans une autre devise que la référence -> converti au taux de sa date (inchangé sans taux:
+// il reste alors hors du groupe concordant)
+function toCurrency(c, currency, rates) {
+  if (!rates || !currency || !c.currency || c.currency === currency) return c;
+  const r = rateFor(rates, c.currency, currency, c.date);
+  if (!r) return c;
+  return {
+    ...c,
+    value: c.value * r.rate,
+    as_reported_value: c.as_reported_value * r.rate,
+    currency,
+    original_value: c.value,
+    original_currency: c.currency,
+    fx_rate: Number(r.rate.toPrecision(10))
+  };
+}
+
+// Regroupement par période côté JS (un Q4 et un FY peuvent partager la même date);
+// par document (lignée de versions) on garde la version la plus récente (basis 'latest') ou la
+// première publiée ('original'); plusieurs documents -> valeur de consensus pondérée (lib/consensus)
+// rates (candidateRates): candidats en plusieurs devises comparés dans la devise principale de la série
+// Pas dans une vue: la période d'un fait dépend de la cadence de toute la série, de fiscal_year_end et du
+// vocabulaire des qualifiers (lib/periods); le consensus veut tous les candidats de la période, pas une ligne;
+// et as_known_at filtre les versions avant le choix. La requête renvoie déjà seulement les faits numériques
+// publiés d'une métrique (quelques lignes par période), le regroupement reste linéaire.
+function buildSeries(factRows, fiscalYearEnd, { tolerance, basis = 'latest', rates = null } = {}) {
+  const currency = rates ? mainCurrency(factRows || []) : null;
+  // faits sans période explicite: FY / H seulement si la cadence de la série le dit (sinon trimestres)
+  const cadence = seriesCadence((factRows || [])
+    .filter(r => r.as_of_date && !parseQualifier(r.qualifier)?.type)
+    .map(r => r.as_of_date), fiscalYearEnd);
+  const byPeriod = new Map();
+  for (const r of factRows || []) {
+    if (r.metric_value_num == null) continue; // déjà filtré par selectMetricFacts (lignes d'autres sources)
+    const d = r.as_of_date ? new Date(r.as_of_date).toISOString().slice(0,10) : null;
+    if (!d) continue;
+    const period = inferPeriod({ as_of_date: d, qualifier: r.qualifier }, fiscalYearEnd, { cadence });
+    if (!period) continue;
+    if (!byPeriod.has(period.key)) byPeriod.set(period.key, { period, lineages: new Map() });
+
+    const lineage = r.sources?.root_source_id ?? r.source_id ?? `fact:${r.id}`;
+    const versions = byPeriod.get(period.key).lineages;
+    if (!versions.has(lineage)) versions.set(lineage, new Map());
+    // une valeur par version de source et période: garde la dernière rencontrée
+    versions.get(lineage).set(r.source_id ?? `fact:${r.id}`, {
+      fact_id: r.id ?? null,
+      date: d,
+      value: Number(r.metric_value_num),
+      currency: currencyOf(r),
+      base_unit: baseUnitOf(r),
+      extraction_confidence: r.extraction_confidence ?? null,
+      created_at: r.created_at ?? null,
+      version: r.sources?.version ?? 1,
+      is_restatement: !!r.is_restatement,
+      source: r.sources ?? null
+    });
+  }
+
+  const points = [];
+  for (const { period, lineages } of byPeriod.values()) {
+    const picks = [];
+    for (const versions of lineages.values()) {
+      const asc = [...versions.values()].sort((a, b) => a.version - b.version);
+      const pick = basis === 'original' ? asc[0] : asc[asc.length - 1];
+      const restated = asc.some(c => c.value !== asc[0].value);
+      picks.push(toCurrency({ ...pick, restated, as_reported_value: asc[0].value }, currency, rates));
+    }
+    const consensus = resolveConsensus(picks, { tolerance });
+    const top = consensus.candidate;
+    points.push({
+      date: top.date,
+      value: consensus.value,
+      period,
+      currency: top.currency,
+      base_unit: top.base_unit,
+      restated: top.restated,
+      as_reported_value: top.as_reported_value,
+      consensus
+    });
+  }
+  return points
+    .sort((a,b) => (new Date(a.date) - new Date(b.date)) || (a.period.type === 'FY') - (b.period.type === 'FY'));
+}
+
+// metricKey null -> toutes les métriques des sociétés; metricId: par entrée du dictionnaire (formules)
+// asKnownAt: seulement les faits (et sources) connus à cet instant
+async function selectMetricFacts(store, companyIds, metricKey, { asKnownAt, metricId } = {}) {
+  const rows = await store.facts.listByCompanies(companyIds, {
+    metricKey,
+    metricId,
+    createdBefore: asKnownAt,
+    numericOnly: true,
+    columns: FACT_COLS
+  });
+  return filterKnownAt(rows, asKnownAt);
+}
+
+// company: { id, fiscal_year_end } -> série asc avec yoy/qoq/trend
+// currency: convertit chaque point au taux de sa date avant le calcul des variations
+// (FxRateMissingError si un taux manque)
+// (UnitMismatchError si les faits n'ont pas la même unité de base)
+// basis: 'latest' (retraitements inclus) | 'original' (chiffres tels que publiés la première fois)
+// asKnownAt: vue point-in-time (backtests)
+async function loadSeries(store, company, metricKey, { currency, basis, asKnownAt, metricId } = {}) {
+  const rows = await selectMetricFacts(store, [company.id], metricKey, { asKnownAt, metricId });
+  let points = buildSeries(rows, company.fiscal_year_end, { basis, rates: await candidateRates(store, rows) });
+  // tous les candidats, pas seulement celui retenu: un consensus ne compare que des valeurs de même unité
+  const units = baseUnitsOf(points.flatMap(p => p.consensus.candidates));
+  if (units.length > 1) throw new UnitMismatchError(units);
+  if (currency) points = await convertPoints(store, points, currency);
+  return computeChanges(points);
+}
+
+// Unités de base distinctes (les inconnues ne bloquent pas)
+function baseUnitsOf(points) {
+  return Array.from(new Set(points.map(p => p.base_unit).filter(Boolean))).sort();
+}
+
+module.exports = { UnitMismatchError, candidateRates, buildSeries, selectMetricFacts, loadSeries, baseUnitsOf };
@@ -0,0 +1,15 @@
+// /lib/signals.js — signal strength from a relative change (shared by /api/read and /api/scorecard)
+
+// Nouveau barème: s = |qoq|/100 (ex: 12% -> 0.12)
+function scoreToSignal(s) {
+  if (s == null) return 'none';
+  if (s >= 0.10) return 'strong';   // ≥ 10%
+  if (s >= 0.05) return 'moderate'; // 5–10%
+  if (s >= 0.02) return 'weak';     // 2–5%
+  return 'none';
+}
+
+// Point de série (yoy/qoq en %) -> signal
+const signalOf = (point) => scoreToSignal(Math.abs((point.yoy ?? point.qoq ?? 0) / 100));
+
+module.exports = { scoreToSignal, signalOf };
@@ -0,0 +1,12 @@
+// /lib/slug.js — slug canonique (NFKD, sans accents, underscores), partagé ingest/read
+const toSlug = (s) => {
+  if (!s) return '';
+  return String(s)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip diacritics
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+};
+
+module.exports = { toSlug };
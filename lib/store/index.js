@@ -0,0 +1,33 @@
+// /lib/store/index.js — storage backend + repositories shared by the handlers
+// LOWPILL_STORE=supabase (défaut; SUPABASE_URL + SUPABASE_SERVICE_ROLE) | memory (local, sans base)
+const { createRepositories } = require('./repositories');
+
+const BACKENDS = ['supabase', 'memory'];
+
+let shared = null;
+
+function backendName(env = process.env) {
+  const name = String(env.LOWPILL_STORE || 'supabase').trim().toLowerCase();
+  if (!BACKENDS.includes(name)) throw new Error(`unknown LOWPILL_STORE: ${name} (expected ${BACKENDS.join(' | ')})`);
+  return name;
+}
+
+function createClientFor(backend) {
+  if (backend === 'memory') return require('./memory').createMemoryClient();
+  const { createClient } = require('@supabase/supabase-js');
+  return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE);
+}
+
+// -> { backend, db, companies, sources, metrics, facts, factReviews, insights, news, fxRates, ingestRequests, apiKeys, ingestAudit, ... }
+function createStore(backend = backendName()) {
+  const db = createClientFor(backend);
+  return { backend, db, ...createRepositories(db) };
+}
+
+// Un store par process, partagé par les handlers (même client, mêmes données en mémoire)
+function getStore() {
+  if (!shared) shared = createStore();
+  return shared;
+}
+
+module.exports = { BACKENDS, backendName, createStore, getStore };
@@ -0,0 +1,430 @@
+// /lib/store/memory.js — in-memory backend (local runs, scripts, tests without a Supabase project)
+// Implements the part of the supabase-js query builder used by the repositories over plain arrays,
+// with the same unique indexes as the database: a conflicting insert fails with code 23505, and the same
+// max-rows cap as PostgREST: a read returns at most MAX_ROWS rows.
+// Data lives as long as the process.
+
+// table -> clés uniques (miroir des index uniques / clés primaires Postgres)
+const UNIQUE = {
+  companies:          [['slug']],
+  metrics_dictionary: [['key_slug']],
+  sources:            [['company_id', 'url', 'version']],
+  facts:              [['company_id', 'fact_md5']],
+  insights:           [['company_id', 'text_md5']],
+  news_events:        [['company_id', 'text_md5']],
+  fx_rates:           [['rate_date', 'base', 'quote']],
+  ingest_requests:    [['api_key_id', 'idempotency_key']],
+  company_aliases:    [['kind', 'value']],
+  provenance_rules:   [['domain']],
+  api_keys:           [['key_hash']],
+  api_key_windows:    [['api_key_id', 'window_start']],
+  alert_deliveries:   [['subscription_id', 'event_key']],
+  cache_versions:     [['scope']]
+};
+
+// max-rows de PostgREST: une lecture en renvoie au plus autant, limit() / range() compris
+const MAX_ROWS = 1000;
+
+// Index uniques NULLS NOT DISTINCT (cf. sql/021): NULL y est une valeur comme une autre
+const NULLS_NOT_DISTINCT = new Set(['ingest_requests']);
+
+// Tables à clé naturelle (pas de colonne id)
+const NATURAL_KEY = new Set(['fx_rates', 'ingest_requests', 'api_key_windows', 'cache_versions']);
+
+// Défauts de colonnes (cf. sql/)
+const DEFAULTS = {
+  sources: { version: 1 },
+  facts: { is_restatement: false, review_status: 'published' },
+  insights: { cluster_head: true, cluster_size: 1, cluster_publishers: 1 },
+  metrics_dictionary: { higher_is_better: true },
+  ingest_requests: { status: 'processing', api_key_id: null },
+  alert_subscriptions: { min_signal: 'strong', min_importance: 0.8, active: true },
+  alert_deliveries: { status: 'pending', attempts: 0 }
+};
+
+// Lignes insérées par les migrations (cf. sql/011_provenance_rules.sql)
+const SEEDS = {
+  provenance_rules: [
+    { domain: 'sec.gov',          publisher_type: 'regulator', publisher_name: 'SEC',           trust_score: 0.95 },
+    { domain: 'amf-france.org',   publisher_type: 'regulator', publisher_name: 'AMF',           trust_score: 0.95 },
+    { domain: 'euronext.com',     publisher_type: 'exchange',  publisher_name: 'Euronext',      trust_score: 0.90 },
+    { domain: 'businesswire.com', publisher_type: 'newswire',  publisher_name: 'BusinessWire',  trust_score: 0.80 },
+    { domain: 'prnewswire.com',   publisher_type: 'newswire',  publisher_name: 'PR Newswire',   trust_score: 0.80 },
+    { domain: 'reuters.com',      publisher_type: 'media',     publisher_name: 'Reuters',       trust_score: 0.85 },
+    { domain: 'bloomberg.com',    publisher_type: 'media',     publisher_name: 'Bloomberg',     trust_score: 0.85 },
+    { domain: 'seekingalpha.com', publisher_type: 'analyst',   publisher_name: 'Seeking Alpha', trust_score: 0.70 }
+  ]
+};
+
+// Embeds `alias:fk(cols)`: colonne FK -> table référencée
+const FOREIGN_KEYS = {
+  company_id: 'companies',
+  source_id: 'sources',
+  metric_id: 'metrics_dictionary',
+  root_source_id: 'sources',
+  supersedes_source_id: 'sources',
+  superseded_by_source_id: 'sources'
+};
+
+// Comme sur le fil: Date -> ISO, undefined supprimé, objets copiés
+const wire = (x) => (x === undefined ? undefined : JSON.parse(JSON.stringify(x)));
+
+const same = (a, b) => a === b || (a != null && b != null && String(a) === String(b));
+
+function compare(a, b) {
+  if (typeof a === 'number' && typeof b === 'string' && b.trim() !== '' && !Number.isNaN(Number(b))) b = Number(b); // filtre PostgREST: valeur texte
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  const x = String(a), y = String(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+const likeRegex = (pattern) => new RegExp(
+  '^' + String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*') + '$',
+  'i'
+);
+
+const OPS = {
+  eq:    (v, x) => same(v, x),
+  neq:   (v, x) => v != null && !same(v, x),
+  gt:    (v, x) => v != null && compare(v, x) > 0,
+  gte:   (v, x) => v != null && compare(v, x) >= 0,
+  lt:    (v, x) => v != null && compare(v, x) < 0,
+  lte:   (v, x) => v != null && compare(v, x) <= 0,
+  ilike: (v, x) => v != null && likeRegex(x).test(v),
+  is:    (v, x) => (x === null || x === 'null' ? v == null : same(v, x)),
+  in:    (v, x) => String(x).replace(/^\((.*)\)$/, '$1').split(',').some(y => same(v, y.replace(/^"(.*)"$/, '$1'))) // or(): 'id.in.(1,2)'
+};
+
+// virgules de premier niveau (hors parenthèses / guillemets)
+function splitTopLevel(expr) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let cur = '';
+  for (const ch of String(expr)) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === '(') depth++;
+    if (!quoted && ch === ')') depth--;
+    if (ch === ',' && depth === 0 && !quoted) { parts.push(cur); cur = ''; } else cur += ch;
+  }
+  parts.push(cur);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+// 'id.eq.1,and(event_date.eq."2024-01-01",id.lt.5)' -> prédicat (or / and imbriqués, valeurs entre guillemets)
+function parseCondition(expr, combine = 'or') {
+  const parts = splitTopLevel(expr).map(p => {
+    const group = p.match(/^(and|or)\(([\s\S]*)\)$/);
+    if (group) return parseCondition(group[2], group[1]);
+    const [column, op, ...rest] = p.split('.');
+    const value = rest.join('.').replace(/^"(.*)"$/, '$1');
+    if (!OPS[op]) throw new Error(`memory store: unsupported or() operator ${op}`);
+    return (row) => OPS[op](row[column], value === 'null' ? null : value);
+  });
+  return combine === 'and' ? (row) => parts.every(f => f(row)) : (row) => parts.some(f => f(row));
+}
+
+// 'id, name, sources:source_id ( id, url )' -> [{ column } | { alias, fk, fields }]
+function parseSelect(sel) {
+  const tokens = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of String(sel ?? '*')) {
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    if (ch === ',' && depth === 0) { tokens.push(cur); cur = ''; } else cur += ch;
+  }
+  tokens.push(cur);
+  return tokens.map(t => t.trim()).filter(Boolean).map(t => {
+    const m = t.match(/^(?:(\w+)\s*:\s*)?(\w+)\s*\(([\s\S]*)\)$/);
+    return m ? { alias: m[1] || m[2], fk: m[2], fields: parseSelect(m[3]) } : { column: t };
+  });
+}
+
+class MemoryQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.op = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.mode = null; // 'single' | 'maybe'
+  }
+
+  // ---------- builder ----------
+  select(columns = '*') {
+    this.columns = columns;
+    this.returning = true;
+    return this;
+  }
+  insert(rows) { this.op = 'insert'; this.rows = rows; return this; }
+  upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+    this.op = 'upsert';
+    this.rows = rows;
+    this.onConflict = onConflict ? onConflict.split(',').map(s => s.trim()) : null;
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+  update(patch) { this.op = 'update'; this.patch = patch; return this; }
+  delete() { this.op = 'delete'; return this; }
+
+  filter(column, op, value) {
+    if (!OPS[op]) throw new Error(`memory store: unsupported filter ${op}`);
+    this.filters.push(row => OPS[op](row[column], value));
+    return this;
+  }
+  eq(c, v) { return this.filter(c, 'eq', v); }
+  neq(c, v) { return this.filter(c, 'neq', v); }
+  gt(c, v) { return this.filter(c, 'gt', v); }
+  gte(c, v) { return this.filter(c, 'gte', v); }
+  lt(c, v) { return this.filter(c, 'lt', v); }
+  lte(c, v) { return this.filter(c, 'lte', v); }
+  ilike(c, v) { return this.filter(c, 'ilike', v); }
+  is(c, v) { return this.filter(c, 'is', v); }
+  // NOT sur une colonne nulle: faux comme en SQL (sauf NOT IS)
+  not(column, op, value) {
+    if (!OPS[op]) throw new Error(`memory store: unsupported filter not.${op}`);
+    this.filters.push(row => (row[column] == null && op !== 'is' ? false : !OPS[op](row[column], value)));
+    return this;
+  }
+  in(column, values) {
+    const list = values || [];
+    this.filters.push(row => list.some(v => same(row[column], v)));
+    return this;
+  }
+  match(obj) {
+    for (const [c, v] of Object.entries(obj || {})) this.eq(c, v);
+    return this;
+  }
+  or(expr) { this.filters.push(parseCondition(expr)); return this; }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    // défaut Postgres: NULLS LAST en ASC, NULLS FIRST en DESC
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending });
+    return this;
+  }
+  limit(n) { this.max = n; return this; }
+  range(from, to) { this.offset = from; this.max = to - from + 1; return this; }
+  single() { this.mode = 'single'; return this; }
+  maybeSingle() { this.mode = 'maybe'; return this; }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  // ---------- execution ----------
+  execute() {
+    try {
+      const rows = this[`run_${this.op}`]();
+      return this.respond(rows);
+    } catch (e) {
+      if (e.pg) return { data: null, error: e.pg, status: e.status || 400 };
+      throw e;
+    }
+  }
+
+  respond(rows) {
+    if (this.op !== 'select' && !this.returning) return { data: null, error: null, status: 201 };
+    const data = rows.map(r => this.db.project(this.table, r, parseSelect(this.columns)));
+    if (this.mode) {
+      if (data.length > 1 || (this.mode === 'single' && !data.length)) {
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' },
+          status: 406
+        };
+      }
+      return { data: data[0] ?? null, error: null, status: 200 };
+    }
+    return { data, error: null, status: 200 };
+  }
+
+  matching() {
+    return this.db.rows(this.table).filter(r => this.filters.every(f => f(r)));
+  }
+
+  run_select() {
+    let rows = this.matching();
+    if (this.orders.length) {
+      rows = [...rows].sort((a, b) => {
+        for (const o of this.orders) {
+          const x = a[o.column], y = b[o.column];
+          if (x == null && y == null) continue;
+          if (x == null) return o.nullsFirst ? -1 : 1;
+          if (y == null) return o.nullsFirst ? 1 : -1;
+          const c = compare(x, y);
+          if (c) return o.ascending ? c : -c;
+        }
+        return 0;
+      });
+    }
+    const start = this.offset || 0;
+    return rows.slice(start, start + Math.min(this.max ?? MAX_ROWS, MAX_ROWS));
+  }
+
+  run_insert() {
+    const list = (Array.isArray(this.rows) ? this.rows : [this.rows]).map(wire);
+    const staged = [];
+    for (const row of list) {
+      const full = this.db.withDefaults(this.table, row);
+      this.db.checkUnique(this.table, full, null, staged);
+      staged.push(full);
+    }
+    return this.db.commit(this.table, staged);
+  }
+
+  run_upsert() {
+    const list = (Array.isArray(this.rows) ? this.rows : [this.rows]).map(wire);
+    const target = this.onConflict || (NATURAL_KEY.has(this.table) ? UNIQUE[this.table][0] : ['id']);
+    const out = [];
+    const staged = [];
+    for (const row of list) {
+      const hit = this.db.rows(this.table).find(r => target.every(c => same(r[c], row[c])));
+      if (hit) {
+        if (this.ignoreDuplicates) continue;
+        this.db.checkUnique(this.table, { ...hit, ...row }, hit, staged);
+        Object.assign(hit, row);
+        out.push(hit);
+      } else {
+        const full = this.db.withDefaults(this.table, row);
+        this.db.checkUnique(this.table, full, null, staged);
+        staged.push(full);
+      }
+    }
+    return out.concat(this.db.commit(this.table, staged));
+  }
+
+  run_update() {
+    const patch = wire(this.patch);
+    const rows = this.matching();
+    for (const r of rows) this.db.checkUnique(this.table, { ...r, ...patch }, r);
+    rows.forEach(r => Object.assign(r, patch));
+    return rows;
+  }
+
+  run_delete() {
+    const rows = this.matching();
+    const gone = new Set(rows);
+    this.db.tables.set(this.table, this.db.rows(this.table).filter(r => !gone.has(r)));
+    return rows;
+  }
+}
+
+class MemoryDatabase {
+  constructor() {
+    this.tables = new Map(); // table -> rows
+    this.seq = new Map();    // table -> dernier id
+    this.seed();
+  }
+
+  seed() {
+    for (const [table, rows] of Object.entries(SEEDS)) {
+      for (const row of rows) this.rows(table).push(this.withDefaults(table, wire(row)));
+    }
+  }
+
+  rows(table) {
+    if (!this.tables.has(table)) this.tables.set(table, []);
+    return this.tables.get(table);
+  }
+
+  withDefaults(table, row) {
+    const full = { ...DEFAULTS[table], ...row };
+    if (!NATURAL_KEY.has(table) && full.id == null) {
+      const id = (this.seq.get(table) || 0) + 1;
+      this.seq.set(table, id);
+      full.id = id;
+    } else if (full.id != null) {
+      this.seq.set(table, Math.max(this.seq.get(table) || 0, Number(full.id) || 0));
+    }
+    if (full.created_at == null) full.created_at = new Date().toISOString();
+    return full;
+  }
+
+  // NULL ne viole jamais un index unique (comme Postgres), sauf NULLS NOT DISTINCT
+  checkUnique(table, row, self = null, staged = []) {
+    for (const cols of UNIQUE[table] || []) {
+      if (!NULLS_NOT_DISTINCT.has(table) && cols.some(c => row[c] == null)) continue;
+      const clash = [...this.rows(table), ...staged]
+        .find(r => r !== self && cols.every(c => same(r[c], row[c])));
+      if (clash) {
+        const err = new Error('duplicate key');
+        err.pg = {
+          code: '23505',
+          message: `duplicate key value violates unique constraint "${table}_${cols.join('_')}_key"`,
+          details: `Key (${cols.join(', ')})=(${cols.map(c => row[c]).join(', ')}) already exists.`
+        };
+        err.status = 409;
+        throw err;
+      }
+    }
+    if (!NATURAL_KEY.has(table) && self == null && this.rows(table).some(r => same(r.id, row.id))) {
+      const err = new Error('duplicate key');
+      err.pg = { code: '23505', message: `duplicate key value violates unique constraint "${table}_pkey"` };
+      err.status = 409;
+      throw err;
+    }
+  }
+
+  commit(table, staged) {
+    this.rows(table).push(...staged);
+    return staged;
+  }
+
+  project(table, row, fields) {
+    const out = {};
+    for (const f of fields) {
+      if (f.column === '*') Object.assign(out, row);
+      else if (f.column) out[f.column] = row[f.column] ?? null;
+      else {
+        const ref = FOREIGN_KEYS[f.fk] || f.alias;
+        const hit = row[f.fk] == null ? null : this.rows(ref).find(r => same(r.id, row[f.fk]));
+        out[f.alias] = hit ? this.project(ref, hit, f.fields) : null;
+      }
+    }
+    return wire(out);
+  }
+}
+
+// Fonctions SQL appelées par rpc() (cf. sql/) -> valeur renvoyée
+const FUNCTIONS = {
+  // sql/022_api_key_window_increment.sql
+  increment_api_key_window(db, { p_api_key_id, p_window_start }) {
+    const rows = db.rows('api_key_windows');
+    let row = rows.find(r => same(r.api_key_id, p_api_key_id) && same(r.window_start, p_window_start));
+    if (!row) rows.push(row = db.withDefaults('api_key_windows', { api_key_id: p_api_key_id, window_start: p_window_start, count: 0 }));
+    row.count += 1;
+    return row.count;
+  },
+
+  // sql/024_company_metrics.sql
+  company_metrics(db, { p_company_ids, p_created_before = null }) {
+    const ids = new Set(db.rows('facts')
+      .filter(f => p_company_ids.some(c => same(c, f.company_id)) && f.review_status === 'published' &&
+        (!p_created_before || new Date(f.created_at) <= new Date(p_created_before)))
+      .map(f => String(f.metric_id)));
+    return db.rows('metrics_dictionary')
+      .filter(d => ids.has(String(d.id)))
+      .map(d => ({ id: d.id, key_slug: d.key_slug, label: d.label ?? null }))
+      .sort((a, b) => (a.key_slug < b.key_slug ? -1 : a.key_slug > b.key_slug ? 1 : 0));
+  }
+};
+
+// Client compatible supabase-js pour les repositories: from(table), rpc(fn, args) + accès aux tables (scripts, tests)
+function createMemoryClient() {
+  const db = new MemoryDatabase();
+  return {
+    from: (table) => new MemoryQuery(db, table),
+    async rpc(fn, args = {}) {
+      if (!FUNCTIONS[fn]) return { data: null, error: { code: 'PGRST202', message: `function ${fn} not found` }, status: 404 };
+      return { data: wire(FUNCTIONS[fn](db, args)), error: null, status: 200 };
+    },
+    tables: db.tables,
+    reset() { db.tables.clear(); db.seq.clear(); db.seed(); }
+  };
+}
+
+module.exports = { UNIQUE, createMemoryClient };
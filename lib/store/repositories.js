@@ -0,0 +1,881 @@
+// /lib/store/repositories.js — data access for companies (+ aliases, merges), sources, metrics_dictionary,
+// facts (+ fact_reviews), insights, news_events (+ provenance_rules, fx_rates, ingest_requests, api_keys, ingest_audit, alerts, cache_versions). Every query chain lives here; handlers and libs
+// call these functions, so the same code runs on the Supabase backend and on the in-memory one.
+// Errors keep the database code (23505 = unique index conflict) so callers can tell duplicates apart.
+
+// Lectures par liste de valeurs: par paquets (l'URL PostgREST a une longueur limitée)
+const IN_CHUNK = 100;
+const URL_CHUNK = 20; // valeurs longues (URLs de documents)
+
+function dbError(context, error) {
+  const e = new Error(`${context}: ${error.message}`);
+  e.code = error.code;
+  return e;
+}
+
+async function run(context, query) {
+  const { data, error } = await query;
+  if (error) throw dbError(context, error);
+  return data;
+}
+
+// PostgREST tronque une réponse à max-rows (1000 par défaut): lecture par pages .range() jusqu'à une page
+// incomplète; build() -> requête neuve, triée sur une clé totale (pages stables)
+const PAGE_ROWS = 1000;
+
+async function runPaged(context, build) {
+  const out = [];
+  for (let from = 0; ; from += PAGE_ROWS) {
+    const page = (await run(context, build().range(from, from + PAGE_ROWS - 1))) || [];
+    out.push(...page);
+    if (page.length < PAGE_ROWS) return out;
+  }
+}
+
+// ---------- companies ----------
+function companiesRepository(db) {
+  return {
+    findBySlug: (slug, columns = '*') => run('company select',
+      db.from('companies').select(columns).eq('slug', slug).maybeSingle()),
+
+    async findBySlugs(slugs, columns = '*') {
+      const out = [];
+      for (let i = 0; i < slugs.length; i += IN_CHUNK) {
+        out.push(...((await run('company select', db.from('companies').select(columns).in('slug', slugs.slice(i, i + IN_CHUNK)))) || []));
+      }
+      return out;
+    },
+
+    // secteur prioritaire (l'industrie est filtrée ensuite), sinon industrie
+    async listByClassification({ sector, industry }, columns = '*') {
+      const q = db.from('companies').select(columns);
+      return (await run('peers select', sector ? q.eq('sector', sector) : q.eq('industry', industry))) || [];
+    },
+
+    findById: (id, columns = '*') => run('company select',
+      db.from('companies').select(columns).eq('id', id).maybeSingle()),
+
+    async findByIds(ids, columns = '*') {
+      const out = [];
+      for (let i = 0; i < ids.length; i += IN_CHUNK) {
+        out.push(...((await run('company select', db.from('companies').select(columns).in('id', ids.slice(i, i + IN_CHUNK)))) || []));
+      }
+      return out;
+    },
+
+    // liste par slug (keyset: after = dernier slug vu); search: slug / nom contenant le texte, ou ids (alias trouvés)
+    // only: restreint à ces ids (clé API limitée à certaines sociétés)
+    async list({ search = null, ids = [], only = null, sector = null, industry = null, after = null, limit = 50, columns = '*' } = {}) {
+      let q = db.from('companies').select(columns);
+      if (only) q = q.in('id', only);
+      if (search) {
+        const conds = [`slug.ilike.*${search.slug}*`, `name.ilike.*${search.text}*`];
+        if (ids.length) conds.push(`id.in.(${ids.join(',')})`);
+        q = q.or(conds.join(','));
+      }
+      if (sector) q = q.eq('sector', sector);
+      if (industry) q = q.eq('industry', industry);
+      if (after) q = q.gt('slug', after);
+      return (await run('companies select', q.order('slug', { ascending: true }).limit(limit))) || [];
+    },
+
+    async update(id, patch) {
+      await run('company update', db.from('companies').update(patch).eq('id', id));
+    },
+
+    async remove(id) {
+      await run('company delete', db.from('companies').delete().eq('id', id));
+    },
+
+    // nouvelle version du contenu (cache des lectures, Last-Modified)
+    async touch(ids) {
+      const at = new Date().toISOString();
+      for (let i = 0; i < ids.length; i += IN_CHUNK) {
+        await run('company touch', db.from('companies').update({ content_updated_at: at }).in('id', ids.slice(i, i + IN_CHUNK)));
+      }
+    },
+
+    upsert: (payload) => run('company upsert',
+      db.from('companies').upsert(payload, { onConflict: 'slug' }).select().single()),
+
+    async upsertMany(payloads) {
+      return (await run('company batch upsert',
+        db.from('companies').upsert(payloads, { onConflict: 'slug' }).select())) || [];
+    }
+  };
+}
+
+// ---------- sources ----------
+function sourcesRepository(db) {
+  return {
+    // dernière version connue d'un document (company_id + url)
+    latest: (companyId, url) => run('source select', db
+      .from('sources')
+      .select('*')
+      .eq('company_id', companyId)
+      .eq('url', url)
+      .order('version', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()),
+
+    async listByCompaniesAndUrls(companyIds, urls) {
+      const out = [];
+      for (let i = 0; i < companyIds.length; i += IN_CHUNK) {
+        for (let j = 0; j < urls.length; j += URL_CHUNK) {
+          out.push(...((await run('source batch select', db
+            .from('sources')
+            .select('*')
+            .in('company_id', companyIds.slice(i, i + IN_CHUNK))
+            .in('url', urls.slice(j, j + URL_CHUNK)))) || []));
+        }
+      }
+      return out;
+    },
+
+    // versions d'un même document (racine incluse)
+    async lineage(rootId) {
+      return (await run('source lineage select', db
+        .from('sources')
+        .select('id, version')
+        .or(`id.eq.${rootId},root_source_id.eq.${rootId}`))) || [];
+    },
+
+    async listByCompany(companyId, columns = '*') {
+      return (await run('sources select', db.from('sources').select(columns).eq('company_id', companyId))) || [];
+    },
+
+    // sources publiées sur ces domaines ou leurs sous-domaines
+    async listByPublisherDomains(domains, columns = '*') {
+      const out = new Map();
+      for (const domain of domains) {
+        const data = await run('sources select', db
+          .from('sources')
+          .select(columns)
+          .or(`publisher_domain.eq.${domain},publisher_domain.ilike.*.${domain}`));
+        for (const r of data || []) out.set(r.id, r);
+      }
+      return Array.from(out.values());
+    },
+
+    insert: (row) => run('source insert', db.from('sources').insert(row).select().single()),
+
+    async insertMany(rows) {
+      if (!rows.length) return [];
+      return (await run('source batch insert', db.from('sources').insert(rows).select())) || [];
+    },
+
+    async setSupersededBy(id, supersededById) {
+      await run('source supersede', db.from('sources').update({ superseded_by_source_id: supersededById }).eq('id', id));
+    },
+
+    // annule setSupersededBy si la nouvelle version est toujours celle enregistrée
+    async clearSupersededBy(id, supersededById) {
+      await run('source supersede revert', db
+        .from('sources')
+        .update({ superseded_by_source_id: null })
+        .eq('id', id)
+        .eq('superseded_by_source_id', supersededById));
+    },
+
+    async remove(id) {
+      await run('sources delete', db.from('sources').delete().eq('id', id));
+    },
+
+    async updateIds(ids, patch) {
+      for (let i = 0; i < ids.length; i += IN_CHUNK) {
+        await run('sources update', db.from('sources').update(patch).in('id', ids.slice(i, i + IN_CHUNK)));
+      }
+    },
+
+    // liens de version (racine, précédente, suivante) d'une source vers une autre
+    async repoint(fromId, toId) {
+      for (const column of ['root_source_id', 'supersedes_source_id', 'superseded_by_source_id']) {
+        await run('sources repoint', db.from('sources').update({ [column]: toId }).eq(column, fromId));
+      }
+    },
+
+    scan: (opts) => scanRows(db, 'sources', opts)
+  };
+}
+
+// ---------- metrics_dictionary ----------
+function metricsRepository(db) {
+  return {
+    async upsertMany(payloads) {
+      if (!payloads.length) return [];
+      return (await run('metrics_dictionary batch upsert', db
+        .from('metrics_dictionary')
+        .upsert(payloads, { onConflict: 'key_slug' })
+        .select('id,key_slug'))) || [];
+    },
+
+    async findBySlugs(slugs, columns = 'id,key_slug') {
+      const out = [];
+      for (let i = 0; i < slugs.length; i += IN_CHUNK) {
+        out.push(...((await run('metrics_dictionary select', db
+          .from('metrics_dictionary')
+          .select(columns)
+          .in('key_slug', slugs.slice(i, i + IN_CHUNK)))) || []));
+      }
+      return out;
+    },
+
+    findBySlug: (slug, columns = '*') => run('metrics_dictionary select', db
+      .from('metrics_dictionary')
+      .select(columns)
+      .eq('key_slug', slug)
+      .maybeSingle()),
+
+    // entrées ayant des faits publiés pour ces sociétés, calculées en base (sql/024): pas de tronquage max-rows
+    async listUsedBy(companyIds, { createdBefore = null } = {}) {
+      if (!companyIds.length) return [];
+      return (await run('company_metrics', db.rpc('company_metrics', {
+        p_company_ids: companyIds,
+        p_created_before: createdBefore
+      }))) || [];
+    },
+
+    async list(columns = '*') {
+      return (await run('metrics_dictionary select', db
+        .from('metrics_dictionary')
+        .select(columns)
+        .order('key_slug', { ascending: true }))) || [];
+    },
+
+    // définitions (formules) -> lignes complètes
+    async upsertDefinitions(payloads) {
+      if (!payloads.length) return [];
+      return (await run('metrics_dictionary upsert', db
+        .from('metrics_dictionary')
+        .upsert(payloads, { onConflict: 'key_slug' })
+        .select())) || [];
+    }
+  };
+}
+
+// ---------- facts / insights / news_events: lignes dédupliquées par hash ----------
+function contentRepository(db, table) {
+  return {
+    // hashes de `hashes` déjà stockés (filters: ex. { company_id })
+    async existingHashes(column, hashes, filters = {}) {
+      const found = new Set();
+      const list = Array.from(new Set(hashes.filter(Boolean)));
+      for (let i = 0; i < list.length; i += IN_CHUNK) {
+        const data = await run(`${table} dedup select`, db
+          .from(table)
+          .select(column)
+          .match(filters)
+          .in(column, list.slice(i, i + IN_CHUNK)));
+        for (const r of data || []) found.add(r[column]);
+      }
+      return found;
+    },
+
+    // -> ids insérés (dans l'ordre); un doublon fait échouer tout l'insert (code 23505)
+    async insertMany(rows) {
+      if (!rows.length) return [];
+      const data = await run(`${table} insert`, db.from(table).insert(rows).select('id'));
+      return (data || []).map(r => r.id);
+    },
+
+    async insert(row) {
+      const data = await run(`${table} insert`, db.from(table).insert(row).select('id').single());
+      return data.id;
+    },
+
+    async removeIds(ids) {
+      for (let i = 0; i < ids.length; i += IN_CHUNK) {
+        await run(`${table} delete`, db.from(table).delete().in('id', ids.slice(i, i + IN_CHUNK)));
+      }
+    },
+
+    async updateIds(ids, patch) {
+      for (let i = 0; i < ids.length; i += IN_CHUNK) {
+        await run(`${table} update`, db.from(table).update(patch).in('id', ids.slice(i, i + IN_CHUNK)));
+      }
+    },
+
+    scan: (opts) => scanRows(db, table, opts)
+  };
+}
+
+// Parcours de toute une table par id croissant (scripts hors ligne) -> page de `limit` lignes après afterId
+async function scanRows(db, table, { afterId = 0, limit = 500, columns = '*' } = {}) {
+  return (await run(`${table} scan`, db
+    .from(table)
+    .select(columns)
+    .gt('id', afterId)
+    .order('id', { ascending: true })
+    .limit(limit))) || [];
+}
+
+// Membres de clusters de quasi-doublons: la ligne racine (id) et celles qui la citent (cluster_id)
+async function clusterRows(db, table, keys, columns = '*') {
+  const out = [];
+  const list = Array.from(new Set(keys));
+  for (let i = 0; i < list.length; i += IN_CHUNK) {
+    const chunk = list.slice(i, i + IN_CHUNK).join(',');
+    out.push(...((await run(`${table} cluster select`, db
+      .from(table)
+      .select(columns)
+      .or(`id.in.(${chunk}),cluster_id.in.(${chunk})`))) || []));
+  }
+  return out;
+}
+
+// Candidats d'une recherche: search_text contient un des termes (déjà pliés: [a-z0-9]), plus récents d'abord
+async function searchRows(db, table, dateColumn, terms, {
+  companyIds = null, themeEnum = null, from = null, to = null, limit = 500, columns = '*'
+} = {}) {
+  if (!terms.length) return [];
+  let q = db.from(table).select(columns).or(terms.map(t => `search_text.ilike.*${t}*`).join(','));
+  if (companyIds) q = q.in('company_id', companyIds);
+  if (themeEnum) q = q.eq('theme_enum', themeEnum);
+  if (from) q = q.gte(dateColumn, from);
+  if (to) q = q.lte(dateColumn, to);
+  return (await run(`${table} search`, q.order(dateColumn, { ascending: false }).limit(limit))) || [];
+}
+
+// Export (/api/export): lignes des sociétés par id croissant, page de `limit` lignes après afterId
+async function exportRows(db, table, dateColumn, {
+  companyIds, themeEnum = null, from = null, to = null, minImportance = null, createdBefore = null,
+  afterId = 0, limit = 1000, columns = '*'
+}) {
+  let q = db.from(table).select(columns).in('company_id', companyIds).gt('id', afterId);
+  if (themeEnum) q = q.eq('theme_enum', themeEnum);
+  if (from) q = q.gte(dateColumn, from);
+  if (to) q = q.lte(dateColumn, to);
+  if (minImportance != null) q = q.gte('importance', minImportance);
+  if (createdBefore) q = q.lte('created_at', createdBefore);
+  return (await run(`${table} export`, q.order('id', { ascending: true }).limit(limit))) || [];
+}
+
+function factsRepository(db) {
+  return {
+    ...contentRepository(db, 'facts'),
+
+    async listBySources(sourceIds, columns = '*') {
+      if (!sourceIds.length) return [];
+      return (await run('lineage facts select', db.from('facts').select(columns).in('source_id', sourceIds))) || [];
+    },
+
+    // faits des sociétés (une métrique ou toutes), as_of_date asc; createdBefore: ingérés avant cet instant
+    // reviewStatus: publiés seulement par défaut (null: tous, y compris en quarantaine / rejetés)
+    // numericOnly: valeur numérique et date renseignées (points de série)
+    // (par paquets de sociétés, chacun lu par pages: un groupe de pairs dépasse vite max-rows)
+    async listByCompanies(companyIds, {
+      metricKey = null, metricId = null, createdBefore = null, reviewStatus = 'published', numericOnly = false, columns = '*'
+    } = {}) {
+      const query = (ids) => () => {
+        let q = db.from('facts').select(columns).in('company_id', ids);
+        if (numericOnly) q = q.not('metric_value_num', 'is', null).not('as_of_date', 'is', null);
+        if (metricKey) q = q.eq('metric_key', metricKey);
+        if (metricId != null) q = q.eq('metric_id', metricId);
+        if (createdBefore) q = q.lte('created_at', createdBefore);
+        if (reviewStatus) q = q.eq('review_status', reviewStatus);
+        return q.order('as_of_date', { ascending: true }).order('id', { ascending: true });
+      };
+      const out = [];
+      for (let i = 0; i < companyIds.length; i += IN_CHUNK) {
+        out.push(...(await runPaged('facts select', query(companyIds.slice(i, i + IN_CHUNK)))));
+      }
+      if (companyIds.length <= IN_CHUNK) return out;
+      // paquets fusionnés: as_of_date asc (NULLS LAST, comme Postgres)
+      const at = (r) => (r.as_of_date ? new Date(r.as_of_date).getTime() : Infinity);
+      return out.sort((a, b) => (at(a) === at(b) ? 0 : at(a) - at(b)));
+    },
+
+    findById: (id, columns = '*') => run('fact select',
+      db.from('facts').select(columns).eq('id', id).maybeSingle()),
+
+    // file de revue: plus récents d'abord; beforeId = curseur
+    async listForReview({ companyIds = null, metricId = null, status = 'quarantined', beforeId = null, limit = 50, columns = '*' } = {}) {
+      let q = db.from('facts').select(columns).eq('review_status', status);
+      if (companyIds) q = q.in('company_id', companyIds);
+      if (metricId != null) q = q.eq('metric_id', metricId);
+      if (beforeId != null) q = q.lt('id', beforeId);
+      return (await run('facts review select', q.order('id', { ascending: false }).limit(limit))) || [];
+    },
+
+    // Décision de revue: ne passe que si le fait est toujours en quarantaine (null sinon)
+    decide: (id, patch) => run('facts review update', db
+      .from('facts')
+      .update(patch)
+      .eq('id', id)
+      .eq('review_status', 'quarantined')
+      .select('*')
+      .maybeSingle())
+  };
+}
+
+function factReviewsRepository(db) {
+  return {
+    insert: (row) => run('fact_reviews insert', db.from('fact_reviews').insert(row).select('*').single()),
+
+    async listByFact(factId) {
+      return (await run('fact_reviews select', db
+        .from('fact_reviews')
+        .select('*')
+        .eq('fact_id', factId)
+        .order('id', { ascending: true }))) || [];
+    }
+  };
+}
+
+function insightsRepository(db) {
+  return {
+    ...contentRepository(db, 'insights'),
+
+    // plus récents d'abord
+    async listByCompany(companyId, { themeEnum = null, createdBefore = null, limit = null, columns = '*' } = {}) {
+      let q = db.from('insights').select(columns).eq('company_id', companyId);
+      if (themeEnum) q = q.eq('theme_enum', themeEnum);
+      if (createdBefore) q = q.lte('created_at', createdBefore);
+      q = q.order('created_at', { ascending: false });
+      if (limit) q = q.limit(limit);
+      return (await run('insights select', q)) || [];
+    },
+
+    // chronologie /api/news: timeline_at desc, id desc; before: { date, id } = curseur (keyset), from/to inclus
+    async listTimeline(companyId, {
+      from = null, to = null, themeEnum = null, createdBefore = null, before = null, limit = null, columns = '*'
+    } = {}) {
+      let q = db.from('insights').select(columns).eq('company_id', companyId);
+      if (from) q = q.gte('timeline_at', from);
+      if (to) q = q.lte('timeline_at', to);
+      if (themeEnum) q = q.eq('theme_enum', themeEnum);
+      if (createdBefore) q = q.lte('created_at', createdBefore);
+      if (before) q = q.or(`timeline_at.lt."${before.date}",and(timeline_at.eq."${before.date}",id.lt.${before.id})`);
+      q = q.order('timeline_at', { ascending: false }).order('id', { ascending: false });
+      if (limit) q = q.limit(limit);
+      return (await run('insights timeline select', q)) || [];
+    },
+
+    listByClusters: (keys, columns) => clusterRows(db, 'insights', keys, columns),
+
+    // une ligne par cluster (sa tête, lib/ranking), cluster_score desc, id desc; after: { score, id } = curseur (keyset)
+    async listRanked(companyId, { themeEnum = null, after = null, limit = 5, columns = '*' } = {}) {
+      let q = db.from('insights').select(columns).eq('company_id', companyId).eq('cluster_head', true);
+      if (themeEnum) q = q.eq('theme_enum', themeEnum);
+      if (after) q = q.or(`cluster_score.lt.${after.score},and(cluster_score.eq.${after.score},id.lt.${after.id})`);
+      q = q.order('cluster_score', { ascending: false }).order('id', { ascending: false }).limit(limit);
+      return (await run('insights ranked select', q)) || [];
+    },
+
+    async listBySources(sourceIds, columns = '*') {
+      const out = [];
+      for (let i = 0; i < sourceIds.length; i += IN_CHUNK) {
+        out.push(...((await run('insights select', db
+          .from('insights')
+          .select(columns)
+          .in('source_id', sourceIds.slice(i, i + IN_CHUNK)))) || []));
+      }
+      return out;
+    },
+
+    search: (terms, opts) => searchRows(db, 'insights', 'created_at', terms, opts),
+
+    exportPage: (opts) => exportRows(db, 'insights', 'created_at', opts)
+  };
+}
+
+function newsRepository(db) {
+  return {
+    ...contentRepository(db, 'news_events'),
+
+    // event_date desc, id desc; before: { date, id } = curseur (keyset), from/to: bornes event_date incluses
+    async listByCompany(companyId, {
+      from = null, to = null, themeEnum = null, minImportance = null, createdBefore = null,
+      before = null, limit = null, columns = '*'
+    } = {}) {
+      let q = db.from('news_events').select(columns).eq('company_id', companyId);
+      if (from) q = q.gte('event_date', from);
+      if (to) q = q.lte('event_date', to);
+      if (themeEnum) q = q.eq('theme_enum', themeEnum);
+      if (minImportance != null) q = q.gte('importance', minImportance);
+      if (createdBefore) q = q.lte('created_at', createdBefore);
+      if (before) q = q.or(`event_date.lt."${before.date}",and(event_date.eq."${before.date}",id.lt.${before.id})`);
+      q = q.order('event_date', { ascending: false }).order('id', { ascending: false });
+      if (limit) q = q.limit(limit);
+      return (await run('news_events select', q)) || [];
+    },
+
+    listByClusters: (keys, columns) => clusterRows(db, 'news_events', keys, columns),
+
+    search: (terms, opts) => searchRows(db, 'news_events', 'event_date', terms, opts),
+
+    exportPage: (opts) => exportRows(db, 'news_events', 'event_date', opts)
+  };
+}
+
+// ---------- company_aliases / company_merges ----------
+function companyAliasesRepository(db) {
+  return {
+    // lignes dont (kind, value) est dans pairs
+    async findMatches(pairs) {
+      const values = Array.from(new Set(pairs.map(p => p.value)));
+      const wanted = new Set(pairs.map(p => `${p.kind}|${p.value}`));
+      const out = [];
+      for (let i = 0; i < values.length; i += IN_CHUNK) {
+        const data = await run('company_aliases select', db
+          .from('company_aliases')
+          .select('company_id, kind, value')
+          .in('value', values.slice(i, i + IN_CHUNK)));
+        out.push(...(data || []).filter(r => wanted.has(`${r.kind}|${r.value}`)));
+      }
+      return out;
+    },
+
+    // alias contenant le fragment (recherche de sociétés)
+    async search(fragment, limit = 200) {
+      return (await run('company_aliases search', db
+        .from('company_aliases')
+        .select('company_id, kind, value')
+        .ilike('value', `%${fragment}%`)
+        .limit(limit))) || [];
+    },
+
+    async listByCompanies(companyIds) {
+      const out = [];
+      for (let i = 0; i < companyIds.length; i += IN_CHUNK) {
+        out.push(...((await run('company_aliases select', db
+          .from('company_aliases')
+          .select('company_id, kind, value')
+          .in('company_id', companyIds.slice(i, i + IN_CHUNK)))) || []));
+      }
+      return out;
+    },
+
+    // un alias déjà rattaché à une société le reste
+    async insertMissing(rows) {
+      if (!rows.length) return;
+      await run('company_aliases upsert', db
+        .from('company_aliases')
+        .upsert(rows, { onConflict: 'kind,value', ignoreDuplicates: true }));
+    },
+
+    async moveCompany(fromId, toId) {
+      await run('company_aliases update', db.from('company_aliases').update({ company_id: toId }).eq('company_id', fromId));
+    }
+  };
+}
+
+function companyMergesRepository(db) {
+  return {
+    insert: (row) => run('company_merges insert', db.from('company_merges').insert(row).select().single())
+  };
+}
+
+// ---------- provenance_rules ----------
+function provenanceRulesRepository(db) {
+  return {
+    async list(columns = 'domain, publisher_type, publisher_name, trust_score, updated_at') {
+      return (await run('provenance_rules select', db
+        .from('provenance_rules')
+        .select(columns)
+        .order('domain', { ascending: true }))) || [];
+    },
+
+    async upsertMany(rows) {
+      if (!rows.length) return [];
+      return (await run('provenance_rules upsert', db
+        .from('provenance_rules')
+        .upsert(rows, { onConflict: 'domain' })
+        .select())) || [];
+    },
+
+    async removeDomains(domains) {
+      if (!domains.length) return;
+      await run('provenance_rules delete', db.from('provenance_rules').delete().in('domain', domains));
+    }
+  };
+}
+
+// ---------- api_keys / api_key_windows / ingest_audit ----------
+function apiKeysRepository(db) {
+  return {
+    findByHash: (hash, columns = '*') => run('api_keys select', db
+      .from('api_keys')
+      .select(columns)
+      .eq('key_hash', hash)
+      .maybeSingle()),
+
+    findById: (id, columns = '*') => run('api_keys select', db
+      .from('api_keys')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle()),
+
+    async list(columns = '*') {
+      return (await run('api_keys select', db.from('api_keys').select(columns).order('id', { ascending: true }))) || [];
+    },
+
+    insert: (row, columns = '*') => run('api_keys insert', db.from('api_keys').insert(row).select(columns).single()),
+
+    update: (id, patch, columns = '*') => run('api_keys update', db
+      .from('api_keys')
+      .update(patch)
+      .eq('id', id)
+      .select(columns)
+      .maybeSingle())
+  };
+}
+
+// Compteurs par clé et par fenêtre (rate limit). Incrément atomique côté base: un seul
+// insert … on conflict do update (sql/022), pas de read-modify-write perdu entre deux requêtes concurrentes
+function apiKeyWindowsRepository(db) {
+  return {
+    // -> compteur après incrément
+    increment: (keyId, windowStart) => run('api_key_windows increment', db
+      .rpc('increment_api_key_window', { p_api_key_id: keyId, p_window_start: windowStart }))
+  };
+}
+
+function ingestAuditRepository(db) {
+  return {
+    async insertMany(rows) {
+      if (!rows.length) return;
+      await run('ingest_audit insert', db.from('ingest_audit').insert(rows));
+    },
+
+    // plus récents d'abord; beforeId = curseur
+    async list({ keyId = null, companyId = null, outcome = null, from = null, to = null, beforeId = null, limit = 50 } = {}) {
+      let q = db.from('ingest_audit').select('*');
+      if (keyId != null) q = q.eq('api_key_id', keyId);
+      if (companyId != null) q = q.eq('company_id', companyId);
+      if (outcome) q = q.eq('outcome', outcome);
+      if (from) q = q.gte('created_at', from);
+      if (to) q = q.lte('created_at', to);
+      if (beforeId != null) q = q.lt('id', beforeId);
+      return (await run('ingest_audit select', q.order('id', { ascending: false }).limit(limit))) || [];
+    }
+  };
+}
+
+// ---------- cache_versions ----------
+// versions de contenu transverses (cf. sql/025): 'global'
+function cacheVersionsRepository(db) {
+  return {
+    async get(scope) {
+      const row = await run('cache_versions select', db
+        .from('cache_versions')
+        .select('updated_at')
+        .eq('scope', scope)
+        .maybeSingle());
+      return row?.updated_at ?? null;
+    },
+
+    async touch(scope) {
+      await run('cache_versions upsert', db
+        .from('cache_versions')
+        .upsert({ scope, updated_at: new Date().toISOString() }, { onConflict: 'scope' }));
+    }
+  };
+}
+
+// ---------- alert_subscriptions / alert_deliveries / alert_delivery_attempts ----------
+function alertSubscriptionsRepository(db) {
+  return {
+    async list({ companyId = null, eventType = null, activeOnly = false, columns = '*' } = {}) {
+      let q = db.from('alert_subscriptions').select(columns);
+      if (companyId != null) q = q.eq('company_id', companyId);
+      if (eventType) q = q.eq('event_type', eventType);
+      if (activeOnly) q = q.eq('active', true);
+      return (await run('alert_subscriptions select', q.order('id', { ascending: true }))) || [];
+    },
+
+    // abonnements actifs qui visent cette société (ou toutes)
+    async listActiveFor(companyId, columns = '*') {
+      return (await run('alert_subscriptions select', db
+        .from('alert_subscriptions')
+        .select(columns)
+        .eq('active', true)
+        .or(`company_id.eq.${companyId},company_id.is.null`))) || [];
+    },
+
+    findById: (id, columns = '*') => run('alert_subscriptions select', db
+      .from('alert_subscriptions')
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle()),
+
+    insert: (row, columns = '*') => run('alert_subscriptions insert', db.from('alert_subscriptions').insert(row).select(columns).single()),
+
+    update: (id, patch, columns = '*') => run('alert_subscriptions update', db
+      .from('alert_subscriptions')
+      .update(patch)
+      .eq('id', id)
+      .select(columns)
+      .maybeSingle()),
+
+    async remove(id) {
+      await run('alert_subscriptions delete', db.from('alert_subscriptions').delete().eq('id', id));
+    },
+
+    // fusion de sociétés (lib/merge): sinon supprimés en cascade avec le doublon
+    async moveCompany(fromId, toId) {
+      await run('alert_subscriptions update', db.from('alert_subscriptions').update({ company_id: toId }).eq('company_id', fromId));
+    }
+  };
+}
+
+function alertDeliveriesRepository(db) {
+  return {
+    // -> ligne insérée, ou null si l'événement a déjà été enregistré pour cet abonnement (unique subscription_id, event_key)
+    async insertNew(row) {
+      try {
+        return await run('alert_deliveries insert', db.from('alert_deliveries').insert(row).select('*').single());
+      } catch (e) {
+        if (e.code === '23505') return null;
+        throw e;
+      }
+    },
+
+    findById: (id) => run('alert_deliveries select', db.from('alert_deliveries').select('*').eq('id', id).maybeSingle()),
+
+    // pending dont l'heure de (re)tentative est passée, plus anciennes d'abord
+    async listDue(now, limit = 50) {
+      return (await run('alert_deliveries select', db
+        .from('alert_deliveries')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', now)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit))) || [];
+    },
+
+    // Réservation d'une tentative: ne passe que si personne n'a tenté depuis la lecture (attempts inchangé)
+    async claim(id, attempts, leaseUntil) {
+      const data = await run('alert_deliveries claim', db
+        .from('alert_deliveries')
+        .update({ next_attempt_at: leaseUntil })
+        .eq('id', id)
+        .eq('status', 'pending')
+        .eq('attempts', attempts)
+        .select('id'));
+      return !!data?.length;
+    },
+
+    update: (id, patch) => run('alert_deliveries update', db
+      .from('alert_deliveries')
+      .update(patch)
+      .eq('id', id)
+      .select('*')
+      .maybeSingle()),
+
+    // plus récentes d'abord; beforeId = curseur
+    async list({ subscriptionId = null, companyId = null, status = null, beforeId = null, limit = 50 } = {}) {
+      let q = db.from('alert_deliveries').select('*');
+      if (subscriptionId != null) q = q.eq('subscription_id', subscriptionId);
+      if (companyId != null) q = q.eq('company_id', companyId);
+      if (status) q = q.eq('status', status);
+      if (beforeId != null) q = q.lt('id', beforeId);
+      return (await run('alert_deliveries select', q.order('id', { ascending: false }).limit(limit))) || [];
+    },
+
+    async moveCompany(fromId, toId) {
+      await run('alert_deliveries update', db.from('alert_deliveries').update({ company_id: toId }).eq('company_id', fromId));
+    }
+  };
+}
+
+function alertAttemptsRepository(db) {
+  return {
+    async insert(row) {
+      await run('alert_delivery_attempts insert', db.from('alert_delivery_attempts').insert(row));
+    },
+
+    async listByDelivery(deliveryId) {
+      return (await run('alert_delivery_attempts select', db
+        .from('alert_delivery_attempts')
+        .select('*')
+        .eq('delivery_id', deliveryId)
+        .order('attempt', { ascending: true }))) || [];
+    }
+  };
+}
+
+// ---------- fx_rates ----------
+function fxRatesRepository(db) {
+  return {
+    // taux entre `codes` sur [from, to], date asc
+    async listBetween(codes, from, to) {
+      return (await run('fx_rates select', db
+        .from('fx_rates')
+        .select('rate_date, base, quote, rate')
+        .in('base', codes)
+        .in('quote', codes)
+        .gte('rate_date', from)
+        .lte('rate_date', to)
+        .order('rate_date', { ascending: true }))) || [];
+    },
+
+    async upsertMany(rows) {
+      await run('fx_rates upsert', db.from('fx_rates').upsert(rows, { onConflict: 'rate_date,base,quote' }));
+    }
+  };
+}
+
+// ---------- ingest_requests (Idempotency-Key) ----------
+// clé propre à chaque clé API (apiKeyId null = jetons d'environnement)
+const byOwnerKey = (q, apiKeyId, key) =>
+  (apiKeyId == null ? q.is('api_key_id', null) : q.eq('api_key_id', apiKeyId)).eq('idempotency_key', key);
+
+function ingestRequestsRepository(db) {
+  return {
+    async insert(row) {
+      await run('ingest_requests insert', db.from('ingest_requests').insert(row));
+    },
+
+    findByKey: (apiKeyId, key) => run('ingest_requests select', byOwnerKey(db
+      .from('ingest_requests')
+      .select('request_hash, status, response_status, response_body, claimed_at'), apiKeyId, key)
+      .maybeSingle()),
+
+    // Reprise d'un claim expiré: ne passe que si personne ne l'a repris depuis la lecture (claimed_at inchangé)
+    async takeOver(apiKeyId, key, claimedAt, now) {
+      const data = await run('ingest_requests takeover', byOwnerKey(db
+        .from('ingest_requests')
+        .update({ claimed_at: now }), apiKeyId, key)
+        .eq('status', 'processing')
+        .eq('claimed_at', claimedAt)
+        .select('idempotency_key'));
+      return !!data?.length;
+    },
+
+    async update(apiKeyId, key, patch) {
+      await run('ingest_requests update', byOwnerKey(db.from('ingest_requests').update(patch), apiKeyId, key));
+    },
+
+    async remove(apiKeyId, key) {
+      await run('ingest_requests delete', byOwnerKey(db.from('ingest_requests').delete(), apiKeyId, key));
+    }
+  };
+}
+
+function createRepositories(db) {
+  return {
+    companies: companiesRepository(db),
+    companyAliases: companyAliasesRepository(db),
+    companyMerges: companyMergesRepository(db),
+    sources: sourcesRepository(db),
+    metrics: metricsRepository(db),
+    facts: factsRepository(db),
+    factReviews: factReviewsRepository(db),
+    insights: insightsRepository(db),
+    news: newsRepository(db),
+    provenanceRules: provenanceRulesRepository(db),
+    fxRates: fxRatesRepository(db),
+    ingestRequests: ingestRequestsRepository(db),
+    apiKeys: apiKeysRepository(db),
+    apiKeyWindows: apiKeyWindowsRepository(db),
+    ingestAudit: ingestAuditRepository(db),
+    cacheVersions: cacheVersionsRepository(db),
+    alertSubscriptions: alertSubscriptionsRepository(db),
+    alertDeliveries: alertDeliveriesRepository(db),
+    alertAttempts: alertAttemptsRepository(db)
+  };
+}
+
+module.exports = { IN_CHUNK, PAGE_ROWS, createRepositories };
@@ -0,0 +1,159 @@
+// /lib/units.js — numeric values, unit strings -> scale + base unit
+// "12.3" with unit "EUR m" or "en milliers d'euros" must land on the same scale as "12 300 000 €".
+const { guessCurrencyCode } = require('./fx');
+
+// Unités de base d'une série: on ne mélange jamais deux bases différentes
+const BASE_UNITS = ['currency', 'percent', 'ratio', 'count', 'bps', 'multiple'];
+
+// parseNumeric robuste FR/US, suffixes, négatifs (parenthèses), devise, multiplicateurs, x
+// -> { value, mul } : mul = multiplicateur porté par la valeur elle-même (1 si aucun suffixe)
+function parseNumericDetailed(x) {
+  if (x == null) return { value: null, mul: 1 };
+  let s = String(x).trim();
+
+  // signes, espaces, % et x ; harmonise tirets
+  s = s.replace(/[％%]/g, '')
+       .replace(/\u00A0/g, '')
+       .replace(/\s/g, '')
+       .replace(/[–—−]/g, '-')
+       .replace(/x$/i, '');
+
+  // négatifs style (1,234) ou (1.234,56)
+  const isNeg = /^\(.*\)$/.test(s);
+  if (isNeg) s = s.slice(1, -1);
+
+  // symbole collé en fin ("12m€", "1 234 €") : retiré avant la lecture du suffixe
+  s = s.replace(/[€$£¥]$/, '');
+
+  // suffixes: bn/mn/mio/mrd, k/m/b (anglais) & Md/Mds (FR milliards)
+  let mul = 1;
+  if (/(bn|mrd)$/i.test(s)) { mul = 1e9; s = s.replace(/(bn|mrd)$/i, ''); }
+  else if (/(mn|mio)$/i.test(s)) { mul = 1e6; s = s.replace(/(mn|mio)$/i, ''); }
+  else if (/([kK])$/.test(s)) { mul = 1e3; s = s.replace(/k$/i, ''); }
+  else if (/([mM])$/.test(s)) { mul = 1e6; s = s.replace(/m$/i, ''); }
+  else if (/([bB])$/.test(s)) { mul = 1e9; s = s.replace(/b$/i, ''); }
+  else if (/Mds?$/.test(s)) { mul = 1e9; s = s.replace(/Mds?$/,''); }
+  else if (/Md?$/.test(s)) { mul = 1e9; s = s.replace(/Md?$/,''); }
+
+  // symbols/codes currency aux extrémités (PATCH: gère aussi USD 1,234 etc.)
+  s = s
+    .replace(/^(US\$|HK\$|CA?\$|AU?\$|NZ\$|SG?\$|€|\$|£|¥|RMB|USD|EUR|GBP|JPY|CNY|HKD|CAD|AUD|NZD|SGD|CHF)\s*/i, '')
+    .replace(/\s*(USD|EUR|GBP|JPY|CNY|HKD|CAD|AUD|NZD|SGD|CHF)$/i, '');
+
+  // FR décimal (1.234,56) vs US (1,234.56), une fois suffixe et devise retirés ("1,2 Md€")
+  if (/[0-9],[0-9]{1,3}$/.test(s) && !/\.[0-9]{1,3}$/.test(s)) {
+    s = s.replace(/\./g, '').replace(',', '.'); // FR
+  } else {
+    s = s.replace(/,/g, ''); // US
+  }
+
+  const n = Number(s);
+  if (!Number.isFinite(n)) return { value: null, mul };
+  const num = n * mul * (isNeg ? -1 : 1);
+  return { value: Number.isFinite(num) ? num : null, mul };
+}
+
+function parseNumeric(x) {
+  return parseNumericDetailed(x).value;
+}
+
+const normUnit = (s) => String(s || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[’`]/g, "'")
+  .trim();
+
+// Ordre: le plus grand multiplicateur d'abord ("milliards" avant "m")
+const SCALE_RULES = [
+  { re: /\b(tn|trn|trillions?)\b/,                                                   scale: 1e12 },
+  { re: /\b(bn|bln|b|md|mds|mrd|mrds|milliards?|billions?|mia)\b/,                   scale: 1e9 },
+  { re: /\b(m|mn|mm|mio|mios|millions?)\b/,                                           scale: 1e6 },
+  { re: /\b(k|thousands?|milliers?|tsd|tausend)\b|(^|[^0-9])'?000s?\b/,              scale: 1e3 }
+];
+
+const BASE_RULES = [
+  { re: /%|\b(percent|pourcent|pourcentage|prozent|pct)\b/,                           base: 'percent' },
+  { re: /\b(bps?|pbs?|basis\s+points?|points?\s+de\s+base|basispunkte)\b/,           base: 'bps' },
+  { re: /^x$|\b(times|fois|multiple|multiples|x)\b/,                                  base: 'multiple' },
+  { re: /\bratio\b/,                                                                  base: 'ratio' },
+  { re: /\b(count|units?|unites?|employees?|salaries|people|personnes|headcount|shares|actions|stores|boutiques|magasins|nombre|number|stuck)\b/, base: 'count' }
+];
+
+// Devise et échelle collées, dans un sens ou dans l'autre: "eurm", "usdbn", "meur", "keur", "€m", "us$bn"
+// -> séparées ("eur m") pour SCALE_RULES; "teur" (Tausend) -> "k eur"
+const CURRENCY_TOKEN = '(eur|usd|gbp|jpy|cny|chf|hkd|cad|aud|nzd|sgd|rmb|[a-z]{0,2}\\$|€|£|¥)';
+const SCALE_TOKEN = '(tn|trn|bn|bln|mrds?|mds?|mn|mm|mios?|m|k|b)';
+const GLUED_RULES = [
+  [new RegExp(`(?<![a-z])${CURRENCY_TOKEN}${SCALE_TOKEN}(?![a-z])`, 'g'), '$1 $2'],
+  [new RegExp(`(?<![a-z])${SCALE_TOKEN}${CURRENCY_TOKEN}(?![a-z])`, 'g'), '$1 $2'],
+  [/(?<![a-z])t(eur|chf|usd)(?![a-z])/g, 'k $1']
+];
+
+const splitGlued = (u) => GLUED_RULES.reduce((acc, [re, to]) => acc.replace(re, to), u);
+
+// "EUR m" / "EURm" / "in millions of US dollars" -> { scale: 1e6, base_unit: 'currency', currency: 'EUR' | 'USD' }
+function parseUnit(unit) {
+  const u = splitGlued(normUnit(unit));
+  if (!u) return { scale: 1, base_unit: null, currency: null };
+
+  let base_unit = null;
+  for (const r of BASE_RULES) if (r.re.test(u)) { base_unit = r.base; break; }
+
+  const cur = guessCurrencyCode(unit);
+  const currency = cur !== 'CURRENCY_UNKNOWN' ? cur : null;
+  if (!base_unit && currency) base_unit = 'currency';
+
+  let scale = 1;
+  // pas d'échelle pour les bases sans dimension (un "%" n'est jamais en millions)
+  if (!['percent', 'bps', 'multiple', 'ratio'].includes(base_unit)) {
+    for (const r of SCALE_RULES) if (r.re.test(u)) { scale = r.scale; break; }
+  }
+  return { scale, base_unit, currency };
+}
+
+// Valeur brute + unité déclarée -> valeur canonique (échelle appliquée une seule fois)
+// Si la valeur porte déjà son suffixe ("12.3m"), l'échelle de l'unité ne s'ajoute pas.
+function canonicalize(metricValue, unit) {
+  const valueStr = String(metricValue ?? '');
+  const { value, mul } = parseNumericDetailed(valueStr);
+  const u = parseUnit(unit);
+
+  let base_unit = u.base_unit;
+  let currency = u.currency;
+  if (!currency) {
+    const cur = guessCurrencyCode(valueStr);
+    if (cur !== 'CURRENCY_UNKNOWN') currency = cur;
+  }
+  if (!base_unit) {
+    if (/[％%]/.test(valueStr)) base_unit = 'percent';
+    else if (/\dx$/i.test(valueStr.trim())) base_unit = 'multiple';
+    else if (currency) base_unit = 'currency';
+  }
+
+  const unit_scale = mul !== 1 ? mul : u.scale;
+  const raw_num = value == null ? null : value / mul;
+  const num = value == null ? null : (mul !== 1 ? value : value * u.scale);
+  return {
+    value_num: num != null && Number.isFinite(num) ? num : null,
+    raw_num,
+    unit_scale,
+    base_unit,
+    currency
+  };
+}
+
+// fact row -> base unit (colonne, sinon déduite de unit pour les lignes anciennes)
+function baseUnitOf(row) {
+  if (row?.base_unit) return row.base_unit;
+  return parseUnit(row?.unit).base_unit;
+}
+
+module.exports = {
+  BASE_UNITS,
+  parseNumericDetailed,
+  parseNumeric,
+  parseUnit,
+  canonicalize,
+  baseUnitOf
+};
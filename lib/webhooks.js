@@ -0,0 +1,58 @@
+// /lib/webhooks.js — signed webhook POSTs (alerts)
+// X-Lowpill-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+// A receiver recomputes the HMAC over the raw body with its secret (verifySignature) and rejects old timestamps.
+const crypto = require('crypto');
+
+const TIMEOUT_MS = 5000;
+const DEFAULT_TOLERANCE_S = 300;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+
+const signatureHeader = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+
+// header 't=..,v1=..' + corps brut -> true si signé avec ce secret et dans la tolérance
+function verifySignature(secret, header, body, { toleranceSeconds = DEFAULT_TOLERANCE_S, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.trim().split('=')).filter(p => p.length === 2));
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - t) > toleranceSeconds) return false;
+  const expected = Buffer.from(sign(secret, t, body));
+  const got = Buffer.from(parts.v1);
+  return expected.length === got.length && crypto.timingSafeEqual(expected, got);
+}
+
+// -> { ok, status_code, error, duration_ms } ; 2xx = livré, tout le reste (réseau, timeout, 4xx/5xx) = échec
+async function postWebhook(url, secret, { event, delivery, body }) {
+  const started = Date.now();
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+  try {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'user-agent': 'Lowpill-Webhooks/1.0',
+        'x-lowpill-event': event,
+        'x-lowpill-delivery': String(delivery),
+        'x-lowpill-signature': signatureHeader(secret, body)
+      },
+      body,
+      signal: ctrl.signal,
+      redirect: 'manual'
+    });
+    await resp.arrayBuffer().catch(() => null); // libère la connexion
+    const ok = resp.status >= 200 && resp.status < 300;
+    return { ok, status_code: resp.status, error: ok ? null : `HTTP ${resp.status}`, duration_ms: Date.now() - started };
+  } catch (e) {
+    const error = e?.name === 'AbortError' ? `timeout after ${TIMEOUT_MS} ms` : (e?.cause?.code || e?.cause?.message || e?.message || 'request failed');
+    return { ok: false, status_code: null, error, duration_ms: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { generateSecret, signatureHeader, verifySignature, postWebhook };
@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// /scripts/deliver-alerts.js — sends the webhook deliveries that are due (lib/alerts deliverDue), for a cron:
+// the ones /api/ingest queued, then the retries.
+// Usage: node scripts/deliver-alerts.js [--limit=50]
+// Same backend as the API (LOWPILL_STORE, SUPABASE_URL, SUPABASE_SERVICE_ROLE).
+const { deliverDue } = require('../lib/alerts');
+const { getStore } = require('../lib/store');
+
+function parseArgs(argv) {
+  const args = { limit: 50 };
+  for (const a of argv) {
+    if (a.startsWith('--limit=')) args.limit = Number(a.slice(8));
+    else throw new Error(`unknown argument: ${a}`);
+  }
+  if (!Number.isInteger(args.limit) || args.limit < 1 || args.limit > 5000) throw new Error('--limit must be 1..5000');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = await deliverDue(getStore(), { limit: args.limit });
+  console.log(JSON.stringify(report, null, 2));
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('DELIVER ALERTS ERROR:', err?.message || err);
+    process.exit(1);
+  });
+}
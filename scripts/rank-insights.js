@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// /scripts/rank-insights.js — recomputes the insight ranking columns (lib/ranking: cluster head, cluster_score,
+// size, supporting sources) for every cluster, e.g. for rows ingested before sql/017; then bumps the content version
+// of the companies concerned so cached reads (lib/cache) are rebuilt.
+// Usage: node scripts/rank-insights.js [--batch=500]
+// Same backend as the API (LOWPILL_STORE, SUPABASE_URL, SUPABASE_SERVICE_ROLE).
+const { clusterKey } = require('../lib/cluster');
+const { refreshClusters } = require('../lib/ranking');
+const { companyChanged } = require('../lib/cache');
+const { getStore } = require('../lib/store');
+
+function parseArgs(argv) {
+  const args = { batch: 500 };
+  for (const a of argv) {
+    if (a.startsWith('--batch=')) args.batch = Number(a.slice(8));
+    else throw new Error(`unknown argument: ${a}`);
+  }
+  if (!Number.isInteger(args.batch) || args.batch < 1 || args.batch > 5000) throw new Error('--batch must be 1..5000');
+  return args;
+}
+
+async function rankInsights(store, { batch }) {
+  const stats = { scanned: 0, clusters: 0, companies: 0 };
+  // un cluster peut chevaucher deux lots: classé une seule fois
+  const done = new Set();
+  const companies = new Set();
+  let afterId = 0;
+  for (;;) {
+    const rows = await store.insights.scan({ afterId, limit: batch, columns: 'id, company_id, cluster_id' });
+    if (!rows.length) break;
+    afterId = rows[rows.length - 1].id;
+    stats.scanned += rows.length;
+
+    const keys = [];
+    for (const r of rows) {
+      companies.add(r.company_id);
+      const k = clusterKey(r);
+      if (!done.has(k)) { done.add(k); keys.push(k); }
+    }
+    stats.clusters += (await refreshClusters(store, keys)).clusters;
+    if (rows.length < batch) break;
+  }
+  await companyChanged(store, Array.from(companies));
+  stats.companies = companies.size;
+  return stats;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = await rankInsights(getStore(), args);
+  console.log(JSON.stringify(report, null, 2));
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('RANK INSIGHTS ERROR:', err?.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = { rankInsights };
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// /scripts/reclassify.js — re-runs lib/classify on stored insights, news and sources (after a vocabulary change,
+// or for rows ingested before sql/012). Explicit labels are kept; inferred / default ones follow the classifier.
+// The companies whose rows changed get a new content version, so cached reads (lib/cache) are rebuilt.
+// Usage: node scripts/reclassify.js [--dry-run] [--tables=insights,news,sources] [--batch=500]
+// Same backend as the API (LOWPILL_STORE, SUPABASE_URL, SUPABASE_SERVICE_ROLE).
+const { resolveTheme, resolveDocType } = require('../lib/classify');
+const { companyChanged } = require('../lib/cache');
+const { getStore } = require('../lib/store');
+
+const TABLES = {
+  insights: {
+    repo: 'insights',
+    columns: 'id, company_id, theme, text, theme_enum, theme_origin, theme_inferred, theme_confidence',
+    // le libellé brut (theme) est stocké: classification complète
+    labels: (r) => resolveTheme(r.theme, r.text),
+    field: 'theme_enum'
+  },
+  news: {
+    repo: 'news',
+    columns: 'id, company_id, headline, summary, full_text, theme_enum, theme_origin, theme_inferred, theme_confidence',
+    labels: (r) => resolveTheme(null, r.headline, r.summary, r.full_text),
+    field: 'theme_enum'
+  },
+  sources: {
+    repo: 'sources',
+    columns: 'id, company_id, title, url, source_type, source_type_origin, source_type_inferred, source_type_confidence',
+    labels: (r) => resolveDocType(null, r.title, r.url),
+    field: 'source_type'
+  }
+};
+
+function parseArgs(argv) {
+  const args = { dryRun: false, tables: Object.keys(TABLES), batch: 500 };
+  for (const a of argv) {
+    if (a === '--dry-run') args.dryRun = true;
+    else if (a.startsWith('--tables=')) args.tables = a.slice(9).split(',').map(t => t.trim()).filter(Boolean);
+    else if (a.startsWith('--batch=')) args.batch = Number(a.slice(8));
+    else throw new Error(`unknown argument: ${a}`);
+  }
+  const unknown = args.tables.filter(t => !TABLES[t]);
+  if (unknown.length) throw new Error(`unknown table(s): ${unknown.join(', ')} (expected ${Object.keys(TABLES).join(', ')})`);
+  if (!Number.isInteger(args.batch) || args.batch < 1 || args.batch > 5000) throw new Error('--batch must be 1..5000');
+  return args;
+}
+
+// Sans libellé brut (news, sources), un label explicite déjà stocké est conservé
+function nextLabels(spec, row) {
+  const next = spec.labels(row);
+  const origin = `${spec.field === 'theme_enum' ? 'theme' : 'source_type'}_origin`;
+  const explicit = row[origin] === 'explicit' || (row[origin] == null && row[spec.field] && row[spec.field] !== 'other');
+  if (spec.repo !== 'insights' && explicit) return { ...next, [spec.field]: row[spec.field], [origin]: 'explicit' };
+  return next;
+}
+
+const changedFields = (row, next) => Object.keys(next).filter(k => (k.endsWith('_confidence')
+  ? Number(row[k] ?? -1) !== next[k]
+  : (row[k] ?? null) !== next[k]));
+
+async function reclassify(store, name, { dryRun, batch }) {
+  const spec = TABLES[name];
+  const repo = store[spec.repo];
+  const stats = { scanned: 0, updated: 0, relabeled: 0, companies: 0 };
+  const companies = new Set();
+  let afterId = 0;
+  for (;;) {
+    const rows = await repo.scan({ afterId, limit: batch, columns: spec.columns });
+    if (!rows.length) break;
+    afterId = rows[rows.length - 1].id;
+    stats.scanned += rows.length;
+
+    // une mise à jour par patch identique
+    const patches = new Map();
+    for (const row of rows) {
+      const next = nextLabels(spec, row);
+      if (!changedFields(row, next).length) continue;
+      stats.updated++;
+      companies.add(row.company_id);
+      if ((row[spec.field] ?? 'other') !== next[spec.field]) stats.relabeled++;
+      const key = JSON.stringify(next);
+      if (!patches.has(key)) patches.set(key, { patch: next, ids: [] });
+      patches.get(key).ids.push(row.id);
+    }
+    if (!dryRun) for (const { patch, ids } of patches.values()) await repo.updateIds(ids, patch);
+    if (rows.length < batch) break;
+  }
+  if (!dryRun) await companyChanged(store, Array.from(companies));
+  stats.companies = companies.size;
+  return stats;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const store = getStore();
+  const report = { dry_run: args.dryRun, tables: {} };
+  for (const name of args.tables) report.tables[name] = await reclassify(store, name, args);
+  console.log(JSON.stringify(report, null, 2));
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('RECLASSIFY ERROR:', err?.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = { reclassify };
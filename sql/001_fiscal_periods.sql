@@ -0,0 +1,2 @@
+-- Fiscal year end per company (MM-DD), used by /api/read to label facts FY/H/Q/TTM
+alter table companies add column if not exists fiscal_year_end text default '12-31';
@@ -0,0 +1,5 @@
+-- Sector / industry classification (slugs) for peer groups
+alter table companies add column if not exists sector text;
+alter table companies add column if not exists industry text;
+create index if not exists companies_sector_idx on companies (sector);
+create index if not exists companies_industry_idx on companies (industry);
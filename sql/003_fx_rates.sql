@@ -0,0 +1,13 @@
+-- Daily FX rates (1 base = rate quote), loaded through POST /api/fx
+create table if not exists fx_rates (
+  rate_date date not null,
+  base text not null,
+  quote text not null,
+  rate numeric not null check (rate > 0),
+  source text,
+  created_at timestamptz not null default now(),
+  primary key (rate_date, base, quote)
+);
+
+-- ISO currency of monetary facts (null for %, ratios, counts...)
+alter table facts add column if not exists currency text;
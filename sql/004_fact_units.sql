@@ -0,0 +1,6 @@
+-- Canonical fact values: metric_value_num has the unit scale applied,
+-- the number as written and the scale are kept alongside
+alter table facts add column if not exists metric_value_raw_num numeric;
+alter table facts add column if not exists unit_scale numeric default 1;
+alter table facts add column if not exists base_unit text
+  check (base_unit in ('currency', 'percent', 'ratio', 'count', 'bps', 'multiple'));
@@ -0,0 +1,13 @@
+-- Document versions: a changed source_md5 or a higher version creates a new sources row
+-- in the same lineage (root_source_id = first version) instead of reusing the old one.
+alter table sources add column if not exists version integer not null default 1;
+alter table sources add column if not exists root_source_id bigint references sources (id);
+alter table sources add column if not exists supersedes_source_id bigint references sources (id);
+alter table sources add column if not exists superseded_by_source_id bigint references sources (id);
+create unique index if not exists sources_company_url_version_uidx on sources (company_id, url, version);
+create index if not exists sources_root_source_idx on sources (root_source_id);
+-- NB: an older unique index on (company_id, url) alone must be dropped for versions to be stored.
+
+-- Restated figures point to the value they replace; old facts are kept untouched
+alter table facts add column if not exists is_restatement boolean not null default false;
+alter table facts add column if not exists restates_fact_id bigint references facts (id);
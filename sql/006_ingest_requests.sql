@@ -0,0 +1,12 @@
+-- Idempotency-Key for POST /api/ingest: a retry with the same key and payload replays the stored response.
+-- 'processing' rows are claimed by an in-flight request; failed (5xx) requests release their key.
+create table if not exists ingest_requests (
+  idempotency_key text primary key,
+  request_hash text not null,
+  status text not null default 'processing' check (status in ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+create index if not exists ingest_requests_created_idx on ingest_requests (created_at);
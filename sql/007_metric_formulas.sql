@@ -0,0 +1,11 @@
+-- Derived metrics: a formula over other metrics_dictionary key_slugs (+ - * / parentheses, constants),
+-- computed by /api/read per fiscal period. Managed through POST /api/metrics.
+alter table metrics_dictionary add column if not exists formula text;
+
+-- Examples (kept if already defined)
+insert into metrics_dictionary (key_slug, label, formula) values
+  ('operating_margin', 'Operating margin', 'operating_income / revenue'),
+  ('net_margin', 'Net margin', 'net_income / revenue'),
+  ('net_debt', 'Net debt', 'debt - cash'),
+  ('fcf_conversion', 'FCF conversion', 'free_cash_flow / net_income')
+on conflict (key_slug) do nothing;
@@ -0,0 +1,5 @@
+-- Scorecard (/api/scorecard): direction in which a metric improves. Most metrics are better when they grow;
+-- debt-like ones are better when they shrink.
+alter table metrics_dictionary add column if not exists higher_is_better boolean not null default true;
+
+update metrics_dictionary set higher_is_better = false where key_slug in ('net_debt', 'debt');
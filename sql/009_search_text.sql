@@ -0,0 +1,20 @@
+-- /api/search: accent-folded, lowercased text (words separated by one space), written by /api/ingest
+-- (lib/search.searchText). Trigram indexes serve the ilike '%term%' candidate lookups.
+create extension if not exists unaccent;
+create extension if not exists pg_trgm;
+
+alter table insights add column if not exists search_text text;
+alter table news_events add column if not exists search_text text;
+
+-- Backfill (close to the JS folding; re-ingesting a source rewrites nothing, rows are deduplicated)
+update insights
+   set search_text = trim(regexp_replace(lower(unaccent(coalesce(text, ''))), '[^a-z0-9]+', ' ', 'g'))
+ where search_text is null;
+
+update news_events
+   set search_text = trim(regexp_replace(
+         lower(unaccent(concat_ws(' ', headline, summary, full_text))), '[^a-z0-9]+', ' ', 'g'))
+ where search_text is null;
+
+create index if not exists insights_search_text_trgm on insights using gin (search_text gin_trgm_ops);
+create index if not exists news_events_search_text_trgm on news_events using gin (search_text gin_trgm_ops);
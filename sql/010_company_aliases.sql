@@ -0,0 +1,33 @@
+-- Company identity: names, tickers, ISINs, LEIs and domains resolving to one company (lib/identity).
+-- Values are stored normalized: name = toSlug without legal form, ticker / isin / lei uppercase, domain bare host.
+create table if not exists company_aliases (
+  id bigserial primary key,
+  company_id bigint not null references companies (id) on delete cascade,
+  kind text not null check (kind in ('name', 'ticker', 'isin', 'lei', 'domain')),
+  value text not null,
+  created_at timestamptz not null default now(),
+  unique (kind, value)
+);
+create index if not exists company_aliases_company_idx on company_aliases (company_id);
+
+-- Existing companies: their slug (legal form removed, like lib/identity nameKey) and domain
+insert into company_aliases (company_id, kind, value)
+  select id, 'name', coalesce(nullif(regexp_replace(slug,
+    '(_(sa|se|sas|sasu|sca|scs|spa|ag|kgaa|nv|bv|plc|inc|corp|corporation|ltd|limited|llc|gmbh|co|ab|asa|oyj))+$', ''), ''), slug)
+  from companies
+on conflict (kind, value) do nothing;
+insert into company_aliases (company_id, kind, value)
+  select id, 'domain', regexp_replace(lower(domain), '^www\.', '') from companies where domain is not null and domain <> ''
+on conflict (kind, value) do nothing;
+
+-- Merges of duplicate companies (POST /api/companies action=merge): what moved where
+create table if not exists company_merges (
+  id bigserial primary key,
+  into_company_id bigint not null references companies (id) on delete cascade,
+  from_company_id bigint not null,
+  from_slug text not null,
+  from_name text,
+  moved jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+create index if not exists company_merges_into_idx on company_merges (into_company_id);
@@ -0,0 +1,32 @@
+-- Publisher registry used by /api/ingest to score sources (was PROVENANCE_RULES in api/ingest.js).
+-- A rule matches its domain and any subdomain; the longest matching domain wins. Managed through
+-- /api/provenance (admin token); a change re-scores matching sources and their insights' provenance_score.
+-- Issuers are not listed here: a company's own domain (companies.domain, company_aliases kind 'domain')
+-- makes its sources 'issuer' automatically.
+create table if not exists provenance_rules (
+  id bigserial primary key,
+  domain text not null unique,
+  publisher_type text not null check (publisher_type in ('issuer', 'regulator', 'exchange', 'newswire', 'analyst', 'media', 'other')),
+  publisher_name text,
+  trust_score numeric not null check (trust_score >= 0 and trust_score <= 1),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into provenance_rules (domain, publisher_type, publisher_name, trust_score) values
+  ('sec.gov',          'regulator', 'SEC',           0.95),
+  ('amf-france.org',   'regulator', 'AMF',           0.95),
+  ('euronext.com',     'exchange',  'Euronext',      0.90),
+  ('businesswire.com', 'newswire',  'BusinessWire',  0.80),
+  ('prnewswire.com',   'newswire',  'PR Newswire',   0.80),
+  ('reuters.com',      'media',     'Reuters',       0.85),
+  ('bloomberg.com',    'media',     'Bloomberg',     0.85),
+  ('seekingalpha.com', 'analyst',   'Seeking Alpha', 0.70)
+on conflict (domain) do nothing;
+
+-- lvmh.com was the only hard-coded issuer: keep it for the LVMH company if it exists
+insert into company_aliases (company_id, kind, value)
+  select id, 'domain', 'lvmh.com' from companies where slug like 'lvmh%'
+on conflict (kind, value) do nothing;
+
+create index if not exists sources_publisher_domain_idx on sources (publisher_domain);
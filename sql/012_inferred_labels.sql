@@ -0,0 +1,19 @@
+-- Theme (insights, news_events) and document type (sources) inferred from the text by lib/classify.js,
+-- stored next to the effective label. <label>_origin: 'explicit' (caller's label recognised), 'inferred'
+-- (classifier, confidence >= 0.5) or 'default' ('other'). Existing rows: node scripts/reclassify.js
+alter table insights add column if not exists theme_origin text;
+alter table insights add column if not exists theme_inferred text;
+alter table insights add column if not exists theme_confidence numeric;
+
+alter table news_events add column if not exists theme_origin text;
+alter table news_events add column if not exists theme_inferred text;
+alter table news_events add column if not exists theme_confidence numeric;
+
+alter table sources add column if not exists source_type_origin text;
+alter table sources add column if not exists source_type_inferred text;
+alter table sources add column if not exists source_type_confidence numeric;
+
+-- Rows written before this migration: a label other than 'other' came from the caller
+update insights set theme_origin = case when theme_enum::text = 'other' then 'default' else 'explicit' end where theme_origin is null;
+update news_events set theme_origin = case when theme_enum::text = 'other' then 'default' else 'explicit' end where theme_origin is null;
+update sources set source_type_origin = case when source_type::text = 'other' then 'default' else 'explicit' end where source_type_origin is null;
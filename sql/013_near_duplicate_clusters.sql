@@ -0,0 +1,9 @@
+-- Near-duplicate clusters (lib/cluster.js): the same story rewritten by several publishers.
+-- cluster_id = id of the first row of the cluster; null = the row is its own cluster. No foreign key:
+-- the id is only a label, members still group together if the first row is deleted.
+-- Rows ingested before this migration start as their own cluster.
+alter table insights add column if not exists cluster_id bigint;
+alter table news_events add column if not exists cluster_id bigint;
+
+create index if not exists insights_cluster_id_idx on insights (cluster_id) where cluster_id is not null;
+create index if not exists news_events_cluster_id_idx on news_events (cluster_id) where cluster_id is not null;
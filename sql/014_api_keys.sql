@@ -0,0 +1,49 @@
+-- API keys (lib/auth.js): scopes read / ingest / admin, optional company restriction, per-key rate limit.
+-- Only the sha256 of a key is stored; /api/keys shows the key once (create, rotate).
+-- Rotation: a new key with the same settings; the old one keeps working until its expires_at (grace period).
+create table if not exists api_keys (
+  id bigserial primary key,
+  name text not null,
+  key_prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null check (scopes <@ array['read', 'ingest', 'admin']::text[] and cardinality(scopes) > 0),
+  company_ids bigint[],                        -- null = every company
+  rate_limit_per_minute integer check (rate_limit_per_minute > 0),
+  rotated_from_id bigint references api_keys(id) on delete set null,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  last_used_at timestamptz
+);
+
+-- Requests per key and per minute (fixed window); old windows can be purged at any time
+create table if not exists api_key_windows (
+  api_key_id bigint not null references api_keys(id) on delete cascade,
+  window_start timestamptz not null,
+  count integer not null default 0,
+  primary key (api_key_id, window_start)
+);
+
+-- One row per ingested payload (bulk: per line): which key sent which source, counts and outcome
+create table if not exists ingest_audit (
+  id bigserial primary key,
+  api_key_id bigint references api_keys(id) on delete set null,
+  api_key_name text,
+  idempotency_key text,
+  bulk boolean not null default false,
+  line integer,
+  dry_run boolean not null default false,
+  outcome text not null check (outcome in ('ok', 'rolled_back', 'rejected', 'failed')),
+  status integer,
+  company_id bigint,
+  company_slug text,
+  source_id bigint,
+  source_url text,
+  source_action text,
+  counts jsonb,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ingest_audit_key_idx on ingest_audit (api_key_id, id desc);
+create index if not exists ingest_audit_company_idx on ingest_audit (company_id, id desc);
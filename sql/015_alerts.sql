@@ -0,0 +1,55 @@
+-- Alert subscriptions (lib/alerts.js), evaluated by /api/ingest, delivered to webhooks (lib/webhooks.js).
+-- Types: metric_signal (a metric period reaches min_signal), news_importance (news with importance >= min_importance),
+-- official_source (a new official document or version). company_id / metric_key / theme_enum null = any.
+-- secret: HMAC key of the X-Lowpill-Signature header, kept in clear (needed to sign), shown once by /api/alerts.
+create table if not exists alert_subscriptions (
+  id bigserial primary key,
+  name text,
+  event_type text not null check (event_type in ('metric_signal', 'news_importance', 'official_source')),
+  company_id bigint references companies(id) on delete cascade,
+  metric_key text,                              -- key_slug (metric_signal)
+  theme_enum text,                              -- news_importance
+  min_signal text not null default 'strong' check (min_signal in ('weak', 'moderate', 'strong')),
+  min_importance numeric not null default 0.8 check (min_importance between 0 and 1),
+  url text not null,
+  secret text not null,
+  active boolean not null default true,
+  api_key_id bigint references api_keys(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists alert_subscriptions_active_idx on alert_subscriptions (event_type) where active;
+
+-- One row per (subscription, event): event_key makes a re-ingested document alert only once.
+-- status: pending (next_attempt_at = next try), delivered, failed (max attempts reached)
+create table if not exists alert_deliveries (
+  id bigserial primary key,
+  subscription_id bigint not null references alert_subscriptions(id) on delete cascade,
+  event_type text not null,
+  event_key text not null,
+  company_id bigint,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_status_code integer,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (subscription_id, event_key)
+);
+
+create index if not exists alert_deliveries_due_idx on alert_deliveries (next_attempt_at) where status = 'pending';
+
+-- Delivery log: every HTTP attempt
+create table if not exists alert_delivery_attempts (
+  id bigserial primary key,
+  delivery_id bigint not null references alert_deliveries(id) on delete cascade,
+  attempt integer not null,
+  status_code integer,
+  error text,
+  duration_ms integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists alert_delivery_attempts_delivery_idx on alert_delivery_attempts (delivery_id, attempt);
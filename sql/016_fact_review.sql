@@ -0,0 +1,27 @@
+-- Fact review (lib/anomalies.js): /api/ingest compares each new numeric fact with the company's history for the
+-- metric; outliers (magnitude, base unit) are stored quarantined, excluded from series / exports until reviewed.
+-- review_status: published | quarantined | rejected ; anomaly: what the check found (reasons, median, ratio, suggested value)
+alter table facts add column if not exists review_status text not null default 'published'
+  check (review_status in ('published', 'quarantined', 'rejected'));
+alter table facts add column if not exists anomaly jsonb;
+
+create index if not exists facts_review_idx on facts (company_id, id) where review_status <> 'published';
+
+-- Review decisions (/api/review): approve (published as is), correct (new value, published), reject
+create table if not exists fact_reviews (
+  id bigserial primary key,
+  fact_id bigint not null references facts(id) on delete cascade,
+  company_id bigint,
+  decision text not null check (decision in ('approve', 'correct', 'reject')),
+  previous_value text,
+  previous_value_num numeric,
+  corrected_value text,
+  corrected_value_num numeric,
+  corrected_unit text,
+  note text,
+  api_key_id bigint references api_keys(id) on delete set null,
+  api_key_name text,                            -- env tokens (INGEST_TOKEN / ADMIN_TOKEN) have no api_keys row
+  created_at timestamptz not null default now()
+);
+
+create index if not exists fact_reviews_fact_idx on fact_reviews (fact_id, id);
@@ -0,0 +1,23 @@
+-- Read path in the query layer (lib/ranking.js, lib/cache.js).
+-- Insights: one head per near-duplicate cluster (best sourced member) and the cluster's corroborated score on every
+-- member, so /api/read sorts and pages with the index below instead of loading every insight of the company.
+-- Existing rows start as their own cluster head with cluster_score = provenance_score; clusters with several members:
+-- node scripts/rank-insights.js
+alter table insights add column if not exists cluster_head boolean not null default true;
+alter table insights add column if not exists cluster_score numeric;
+alter table insights add column if not exists cluster_size integer not null default 1;
+alter table insights add column if not exists cluster_publishers integer not null default 1;
+alter table insights add column if not exists supporting_sources jsonb;  -- head only: lib/cluster supporting_sources
+
+update insights set cluster_score = round(provenance_score::numeric, 3) where cluster_score is null;
+
+create index if not exists insights_ranked_idx on insights (company_id, cluster_score desc, id desc) where cluster_head;
+
+-- Series read only numeric, dated facts
+create index if not exists facts_series_idx on facts (company_id, metric_key, as_of_date)
+  where metric_value_num is not null and as_of_date is not null and review_status = 'published';
+
+-- Content version of a company: bumped by every write to its facts / insights / news / sources
+-- (ETag / Last-Modified and the per-company response cache of /api/read)
+alter table companies add column if not exists content_updated_at timestamptz;
+update companies set content_updated_at = now() where content_updated_at is null;
@@ -0,0 +1,39 @@
+-- Units with currency and scale glued together ("EURm", "MEUR", "USDbn", "kEUR", "TEUR", "€m") were read at
+-- scale 1 before lib/units splitGlued: re-scale metric_value_num from the number as written, so one series never
+-- mixes both scales. Only rows whose value carried no suffix of its own (unit_scale = 1).
+update facts f
+set unit_scale = s.scale, metric_value_num = f.metric_value_raw_num * s.scale
+from (values
+  (1e12, 'tn|trn'),
+  (1e9, 'bn|bln|mrds?|mds?|b'),
+  (1e6, 'mn|mm|mios?|m'),
+  (1e3, 'k')
+) as s(scale, tokens)
+where f.unit_scale = 1
+  and f.metric_value_raw_num is not null
+  and (
+    lower(f.unit) ~ ('(^|[^a-z])(eur|usd|gbp|jpy|cny|chf|hkd|cad|aud|nzd|sgd|rmb|[a-z]{0,2}\$|€|£|¥)(' || s.tokens || ')([^a-z]|$)')
+    or lower(f.unit) ~ ('(^|[^a-z])(' || s.tokens || ')(eur|usd|gbp|jpy|cny|chf|hkd|cad|aud|nzd|sgd|rmb|[a-z]{0,2}\$|€|£|¥)([^a-z]|$)')
+  );
+
+update facts
+set unit_scale = 1e3, metric_value_num = metric_value_raw_num * 1e3
+where unit_scale = 1 and metric_value_raw_num is not null and lower(unit) ~ '(^|[^a-z])t(eur|chf|usd)([^a-z]|$)';
+
+-- Dollar variants and currency words (lib/fx guessCurrencyCode): "HK$ m" was tagged USD,
+-- "in millions of US dollars" / "euros" had no currency
+update facts set currency = 'HKD' where (currency is null or currency = 'USD') and unit ~* '(^|[^a-z])hk\$|hong\s+kong\s+dollar';
+update facts set currency = 'CAD' where (currency is null or currency = 'USD') and unit ~* '(^|[^a-z])ca?\$|canadian\s+dollar|dollars?\s+canadien';
+update facts set currency = 'AUD' where (currency is null or currency = 'USD') and unit ~* '(^|[^a-z])au?\$|australian\s+dollar|dollars?\s+australien';
+update facts set currency = 'NZD' where (currency is null or currency = 'USD') and unit ~* '(^|[^a-z])nz\$|new\s+zealand\s+dollar';
+update facts set currency = 'SGD' where (currency is null or currency = 'USD') and unit ~* '(^|[^a-z])sg?\$|singapore\s+dollar';
+update facts set currency = 'CHF' where currency is null and unit ~* 'swiss\s+francs?|francs?\s+suisses?';
+update facts set currency = 'USD' where currency is null and unit ~* '\mdollars?\M';
+update facts set currency = 'EUR' where currency is null and unit ~* '\meuros?\M';
+update facts set currency = 'GBP' where currency is null and unit ~* '\m(pounds?|sterling)\M';
+update facts set currency = 'JPY' where currency is null and unit ~* '\myen\M';
+update facts set currency = 'CNY' where currency is null and unit ~* '\m(yuan|renminbi)\M';
+update facts set base_unit = 'currency' where base_unit is null and currency is not null;
+
+-- Cached reads (lib/cache) are keyed by the company's content version
+update companies set content_updated_at = now();
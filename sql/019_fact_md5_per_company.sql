@@ -0,0 +1,6 @@
+-- fact_md5 = md5(metric|date|value) does not contain the company: unique per company, like insights / news text_md5,
+-- so two companies reporting the same figure on the same date are both stored (/api/ingest dedup is per company too).
+-- NB: the original unique constraint on fact_md5 alone must be dropped (default name below).
+alter table facts drop constraint if exists facts_fact_md5_key;
+drop index if exists facts_fact_md5_key;
+create unique index if not exists facts_company_fact_md5_uidx on facts (company_id, fact_md5);
@@ -0,0 +1,3 @@
+-- Lease on 'processing' Idempotency-Key claims: a request killed mid-flight (timeout, crash) never completes nor
+-- releases its key; once claimed_at is older than the lease (lib/idempotency.js LEASE_MS) a retry takes the key over.
+alter table ingest_requests add column if not exists claimed_at timestamptz not null default now();
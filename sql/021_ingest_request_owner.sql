@@ -0,0 +1,6 @@
+-- Idempotency-Keys are scoped by API key: two clients picking the same key no longer replay (or block) each
+-- other's responses. api_key_id null = bootstrap tokens (INGEST_TOKEN / ADMIN_TOKEN), one shared namespace.
+-- NULLS NOT DISTINCT (Postgres 15+): the bootstrap tokens still get one key per value.
+alter table ingest_requests add column if not exists api_key_id bigint references api_keys(id) on delete cascade;
+alter table ingest_requests drop constraint if exists ingest_requests_pkey;
+create unique index if not exists ingest_requests_owner_key_uidx on ingest_requests (api_key_id, idempotency_key) nulls not distinct;
@@ -0,0 +1,11 @@
+-- Atomic rate-limit counter (lib/auth consumeRate): one statement per request instead of a read + compare-and-set
+-- loop, which gave up under contention. Called through PostgREST rpc('increment_api_key_window').
+create or replace function increment_api_key_window(p_api_key_id bigint, p_window_start timestamptz)
+returns integer
+language sql
+as $$
+  insert into api_key_windows (api_key_id, window_start, count)
+  values (p_api_key_id, p_window_start, 1)
+  on conflict (api_key_id, window_start) do update set count = api_key_windows.count + 1
+  returning count;
+$$;
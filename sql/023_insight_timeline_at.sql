@@ -0,0 +1,9 @@
+-- Date of an insight in the /api/news timeline (its source's published_at, else the ingestion time), stored so the
+-- timeline can page insights in the query (keyset on timeline_at desc, id desc) instead of loading them all.
+alter table insights add column if not exists timeline_at timestamptz;
+update insights i set timeline_at = coalesce(s.published_at, i.created_at)
+  from sources s
+  where s.id = i.source_id and i.timeline_at is null;
+update insights set timeline_at = created_at where timeline_at is null;
+alter table insights alter column timeline_at set default now();
+create index if not exists insights_company_timeline_idx on insights (company_id, timeline_at desc, id desc);
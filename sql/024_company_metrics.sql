@@ -0,0 +1,21 @@
+-- /api/export without ?metric: the dictionary entries that have published facts for the companies, computed in
+-- the database. Selecting metric_key over every fact row was cut at the PostgREST max-rows limit, silently
+-- dropping metrics from large exports. Called through PostgREST rpc('company_metrics').
+create or replace function company_metrics(p_company_ids bigint[], p_created_before timestamptz default null)
+returns table (id bigint, key_slug text, label text)
+language sql
+stable
+as $$
+  select d.id, d.key_slug, d.label
+  from metrics_dictionary d
+  where exists (
+    select 1 from facts f
+    where f.metric_id = d.id
+      and f.company_id = any(p_company_ids)
+      and f.review_status = 'published'
+      and (p_created_before is null or f.created_at <= p_created_before)
+  )
+  order by d.key_slug;
+$$;
+
+create index if not exists facts_company_metric_idx on facts (company_id, metric_id);
@@ -0,0 +1,9 @@
+-- Read cache (lib/cache): writes that change the reads of every company rather than one (metric formulas via
+-- POST /api/metrics, FX rates via /api/fx, a company joining or leaving a peer group) bump a global version.
+-- /api/read keys its cache and Last-Modified on the later of companies.content_updated_at and this version.
+create table if not exists cache_versions (
+  scope text primary key,                       -- 'global'
+  updated_at timestamptz not null default now()
+);
+
+insert into cache_versions (scope) values ('global') on conflict (scope) do nothing;
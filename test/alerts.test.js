@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const alerts = require('../api/alerts');
+const { deliverDue, MAX_ATTEMPTS } = require('../lib/alerts');
+const { verifySignature } = require('../lib/webhooks');
+const { mergeCompanies } = require('../lib/merge');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+const admin = process.env.ADMIN_TOKEN;
+
+// Récepteur local: répond les statuts de `replies` dans l'ordre (200 ensuite), garde chaque requête reçue
+function receiver(replies) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = replies[received.length - 1] ?? 200;
+      res.end();
+    });
+  });
+  return new Promise(ok => server.listen(0, '127.0.0.1', () => ok({
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+const document = (n) => ({
+  company: 'Acme',
+  source: { url: `https://acme.com/press-${n}`, title: `Press ${n}`, published_at: '2024-03-01' },
+  news: [{ headline: `Acme announces acquisition number ${n}`, event_date: '2024-03-01', importance: 0.95 }]
+});
+
+test('alerts: ingest only queues, deliverDue POSTs signed webhooks and retries failures', async (t) => {
+  const hook = await receiver([500]);
+  t.after(hook.close);
+
+  assert.equal((await call(ingest, { method: 'POST', body: document(0) })).status, 200);
+  const sub = await call(alerts, {
+    method: 'POST',
+    token: admin,
+    body: { action: 'create', type: 'news_importance', company: 'acme', min_importance: 0.5, url: hook.url }
+  });
+  assert.equal(sub.status, 201);
+
+  assert.equal((await call(ingest, { method: 'POST', body: document(1) })).status, 200);
+  assert.equal(hook.received.length, 0, 'nothing is sent from the ingest request');
+  const [queued] = await store.alertDeliveries.list({ subscriptionId: sub.body.subscription.id });
+  assert.equal(queued.status, 'pending');
+  assert.equal(queued.attempts, 0);
+
+  // 1re tentative: 500 -> reprogrammée avec backoff
+  let run = await deliverDue(store);
+  assert.deepEqual(run, { due: 1, delivered: 0, retrying: 1, failed: 0 });
+  assert.equal(hook.received.length, 1);
+  const first = hook.received[0];
+  assert.ok(verifySignature(sub.body.secret, first.headers['x-lowpill-signature'], first.body));
+  assert.ok(!verifySignature('whsec_other', first.headers['x-lowpill-signature'], first.body));
+  assert.equal(first.headers['x-lowpill-event'], 'news_importance');
+  assert.equal(JSON.parse(first.body).delivery_id, queued.id);
+
+  let row = await store.alertDeliveries.findById(queued.id);
+  assert.equal(row.status, 'pending');
+  assert.equal(row.last_status_code, 500);
+  assert.ok(new Date(row.next_attempt_at) > new Date());
+  assert.deepEqual(await deliverDue(store), { due: 0, delivered: 0, retrying: 0, failed: 0 });
+
+  // échéance atteinte: 2e tentative livrée, même corps signé à nouveau
+  await store.alertDeliveries.update(queued.id, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+  run = await deliverDue(store);
+  assert.deepEqual(run, { due: 1, delivered: 1, retrying: 0, failed: 0 });
+  const second = hook.received[1];
+  assert.equal(second.body, first.body);
+  assert.ok(verifySignature(sub.body.secret, second.headers['x-lowpill-signature'], second.body));
+
+  row = await store.alertDeliveries.findById(queued.id);
+  assert.equal(row.status, 'delivered');
+  assert.equal(row.attempts, 2);
+  assert.deepEqual((await store.alertAttempts.listByDelivery(queued.id)).map(a => a.status_code), [500, 200]);
+});
+
+test('alerts: a receiver that keeps failing ends failed after MAX_ATTEMPTS', async (t) => {
+  const hook = await receiver(Array(MAX_ATTEMPTS).fill(503));
+  t.after(hook.close);
+  const sub = await call(alerts, {
+    method: 'POST',
+    token: admin,
+    body: { action: 'create', type: 'news_importance', company: 'acme', min_importance: 0.5, url: hook.url }
+  });
+  assert.equal((await call(ingest, { method: 'POST', body: document(2) })).status, 200);
+  const [queued] = await store.alertDeliveries.list({ subscriptionId: sub.body.subscription.id });
+
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    await store.alertDeliveries.update(queued.id, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+    await deliverDue(store);
+  }
+  const row = await store.alertDeliveries.findById(queued.id);
+  assert.equal(row.status, 'failed');
+  assert.equal(row.attempts, MAX_ATTEMPTS);
+  assert.equal(hook.received.length, MAX_ATTEMPTS);
+});
+
+test('merge: subscriptions and deliveries of the duplicate move to the kept company', async () => {
+  assert.equal((await call(ingest, { method: 'POST', body: { ...document(3), company: 'Globex' } })).status, 200);
+  const dup = await store.companies.findBySlug('globex');
+  const kept = await store.companies.findBySlug('acme');
+  const sub = await call(alerts, {
+    method: 'POST',
+    token: admin,
+    body: { action: 'create', type: 'news_importance', company: 'globex', url: 'http://127.0.0.1:9/hook' }
+  });
+  await store.alertDeliveries.insertNew({
+    subscription_id: sub.body.subscription.id, event_type: 'news_importance', event_key: 'news:x', company_id: dup.id, payload: {}
+  });
+
+  const out = await mergeCompanies(store, kept, dup);
+  assert.equal(out.moved.alert_subscriptions, 1);
+  assert.equal((await store.alertSubscriptions.findById(sub.body.subscription.id)).company_id, kept.id);
+  const [delivery] = await store.alertDeliveries.list({ subscriptionId: sub.body.subscription.id });
+  assert.equal(delivery.company_id, kept.id);
+});
+
+test('alerts: a metric signal is computed on the dictionary series, whatever the case of the metric key', async () => {
+  const filing = (n, facts) => ({
+    company: 'Initech',
+    source: { url: `https://initech.com/ar-${n}`, title: `AR ${n}`, published_at: `${2023 + n}-03-01` },
+    facts
+  });
+  assert.equal((await call(ingest, { method: 'POST', body: filing(0, [fact('Revenue', 1000, '2022-12-31')]) })).status, 200);
+  const sub = await call(alerts, {
+    method: 'POST',
+    token: admin,
+    body: { action: 'create', type: 'metric_signal', company: 'initech', metric: 'revenue', min_signal: 'strong', url: 'http://127.0.0.1:9/hook' }
+  });
+  assert.equal(sub.status, 201);
+
+  assert.equal((await call(ingest, { method: 'POST', body: filing(1, [fact('revenue', 1500, '2023-12-31')]) })).status, 200);
+  const queued = await store.alertDeliveries.list({ subscriptionId: sub.body.subscription.id });
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].payload.data.yoy, 50);
+  assert.equal(queued[0].payload.data.signal, 'strong');
+});
+
+test('alerts: a malformed delivery id or cursor is a 400', async () => {
+  const get = (query) => call(alerts, { query, token: admin });
+  assert.equal((await get({ delivery_id: 'abc' })).status, 400);
+  assert.equal((await get({ delivery_id: '-1' })).status, 400);
+  assert.equal((await get({ deliveries: '1', cursor: Buffer.from('{"id":"x"}').toString('base64url') })).status, 400);
+  assert.equal((await get({ deliveries: '1', cursor: 'garbage' })).status, 400);
+  assert.equal((await get({ delivery_id: '999999' })).status, 404);
+});
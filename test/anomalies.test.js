@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectAnomaly, describeAnomaly } = require('../lib/anomalies');
+
+const history = [100e6, 110e6, 120e6, 125e6].map((v, i) => ({
+  metric_value_num: v, base_unit: 'currency', currency: 'EUR', as_of_date: `${2020 + i}-12-31`
+}));
+
+test('detectAnomaly: in line with the history -> null', () => {
+  assert.equal(detectAnomaly({ value: 130e6, base_unit: 'currency', currency: 'EUR', as_of_date: '2024-12-31' }, history), null);
+  assert.equal(detectAnomaly({ value: 'n/a' }, history), null);
+});
+
+test('detectAnomaly: off by a power of 1000 -> magnitude with the likely scale', () => {
+  const a = detectAnomaly({ value: 130e9, base_unit: 'currency', currency: 'EUR', as_of_date: '2024-12-31' }, history);
+  assert.deepEqual(a.reasons, ['magnitude']);
+  assert.equal(a.likely_scale, 1e3);
+  assert.equal(a.suggested_value, 130e6);
+  assert.equal(a.history_points, 4);
+  assert.match(describeAnomaly(a), /likely scale error, suggested value 130000000/);
+});
+
+test('detectAnomaly: base unit differing from the history', () => {
+  const a = detectAnomaly({ value: 12, base_unit: 'percent', as_of_date: '2024-12-31' }, history);
+  assert.deepEqual(a.reasons, ['unit_mismatch']);
+  assert.equal(a.expected_base_unit, 'currency');
+});
+
+test('detectAnomaly: no history, percentage out of range', () => {
+  assert.deepEqual(detectAnomaly({ value: 4500, base_unit: 'percent' }).reasons, ['out_of_range']);
+  assert.equal(detectAnomaly({ value: 45, base_unit: 'percent' }), null);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const audit = require('../api/audit');
+
+const admin = process.env.ADMIN_TOKEN;
+
+test('audit: each ingested source is logged with its outcome, admin scope only', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01' },
+      facts: [fact('Revenue', 1000, '2023-12-31')]
+    }
+  });
+  assert.equal(r.status, 200);
+
+  const log = await call(audit, { query: { company: 'acme' }, token: admin });
+  assert.equal(log.status, 200);
+  assert.equal(log.body.count, 1);
+  assert.equal(log.body.entries[0].outcome, 'ok');
+  assert.equal((await call(audit, { query: {} })).status, 403);
+});
+
+test('audit: a malformed key id, date or cursor is a 400', async () => {
+  for (const query of [{ key_id: 'abc' }, { from: 'yesterday' }, { cursor: Buffer.from('{"id":"x"}').toString('base64url') }, { cursor: 'garbage' }]) {
+    assert.equal((await call(audit, { query, token: admin })).status, 400, JSON.stringify(query));
+  }
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+const doc = (company, n, value) => JSON.stringify({
+  company,
+  source: { url: `https://${company.toLowerCase()}.com/report-${n}`, title: `Report ${n}`, published_at: '2024-03-01' },
+  facts: [fact('Revenue', value, `${2020 + n}-12-31`)]
+});
+
+test('bulk: one result per NDJSON line, a bad line does not fail the others', async () => {
+  const upserts = [];
+  const orig = store.metrics.upsertMany;
+  store.metrics.upsertMany = (rows) => { upserts.push(rows.length); return orig.call(store.metrics, rows); };
+  let r;
+  try {
+    const body = [doc('Acme', 1, 900), '{ not json', '', doc('Beta', 1, 300), JSON.stringify({ company: 'Gamma' }), doc('Acme', 2, 1000)].join('\n');
+    r = await call(ingest, { method: 'POST', body, headers: { 'content-type': 'application/x-ndjson' } });
+  } finally {
+    store.metrics.upsertMany = orig;
+  }
+  assert.equal(r.status, 200);
+  assert.equal(r.body.bulk, true);
+  assert.deepEqual([r.body.lines, r.body.succeeded, r.body.failed], [5, 3, 2]);
+  assert.deepEqual(r.body.results.map(x => [x.line, x.ok]), [[1, true], [2, false], [4, true], [5, false], [6, true]]);
+  assert.equal(r.body.results[1].error, 'Invalid JSON line');
+  assert.match(r.body.results[3].error, /^source: /);
+  assert.deepEqual(upserts, [1], 'one dictionary upsert for the whole batch');
+
+  const acme = await store.companies.findBySlug('acme');
+  assert.equal(r.body.results[0].company_id, acme.id);
+  assert.equal(r.body.results[4].company_id, acme.id);
+  assert.notEqual(r.body.results[0].source_id, r.body.results[4].source_id);
+  assert.ok(await store.companies.findBySlug('beta'));
+});
+
+test('bulk: ?bulk=1 with a JSON string body, dry run writes nothing', async () => {
+  const r = await call(ingest, { method: 'POST', body: doc('Delta', 1, 50), query: { bulk: '1', dry_run: '1' } });
+  assert.equal(r.status, 200);
+  assert.deepEqual([r.body.lines, r.body.succeeded, r.body.dry_run], [1, 1, true]);
+  assert.equal(await store.companies.findBySlug('delta'), null);
+});
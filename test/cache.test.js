@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const fx = require('../api/fx');
+const metrics = require('../api/metrics');
+const { getStore } = require('../lib/store');
+const { invalidateCompany } = require('../lib/cache');
+
+const store = getStore();
+
+const sleep = (ms) => new Promise(ok => setTimeout(ok, ms));
+const document = (company, sector, n = 0) => ({
+  company,
+  sector,
+  source: { url: `https://${company.toLowerCase()}.com/ar-${n}`, title: 'AR', published_at: '2024-03-01' },
+  facts: [fact('Revenue', 1000 + n, '2023-12-31')]
+});
+
+// Last-Modified de la lecture, puis la même lecture conditionnelle après `write` (à la seconde: 1,1 s d'écart)
+async function afterWrite(write) {
+  const first = await call(read, { query: { company: 'acme', metric: 'Revenue' } });
+  assert.equal(first.status, 200);
+  const lm = first.headers['last-modified'];
+  assert.equal((await call(read, { query: { company: 'acme', metric: 'Revenue' }, headers: { 'if-modified-since': lm } })).status, 304);
+  await sleep(1100);
+  await write();
+  const again = await call(read, { query: { company: 'acme', metric: 'Revenue' }, headers: { 'if-modified-since': lm } });
+  return { lm, again };
+}
+
+test('setup', async () => {
+  assert.equal((await call(ingest, { method: 'POST', body: document('Acme', 'Retail') })).status, 200);
+});
+
+test('cache: an FX load changes the reads of every company', async () => {
+  const { lm, again } = await afterWrite(async () => {
+    const r = await call(fx, { method: 'POST', body: { base: 'EUR', rates: [{ date: '2023-12-31', quote: 'USD', rate: 1.1 }] } });
+    assert.equal(r.status, 200);
+  });
+  assert.equal(again.status, 200);
+  assert.ok(new Date(again.headers['last-modified']) > new Date(lm));
+});
+
+test('cache: a formula defined through /api/metrics changes the reads of every company', async () => {
+  const { again } = await afterWrite(async () => {
+    const r = await call(metrics, { method: 'POST', body: { metrics: [{ key: 'double_revenue', formula: 'revenue * 2' }] } });
+    assert.equal(r.status, 200);
+  });
+  assert.equal(again.status, 200);
+});
+
+test('cache: a company joining the peer group changes the reads of its peers', async () => {
+  const { again } = await afterWrite(async () => {
+    assert.equal((await call(ingest, { method: 'POST', body: document('Globex', 'Retail') })).status, 200);
+  });
+  assert.equal(again.status, 200);
+});
+
+test('cache: a live entry keeps the 304 when only a peer wrote, until its TTL', async () => {
+  const { again } = await afterWrite(async () => {
+    assert.equal((await call(ingest, { method: 'POST', body: document('Globex', 'Retail', 1) })).status, 200);
+  });
+  assert.equal(again.status, 304);
+});
+
+test('cache: without a live entry, a peer write moves Last-Modified (no 304 from If-Modified-Since alone)', async () => {
+  const acme = await store.companies.findBySlug('acme');
+  const { lm, again } = await afterWrite(async () => {
+    assert.equal((await call(ingest, { method: 'POST', body: document('Globex', 'Retail', 2) })).status, 200);
+    invalidateCompany(acme.id); // entrée expirée, ou autre instance
+  });
+  assert.equal(again.status, 200);
+  assert.ok(new Date(again.headers['last-modified']) > new Date(lm));
+});
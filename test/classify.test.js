@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call } = require('./helpers');
+const ingest = require('../api/ingest');
+const { classifyTheme, classifyDocType, resolveTheme, resolveDocType } = require('../lib/classify');
+const { reclassify } = require('../scripts/reclassify');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+const THEME_COLS = 'id, theme, theme_enum, theme_origin, theme_inferred, theme_confidence';
+
+test('classifyTheme: French, English and German vocabularies', () => {
+  assert.equal(classifyTheme('Operating margin expanded by 200 bps').label, 'margin');
+  assert.equal(classifyTheme("Le chiffre d'affaires progresse de 10 %").label, 'growth');
+  assert.equal(classifyTheme('Freier Cashflow steigt').label, 'cash');
+  assert.deepEqual(classifyTheme('Hello world'), { label: 'other', confidence: 0 });
+});
+
+test('classifyDocType: title and URL path, German compounds by their leading word', () => {
+  assert.equal(classifyDocType('Rapport annuel 2023', 'https://x.com/docs/ar.pdf').label, 'annual_report');
+  assert.equal(classifyDocType('Results', 'https://x.com/ir/q3-2023-results').label, 'quarterly_report');
+  assert.equal(classifyDocType('Communiqué de presse', 'https://x.fr/').label, 'press_release');
+  assert.equal(classifyDocType('Halbjahresbericht', 'https://x.de/').label, 'quarterly_report');
+  assert.equal(classifyDocType('Konzernjahresbericht 2023', 'https://x.de/').label, 'annual_report');
+});
+
+test('resolveTheme / resolveDocType: explicit label kept, free label inferred, inferred label always stored', () => {
+  assert.deepEqual(resolveTheme('growth', 'Operating margin expanded'), {
+    theme_enum: 'growth', theme_origin: 'explicit', theme_inferred: 'margin', theme_confidence: 0.75
+  });
+  assert.equal(resolveTheme('marges opérationnelles', 'La rentabilité progresse').theme_enum, 'margin');
+  assert.equal(resolveTheme('marges opérationnelles', 'La rentabilité progresse').theme_origin, 'inferred');
+  // trop peu sûr: 'other' par défaut, l'inférence reste visible
+  assert.deepEqual(resolveTheme(null, 'Der Umsatz wächst in Europa'), {
+    theme_enum: 'other', theme_origin: 'default', theme_inferred: 'growth', theme_confidence: 0.333
+  });
+  assert.equal(resolveDocType('annual report', 'Q3', 'https://x.com/').source_type_origin, 'explicit');
+});
+
+test('ingest: source doc type, insight and news themes inferred when the label is missing or free text', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/investors/annual-report-2023.pdf', title: 'Rapport annuel 2023', published_at: '2024-03-01' },
+      insights: [
+        { text: 'La marge opérationnelle recule sous la pression des coûts', theme: 'marges opérationnelles', confidence: 0.8 },
+        { text: 'Supply disruptions remain possible', theme: 'risk' }
+      ],
+      news: [{ headline: 'Acme cuts its dividend and announces a buyback', event_date: '2024-03-01' }]
+    }
+  });
+  assert.equal(r.status, 200);
+  assert.deepEqual([r.body.source.doc_type, r.body.source.doc_type_origin], ['annual_report', 'inferred']);
+
+  const [free, explicit] = await store.insights.scan({ afterId: 0, limit: 10, columns: THEME_COLS });
+  assert.deepEqual([free.theme, free.theme_enum, free.theme_origin], ['marges opérationnelles', 'margin', 'inferred']);
+  assert.deepEqual([explicit.theme_enum, explicit.theme_origin], ['risk', 'explicit']);
+  const [news] = await store.news.scan({ afterId: 0, limit: 10, columns: 'id, theme_enum, theme_origin' });
+  assert.deepEqual([news.theme_enum, news.theme_origin], ['cash', 'inferred']);
+});
+
+test('reclassify: rows stored without labels are classified offline, explicit ones are left alone', async () => {
+  const [row] = await store.insights.scan({ afterId: 0, limit: 1, columns: THEME_COLS });
+  await store.insights.updateIds([row.id], { theme_enum: 'other', theme_origin: null, theme_inferred: null, theme_confidence: null });
+
+  assert.deepEqual(await reclassify(store, 'insights', { dryRun: true, batch: 1 }), { scanned: 2, updated: 1, relabeled: 1, companies: 1 });
+  assert.equal((await store.insights.scan({ afterId: 0, limit: 1, columns: THEME_COLS }))[0].theme_enum, 'other');
+
+  assert.deepEqual(await reclassify(store, 'insights', { dryRun: false, batch: 1 }), { scanned: 2, updated: 1, relabeled: 1, companies: 1 });
+  const after = await store.insights.scan({ afterId: 0, limit: 10, columns: THEME_COLS });
+  assert.deepEqual(after.map(r => [r.theme_enum, r.theme_origin]), [['margin', 'inferred'], ['risk', 'explicit']]);
+  assert.equal((await reclassify(store, 'insights', { dryRun: false, batch: 500 })).updated, 0);
+});
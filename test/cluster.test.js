@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const news = require('../api/news');
+const search = require('../api/search');
+const { fingerprint, isNearDuplicate, findCluster, clusterKey, corroborate, collapseClusters } = require('../lib/cluster');
+
+test('isNearDuplicate: same story reworded vs another story', () => {
+  const a = fingerprint('Strong growth in Asia driven by new stores');
+  assert.ok(isNearDuplicate(a, fingerprint('Strong growth in Asia, driven by the new stores.')));
+  assert.ok(!isNearDuplicate(a, fingerprint('Margins under pressure from input costs')));
+  assert.ok(!isNearDuplicate(a, fingerprint('')));
+});
+
+test('findCluster / clusterKey', () => {
+  const candidates = [
+    { id: 1, cluster_id: null, fingerprint: fingerprint('Debt refinanced at lower rates') },
+    { id: 2, cluster_id: 2, fingerprint: fingerprint('Strong growth in Asia driven by new stores') }
+  ];
+  assert.equal(findCluster(fingerprint('Strong growth in Asia driven by the new stores'), candidates).id, 2);
+  assert.equal(findCluster(fingerprint('Headcount stable'), candidates), null);
+  assert.equal(clusterKey({ id: 5, cluster_id: null }), 5);
+  assert.equal(clusterKey({ id: 5, cluster_id: 2 }), 2);
+});
+
+test('corroborate: independent publishers raise the score, one publisher counts once', () => {
+  const lead = { id: 1, provenance_score: 0.6, publisher: { name: 'Acme', url: 'https://acme.com/a', trust_score: 0.9 } };
+  const reuters = { id: 2, provenance_score: 0.5, publisher: { name: 'Reuters', url: 'https://reuters.com/x', trust_score: 0.8 } };
+  const again = { id: 3, provenance_score: 0.4, publisher: { name: 'Reuters', url: 'https://reuters.com/y', trust_score: 0.8 } };
+  const c = corroborate([lead, reuters, again]);
+  assert.equal(c.publishers, 2);
+  assert.equal(c.score, Number((1 - 0.4 * (1 - 0.5 * 0.8)).toFixed(3)));
+  assert.equal(c.supporting_sources.length, 3);
+  assert.equal(corroborate([lead]).score, 0.6);
+});
+
+test('collapseClusters: one item per cluster, led by the first member', () => {
+  const items = [
+    { id: 1, cluster_id: 1, text: 'a', provenance_score: 0.9 },
+    { id: 3, cluster_id: 3, text: 'b', provenance_score: 0.5 },
+    { id: 2, cluster_id: 1, text: 'a2', provenance_score: 0.4 }
+  ];
+  const out = collapseClusters(items, clusterKey);
+  assert.deepEqual(out.map(x => [x.id, x.cluster.id, x.cluster.size]), [[1, 1, 2], [3, 3, 1]]);
+  assert.equal('cluster_id' in out[0], false);
+});
+
+// même dépêche chez trois éditeurs, légèrement réécrite
+const STORY = [
+  ['https://www.reuters.com/acme-plant', 'Acme to close its Lyon plant and cut 300 jobs amid weak demand in Europe'],
+  ['https://www.bloomberg.com/acme', 'Acme to close its Lyon plant, cutting 300 jobs amid weak demand in Europe'],
+  ['https://www.businesswire.com/acme', 'Acme will close its Lyon plant and cut 300 jobs amid weak European demand']
+];
+
+test('setup: one issuer insight, then the same story from three publishers', async () => {
+  const own = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      domain: 'acme.com',
+      source: { url: 'https://acme.com/ir/letter', title: 'Letter', published_at: '2024-03-02' },
+      insights: [{ text: 'Acme expects pricing power to hold in luxury segments next year', theme: 'strategy', confidence: 0.9 }]
+    }
+  });
+  assert.equal(own.status, 200);
+  for (const [url, text] of STORY) {
+    const r = await call(ingest, {
+      method: 'POST',
+      body: {
+        company: 'Acme',
+        source: { url, title: 'Story', published_at: '2024-03-01' },
+        insights: [{ text, theme: 'risk', confidence: 0.7 }],
+        news: [{ headline: text, event_date: '2024-03-01' }]
+      }
+    });
+    assert.equal(r.status, 200);
+  }
+});
+
+test('read: one insight per cluster, the corroborated story ranks above a better single source', async () => {
+  const r = await call(read, { query: { company: 'acme' } });
+  assert.equal(r.status, 200);
+  const [story, letter] = r.body.insights.top;
+  assert.deepEqual([story.cluster.size, story.cluster.publishers, story.supporting_sources.length], [3, 3, 3]);
+  assert.deepEqual(story.supporting_sources.map(s => s.name).sort(), ['Bloomberg', 'BusinessWire', 'Reuters']);
+  assert.ok(story.provenance_score < letter.provenance_score);
+  assert.ok(story.corroborated_score > letter.corroborated_score);
+  assert.equal(r.body.insights.top.length, 2);
+});
+
+test('news and search: one item per cluster with its supporting sources', async () => {
+  const timeline = await call(news, { query: { company: 'acme' } });
+  assert.equal(timeline.status, 200);
+  assert.equal(timeline.body.items.length, 1);
+  assert.deepEqual([timeline.body.items[0].cluster.size, timeline.body.items[0].supporting_sources.length], [3, 3]);
+
+  const found = await call(search, { query: { q: 'lyon plant' } });
+  assert.equal(found.status, 200);
+  assert.deepEqual(found.body.results.map(x => [x.kind, x.cluster.publishers]).sort(), [['insight', 3], ['news', 3]]);
+});
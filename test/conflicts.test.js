@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const conflicts = require('../api/conflicts');
+
+const filing = (url, key, v2022, v2023) => ({
+  company: 'Acme',
+  source: { url, title: 'Results', published_at: '2024-03-01' },
+  facts: [fact(key, v2022, '2022-12-31'), fact(key, v2023, '2023-12-31')]
+});
+
+test('setup: a regulator filing and a blog disagree on 2023, agree on 2022 (metric keys in two casings)', async () => {
+  assert.equal((await call(ingest, { method: 'POST', body: filing('https://www.sec.gov/acme-10k', 'Revenue', 900, 1000) })).status, 200);
+  assert.equal((await call(ingest, { method: 'POST', body: filing('https://someblog.example/acme', 'revenue', 901, 1100) })).status, 200);
+});
+
+test('read: trust-weighted consensus with the competing values and their sources', async () => {
+  const r = await call(read, { query: { company: 'acme', metric: 'revenue' } });
+  assert.equal(r.status, 200);
+  const [fy22, fy23] = r.body.metrics.revenue.series;
+  assert.equal(fy22.consensus.conflict, false);
+  assert.equal(fy23.consensus.conflict, true);
+  assert.equal(Math.round(fy23.value), 1000e6);
+  assert.deepEqual(fy23.consensus.candidates.map(c => [c.value, c.source.publisher_type, c.source.is_official]), [
+    [1000e6, 'regulator', true],
+    [1100e6, 'other', false]
+  ]);
+  assert.ok(fy23.consensus.candidates[0].weight > fy23.consensus.candidates[1].weight);
+});
+
+test('conflicts: metric/date pairs beyond the tolerance, one metric whatever the casing', async () => {
+  const r = await call(conflicts, { query: { company: 'acme' } });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.conflicts.map(c => [c.date, c.candidates.length]), [['2023-12-31', 2]]);
+
+  const byMetric = await call(conflicts, { query: { company: 'acme', metric: 'REVENUE' } });
+  assert.equal(byMetric.body.count, 1);
+  const loose = await call(conflicts, { query: { company: 'acme', tolerance: '0.2' } });
+  assert.equal(loose.body.count, 0);
+  assert.equal((await call(conflicts, { query: { company: 'acme', metric: 'ebitda' } })).status, 404);
+});
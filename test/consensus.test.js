@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { candidateWeight, resolveConsensus, describeCandidate } = require('../lib/consensus');
+
+const src = (trust, official = false, published_at = '2024-03-01') => ({ trust_score: trust, is_official: official, published_at });
+
+test('candidateWeight: trust, official boost and recency', () => {
+  const newest = new Date('2024-03-01').getTime();
+  const official = candidateWeight({ source: src(0.9, true) }, newest);
+  const media = candidateWeight({ source: src(0.9) }, newest);
+  const old = candidateWeight({ source: src(0.9, false, '2023-03-02') }, newest);
+  assert.ok(official > media);
+  assert.ok(Math.abs(old / media - 0.5) < 0.01);
+});
+
+test('resolveConsensus: agreeing values grouped within the tolerance, heaviest group wins', () => {
+  const r = resolveConsensus([
+    { value: 100, currency: 'EUR', source: src(0.95, true) },
+    { value: 100.2, currency: 'EUR', source: src(0.85) },
+    { value: 120, currency: 'EUR', source: src(0.7) }
+  ]);
+  assert.equal(r.conflict, true);
+  assert.ok(r.value > 100 && r.value < 100.2);
+  assert.equal(r.candidate.value, 100);
+  assert.equal(r.spread, Number(((120 - 100) / 120).toFixed(4)));
+  assert.ok(r.agreement > 0.5 && r.agreement < 1);
+  assert.equal(resolveConsensus([]), null);
+});
+
+test('resolveConsensus: same value in another currency or base unit does not agree', () => {
+  assert.equal(resolveConsensus([{ value: 10, currency: 'EUR' }, { value: 10, currency: 'USD' }]).conflict, true);
+  assert.equal(resolveConsensus([{ value: 10, base_unit: 'percent' }, { value: 10, base_unit: 'bps' }]).conflict, true);
+  assert.equal(resolveConsensus([{ value: 10, currency: 'EUR' }, { value: 10, currency: 'EUR' }]).conflict, false);
+});
+
+test('describeCandidate: source block, conversion fields only when converted', () => {
+  const [c] = resolveConsensus([{ value: 11, currency: 'USD', original_value: 10, original_currency: 'EUR', fx_rate: 1.1, source: src(0.9) }]).candidates;
+  const d = describeCandidate(c);
+  assert.equal(d.original_currency, 'EUR');
+  assert.equal(d.source.publisher_type, 'other');
+  assert.equal('original_value' in describeCandidate({ value: 1 }), false);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const fx = require('../api/fx');
+
+test('setup: EUR revenue for two years, daily rates loaded as ECB-style CSV for one of them', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01' },
+      facts: [fact('Revenue', 900, '2022-12-31'), fact('Revenue', 1000, '2023-12-31')]
+    }
+  });
+  assert.equal(r.status, 200);
+  const rates = await call(fx, {
+    method: 'POST',
+    body: 'Date,USD,GBP\n2023-12-29,1.10,0.87\n2023-12-31,oops,0.86',
+    headers: { 'content-type': 'text/csv' }
+  });
+  assert.equal(rates.status, 200);
+  assert.equal(rates.body.upserted, 3);
+  assert.equal(rates.body.rejected.length, 1);
+});
+
+test('fx: a load needs a key with the ingest scope', async () => {
+  const r = await call(fx, { method: 'POST', body: { base: 'EUR', rates: [{ date: '2023-12-31', quote: 'USD', rate: 1.1 }] }, token: 'nope' });
+  assert.equal(r.status, 401);
+});
+
+test('read: a missing rate is a 422 naming the pair and the date', async () => {
+  const r = await call(read, { query: { company: 'acme', metric: 'revenue', currency: 'gbp' } });
+  assert.equal(r.status, 422);
+  assert.deepEqual(r.body.missing_rates, [{ from: 'EUR', to: 'GBP', date: '2022-12-31' }]);
+});
+
+test('read: currency= converts each point at the rate for its date, original currency and rate reported', async () => {
+  const rates = await call(fx, { method: 'POST', body: { base: 'EUR', rates: [{ date: '2022-12-30', quote: 'USD', rate: 1.07 }] } });
+  assert.equal(rates.status, 200);
+  const r = await call(read, { query: { company: 'acme', metric: 'revenue', currency: 'USD' } });
+  assert.equal(r.status, 200);
+  const rows = r.body.metrics.revenue.series.map(p => [p.currency, Math.round(p.value), p.original_value, p.original_currency, p.fx_rate, p.fx_rate_date]);
+  assert.deepEqual(rows, [
+    ['USD', 963e6, 900e6, 'EUR', 1.07, '2022-12-30'],
+    ['USD', 1100e6, 1000e6, 'EUR', 1.1, '2023-12-29']
+  ]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const fx = require('../api/fx');
+const metrics = require('../api/metrics');
+
+const report = (version, ebit) => ({
+  company: 'Acme',
+  source: { url: 'https://acme.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01', version },
+  facts: [fact('EBIT', ebit, '2023-12-31'), fact('Revenue', 1000, '2023-12-31')]
+});
+
+test('setup: formula over two metrics, EBIT restated by a new version of the document', async () => {
+  assert.equal((await call(ingest, { method: 'POST', body: report(1, 100) })).status, 200);
+  const v2 = await call(ingest, { method: 'POST', body: report(2, 120) });
+  assert.equal(v2.status, 200);
+  assert.equal(v2.body.source.action, 'new_version');
+  assert.equal((await call(metrics, { method: 'POST', body: { metrics: [{ key: 'ebit_plus_revenue', formula: 'ebit + revenue' }] } })).status, 200);
+  const rates = await call(fx, { method: 'POST', body: { base: 'EUR', rates: [{ date: '2023-12-31', quote: 'USD', rate: 2 }] } });
+  assert.equal(rates.status, 200);
+});
+
+test('derived metric: a restated input keeps its as-reported value, converted once with currency=', async () => {
+  const eur = await call(read, { query: { company: 'acme', metric: 'ebit_plus_revenue' } });
+  assert.equal(eur.status, 200);
+  const [p] = eur.body.metrics.ebit_plus_revenue.series;
+  assert.equal(p.value, 1120e6);
+  assert.equal(p.restated, true);
+  assert.equal(p.as_reported_value, 1100e6);
+
+  const usd = await call(read, { query: { company: 'acme', metric: 'ebit_plus_revenue', currency: 'USD' } });
+  assert.equal(usd.status, 200);
+  const [q] = usd.body.metrics.ebit_plus_revenue.series;
+  assert.equal(q.currency, 'USD');
+  assert.equal(q.value, 2240e6);
+  assert.equal(q.as_reported_value, 2200e6);
+});
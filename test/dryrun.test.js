@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+const body = {
+  company: 'Acme',
+  source: { url: 'https://acme.com/annual-report-2023', title: 'Annual report 2023', published_at: '2024-03-01' },
+  facts: [fact('Revenue', '1,2 Md€', '2023-12-31', ''), fact('!!!', 3, '2023-12-31'), fact('revenue', '1,2 Md€', '2023-12-31', '')],
+  insights: [{ text: 'Margins widened on better pricing', confidence: 0.8 }],
+  news: [{ headline: 'Acme acquires Beta', event_date: '2024-03-01' }]
+};
+const rows = (r) => ({
+  facts: r.body.facts.map(f => [f.status, f.reason]),
+  insights: r.body.insights.map(i => [i.status, i.theme_enum]),
+  news: r.body.news.map(n => [n.status, n.theme_enum])
+});
+
+test('dry_run=1: a per-row report, nothing written', async () => {
+  const r = await call(ingest, { method: 'POST', body, query: { dry_run: '1' } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.dry_run, true);
+  assert.equal(r.body.company_id, null);
+  assert.equal(r.body.source.doc_type, 'annual_report');
+  assert.equal(r.body.source.provenance.publisher_domain, 'acme.com');
+
+  const [revenue, bad, again] = r.body.facts;
+  assert.deepEqual([revenue.parsed_value, revenue.unit_scale, revenue.base_unit, revenue.currency], [1.2e9, 1e9, 'currency', 'EUR']);
+  assert.deepEqual([bad.status, bad.reason], ['rejected', 'metric_key has no usable characters']);
+  assert.deepEqual([again.status, again.reason], ['duplicate', 'repeated in this payload']);
+  assert.deepEqual(rows(r), {
+    facts: [['insert', null], ['rejected', 'metric_key has no usable characters'], ['duplicate', 'repeated in this payload']],
+    insights: [['insert', 'margin']],
+    news: [['insert', 'strategy']]
+  });
+  assert.equal(await store.companies.findBySlug('acme'), null);
+});
+
+test('a real run returns the same per-row report', async () => {
+  const dry = await call(ingest, { method: 'POST', body, query: { dry_run: '1' } });
+  const real = await call(ingest, { method: 'POST', body });
+  assert.equal(real.status, 200);
+  assert.equal(real.body.dry_run, false);
+  assert.ok(real.body.company_id);
+  assert.deepEqual(rows(real), rows(dry));
+  assert.deepEqual(real.body.summary, dry.body.summary);
+});
+
+test('an invalid document is a 400 naming the field', async () => {
+  const r = await call(ingest, { method: 'POST', body: { ...body, facts: [{ ...body.facts[0], unit: null }] }, query: { dry_run: '1' } });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /^facts\.0\.unit: /);
+});
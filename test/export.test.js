@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const exportHandler = require('../api/export');
+const { csvCell, csvLine } = require('../lib/export');
+
+test('csvCell: quotes per RFC 4180', () => {
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvLine(['x', 1, null]), 'x,1,\r\n');
+});
+
+test('csvCell: text that a spreadsheet would run as a formula is prefixed, numbers are not', () => {
+  for (const s of ['=HYPERLINK("http://x")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd']) {
+    assert.ok(csvCell(s).replace(/^"/, '').startsWith(`'`), s);
+  }
+  assert.equal(csvCell('=1+1'), `'=1+1`);
+  assert.equal(csvCell(-12.5), '-12.5');
+  assert.equal(csvCell('Revenue'), 'Revenue');
+});
+
+test('export: without ?metric every dictionary metric with facts is listed once, from the database', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/ar', title: 'AR', published_at: '2024-03-01' },
+      facts: [fact('Revenue', 1000, '2023-12-31'), fact('revenue', 900, '2022-12-31'), fact('EBITDA', 200, '2023-12-31')]
+    }
+  });
+  assert.equal(r.status, 200);
+
+  const chunks = [];
+  const got = await new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      write(s) { chunks.push(s); },
+      json(b) { resolve({ status: this.statusCode, body: b }); },
+      end() { resolve({ status: this.statusCode, body: chunks.join('') }); }
+    };
+    const req = { method: 'GET', query: { company: 'acme', layout: 'wide' }, headers: { authorization: `Bearer ${process.env.INGEST_TOKEN}` } };
+    Promise.resolve(exportHandler(req, res)).catch(reject);
+  });
+  assert.equal(got.status, 200);
+  const [header, ...rows] = got.body.trim().split('\r\n');
+  const metrics = header.split(',').slice(6).filter(c => !/_(unit|currency|source_url|trust_score)$/.test(c));
+  assert.deepEqual(metrics, ['EBITDA', 'Revenue']);
+  assert.equal(rows.length, 2);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+
+const q = (value, date, qualifier) => ({ ...fact('Revenue', value, date), ...(qualifier ? { qualifier } : {}) });
+
+test('setup: quarters, halves and years of a company closing its year on 31 March', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      fiscal_year_end: '03-31',
+      source: { url: 'https://acme.com/results', title: 'Results', published_at: '2024-05-01' },
+      facts: [
+        q(400, '2023-03-31', 'FY'), q(440, '2024-03-31', 'FY'),
+        q(100, '2022-06-30'), q(110, '2023-06-30'), q(120, '2023-09-30'),
+        q(210, '2022-09-30', 'H1'), q(230, '2023-09-30', 'H1')
+      ]
+    }
+  });
+  assert.equal(r.status, 200);
+});
+
+test('read: each point carries its fiscal period, YoY / QoQ only between comparable periods', async () => {
+  const r = await call(read, { query: { company: 'acme', metric: 'revenue' } });
+  assert.equal(r.status, 200);
+  const rows = r.body.metrics.revenue.series.map(p => [p.date, p.period, p.yoy == null ? null : +p.yoy.toFixed(2), p.qoq == null ? null : +p.qoq.toFixed(2)]);
+  assert.deepEqual(rows, [
+    ['2022-06-30', 'Q1 2023', null, null],
+    ['2022-09-30', 'H1 2023', null, null],
+    ['2023-03-31', 'FY2023', null, null],
+    ['2023-06-30', 'Q1 2024', 10, null],
+    ['2023-09-30', 'Q2 2024', null, 9.09],
+    ['2023-09-30', 'H1 2024', 9.52, null],
+    ['2024-03-31', 'FY2024', 10, null]
+  ]);
+});
+
+test('read: narratives name the period of the point they describe', async () => {
+  const r = await call(read, { query: { company: 'acme', metric: 'revenue', lang: 'en' } });
+  const fy = r.body.narratives.find(n => n.date === '2024-03-31');
+  assert.equal(fy.period_type, 'FY');
+  assert.match(fy.en, /FY2024/);
+  assert.match(fy.en, /10(\.0)?%/);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FormulaError, parseFormula, refsOf, evaluate } = require('../lib/formulas');
+
+test('parseFormula / evaluate: precedence, parentheses, unary minus', () => {
+  const values = { operating_income: 20, revenue: 200, debt: 50, cash: 30 };
+  const run = (f) => evaluate(parseFormula(f), k => values[k]);
+  assert.equal(run('operating_income / revenue'), 0.1);
+  assert.equal(run('debt - cash * 2'), -10);
+  assert.equal(run('(debt - cash) * 2'), 40);
+  assert.equal(run('-debt + 100'), 50);
+  assert.equal(run('Revenue / .5'), 400);
+});
+
+test('evaluate: null when an input is missing or on division by zero', () => {
+  assert.equal(evaluate(parseFormula('a / b'), k => ({ a: 1, b: 0 })[k]), null);
+  assert.equal(evaluate(parseFormula('a + b'), k => ({ a: 1 })[k]), null);
+});
+
+test('refsOf: referenced key_slugs', () => {
+  assert.deepEqual([...refsOf(parseFormula('(ebit_2 + d_a) / revenue - 1'))], ['ebit_2', 'd_a', 'revenue']);
+});
+
+test('parseFormula: invalid formulas throw FormulaError', () => {
+  for (const f of ['', 'a +', '(a', 'a b', 'a % b']) {
+    assert.throws(() => parseFormula(f), (e) => e instanceof FormulaError && e.code === 'FORMULA_INVALID', f);
+  }
+});
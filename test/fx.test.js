@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { guessCurrencyCode, currencyOf, parseRatesCsv, normalizeRates, loadRates, rateFor, convertPoints, FxRateMissingError } = require('../lib/fx');
+const { createStore } = require('../lib/store');
+
+test('guessCurrencyCode: symbols, dollar variants, glued codes and words', () => {
+  assert.equal(guessCurrencyCode('EUR m'), 'EUR');
+  assert.equal(guessCurrencyCode('€'), 'EUR');
+  assert.equal(guessCurrencyCode('$'), 'USD');
+  assert.equal(guessCurrencyCode('US$ bn'), 'USD');
+  assert.equal(guessCurrencyCode('HK$'), 'HKD');
+  assert.equal(guessCurrencyCode('C$'), 'CAD');
+  assert.equal(guessCurrencyCode('A$m'), 'AUD');
+  assert.equal(guessCurrencyCode('CADm'), 'CAD');
+  assert.equal(guessCurrencyCode('millions of pounds'), 'GBP');
+  assert.equal(guessCurrencyCode('Swiss francs'), 'CHF');
+  assert.equal(guessCurrencyCode('audience'), 'CURRENCY_UNKNOWN');
+});
+
+test('currencyOf: column first, else the unit', () => {
+  assert.equal(currencyOf({ currency: 'GBP', unit: 'EUR' }), 'GBP');
+  assert.equal(currencyOf({ unit: 'USD m' }), 'USD');
+  assert.equal(currencyOf({ unit: '%' }), null);
+});
+
+test('parseRatesCsv / normalizeRates: long and wide CSV, invalid rows rejected', () => {
+  const wide = parseRatesCsv('Date,USD,GBP\n2024-01-02,1.09,0.86');
+  assert.deepEqual(wide, [
+    { date: '2024-01-02', base: 'EUR', quote: 'usd', rate: '1.09' },
+    { date: '2024-01-02', base: 'EUR', quote: 'gbp', rate: '0.86' }
+  ]);
+  const { rows, rejected } = normalizeRates([
+    ...parseRatesCsv('date;base;quote;rate\n2024-01-02;EUR;USD;1,09'),
+    { date: 'x', base: 'EUR', quote: 'USD', rate: 1 },
+    { date: '2024-01-02', base: 'EUR', quote: 'EUR', rate: 1 }
+  ]);
+  assert.deepEqual(rows, [{ rate_date: '2024-01-02', base: 'EUR', quote: 'USD', rate: 1.09 }]);
+  assert.deepEqual(rejected.map(r => r.reason), ['invalid date', 'base equals quote']);
+});
+
+test('rateFor / convertPoints: direct, inverse, cross rates and staleness', async () => {
+  const store = createStore('memory');
+  await store.fxRates.upsertMany([
+    { rate_date: '2024-01-02', base: 'EUR', quote: 'USD', rate: 1.1 },
+    { rate_date: '2024-01-02', base: 'EUR', quote: 'GBP', rate: 0.8 }
+  ]);
+  const index = await loadRates(store, ['USD', 'GBP'], '2024-01-05', '2024-01-05');
+  assert.equal(rateFor(index, 'EUR', 'USD', '2024-01-05').rate, 1.1);
+  assert.equal(rateFor(index, 'USD', 'EUR', '2024-01-05').rate, 1 / 1.1);
+  assert.equal(rateFor(index, 'GBP', 'USD', '2024-01-05').via, 'EUR');
+  assert.equal(rateFor(index, 'EUR', 'USD', '2024-02-01'), null);
+
+  const points = [{ date: '2024-01-03', value: 100, currency: 'EUR' }, { date: '2024-01-03', value: 5, currency: null }];
+  await convertPoints(store, points, 'USD');
+  assert.equal(Math.round(points[0].value * 100) / 100, 110);
+  assert.equal(points[0].original_currency, 'EUR');
+  assert.equal(points[0].currency, 'USD');
+  assert.equal(points[1].value, 5);
+
+  await assert.rejects(convertPoints(store, [{ date: '2024-01-03', value: 1, currency: 'JPY' }], 'USD'), FxRateMissingError);
+  const kept = await convertPoints(store, [{ date: '2024-01-03', value: 1, currency: 'JPY' }], 'USD', { onMissing: 'drop' });
+  assert.deepEqual(kept, []);
+});
+
+test('convertPoints: consensus candidates land in the target currency', async () => {
+  const store = createStore('memory');
+  await store.fxRates.upsertMany([{ rate_date: '2024-01-02', base: 'EUR', quote: 'USD', rate: 2 }]);
+  const p = {
+    date: '2024-01-02',
+    value: 10,
+    currency: 'EUR',
+    consensus: { candidates: [{ value: 10, currency: 'EUR' }, { value: 20, currency: 'USD' }] }
+  };
+  await convertPoints(store, [p], 'USD');
+  assert.deepEqual(p.consensus.candidates.map(c => [c.value, c.currency]), [[20, 'USD'], [20, 'USD']]);
+  assert.equal(p.consensus.candidates[0].original_currency, 'EUR');
+});
@@ -0,0 +1,24 @@
+// Tests: handlers appelés sans serveur, sur le backend mémoire (un process par fichier de test = une base vide)
+process.env.LOWPILL_STORE = 'memory';
+process.env.INGEST_TOKEN = process.env.INGEST_TOKEN || 'test-ingest-token';
+process.env.ADMIN_TOKEN = process.env.ADMIN_TOKEN || 'test-admin-token';
+
+// handler(req, res) -> { status, body, headers }
+function call(handler, { method = 'GET', query = {}, body, headers = {}, token = process.env.INGEST_TOKEN } = {}) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+      json(b) { resolve({ status: this.statusCode, body: b, headers: this.headers }); },
+      send(b) { resolve({ status: this.statusCode, body: b, headers: this.headers }); },
+      end() { resolve({ status: this.statusCode, body: null, headers: this.headers }); }
+    };
+    Promise.resolve(handler({ method, query, body, headers: { authorization: `Bearer ${token}`, ...headers } }, res)).catch(reject);
+  });
+}
+
+const fact = (metric_key, metric_value, as_of_date, unit = 'EUR m') => ({ metric_key, metric_value: String(metric_value), unit, as_of_date });
+
+module.exports = { call, fact };
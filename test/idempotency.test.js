@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const { LEASE_MS, requestHash, claimKey, completeKey } = require('../lib/idempotency');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+const payload = (value) => ({
+  company: 'Acme',
+  source: { url: 'https://acme.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01' },
+  facts: [fact('Revenue', value, '2023-12-31')]
+});
+
+test('Idempotency-Key: a retry replays the stored response, a different payload is refused', async () => {
+  const headers = { 'idempotency-key': 'ar-2023' };
+  const first = await call(ingest, { method: 'POST', body: payload(1000), headers });
+  assert.equal(first.status, 200);
+  assert.deepEqual(Object.keys(first.body.sections), ['facts', 'insights', 'news']);
+
+  const retry = await call(ingest, { method: 'POST', body: payload(1000), headers });
+  assert.equal(retry.headers['idempotent-replayed'], 'true');
+  assert.deepEqual(retry.body, first.body);
+
+  const other = await call(ingest, { method: 'POST', body: payload(1100), headers });
+  assert.equal(other.status, 422);
+});
+
+test('claimKey: a claim in progress is a 409, taken over once its lease has expired', async () => {
+  const owner = { apiKeyId: null, key: 'in-flight' };
+  const hash = requestHash('ingest:test', '{}');
+  assert.equal((await claimKey(store, owner, hash)).state, 'claimed');
+  assert.deepEqual(await claimKey(store, owner, hash), {
+    state: 'conflict', status: 409, error: 'a request with this Idempotency-Key is still in progress'
+  });
+
+  await store.ingestRequests.update(null, 'in-flight', { claimed_at: new Date(Date.now() - LEASE_MS - 1000).toISOString() });
+  assert.equal((await claimKey(store, owner, hash)).state, 'claimed');
+  await completeKey(store, owner, 201, { ok: true });
+  assert.deepEqual(await claimKey(store, owner, hash), { state: 'replay', status: 201, body: { ok: true } });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const companies = require('../api/companies');
+const { nameKey, normalizeAlias } = require('../lib/identity');
+
+const admin = process.env.ADMIN_TOKEN;
+const filing = (company, url, value, date, extra = {}) => ({
+  company,
+  source: { url, title: 'AR', published_at: '2024-03-01' },
+  facts: [fact('Revenue', value, date)],
+  ...extra
+});
+const slugOf = async (company) => (await call(read, { query: { company, metric: 'revenue' } })).body.company?.slug ?? null;
+
+test('identity: names folded without legal form, identifiers normalized and checked', () => {
+  assert.equal(nameKey('LVMH Moët Hennessy Louis Vuitton SE'), 'lvmh_moet_hennessy_louis_vuitton');
+  assert.equal(normalizeAlias('ticker', 'mc.pa'), 'MC.PA');
+  assert.equal(normalizeAlias('isin', 'fr0000121014'), 'FR0000121014');
+  assert.equal(normalizeAlias('isin', 'FR0000121015'), null);
+  assert.equal(normalizeAlias('domain', 'https://www.LVMH.com/fr'), 'lvmh.com');
+});
+
+test('identity: ingest and read resolve the same company by accented name, alias, ticker, ISIN or domain', async () => {
+  assert.equal((await call(ingest, { method: 'POST', body: filing('Moët Hennessy', 'https://mh.com/ar', 10, '2023-12-31') })).status, 200);
+  assert.equal(await slugOf('Moët Hennessy'), 'moet_hennessy');
+
+  const first = await call(ingest, {
+    method: 'POST',
+    body: filing('LVMH Moët Hennessy Louis Vuitton SE', 'https://lvmh.com/ar-2023', 86000, '2023-12-31', {
+      aliases: ['LVMH'], tickers: ['MC.PA'], isin: 'FR0000121014', domain: 'lvmh.com'
+    })
+  });
+  assert.equal(first.status, 200);
+  const second = await call(ingest, { method: 'POST', body: filing('LVMH', 'https://lvmh.com/ar-2022', 79000, '2022-12-31') });
+  assert.equal(second.body.company_id, first.body.company_id);
+  assert.equal(second.body.company_matched_by, 'name');
+
+  for (const ref of ['lvmh', 'LVMH SE', 'MC.PA', 'fr0000121014', 'www.lvmh.com']) {
+    assert.equal(await slugOf(ref), first.body.company, ref);
+  }
+  const r = await call(read, { query: { company: 'MC.PA', metric: 'revenue' } });
+  assert.equal(r.body.metrics.revenue.series.length, 2);
+});
+
+test('companies: search by alias, resolve, attach identifiers', async () => {
+  const found = await call(companies, { query: { q: 'moet' } });
+  assert.equal(found.status, 200);
+  assert.deepEqual(found.body.companies.map(c => c.slug).sort(), ['lvmh_moet_hennessy_louis_vuitton_se', 'moet_hennessy']);
+
+  const resolved = await call(companies, { query: { resolve: 'FR0000121014' } });
+  assert.equal(resolved.body.matched_by, 'isin');
+  assert.deepEqual(resolved.body.company.aliases.ticker, ['MC.PA']);
+
+  const added = await call(companies, { method: 'POST', token: admin, body: { action: 'aliases', company: 'lvmh', tickers: ['MC FP'] } });
+  assert.equal(added.status, 200);
+  assert.deepEqual(added.body.company.aliases.ticker, ['MC.PA', 'MCFP']);
+  assert.equal((await call(companies, { method: 'POST', body: { action: 'aliases', company: 'lvmh', tickers: ['X'] } })).status, 403);
+  assert.equal((await call(companies, { method: 'POST', token: admin, body: { action: 'aliases', company: 'lvmh', isin: 'FR0000121015' } })).status, 400);
+});
+
+test('companies: merge moves facts, news and aliases to the kept company (dry run first)', async () => {
+  const dup = await call(ingest, {
+    method: 'POST',
+    body: filing('LVMH duplicate', 'https://example.com/lvmh', 70000, '2021-12-31', { news: [{ headline: 'LVMH news', event_date: '2023-03-01' }] })
+  });
+  assert.equal(dup.status, 200);
+  const body = { action: 'merge', into: 'MC.PA', from: 'lvmh_duplicate' };
+
+  const dry = await call(companies, { method: 'POST', token: admin, body: { ...body, dry_run: true } });
+  assert.equal(dry.status, 200);
+  assert.equal(dry.body.merged[0].moved.facts, 1);
+  assert.equal(await slugOf('lvmh_duplicate'), 'lvmh_duplicate');
+
+  const done = await call(companies, { method: 'POST', token: admin, body });
+  assert.equal(done.status, 200);
+  assert.deepEqual([done.body.merged[0].moved.facts, done.body.merged[0].moved.news], [1, 1]);
+  assert.equal(await slugOf('lvmh_duplicate'), done.body.into);
+  const r = await call(read, { query: { company: 'lvmh', metric: 'revenue' } });
+  assert.equal(r.body.metrics.revenue.series.length, 3);
+
+  assert.equal((await call(companies, { method: 'POST', token: admin, body: { ...body, from: 'lvmh' } })).status, 422);
+});
+
+test('companies: a malformed query or body is a 400', async () => {
+  assert.equal((await call(companies, { query: { limit: '1000' } })).status, 400);
+  assert.equal((await call(companies, { query: { cursor: 'garbage' } })).status, 400);
+  assert.equal((await call(companies, { method: 'POST', token: admin, body: { action: 'rename', company: 'lvmh' } })).status, 400);
+  assert.equal((await call(companies, { method: 'POST', token: admin, body: { action: 'merge', into: 'lvmh' } })).status, 400);
+});
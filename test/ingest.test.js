@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+const payload = (over = {}) => ({
+  company: 'Acme',
+  source: { url: 'https://acme.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01' },
+  facts: [fact('Revenue', 1000, '2023-12-31'), fact('Revenue', 900, '2022-12-31')],
+  insights: [{ text: 'Strong growth in Asia driven by new stores', theme: 'growth', confidence: 0.9 }],
+  news: [{ headline: 'Acme opens 50 stores in Asia', event_date: '2024-02-15' }],
+  ...over
+});
+
+test('ingest -> read: stored facts come back as a series with their insights', async () => {
+  const r = await call(ingest, { method: 'POST', body: payload() });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.source.action, 'create');
+  assert.deepEqual(r.body.summary.facts, { insert: 2, duplicate: 0, unchanged: 0, rejected: 0, quarantined: 0 });
+
+  const got = await call(read, { query: { company: 'acme', metric: 'Revenue' } });
+  assert.equal(got.status, 200);
+  const series = got.body.metrics.Revenue.series;
+  assert.deepEqual(series.map(p => p.value), [900e6, 1000e6]);
+  assert.equal(series[1].currency, 'EUR');
+  assert.equal(got.body.insights.top[0].text, 'Strong growth in Asia driven by new stores');
+});
+
+test('ingest: the same document again is deduplicated by hash, nothing new is written', async () => {
+  const before = store.db.tables.get('facts').length;
+  const r = await call(ingest, { method: 'POST', body: payload() });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.source.action, 'existing');
+  assert.equal(r.body.summary.facts.duplicate, 2);
+  assert.equal(r.body.summary.insights.duplicate, 1);
+  assert.equal(r.body.summary.news.duplicate, 1);
+  assert.equal(store.db.tables.get('facts').length, before);
+});
+
+test('ingest: a concurrent insert (23505 on the unique index) is reported as a duplicate', async () => {
+  // l'autre ingestion écrit entre la lecture des hash et l'insert: la lecture ne voit rien
+  const existingHashes = store.facts.existingHashes;
+  store.facts.existingHashes = async () => new Set();
+  try {
+    const r = await call(ingest, { method: 'POST', body: payload({ insights: [], news: [], facts: [fact('Revenue', 1000, '2023-12-31'), fact('EBIT', 150, '2023-12-31')] }) });
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.facts.map(f => [f.key_slug, f.status, f.reason]), [
+      ['revenue', 'duplicate', 'unique index conflict on insert'],
+      ['ebit', 'insert', null]
+    ]);
+  } finally {
+    store.facts.existingHashes = existingHashes;
+  }
+});
+
+test('repositories: the memory backend enforces the unique indexes with code 23505', async () => {
+  const [row] = store.db.tables.get('insights');
+  await assert.rejects(
+    store.insights.insert({ company_id: row.company_id, source_id: row.source_id, text: row.text, text_md5: row.text_md5 }),
+    (e) => e.code === '23505'
+  );
+  // fact_md5 unique par société: une autre société peut publier le même chiffre
+  const other = await store.companies.upsert({ slug: 'other', name: 'Other' });
+  const [f] = store.db.tables.get('facts');
+  await store.facts.insert({ ...f, id: undefined, company_id: other.id });
+  await assert.rejects(store.facts.insert({ ...f, id: undefined }), (e) => e.code === '23505');
+});
+
+test('ingest: a failing section rolls the source back and releases the Idempotency-Key', async () => {
+  const insertMany = store.news.insertMany;
+  store.news.insertMany = async () => { throw new Error('news down'); };
+  const body = payload({ source: { url: 'https://acme.com/q1-2024', title: 'Q1' }, news: [{ headline: 'Something new' }] });
+  try {
+    const r = await call(ingest, { method: 'POST', body, headers: { 'idempotency-key': 'q1' } });
+    assert.equal(r.status, 500);
+    assert.equal(r.body.rolled_back, true);
+    assert.equal(r.body.sections.facts.status, 'rolled_back');
+    assert.equal(r.body.source.rolled_back, true);
+  } finally {
+    store.news.insertMany = insertMany;
+  }
+  assert.equal(await store.sources.latest(1, 'https://acme.com/q1-2024'), null);
+
+  const retry = await call(ingest, { method: 'POST', body, headers: { 'idempotency-key': 'q1' } });
+  assert.equal(retry.status, 200);
+  const replay = await call(ingest, { method: 'POST', body, headers: { 'idempotency-key': 'q1' } });
+  assert.equal(replay.headers['idempotent-replayed'], 'true');
+  assert.deepEqual(replay.body, retry.body);
+});
+
+test('read: ?metric= matches the dictionary entry whatever the casing used at ingest', async () => {
+  const got = await call(read, { query: { company: 'acme', metric: 'revenue' } });
+  assert.equal(got.status, 200);
+  assert.deepEqual(got.body.metrics.revenue.series.map(p => p.value), [900e6, 1000e6]);
+});
+
+test('ingest: without history, a fact off by 1000 is checked against the payload\'s other facts for the metric', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Initech',
+      source: { url: 'https://initech.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01' },
+      facts: [fact('Revenue', 1000, '2023-12-31'), fact('Revenue', 950, '2022-12-31'), fact('Revenue', 900000, '2021-12-31')]
+    }
+  });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.summary.facts.quarantined, 1);
+  const flagged = r.body.facts.filter(f => f.review_status === 'quarantined');
+  assert.deepEqual(flagged.map(f => f.as_of_date.slice(0, 10)), ['2021-12-31']);
+  assert.equal(flagged[0].anomaly.likely_scale, 1000);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const search = require('../api/search');
+const keys = require('../api/keys');
+const audit = require('../api/audit');
+
+const admin = process.env.ADMIN_TOKEN;
+const document = (company) => ({
+  company,
+  source: { url: `https://${company.toLowerCase()}.com/ar`, title: 'AR', published_at: '2024-03-01' },
+  facts: [fact('Revenue', 1000, '2023-12-31')],
+  insights: [{ text: `${company} sees strong demand for its products`, theme: 'growth', confidence: 0.8 }]
+});
+const createKey = async (body) => {
+  const r = await call(keys, { method: 'POST', token: admin, body: { action: 'create', ...body } });
+  assert.equal(r.status, 201);
+  return r.body;
+};
+const readAs = (token, company) => call(read, { query: { company, metric: 'revenue' }, token });
+
+test('setup: two companies', async () => {
+  for (const c of ['Acme', 'Globex']) assert.equal((await call(ingest, { method: 'POST', body: document(c) })).status, 200);
+});
+
+test('keys: reads need a key, scopes and companies are enforced', async () => {
+  assert.equal((await readAs('nope', 'acme')).status, 401);
+  const { key, api_key } = await createKey({ name: 'acme reader', scopes: ['read'], companies: ['ACME'] });
+  assert.match(key, /^lp_[a-f0-9]{8}_/);
+  assert.equal('key_hash' in api_key, false);
+
+  assert.equal((await readAs(key, 'acme')).status, 200);
+  assert.equal((await readAs(key, 'globex')).status, 403);
+  const found = await call(search, { query: { q: 'demand' }, token: key });
+  assert.deepEqual(found.body.results.map(r => r.company.slug), ['acme']);
+  assert.equal((await call(ingest, { method: 'POST', body: document('Acme'), token: key })).status, 403);
+  assert.equal((await call(keys, { query: {}, token: key })).status, 403);
+});
+
+test('keys: per-key rate limit per minute, with headers', async () => {
+  const { key } = await createKey({ name: 'limited', scopes: ['read'], rate_limit_per_minute: 2 });
+  const first = await readAs(key, 'acme');
+  assert.deepEqual([first.headers['x-ratelimit-limit'], first.headers['x-ratelimit-remaining']], ['2', '1']);
+  assert.equal((await readAs(key, 'acme')).status, 200);
+  const over = await readAs(key, 'acme');
+  assert.equal(over.status, 429);
+  assert.ok(Number(over.headers['retry-after']) >= 1);
+});
+
+test('keys: rotation keeps the old key for the grace period, revocation ends it', async () => {
+  const { key: old, api_key } = await createKey({ name: 'rotating', scopes: ['read'] });
+  const rotated = await call(keys, { method: 'POST', token: admin, body: { action: 'rotate', id: api_key.id } });
+  assert.equal(rotated.status, 201);
+  assert.equal(rotated.body.api_key.rotated_from_id, api_key.id);
+  assert.equal((await readAs(old, 'acme')).status, 200);
+  assert.equal((await readAs(rotated.body.key, 'acme')).status, 200);
+
+  const again = await call(keys, { method: 'POST', token: admin, body: { action: 'rotate', id: rotated.body.api_key.id, grace_minutes: 0 } });
+  assert.equal((await readAs(rotated.body.key, 'acme')).status, 401);
+  assert.equal((await readAs(again.body.key, 'acme')).status, 200);
+
+  const revoked = await call(keys, { method: 'POST', token: admin, body: { action: 'revoke', id: again.body.api_key.id } });
+  assert.equal(revoked.status, 200);
+  assert.equal((await readAs(again.body.key, 'acme')).status, 401);
+  assert.equal((await call(keys, { method: 'POST', token: admin, body: { action: 'rotate', id: again.body.api_key.id } })).status, 409);
+
+  const listed = await call(keys, { query: {}, token: admin });
+  assert.ok(!listed.body.keys.some(k => k.id === again.body.api_key.id));
+  assert.ok((await call(keys, { query: { include_revoked: '1' }, token: admin })).body.keys.some(k => k.id === again.body.api_key.id));
+});
+
+test('audit: an ingest records the key that sent the source, with counts', async () => {
+  const { key, api_key } = await createKey({ name: 'loader', scopes: ['ingest'] });
+  assert.equal((await call(ingest, { method: 'POST', body: { ...document('Acme'), source: { ...document('Acme').source, url: 'https://acme.com/q1' } }, token: key })).status, 200);
+  const log = await call(audit, { query: { key_id: String(api_key.id) }, token: admin });
+  assert.equal(log.status, 200);
+  assert.equal(log.body.count, 1);
+  assert.equal(log.body.entries[0].outcome, 'ok');
+  assert.equal(log.body.entries[0].source_url, 'https://acme.com/q1');
+});
+
+test('keys: a malformed body or unknown company is rejected', async () => {
+  const post = (body) => call(keys, { method: 'POST', token: admin, body });
+  assert.equal((await post({ action: 'create', name: 'x', scopes: ['write'] })).status, 400);
+  assert.equal((await post({ action: 'create', name: 'x', scopes: [] })).status, 400);
+  assert.equal((await post({ action: 'rotate', id: 'abc' })).status, 400);
+  assert.equal((await post({ action: 'create', name: 'x', scopes: ['read'], companies: ['nobody'] })).status, 404);
+  assert.equal((await post({ action: 'update', id: 999999, name: 'y' })).status, 404);
+});
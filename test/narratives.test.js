@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const { localesOf, formatValue, formatChange, periodText, metricNarratives, companySummary, LOCALES } = require('../lib/narratives');
+const { inferPeriod, computeChanges } = require('../lib/periods');
+
+const en = LOCALES.en;
+const series = (values, base_unit = 'currency', currency = 'EUR') => computeChanges(values.map(([date, value]) => ({
+  date, value, base_unit, currency, period: inferPeriod({ as_of_date: date }, null, { cadence: 'FY' })
+})));
+
+test('localesOf: known locales in order, everything when none is known', () => {
+  assert.deepEqual(localesOf('en,fr'), ['en', 'fr']);
+  assert.deepEqual(localesOf(['de', 'EN-us']), ['en']);
+  assert.deepEqual(localesOf('de'), ['fr', 'en']);
+  assert.deepEqual(localesOf(undefined), ['fr', 'en']);
+});
+
+test('formatValue / formatChange / periodText', () => {
+  assert.equal(formatValue(en, 1.2e9, { base_unit: 'currency', currency: 'EUR' }), '€1.2B');
+  assert.equal(formatValue(en, 12.5, { base_unit: 'percent' }), '12.5%');
+  assert.equal(formatValue(en, 35, { base_unit: 'bps' }), '35 bps');
+  assert.equal(formatValue(en, null), '—');
+  assert.equal(formatChange(en, -3.456), '3.5%');
+  assert.equal(formatChange(en, 1.5, { points: true }), '1.5 pts');
+  assert.equal(periodText(en, { type: 'Q', n: 3, fiscal_year: 2024 }, { in: true }), 'in Q3 2024');
+  assert.equal(periodText(LOCALES.fr, { type: 'H', n: 1, fiscal_year: 2024 }), 'le S1 2024');
+});
+
+test('metricNarratives: up / down / no comparison, percentages compared in points', () => {
+  const out = metricNarratives({ company: { name: 'Acme' }, metric: 'revenue', series: series([['2022-12-31', 100e6], ['2023-12-31', 110e6]]), locales: ['en'] });
+  assert.equal(out[0].texts.en, 'Acme’s revenue was €100M in FY2022; there is no comparable prior period.');
+  assert.equal(out[1].texts.en, 'Acme’s revenue rose 10.0% year on year in FY2023, to €110M from €100M in FY2022.');
+
+  const margin = metricNarratives({ company: { name: 'Acme' }, metric: 'margin', series: series([['2022-12-31', 11], ['2023-12-31', 12.5]], 'percent', null), locales: ['en'] });
+  assert.match(margin[1].texts.en, /rose 1\.5 pts/);
+});
+
+test('companySummary: latest point per metric then the top insights, empty company', () => {
+  const s = companySummary({
+    company: { name: 'Acme' },
+    metrics: [{ metric: 'revenue', series: series([['2022-12-31', 100e6], ['2023-12-31', 90e6]]) }],
+    insights: [{ text: 'Strong growth in Asia.', publisher: { name: 'Reuters' } }],
+    locales: ['en']
+  });
+  assert.equal(s.en, 'Acme: revenue fell 10.0% year on year in FY2023, to €90M from €100M in FY2022. Top insights: “Strong growth in Asia” (Reuters).');
+  assert.equal(companySummary({ company: { name: 'Acme' }, locales: ['en'] }).en, 'No figures or insights are available for Acme yet.');
+});
+
+// Intl sépare les milliers / unités par des espaces insécables
+const plain = (s) => String(s).replace(/[\u00a0\u202f]/g, ' ');
+
+test('read: lang=fr narratives and summary, with the dictionary label and the period wording', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/ar', title: 'AR', published_at: '2024-03-01' },
+      facts: [
+        fact('Revenue', 1000, '2022-12-31'), fact('Revenue', 1000, '2023-12-31'),
+        fact('EBITDA margin', 14, '2022-12-31', '%'), fact('EBITDA margin', 12.5, '2023-12-31', '%')
+      ],
+      insights: [{ text: 'La demande en Chine ralentit.', theme: 'demand', confidence: 0.9 }]
+    }
+  });
+  assert.equal(r.status, 200);
+
+  const fr = await call(read, { query: { company: 'acme', metric: 'revenue,ebitda_margin', lang: 'fr' } });
+  assert.equal(fr.status, 200);
+  const texts = fr.body.narratives.map(n => [n.metric, n.period, plain(n.fr), 'en' in n]);
+  assert.deepEqual(texts, [
+    ['revenue', 'FY2022', 'Acme — Revenue : 1 Md € sur l’exercice 2022, sans période comparable.', false],
+    ['revenue', 'FY2023', 'Acme — Revenue : stable sur un an sur l’exercice 2023, à 1 Md €.', false],
+    ['ebitda_margin', 'FY2022', 'Acme — EBITDA margin : 14 % sur l’exercice 2022, sans période comparable.', false],
+    ['ebitda_margin', 'FY2023', 'Acme — EBITDA margin : baisse de 1,5 pt sur un an sur l’exercice 2023, à 12,5 % contre 14 % pour l’exercice 2022.', false]
+  ]);
+  assert.deepEqual(Object.keys(fr.body.summary), ['fr']);
+  assert.match(plain(fr.body.summary.fr), /^Acme — Revenue : stable .* EBITDA margin : baisse de 1,5 pt .* À retenir : « La demande en Chine ralentit » \(acme\.com\)\.$/);
+});
+
+test('read: every locale without lang (or with an unknown one), quarterly periods worded per locale', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/q1', title: 'Q1 2024', published_at: '2024-04-20' },
+      facts: [fact('Orders', 200, '2023-03-31', 'units'), fact('Orders', 230, '2024-03-31', 'units')]
+    }
+  });
+  assert.equal(r.status, 200);
+  for (const lang of [undefined, 'de']) {
+    const got = await call(read, { query: { company: 'acme', metric: 'orders', ...(lang ? { lang } : {}) } });
+    assert.equal(got.status, 200);
+    const last = got.body.narratives[got.body.narratives.length - 1];
+    assert.equal(last.period, 'Q1 2024');
+    assert.equal(plain(last.en), 'Acme’s Orders rose 15.0% year on year in Q1 2024, to 230 from 200 in Q1 2023.');
+    assert.equal(plain(last.fr), 'Acme — Orders : hausse de 15,0 % sur un an au T1 2024, à 230 contre 200 pour le T1 2023.');
+  }
+});
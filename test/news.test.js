@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const news = require('../api/news');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+const doc = (n, published_at, over = {}) => ({
+  company: 'Acme',
+  source: { url: `https://acme.com/doc-${n}`, title: `Doc ${n}`, published_at },
+  facts: [fact('Revenue', 1000 + n * 100, `${2018 + n}-12-31`)],
+  insights: [{ text: `Insight number ${n} on a distinct subject ${'x'.repeat(n)}`, theme: 'growth', confidence: 0.8 }],
+  news: [{ headline: `Headline ${n} about something else ${'y'.repeat(n)}`, event_date: published_at }],
+  ...over
+});
+
+async function walk(query, limit) {
+  const out = [];
+  let cursor;
+  do {
+    const r = await call(news, { query: { company: 'acme', ...query, limit: String(limit), ...(cursor ? { cursor } : {}) } });
+    assert.equal(r.status, 200);
+    assert.ok(r.body.items.length <= limit);
+    out.push(...r.body.items.map(i => `${i.kind}:${i.id}`));
+    cursor = r.body.next_cursor;
+  } while (cursor);
+  return out;
+}
+
+test('setup: four documents, news and insights on the same dates', async () => {
+  for (let n = 1; n <= 4; n++) {
+    const r = await call(ingest, { method: 'POST', body: doc(n, `2024-0${n}-15`) });
+    assert.equal(r.status, 200);
+  }
+});
+
+test('timeline: pages of any size walk the same chronology as one page', async () => {
+  const all = await walk({ timeline: '1' }, 100);
+  assert.ok(all.some(x => x.startsWith('news:')) && all.some(x => x.startsWith('insight:')));
+  for (const limit of [1, 2, 3]) assert.deepEqual(await walk({ timeline: '1' }, limit), all);
+});
+
+test('timeline: each source is read from the cursor, limit + 1 rows at a time', async () => {
+  const calls = [];
+  const spy = (repo, fn) => {
+    const orig = store[repo][fn];
+    store[repo][fn] = (id, opts) => { calls.push({ fn, opts }); return orig.call(store[repo], id, opts); };
+    return () => { store[repo][fn] = orig; };
+  };
+  const restore = [spy('news', 'listByCompany'), spy('insights', 'listTimeline')];
+  try {
+    const first = await call(news, { query: { company: 'acme', timeline: '1', limit: '2' } });
+    calls.length = 0;
+    await call(news, { query: { company: 'acme', timeline: '1', limit: '2', cursor: first.body.next_cursor } });
+  } finally {
+    restore.forEach(f => f());
+  }
+  assert.deepEqual(calls.map(c => c.fn).sort(), ['listByCompany', 'listTimeline']);
+  for (const c of calls) {
+    assert.equal(c.opts.limit, 3);
+    assert.ok(c.opts.before);
+  }
+});
+
+test('timeline: a malformed cursor is a 400', async () => {
+  const r = await call(news, { query: { company: 'acme', timeline: '1', cursor: 'garbage' } });
+  assert.equal(r.status, 400);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const peers = require('../api/peers');
+const fx = require('../api/fx');
+const { getStore } = require('../lib/store');
+const { PAGE_ROWS } = require('../lib/store/repositories');
+
+const store = getStore();
+
+const company = (name, value, unit) => ({
+  company: name,
+  sector: 'Retail',
+  source: { url: `https://${name.toLowerCase()}.com/ar-2023`, title: 'Annual report 2023', published_at: '2024-03-01' },
+  facts: [fact('Revenue', value, '2023-12-31', unit)]
+});
+
+test('setup: EUR peers, a JPY peer and a GBP peer without rate', async () => {
+  for (const body of [
+    company('Acme', 300, 'EUR m'),
+    company('Beta', 200, 'EUR m'),
+    company('Gamma', 150, 'EUR m'),
+    company('Nippon', 16000, 'JPY m'),
+    company('Brit', 500, 'GBP m')
+  ]) assert.equal((await call(ingest, { method: 'POST', body })).status, 200);
+  const r = await call(fx, {
+    method: 'POST',
+    body: { base: 'EUR', rates: [{ date: '2023-12-31', quote: 'JPY', rate: 160 }, { date: '2023-12-31', quote: 'USD', rate: 1.1 }] }
+  });
+  assert.equal(r.status, 200);
+});
+
+const query = { company: 'acme', metric: 'Revenue', date: '2024-01-31' };
+
+test('peers: amounts are ranked in the company\'s reporting currency, unconvertible peers left out', async () => {
+  const r = await call(peers, { query });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.peers.map(p => [p.company.slug, p.value, p.currency]), [
+    ['acme', 300e6, 'EUR'],
+    ['beta', 200e6, 'EUR'],
+    ['gamma', 150e6, 'EUR'],
+    ['nippon', 100e6, 'EUR']
+  ]);
+});
+
+test('peers: currency= converts every peer to that currency', async () => {
+  const r = await call(peers, { query: { ...query, currency: 'usd' } });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.currency, 'USD');
+  assert.deepEqual(r.body.peers.map(p => p.company.slug), ['acme', 'beta', 'gamma', 'nippon']);
+  assert.ok(r.body.peers.every(p => p.currency === 'USD'));
+  assert.equal(Math.round(r.body.peers[3].value), 110e6);
+});
+
+test('peers: metric= is read through the dictionary, whatever its casing', async () => {
+  const r = await call(peers, { query: { ...query, metric: 'REVENUE' } });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.peers.map(p => p.company.slug), ['acme', 'beta', 'gamma', 'nippon']);
+  assert.equal((await call(peers, { query: { ...query, metric: 'ebitda' } })).status, 404);
+});
+
+test('read: zscore_sector / percentile_sector are computed over converted peer values', async () => {
+  const r = await call(read, { query: { company: 'acme', metric: 'Revenue' } });
+  assert.equal(r.status, 200);
+  const [p] = r.body.metrics.Revenue.series;
+  assert.equal(p.percentile_sector, 87.5);
+  assert.ok(p.zscore_sector > 1);
+});
+
+test('facts of a peer group beyond one PostgREST page are all read, in date order', async () => {
+  assert.equal((await call(ingest, { method: 'POST', body: { ...company('Bulk', 100, 'EUR m'), sector: 'Bulk' } })).status, 200);
+  const bulk = await store.companies.findBySlug('bulk');
+  const acme = await store.companies.findBySlug('acme');
+  const { id: metricId } = await store.metrics.findBySlug('revenue', 'id');
+  const day = (i) => new Date(Date.UTC(2020, 0, 1) + i * 86400000).toISOString().slice(0, 10);
+  await store.facts.insertMany(Array.from({ length: PAGE_ROWS + 50 }, (_, i) => ({
+    company_id: bulk.id, metric_id: metricId, metric_key: 'Revenue', as_of_date: day(i),
+    metric_value: String(i), metric_value_num: i, unit: 'EUR', fact_md5: `bulk-${i}`
+  })));
+
+  const rows = await store.facts.listByCompanies([acme.id, bulk.id], { metricId, numericOnly: true });
+  assert.equal(rows.length, PAGE_ROWS + 52);
+  const dates = rows.map(r => new Date(r.as_of_date).getTime());
+  assert.deepEqual(dates, [...dates].sort((a, b) => a - b));
+});
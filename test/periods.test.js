@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQualifier, fiscalPosition, seriesCadence, inferPeriod, computeChanges } = require('../lib/periods');
+
+test('parseQualifier: explicit periods, years and wordings', () => {
+  assert.deepEqual(parseQualifier('Q3 2024'), { type: 'Q', n: 3, year: 2024 });
+  assert.deepEqual(parseQualifier('S1'), { type: 'H', n: 1, year: null });
+  assert.deepEqual(parseQualifier("FY'23"), { type: 'FY', n: null, year: 2023 });
+  assert.deepEqual(parseQualifier('TTM Q2 2024'), { type: 'TTM', n: 2, year: 2024 });
+  assert.equal(parseQualifier('last twelve months').type, 'TTM');
+  assert.equal(parseQualifier('3 months ended December 31').type, 'Q');
+  assert.equal(parseQualifier('six months ended June 30').type, 'H');
+  assert.deepEqual(parseQualifier('2e trimestre 2023'), { type: 'Q', n: 2, year: 2023 });
+  assert.deepEqual(parseQualifier('2024'), { type: null, n: null, year: 2024 });
+  assert.equal(parseQualifier(''), null);
+});
+
+test('fiscalPosition: fiscal year named after the calendar year it ends in', () => {
+  const pos = fiscalPosition('2023-06-30', '03-31');
+  assert.equal(pos.fiscal_year, 2024);
+  assert.equal(pos.quarter, 1);
+  assert.equal(pos.is_quarter_end, true);
+});
+
+test('seriesCadence: FY, H or Q from the dates only', () => {
+  assert.equal(seriesCadence(['2022-12-31', '2023-12-31']), 'FY');
+  assert.equal(seriesCadence(['2023-06-30', '2023-12-31']), 'H');
+  assert.equal(seriesCadence(['2023-03-31', '2023-06-30', '2023-12-31']), 'Q');
+});
+
+test('inferPeriod: a year-end date is Q4 unless the cadence or the qualifier says otherwise', () => {
+  assert.equal(inferPeriod({ as_of_date: '2023-12-31' }).label, 'Q4 2023');
+  assert.equal(inferPeriod({ as_of_date: '2023-12-31' }, null, { cadence: 'FY' }).label, 'FY2023');
+  assert.equal(inferPeriod({ as_of_date: '2023-06-30' }, null, { cadence: 'H' }).label, 'H1 2023');
+  assert.equal(inferPeriod({ as_of_date: '2023-12-31', qualifier: 'full year' }).label, 'FY2023');
+  assert.equal(inferPeriod({ qualifier: 'FY2022' }).key, 'FY:2022:');
+  assert.equal(inferPeriod({}), null);
+});
+
+test('computeChanges: YoY and QoQ on like-for-like periods', () => {
+  const points = ['2022-12-31', '2023-09-30', '2023-12-31'].map((d, i) => ({
+    value: [100, 110, 120][i],
+    period: inferPeriod({ as_of_date: d })
+  }));
+  computeChanges(points);
+  assert.equal(points[2].yoy, 20);
+  assert.equal(points[2].qoq, 9.09);
+  assert.equal(points[2].trend, 'up');
+  assert.equal(points[0].yoy, null);
+  assert.equal(points[0].trend, 'flat');
+});
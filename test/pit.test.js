@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+const { knownAt } = require('../lib/pit');
+
+const sleep = (ms) => new Promise(ok => setTimeout(ok, ms));
+const report = (year, facts, insight, source = {}) => ({
+  company: 'Acme',
+  source: { url: `https://acme.com/ar-${year}`, title: `Annual report ${year}`, published_at: `${year + 1}-03-01`, ...source },
+  facts,
+  insights: [{ text: insight, theme: 'growth', confidence: 0.8 }]
+});
+const values = (r) => r.body.metrics.revenue.series.map(p => [p.date, p.value, p.yoy]);
+
+test('knownAt: the row and its source must be ingested, and the source published, before the cutoff', () => {
+  const source = { published_at: '2024-03-01', created_at: '2024-03-02T00:00:00Z' };
+  assert.equal(knownAt({ created_at: '2024-03-02T00:00:00Z' }, source, '2024-04-01'), true);
+  assert.equal(knownAt({ created_at: '2024-05-01T00:00:00Z' }, source, '2024-04-01'), false);
+  assert.equal(knownAt({ created_at: '2024-03-02T00:00:00Z' }, source, '2024-02-15'), false);
+  assert.equal(knownAt({ created_at: '2024-03-02T00:00:00Z' }, { ...source, created_at: '2024-06-01' }, '2024-04-01'), false);
+  assert.equal(knownAt({}, source, null), true);
+});
+
+let cutoff;
+
+test('setup: the 2022 report, then the 2023 report', async () => {
+  const first = report(2022, [fact('Revenue', 900, '2022-12-31')], 'Demand held up well across the year');
+  assert.equal((await call(ingest, { method: 'POST', body: first })).status, 200);
+  await sleep(10);
+  cutoff = new Date().toISOString();
+  await sleep(10);
+  const second = report(2023, [fact('Revenue', 1000, '2023-12-31')], 'Margins widened on a better product mix');
+  assert.equal((await call(ingest, { method: 'POST', body: second })).status, 200);
+});
+
+test('read: as_known_at drops what was ingested later, and recomputes changes and insights', async () => {
+  const now = await call(read, { query: { company: 'acme', metric: 'revenue' } });
+  assert.equal(now.status, 200);
+  assert.equal(values(now).length, 2);
+  assert.equal(Math.round(values(now)[1][2] * 10) / 10, 11.1);
+  assert.equal(now.body.insights.top.length, 2);
+
+  const then = await call(read, { query: { company: 'acme', metric: 'revenue', as_known_at: cutoff } });
+  assert.equal(then.status, 200);
+  assert.deepEqual(values(then), [['2022-12-31', 900e6, null]]);
+  assert.deepEqual(then.body.insights.top.map(i => i.text), ['Demand held up well across the year']);
+  assert.deepEqual(
+    (await call(read, { query: { company: 'acme', metric: 'revenue', as_known_at: '2023-06-01' } })).body.metrics.revenue.series,
+    []
+  );
+});
+
+test('read: as_known_at keeps the version of a document current at that moment', async () => {
+  const restated = report(2023, [fact('Revenue', 1050, '2023-12-31')], 'Margins widened on a better product mix', { version: 2 });
+  await sleep(10);
+  const cutoff = new Date().toISOString();
+  await sleep(10);
+  const v2 = await call(ingest, { method: 'POST', body: restated });
+  assert.equal(v2.body.source.action, 'new_version');
+
+  const latest = await call(read, { query: { company: 'acme', metric: 'revenue' } });
+  assert.equal(values(latest)[1][1], 1050e6);
+  const then = await call(read, { query: { company: 'acme', metric: 'revenue', as_known_at: cutoff } });
+  assert.deepEqual(then.body.metrics.revenue.series.map(p => [p.value, p.restated]), [[900e6, false], [1000e6, false]]);
+});
+
+test('read: a malformed as_known_at is a 400', async () => {
+  assert.equal((await call(read, { query: { company: 'acme', metric: 'revenue', as_known_at: 'last week' } })).status, 400);
+});
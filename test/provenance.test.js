@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call } = require('./helpers');
+const ingest = require('../api/ingest');
+const provenance = require('../api/provenance');
+const companies = require('../api/companies');
+const { classifyProvenance } = require('../lib/provenance');
+const { getStore } = require('../lib/store');
+
+const store = getStore();
+const admin = process.env.ADMIN_TOKEN;
+const publish = (url, text, extra = {}) => call(ingest, {
+  method: 'POST',
+  body: { company: 'Kering', source: { url, title: 'Doc', published_at: '2024-03-01' }, insights: [{ text, theme: 'growth', confidence: 0.6 }], ...extra }
+});
+let blogSourceId;
+const insightOf = async (sourceId) => (await store.insights.listBySources([sourceId], 'id, provenance_score'))[0];
+
+test('classifyProvenance: longest domain wins, a rule beats the issuer domain at equal length', () => {
+  const rules = [{ domain: 'example.org', publisher_type: 'media', trust_score: 0.6 }, { domain: 'ir.example.org', publisher_type: 'analyst', trust_score: 0.8 }];
+  assert.equal(classifyProvenance('https://ir.example.org/x', { rules }).publisher_type, 'analyst');
+  assert.equal(classifyProvenance('https://news.example.org/x', { rules }).publisher_type, 'media');
+  assert.equal(classifyProvenance('https://example.org/x', { rules, issuerDomains: ['example.org'] }).publisher_type, 'media');
+  assert.equal(classifyProvenance('https://ir.acme.com/x', { rules, issuerDomains: ['acme.com'] }).publisher_type, 'issuer');
+  assert.deepEqual(classifyProvenance('not a url'), { publisher_domain: null, publisher_name: null, publisher_type: 'other', is_official: false, trust_score: 0.5 });
+});
+
+test('provenance: the company domain makes its own site an issuer, other sites stay other', async () => {
+  const own = await publish('https://www.kering.com/ar', 'Gucci sales fell sharply', { domain: 'kering.com' });
+  assert.equal(own.status, 200);
+  assert.deepEqual([own.body.source.provenance.publisher_type, own.body.source.provenance.trust_score], ['issuer', 0.7]);
+  const blog = await publish('https://blog.example.org/kering', 'Kering might sell a brand soon');
+  assert.deepEqual([blog.body.source.provenance.publisher_type, blog.body.source.provenance.trust_score], ['other', 0.5]);
+  blogSourceId = blog.body.source_id;
+});
+
+test('provenance: a rule re-scores existing sources and their insights, removing it scores them back', async () => {
+  const added = await call(provenance, {
+    method: 'POST',
+    token: admin,
+    body: { rules: [{ domain: 'https://www.Example.org/', publisher_type: 'analyst', publisher_name: 'Example Research', trust_score: 0.8 }] }
+  });
+  assert.equal(added.status, 200);
+  assert.deepEqual(added.body.upserted, ['example.org']);
+  assert.deepEqual(added.body.rescored.changes.map(c => [c.source_id, c.to.publisher_type]), [[blogSourceId, 'analyst']]);
+  assert.equal((await insightOf(blogSourceId)).provenance_score, 0.48);
+
+  const listed = await call(provenance, { query: {} });
+  assert.ok(listed.body.rules.some(r => r.domain === 'example.org' && r.publisher_name === 'Example Research'));
+
+  const removed = await call(provenance, { method: 'POST', token: admin, body: { remove: ['example.org'] } });
+  assert.deepEqual(removed.body.rescored.changes.map(c => c.to.trust_score), [0.5]);
+  assert.equal((await insightOf(blogSourceId)).provenance_score, 0.3);
+});
+
+test('provenance: a domain alias added later turns the sources of that domain into issuer', async () => {
+  const ir = await publish('https://ir-kering.fr/results', 'Kering results press release');
+  assert.equal(ir.body.source.provenance.publisher_type, 'other');
+  const r = await call(companies, { method: 'POST', token: admin, body: { action: 'aliases', company: 'kering', domain: 'ir-kering.fr' } });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.rescored.changes.map(c => c.to.publisher_type), ['issuer']);
+});
+
+test('provenance: admin scope, validated rules', async () => {
+  assert.equal((await call(provenance, { method: 'POST', body: { remove: ['x.com'] } })).status, 403);
+  assert.equal((await call(provenance, { method: 'POST', token: admin, body: {} })).status, 400);
+  const bad = await call(provenance, { method: 'POST', token: admin, body: { rules: [{ domain: 'nope', publisher_type: 'media', trust_score: 2 }] } });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /invalid domain: nope/);
+});
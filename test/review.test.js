@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const review = require('../api/review');
+
+test('setup: a fact off by 1000 is quarantined', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01' },
+      facts: [fact('Revenue', 1000, '2023-12-31'), fact('Revenue', 950, '2022-12-31'), fact('Revenue', 900000, '2021-12-31')]
+    }
+  });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.summary.facts.quarantined, 1);
+});
+
+test('review: the queue and one fact by id', async () => {
+  const queue = await call(review, { query: { company: 'acme' } });
+  assert.equal(queue.status, 200);
+  assert.equal(queue.body.count, 1);
+  const one = await call(review, { query: { id: String(queue.body.facts[0].id) } });
+  assert.equal(one.status, 200);
+  assert.equal(one.body.fact.review_status, 'quarantined');
+});
+
+test('review: a malformed id or cursor is a 400', async () => {
+  for (const query of [{ id: 'abc' }, { id: '0' }, { cursor: Buffer.from('{"id":"x"}').toString('base64url') }, { cursor: 'garbage' }]) {
+    assert.equal((await call(review, { query })).status, 400, JSON.stringify(query));
+  }
+  assert.equal((await call(review, { query: { id: '999999' } })).status, 404);
+});
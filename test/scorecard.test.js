@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const scorecard = require('../api/scorecard');
+const { scoreAt, scoreHistory } = require('../lib/scorecard');
+
+const point = (date, yoy) => ({
+  date, period: { label: `FY${date.slice(0, 4)}` }, value: 1, yoy, qoq: null,
+  trend: yoy == null ? 'flat' : yoy > 0 ? 'up' : yoy < 0 ? 'down' : 'flat'
+});
+const metric = (key_slug, framework_bucket, series, higher_is_better = true) => ({
+  def: { key_slug, label: key_slug, framework_bucket, higher_is_better }, series
+});
+
+test('scoreAt: trend × signal strength per metric, mean per bucket, equal-weight overall', () => {
+  const loaded = [
+    metric('revenue', 'competitiveness', [point('2022-12-31', null), point('2023-12-31', 20)]),
+    metric('margin', 'competitiveness', [point('2023-12-31', -3)]),
+    metric('net_debt', 'solvency', [point('2023-12-31', 20)], false)
+  ];
+  const s = scoreAt(loaded, '2024-06-30');
+  assert.deepEqual(s.buckets.competitiveness.metrics.map(m => [m.metric, m.signal, m.score]), [['revenue', 'strong', 100], ['margin', 'weak', 33]]);
+  assert.equal(s.buckets.competitiveness.score, 67);
+  assert.equal(s.buckets.solvency.score, 0);
+  assert.equal(s.buckets.solvency.rating, 'negative');
+  assert.equal(s.buckets.development.score, null);
+  assert.equal(s.overall.score, 34);
+  assert.match(s.overall.explanation, /^overall 34\/100 \(negative\), equal-weight average of competitiveness 67, solvency 0; without score: development$/);
+  assert.match(s.buckets.solvency.explanation, /net_debt up \+20\.0% YoY in FY2023 \(strong, lower is better\)/);
+});
+
+test('scoreHistory: one entry per date with a score, stale metrics left out', () => {
+  const loaded = [
+    metric('revenue', 'competitiveness', [point('2019-12-31', 10), point('2023-12-31', -20)]),
+    metric('capex', 'development', [point('2022-12-31', 5)])
+  ];
+  assert.deepEqual(scoreHistory(loaded).map(h => [h.date, h.buckets.competitiveness, h.buckets.development, h.metrics]), [
+    ['2019-12-31', 100, null, 1],
+    ['2022-12-31', null, 83, 1],
+    ['2023-12-31', 0, 83, 2]
+  ]);
+});
+
+test('GET /api/scorecard: buckets read back from metrics_dictionary.framework_bucket', async () => {
+  const r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01' },
+      facts: [
+        { ...fact('Revenue', 1000, '2022-12-31'), framework_bucket: 'competitiveness' },
+        { ...fact('Revenue', 1200, '2023-12-31'), framework_bucket: 'competitiveness' }
+      ]
+    }
+  });
+  assert.equal(r.status, 200);
+  const s = await call(scorecard, { query: { company: 'acme' } });
+  assert.equal(s.status, 200);
+  assert.deepEqual(s.body.buckets.competitiveness.metrics.map(m => [m.metric, m.change, m.score]), [['revenue', 20, 100]]);
+  assert.equal(s.body.overall.score, 100);
+  assert.deepEqual(s.body.history.map(h => [h.date, h.overall]), [['2023-12-31', 100]]);
+  assert.equal((await call(scorecard, { query: { company: 'nobody' } })).status, 404);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call } = require('./helpers');
+const ingest = require('../api/ingest');
+const search = require('../api/search');
+const { queryTerms, snippet } = require('../lib/search');
+
+test('queryTerms: accents folded, stop words dropped, plurals stemmed', () => {
+  assert.deepEqual(queryTerms('La DEMANDE en Chine'), ['demand', 'chin']);
+  assert.deepEqual(queryTerms('Ralentissements'), ['ralentissement']);
+  assert.deepEqual(queryTerms('le la de'), []);
+});
+
+test('snippet: cut around the first term, original accents kept', () => {
+  const text = `${'Contexte général. '.repeat(20)}La demande chinoise ralentit nettement.`;
+  const s = snippet(text, ['chinois'], 60);
+  assert.ok(s.startsWith('…'));
+  assert.ok(s.includes('demande chinoise'));
+});
+
+test('setup: an insight and a news item in French, two companies and two publishers', async () => {
+  let r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Acme',
+      source: { url: 'https://acme.com/ar-2024', title: 'Rapport annuel', published_at: '2024-03-01' },
+      insights: [{ text: 'Ralentissement de la demande en Chine sur le segment premium', theme: 'demand', confidence: 0.9 }],
+      news: [{ headline: 'Acme opens a new plant in Texas', event_date: '2024-03-01' }]
+    }
+  });
+  assert.equal(r.status, 200);
+  r = await call(ingest, {
+    method: 'POST',
+    body: {
+      company: 'Globex',
+      source: { url: 'https://www.reuters.com/globex-chine', title: 'Globex', published_at: '2024-05-01' },
+      news: [{ headline: 'Globex : la demande chinoise se redresse', summary: 'Les ventes en Chine repartent', event_date: '2024-05-01' }]
+    }
+  });
+  assert.equal(r.status, 200);
+});
+
+test('search: across companies, whatever the case and accents of the query', async () => {
+  const r = await call(search, { query: { q: 'DEMANDÉ chiné' } });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.terms, ['demand', 'chin']);
+  assert.deepEqual(r.body.results.map(x => `${x.kind}:${x.company.slug}`).sort(), ['insight:acme', 'news:globex']);
+  assert.ok(r.body.results.every(x => x.score > 0 && x.relevance > 0));
+});
+
+test('search: company, type, publisher type and date filters', async () => {
+  const kinds = async (query) => {
+    const r = await call(search, { query: { q: 'demande chine', ...query } });
+    assert.equal(r.status, 200, JSON.stringify(query));
+    return r.body.results.map(x => `${x.kind}:${x.company.slug}`);
+  };
+  assert.deepEqual(await kinds({ company: 'acme' }), ['insight:acme']);
+  assert.deepEqual(await kinds({ type: 'news' }), ['news:globex']);
+  assert.deepEqual(await kinds({ publisher_type: 'media' }), ['news:globex']);
+  assert.deepEqual(await kinds({ publisher_type: 'regulator' }), []);
+  assert.deepEqual(await kinds({ from: '2024-04-01' }), ['news:globex']);
+  assert.deepEqual(await kinds({ to: '2024-04-01' }), ['insight:acme']);
+});
+
+test('search: malformed query is a 400, unknown company a 404', async () => {
+  for (const query of [{ q: 'a' }, { q: 'le la' }, { q: 'chine', type: 'video' }, { q: 'chine', from: 'yesterday' }, { q: 'chine', limit: '500' }]) {
+    assert.equal((await call(search, { query })).status, 400, JSON.stringify(query));
+  }
+  assert.equal((await call(search, { query: { q: 'chine', company: 'nobody' } })).status, 404);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { backendName, createStore } = require('../lib/store');
+const { createMemoryClient } = require('../lib/store/memory');
+
+test('backendName: supabase by default, memory on request, anything else refused', () => {
+  assert.equal(backendName({}), 'supabase');
+  assert.equal(backendName({ LOWPILL_STORE: ' Memory ' }), 'memory');
+  assert.throws(() => backendName({ LOWPILL_STORE: 'sqlite' }), /unknown LOWPILL_STORE: sqlite/);
+});
+
+test('memory client: filters, or(), NULLS LAST ordering, range and embedded selects', async () => {
+  const db = createMemoryClient();
+  await db.from('sources').insert([{ company_id: 1, url: 'https://a', version: 1 }, { company_id: 1, url: 'https://b', version: 1 }]);
+  await db.from('facts').insert([
+    { company_id: 1, source_id: 1, fact_md5: 'a', as_of_date: '2023-12-31', metric_value_num: 3 },
+    { company_id: 1, source_id: 2, fact_md5: 'b', as_of_date: null, metric_value_num: 1 },
+    { company_id: 1, source_id: 1, fact_md5: 'c', as_of_date: '2022-12-31', metric_value_num: null }
+  ]);
+
+  const ordered = await db.from('facts').select('fact_md5').order('as_of_date', { ascending: true });
+  assert.deepEqual(ordered.data.map(r => r.fact_md5), ['c', 'a', 'b']);
+  const page = await db.from('facts').select('fact_md5').order('id').range(1, 5);
+  assert.deepEqual(page.data.map(r => r.fact_md5), ['b', 'c']);
+  const some = await db.from('facts').select('fact_md5').or('fact_md5.eq.a,and(source_id.eq.1,as_of_date.lt."2023-01-01")').order('id');
+  assert.deepEqual(some.data.map(r => r.fact_md5), ['a', 'c']);
+  const numeric = await db.from('facts').select('fact_md5').not('metric_value_num', 'is', null).order('id');
+  assert.deepEqual(numeric.data.map(r => r.fact_md5), ['a', 'b']);
+  const joined = await db.from('facts').select('fact_md5, sources:source_id ( url )').eq('fact_md5', 'b').single();
+  assert.deepEqual(joined.data, { fact_md5: 'b', sources: { url: 'https://b' } });
+  const none = await db.from('facts').select('*').eq('fact_md5', 'z').single();
+  assert.equal(none.error.code, 'PGRST116');
+});
+
+test('createStore: one set of repositories per backend, each with its own data', async () => {
+  const a = createStore('memory');
+  const b = createStore('memory');
+  await a.companies.upsert({ slug: 'acme', name: 'Acme' });
+  assert.equal((await a.companies.findBySlug('acme')).name, 'Acme');
+  assert.equal(await b.companies.findBySlug('acme'), null);
+  assert.equal(a.backend, 'memory');
+});
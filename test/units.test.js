@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumeric, parseNumericDetailed, parseUnit, canonicalize, baseUnitOf } = require('../lib/units');
+
+test('parseNumeric: FR / US separators, suffixes, negatives and currency marks', () => {
+  assert.equal(parseNumeric('1,234.5'), 1234.5);
+  assert.equal(parseNumeric('1.234,5'), 1234.5);
+  assert.equal(parseNumeric('(1,234.56)'), -1234.56);
+  assert.equal(parseNumeric('12.3m'), 12.3e6);
+  assert.equal(parseNumeric('2 Mds'), 2e9);
+  assert.equal(parseNumeric('USD 1,234.5'), 1234.5);
+  assert.equal(parseNumeric('HK$ 5'), 5);
+  assert.equal(parseNumeric('n/a'), null);
+  assert.deepEqual(parseNumericDetailed('3k'), { value: 3000, mul: 1e3 });
+});
+
+test('parseNumeric: a decimal comma followed by a scale or a currency stays a decimal', () => {
+  assert.equal(parseNumeric('1,2 Md€'), 1.2e9);
+  assert.equal(parseNumeric('12,5 M€'), 12.5e6);
+  assert.equal(parseNumeric('1.234,5 EUR'), 1234.5);
+  assert.equal(parseNumeric('1 234,5 €'), 1234.5);
+  assert.equal(canonicalize('1,2 Md€', '').value_num, 1.2e9);
+});
+
+test('parseUnit: scale, base unit and currency', () => {
+  assert.deepEqual(parseUnit('EUR m'), { scale: 1e6, base_unit: 'currency', currency: 'EUR' });
+  assert.deepEqual(parseUnit("en milliers d'euros"), { scale: 1e3, base_unit: 'currency', currency: 'EUR' });
+  assert.deepEqual(parseUnit('%'), { scale: 1, base_unit: 'percent', currency: null });
+  assert.deepEqual(parseUnit(''), { scale: 1, base_unit: null, currency: null });
+});
+
+test('parseUnit: currency and scale glued in either order', () => {
+  for (const [unit, scale, currency] of [['EURm', 1e6, 'EUR'], ['MEUR', 1e6, 'EUR'], ['USDbn', 1e9, 'USD'], ['kEUR', 1e3, 'EUR'], ['TEUR', 1e3, 'EUR']]) {
+    assert.deepEqual(parseUnit(unit), { scale, base_unit: 'currency', currency }, unit);
+  }
+});
+
+test('canonicalize: the unit scale applies once', () => {
+  const a = canonicalize('12.3', 'EUR m');
+  assert.equal(a.value_num, 12.3e6);
+  assert.equal(a.raw_num, 12.3);
+  assert.equal(a.unit_scale, 1e6);
+  // le suffixe de la valeur l'emporte sur l'unité
+  assert.equal(canonicalize('12.3m', 'EUR m').value_num, 12.3e6);
+  assert.equal(canonicalize('12 300 000 €', null).currency, 'EUR');
+  assert.equal(canonicalize('15%', null).base_unit, 'percent');
+});
+
+test('baseUnitOf: column first, else read from the unit', () => {
+  assert.equal(baseUnitOf({ base_unit: 'count', unit: 'EUR' }), 'count');
+  assert.equal(baseUnitOf({ unit: 'bps' }), 'bps');
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { call, fact } = require('./helpers');
+const ingest = require('../api/ingest');
+const read = require('../api/read');
+
+const report = (source_md5, revenue) => ({
+  company: 'Acme',
+  source: { url: 'https://acme.com/ar-2023', title: 'Annual report 2023', published_at: '2024-03-01', source_md5 },
+  facts: [fact('Revenue', revenue, '2023-12-31'), fact('EBIT', 50, '2023-12-31')]
+});
+const statuses = (r) => r.body.facts.map(f => `${f.metric_key}:${f.status}`);
+
+test('versions: a changed source_md5 creates a new version; only restated figures are written, flagged', async () => {
+  const v1 = await call(ingest, { method: 'POST', body: report('aaa', 1000) });
+  assert.equal(v1.status, 200);
+  assert.equal(v1.body.source.action, 'create');
+
+  const v2 = await call(ingest, { method: 'POST', body: report('bbb', 1100) });
+  assert.equal(v2.status, 200);
+  assert.equal(v2.body.source.action, 'new_version');
+  assert.equal(v2.body.source.version, 2);
+  assert.deepEqual(statuses(v2), ['Revenue:insert', 'EBIT:unchanged']);
+  assert.equal(v2.body.facts[0].is_restatement, true);
+});
+
+test('versions: the same later version again writes nothing', async () => {
+  const again = await call(ingest, { method: 'POST', body: report('bbb', 1100) });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.source.action, 'existing');
+  assert.deepEqual(statuses(again), ['Revenue:duplicate', 'EBIT:unchanged']);
+});
+
+test('read: basis=latest shows the restated figure with the as-reported one, basis=original the first figure', async () => {
+  const latest = await call(read, { query: { company: 'acme', metric: 'revenue' } });
+  assert.equal(latest.status, 200);
+  assert.deepEqual(latest.body.metrics.revenue.series.map(p => [p.value, p.restated, p.as_reported_value]), [[1100e6, true, 1000e6]]);
+
+  const original = await call(read, { query: { company: 'acme', metric: 'revenue', basis: 'original' } });
+  assert.deepEqual(original.body.metrics.revenue.series.map(p => p.value), [1000e6]);
+  const ebit = await call(read, { query: { company: 'acme', metric: 'ebit' } });
+  assert.deepEqual(ebit.body.metrics.ebit.series.map(p => [p.value, p.restated]), [[50e6, false]]);
+});
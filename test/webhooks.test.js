@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, signatureHeader, verifySignature } = require('../lib/webhooks');
+
+test('verifySignature: accepts the header computed over the raw body', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^whsec_/);
+  const body = JSON.stringify({ event: 'metric_signal' });
+  assert.equal(verifySignature(secret, signatureHeader(secret, body), body), true);
+});
+
+test('verifySignature: rejects another secret, another body, a stale or malformed header', () => {
+  const body = '{"a":1}';
+  const now = Date.now();
+  const t = Math.floor(now / 1000);
+  const header = signatureHeader('s1', body, t);
+  assert.equal(verifySignature('s2', header, body, { now }), false);
+  assert.equal(verifySignature('s1', header, '{"a":2}', { now }), false);
+  assert.equal(verifySignature('s1', header, body, { now: now + 301 * 1000 }), false);
+  assert.equal(verifySignature('s1', header, body, { now: now + 301 * 1000, toleranceSeconds: 600 }), true);
+  assert.equal(verifySignature('s1', 'v1=abc', body, { now }), false);
+  assert.equal(verifySignature('s1', `t=${t},v1=00`, body, { now }), false);
+  assert.equal(verifySignature('s1', null, body, { now }), false);
+});